@@ -6,16 +6,72 @@ const dotenv = require('dotenv');
 const crypto = require('crypto');
 const cron = require('node-cron');
 const { TwitterApi } = require('twitter-api-v2');
+const { Keypair } = require('@solana/web3.js');
 
 // Load environment variables FIRST
 dotenv.config();
 
 const { supabase, supabaseAdmin } = require('./lib/supabase');
 const solanaService = require('./lib/solana');
+const walletAuth = require('./lib/walletAuth');
+const sessionService = require('./lib/sessions');
+const adminAuthService = require('./lib/adminAuth');
+const treasuryIndexer = require('./lib/treasuryIndexer');
+const refundService = require('./lib/refunds');
+const currencies = require('./lib/currencies');
+const ledgerService = require('./lib/ledger');
+const drawService = require('./lib/draws');
+const subscriptionService = require('./lib/subscriptions');
+const syndicateService = require('./lib/syndicates');
+const responsibleGamingService = require('./lib/responsibleGaming');
+const fairnessService = require('./lib/fairness');
+const prizeService = require('./lib/prizes');
+const gameService = require('./lib/games');
+const scheduleService = require('./lib/schedule');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Payment intents must be paid within this window
+const PAYMENT_INTENT_TTL_MINUTES = parseInt(process.env.PAYMENT_INTENT_TTL_MINUTES || '15', 10);
+const MAX_TICKETS_PER_INTENT = 100;
+
+// Advance purchases cover at most this many consecutive draws; subscriptions can be
+// prepaid for at most this many draws at a time
+const MAX_ADVANCE_DRAWS = 10;
+const MAX_PREPAID_DRAWS = 52;
+
+// System entries pick 1-5 more main numbers than a line has and are played as every
+// combination of a line's size with every chosen powerball, up to this many lines
+const SYSTEM_MAX_EXTRA_NUMBERS = 5;
+const MAX_SYSTEM_LINES = 2520;
+
+// Longest cool-off a player can choose; beyond that they can self-exclude
+const MAX_COOL_OFF_DAYS = 365;
+
+// Tickets can be cancelled for this long after purchase (0 turns cancellation off), for
+// a fee in basis points of the price; the draw's sales must still be open
+const TICKET_CANCEL_WINDOW_MINUTES = parseInt(process.env.TICKET_CANCEL_WINDOW_MINUTES || '60', 10);
+const TICKET_CANCEL_FEE_BPS = Math.min(Math.max(parseInt(process.env.TICKET_CANCEL_FEE_BPS || '0', 10), 0), 9999);
+
+// Longest message that can be sent with gift tickets
+const MAX_GIFT_MESSAGE_LENGTH = 280;
+
+// Limits on a single syndicate share purchase and on invitations per request
+const MAX_SHARES_PER_PURCHASE = 1000;
+const MAX_SYNDICATE_INVITES = 50;
+
+// How long after expiry the payment watcher keeps looking for a payment
+const PAYMENT_WATCH_GRACE_MINUTES = 60;
+
+// A refund still pending after this long was interrupted before it was sent, and can be retried
+const STUCK_REFUND_MINUTES = 5;
+
+// Changes that can be made to a game's draw calendar, and how far ahead the admin
+// calendar can be listed
+const SCHEDULE_CHANGE_TYPES = ['extra', 'skip', 'postpone'];
+const MAX_SCHEDULE_DAYS = 366;
+
 // Middleware
 app.use(helmet());
 app.use(cors());
@@ -41,55 +97,61 @@ const authenticateUser = async (req, res, next) => {
     }
 
     const token = authHeader.substring(7);
-    
-    // Decode our custom token format: userId:walletAddress
-    try {
-      const decoded = Buffer.from(token, 'base64').toString('utf-8');
-      const [userId, walletAddress] = decoded.split(':');
-      
-      console.log('Auth debug - Decoded token:', decoded);
-      console.log('Auth debug - User ID:', userId);
-      console.log('Auth debug - Wallet Address:', walletAddress);
-      
-      if (!userId || !walletAddress) {
-        return res.status(401).json({ error: 'Invalid token format' });
-      }
 
-      // Verify user exists in database
-      console.log('Auth debug - Querying database for user:', userId, walletAddress);
-      
-      const { data: user, error } = await supabaseAdmin
-        .from('users')
-        .select('*')
-        .eq('id', userId)
-        .eq('wallet_address', walletAddress)
-        .single();
+    // Check signature, expiry and that the session has not been revoked
+    const result = await sessionService.verifyAccessToken(token);
+    if (!result.valid) {
+      return res.status(401).json({ error: result.error });
+    }
 
-      console.log('Auth debug - Database query result:', { user, error });
-      console.log('Auth debug - Error details:', error);
+    req.user = result.user;
+    req.session = result.session;
+    next();
+  } catch (error) {
+    console.error('Auth error:', error.message);
+    res.status(500).json({ error: 'Authentication failed' });
+  }
+};
 
-      if (error) {
-        console.log('Auth debug - Database error:', error.message, error.code);
-        return res.status(401).json({ error: 'Database query failed' });
-      }
+// Admin authorization middleware. Accepts an admin bearer token (from
+// POST /admin/auth/wallet-connect) or an API key in the X-API-Key header.
+// superadmin passes every role check.
+const authorizeAdmin = (...roles) => async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    const bearer = authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
+    const apiKey = req.headers['x-api-key'];
+
+    let result;
+    if (apiKey) {
+      result = await adminAuthService.verifyApiKey(apiKey);
+    } else if (bearer) {
+      result = await adminAuthService.verifyAdminToken(bearer);
+    } else {
+      return res.status(401).json({ error: 'Admin credentials required' });
+    }
 
-      if (!user) {
-        console.log('Auth debug - No user found');
-        return res.status(401).json({ error: 'User not found' });
-      }
+    if (!result.valid) {
+      return res.status(401).json({ error: result.error });
+    }
 
-      req.user = user;
-      next();
-    } catch (decodeError) {
-      console.error('Token decode error:', decodeError);
-      return res.status(401).json({ error: 'Invalid token' });
+    if (!adminAuthService.hasRole(result.admin, roles)) {
+      console.warn(`⚠️  Admin ${result.admin.id} (${result.admin.role}) denied ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({ error: 'Insufficient admin role', required_roles: roles });
     }
+
+    req.admin = result.admin;
+    req.adminAuthMethod = result.method;
+    next();
   } catch (error) {
-    console.error('Auth error:', error);
+    console.error('Admin auth error:', error.message);
     res.status(500).json({ error: 'Authentication failed' });
   }
 };
 
+// Read-only admin routes are open to every admin role
+const ADMIN_READ_ROLES = ['auditor', 'operator', 'treasurer'];
+
 // Routes
 app.get('/', (req, res) => {
   res.json({ 
@@ -102,42 +164,107 @@ app.get('/', (req, res) => {
       },
       auth: {
         register: 'POST /auth/register',
+        nonce: 'GET /auth/nonce?wallet=',
         walletConnect: 'POST /auth/wallet-connect',
+        refresh: 'POST /auth/refresh',
+        logout: 'POST /auth/logout',
+        logoutAll: 'POST /auth/logout-all',
         me: 'GET /auth/me'
       },
       tickets: {
         create: 'POST /tickets',
         my: 'GET /tickets/my',
         bulk: 'POST /tickets/bulk',
-        active: 'GET /tickets/active'
+        active: 'GET /tickets/active',
+        quickPick: 'POST /tickets/quick-pick',
+        gift: 'POST /tickets/gift',
+        giftsSent: 'GET /tickets/gifts/sent',
+        cancel: 'DELETE /tickets/:id'
+      },
+      subscriptions: {
+        create: 'POST /subscriptions',
+        my: 'GET /subscriptions/my',
+        topUp: 'POST /subscriptions/:id/top-up',
+        cancel: 'POST /subscriptions/:id/cancel'
+      },
+      syndicates: {
+        create: 'POST /syndicates',
+        my: 'GET /syndicates/my',
+        get: 'GET /syndicates/:id',
+        invite: 'POST /syndicates/:id/invite',
+        join: 'POST /syndicates/:id/join',
+        purchase: 'POST /syndicates/:id/purchase'
+      },
+      account: {
+        limits: 'GET /account/limits',
+        updateLimits: 'PUT /account/limits',
+        coolOff: 'POST /account/limits/cool-off',
+        selfExclude: 'POST /account/limits/self-exclusion'
       },
       payments: {
         createIntent: 'POST /payments/create-intent',
-        verify: 'POST /payments/verify'
+        verify: 'POST /payments/verify',
+        status: 'GET /payments/:intentId/status'
       },
       draws: {
         all: 'GET /draws',
-        latest: 'GET /draws/latest'
+        latest: 'GET /draws/latest',
+        proof: 'GET /draws/:id/proof'
       },
       winners: {
         my: 'GET /winners/my'
       },
       pot: {
-        get: 'GET /pot'
+        get: 'GET /pot',
+        currencies: 'GET /currencies',
+        prizeStructure: 'GET /prize-structure'
+      },
+      games: {
+        all: 'GET /games',
+        get: 'GET /games/:id'
       },
       countdown: {
         get: 'GET /countdown'
       },
-          admin: {
-            createDraw: 'POST /admin/draws/create',
-            generateDraw: 'POST /admin/draws/generate',
-            calculateWinners: 'POST /admin/draws/:drawId/calculate-winners',
-            executeDraw: 'POST /admin/draws/:drawId/execute',
-            treasuryBalance: 'GET /admin/treasury/balance',
-            sendPayout: 'POST /admin/payouts/send',
-            stats: 'GET /admin/stats',
-            resetPot: 'POST /admin/pot/reset'
-          }
+      admin: {
+        walletConnect: 'POST /admin/auth/wallet-connect',
+        me: 'GET /admin/auth/me',
+        users: 'GET /admin/users',
+        createUser: 'POST /admin/users',
+        updateUser: 'PATCH /admin/users/:id',
+        apiKeys: 'GET /admin/users/:id/api-keys',
+        createApiKey: 'POST /admin/users/:id/api-keys',
+        revokeApiKey: 'DELETE /admin/users/:id/api-keys/:keyId',
+        createDraw: 'POST /admin/draws/create',
+        generateDraw: 'POST /admin/draws/generate',
+        calculateWinners: 'POST /admin/draws/:drawId/calculate-winners',
+        executeDraw: 'POST /admin/draws/:drawId/execute',
+        draws: 'GET /admin/draws',
+        resumeDraw: 'POST /admin/draws/:id/resume',
+        simulateDraw: 'POST /admin/draws/simulate',
+        schedule: 'GET /admin/schedule',
+        scheduleRule: 'PUT /admin/schedule/rule',
+        scheduleChange: 'POST /admin/schedule',
+        removeScheduleChange: 'DELETE /admin/schedule/:id',
+        treasuryBalance: 'GET /admin/treasury/balance',
+        sendPayout: 'POST /admin/payouts/send',
+        resolveSyndicatePayout: 'POST /admin/syndicate-payouts/:id/resolve',
+        unmatchedPayments: 'GET /admin/payments/unmatched',
+        assignPayment: 'POST /admin/payments/:depositId/assign',
+        refundPayment: 'POST /admin/payments/:depositId/refund',
+        refunds: 'GET /admin/refunds',
+        createRefund: 'POST /admin/refunds',
+        retryRefund: 'POST /admin/refunds/:id/retry',
+        stats: 'GET /admin/stats',
+        ledger: 'GET /admin/ledger',
+        ledgerBalances: 'GET /admin/ledger/balances',
+        ledgerAdjustment: 'POST /admin/ledger/adjustments',
+        exclusions: 'GET /admin/responsible-gaming/exclusions',
+        userLimits: 'GET /admin/responsible-gaming/users/:userId',
+        overrideExclusion: 'POST /admin/responsible-gaming/users/:userId/override',
+        resetPot: 'POST /admin/pot/reset',
+        jackpotRules: 'PUT /admin/jackpot'
+      }
     }
   });
 });
@@ -184,6 +311,96 @@ app.post('/auth/register', async (req, res) => {
   }
 });
 
+// Issue a single-use sign-in challenge for a wallet
+app.get('/auth/nonce', async (req, res) => {
+  try {
+    const { wallet } = req.query;
+
+    if (!wallet || !walletAuth.isValidWalletAddress(wallet)) {
+      return res.status(400).json({ error: 'A valid wallet address is required' });
+    }
+
+    const challenge = walletAuth.createChallenge(wallet);
+
+    const { error } = await supabaseAdmin
+      .from('auth_nonces')
+      .insert({
+        wallet_address: wallet,
+        nonce: challenge.nonce,
+        message: challenge.message,
+        expires_at: challenge.expires_at
+      });
+
+    if (error) {
+      console.error('Create nonce error:', error);
+      return res.status(500).json({ error: 'Failed to create nonce' });
+    }
+
+    res.json(challenge);
+  } catch (error) {
+    console.error('Create nonce error:', error);
+    res.status(500).json({ error: 'Failed to create nonce' });
+  }
+});
+
+// Check a signed /auth/nonce challenge and consume its nonce.
+// Returns { success } or { success: false, status, error }.
+async function consumeWalletChallenge(walletAddress, message, signature) {
+  // Look up the challenge this message was issued for
+  const nonce = walletAuth.extractNonce(message);
+  if (!nonce) {
+    return { success: false, status: 401, error: 'Message does not contain a valid nonce' };
+  }
+
+  const { data: challenge, error: nonceError } = await supabaseAdmin
+    .from('auth_nonces')
+    .select('*')
+    .eq('nonce', nonce)
+    .single();
+
+  if (nonceError && nonceError.code !== 'PGRST116') {
+    console.error('Database error:', nonceError);
+    return { success: false, status: 500, error: 'Database error' };
+  }
+
+  if (!challenge || challenge.wallet_address !== walletAddress || challenge.message !== message) {
+    return { success: false, status: 401, error: 'Nonce does not match this wallet' };
+  }
+
+  if (challenge.used_at) {
+    return { success: false, status: 401, error: 'Nonce has already been used' };
+  }
+
+  if (new Date(challenge.expires_at) <= new Date()) {
+    return { success: false, status: 401, error: 'Nonce has expired' };
+  }
+
+  // Verify the ed25519 signature against the wallet public key
+  const { valid } = walletAuth.verifyWalletSignature(walletAddress, message, signature);
+  if (!valid) {
+    return { success: false, status: 401, error: 'Invalid signature' };
+  }
+
+  // Consume the nonce; the used_at filter makes this single-use under concurrent requests
+  const { data: consumed, error: consumeError } = await supabaseAdmin
+    .from('auth_nonces')
+    .update({ used_at: new Date().toISOString() })
+    .eq('id', challenge.id)
+    .is('used_at', null)
+    .select();
+
+  if (consumeError) {
+    console.error('Database error:', consumeError);
+    return { success: false, status: 500, error: 'Database error' };
+  }
+
+  if (!consumed || consumed.length === 0) {
+    return { success: false, status: 401, error: 'Nonce has already been used' };
+  }
+
+  return { success: true };
+}
+
 // Wallet Connect Authentication
 app.post('/auth/wallet-connect', async (req, res) => {
   try {
@@ -195,8 +412,10 @@ app.post('/auth/wallet-connect', async (req, res) => {
       });
     }
 
-    // TODO: Verify signature with Solana
-    // For now, we'll trust the frontend verification
+    const challengeResult = await consumeWalletChallenge(wallet_address, message, signature);
+    if (!challengeResult.success) {
+      return res.status(challengeResult.status).json({ error: challengeResult.error });
+    }
     
     // Check if user exists
     const { data: user, error } = await supabaseAdmin
@@ -210,7 +429,7 @@ app.post('/auth/wallet-connect', async (req, res) => {
       return res.status(500).json({ error: 'Database error' });
     }
 
-    let userId;
+    let sessionUser = user;
     if (!user) {
       // Create new user
       const { data: newUser, error: createError } = await supabaseAdmin
@@ -223,18 +442,20 @@ app.post('/auth/wallet-connect', async (req, res) => {
         console.error('User creation error:', createError);
         return res.status(500).json({ error: 'Failed to create user' });
       }
-      userId = newUser.id;
-    } else {
-      userId = user.id;
+      sessionUser = newUser;
     }
 
-    // Generate JWT token (simplified for now)
-    const token = Buffer.from(`${userId}:${wallet_address}`).toString('base64');
+    // Start a session and issue a signed access token + refresh token
+    const tokens = await sessionService.createSession(sessionUser, {
+      userAgent: req.headers['user-agent'],
+      ipAddress: req.ip
+    });
 
     res.json({
       message: 'Wallet connected successfully',
-      token,
-      user: { id: userId, wallet_address }
+      token: tokens.access_token,
+      ...tokens,
+      user: { id: sessionUser.id, wallet_address }
     });
   } catch (error) {
     console.error('Wallet connect error:', error);
@@ -242,6 +463,54 @@ app.post('/auth/wallet-connect', async (req, res) => {
   }
 });
 
+// Exchange a refresh token for a new access token (refresh tokens rotate on every use)
+app.post('/auth/refresh', async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const result = await sessionService.refreshSession(refresh_token);
+    if (!result.success) {
+      return res.status(401).json({ error: result.error });
+    }
+
+    res.json({
+      message: 'Token refreshed successfully',
+      token: result.tokens.access_token,
+      ...result.tokens,
+      user: { id: result.user.id, wallet_address: result.user.wallet_address }
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error.message);
+    res.status(500).json({ error: 'Token refresh failed' });
+  }
+});
+
+// Revoke the current session
+app.post('/auth/logout', authenticateUser, async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.session.id);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error.message);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// Revoke every session for the current user
+app.post('/auth/logout-all', authenticateUser, async (req, res) => {
+  try {
+    const revokedCount = await sessionService.revokeAllSessions(req.user.id);
+    res.json({ message: 'Logged out of all sessions', revoked_sessions: revokedCount });
+  } catch (error) {
+    console.error('Logout all error:', error.message);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
 // Get current user
 app.get('/auth/me', authenticateUser, async (req, res) => {
   try {
@@ -253,594 +522,4285 @@ app.get('/auth/me', authenticateUser, async (req, res) => {
   }
 });
 
-// Ticket routes
-app.post('/tickets', authenticateUser, async (req, res) => {
-  try {
-    const { numbers, powerball, transaction_hash } = req.body;
-    
-    // Validate input
-    if (!numbers || !Array.isArray(numbers) || numbers.length !== 5) {
-      return res.status(400).json({ error: 'Must provide exactly 5 numbers' });
-    }
-    
-    if (!powerball || powerball < 1 || powerball > 10) {
-      return res.status(400).json({ error: 'Powerball must be between 1 and 10' });
-    }
-    
-    if (!transaction_hash) {
-      return res.status(400).json({ error: 'Transaction hash is required' });
-    }
+// Key identifying a line's combination, whatever the order of its numbers
+function lineKey(ticket) {
+  return `${[...ticket.numbers].sort((x, y) => x - y).join(',')}|${ticket.powerball}`;
+}
 
-    // Validate numbers are between 1-30 and unique
-    const validNumbers = numbers.every(num => num >= 1 && num <= 30);
-    const uniqueNumbers = new Set(numbers).size === numbers.length;
-    
-    if (!validNumbers || !uniqueNumbers) {
-      return res.status(400).json({ 
-        error: 'Numbers must be between 1-30 and unique' 
-      });
-    }
+// Compare two ticket lists regardless of line order or number order within a line
+function sameTickets(a, b) {
+  const left = a.map(lineKey).sort();
+  const right = b.map(lineKey).sort();
+  return left.length === right.length && left.every((line, i) => line === right[i]);
+}
 
-    // Create ticket
-    const { data: ticket, error } = await supabaseAdmin
-      .from('tickets')
-      .insert({
-        user_id: req.user.id,
-        numbers,
-        powerball,
-        transaction_hash
-      })
-      .select()
-      .single();
+// Validate a system selection for a game: 1-5 more main numbers than a line has and
+// one or more powerballs
+function validateSystemSelection(game, system) {
+  const { numbers, powerballs } = system || {};
+  const minNumbers = game.main_picks + 1;
+  const maxNumbers = Math.min(game.main_picks + SYSTEM_MAX_EXTRA_NUMBERS, game.main_pool);
 
-    if (error) {
-      console.error('Ticket creation error:', error);
-      return res.status(500).json({ error: 'Failed to create ticket' });
-    }
+  if (!Array.isArray(numbers) || numbers.length < minNumbers || numbers.length > maxNumbers) {
+    return `A system entry must have ${minNumbers} to ${maxNumbers} numbers`;
+  }
 
-    // Update pot tracking (create pot record if it doesn't exist)
-    try {
-      const { data: existingPot } = await supabaseAdmin
-        .from('pot')
-        .select('*')
-        .order('created_at', { ascending: false })
-        .limit(1)
-        .single();
+  if (!numbers.every(num => Number.isInteger(num) && num >= 1 && num <= game.main_pool) || new Set(numbers).size !== numbers.length) {
+    return `Numbers must be between 1-${game.main_pool} and unique`;
+  }
 
-      if (existingPot) {
-        // Update existing pot
-        await supabaseAdmin
-          .from('pot')
-          .update({
-            current_amount: existingPot.current_amount + 0.05,
-            total_tickets_sold: existingPot.total_tickets_sold + 1,
-            total_revenue: existingPot.total_revenue + 0.05,
-            last_updated: new Date().toISOString()
-          })
-          .eq('id', existingPot.id);
-      } else {
-        // Create new pot record
-        await supabaseAdmin
-          .from('pot')
-          .insert({
-            current_amount: 0.05,
-            total_tickets_sold: 1,
-            total_revenue: 0.05
-          });
-      }
-    } catch (potError) {
-      console.log('Pot tracking not available yet - table may not exist');
-    }
+  if (!Array.isArray(powerballs) || powerballs.length === 0) {
+    return 'A system entry needs at least one powerball';
+  }
 
-    res.status(201).json({
-      message: 'Ticket created successfully',
-      ticket: {
-        id: ticket.id,
-        numbers: ticket.numbers,
-        powerball: ticket.powerball,
-        created_at: ticket.created_at
-      }
-    });
-  } catch (error) {
-    console.error('Ticket creation error:', error);
-    res.status(500).json({ error: 'Failed to create ticket' });
+  if (!powerballs.every(pb => Number.isInteger(pb) && pb >= 1 && pb <= game.bonus_pool) || new Set(powerballs).size !== powerballs.length) {
+    return `Powerballs must be between 1 and ${game.bonus_pool} and unique`;
   }
-});
 
-app.get('/tickets/my', authenticateUser, async (req, res) => {
-  try {
-    console.log('Fetching tickets for user:', req.user.id);
-    
-    const { data: tickets, error } = await supabaseAdmin
-      .from('tickets')
-      .select('*')
-      .eq('user_id', req.user.id)
-      .order('created_at', { ascending: false });
+  if (countCombinations(numbers.length, game.main_picks) * powerballs.length > MAX_SYSTEM_LINES) {
+    return `A system entry can have at most ${MAX_SYSTEM_LINES} lines`;
+  }
 
-    console.log('Tickets query result:', { tickets, error });
+  return null;
+}
 
-    if (error) {
-      console.error('Fetch tickets error:', error);
-      return res.status(500).json({ error: 'Failed to fetch tickets' });
-    }
+// Number of `size`-element combinations of `n` items
+function countCombinations(n, size) {
+  let count = 1;
+  for (let i = 0; i < size; i++) {
+    count = count * (n - i) / (i + 1);
+  }
+  return Math.round(count);
+}
 
-    res.json({ tickets });
-  } catch (error) {
-    console.error('Fetch tickets error:', error);
-    res.status(500).json({ error: 'Failed to fetch tickets' });
+// Every `size`-element combination of `items`, in order
+function combinations(items, size) {
+  if (size === 0) {
+    return [[]];
   }
-});
+  const result = [];
+  for (let i = 0; i <= items.length - size; i++) {
+    for (const rest of combinations(items.slice(i + 1), size - 1)) {
+      result.push([items[i], ...rest]);
+    }
+  }
+  return result;
+}
 
-// Draw routes
-app.get('/draws', async (req, res) => {
-  try {
-    const { data: draws, error } = await supabase
-      .from('draws')
-      .select('*')
-      .order('draw_date', { ascending: false });
+// Expand a system selection into its lines: each combination of the game's line size
+// with each powerball
+function expandSystemSelection(game, system) {
+  const numbers = [...system.numbers].sort((a, b) => a - b);
+  const powerballs = [...system.powerballs].sort((a, b) => a - b);
+  return combinations(numbers, game.main_picks).flatMap(combo => powerballs.map(powerball => ({ numbers: combo, powerball })));
+}
 
-    if (error) {
-      console.error('Fetch draws error:', error);
-      return res.status(500).json({ error: 'Failed to fetch draws' });
+// Compare two system selections regardless of the order of their numbers
+function sameSystemSelection(a, b) {
+  const key = system => `${[...system.numbers].sort((x, y) => x - y).join(',')}|${[...system.powerballs].sort((x, y) => x - y).join(',')}`;
+  return Boolean(a && b && Array.isArray(b.numbers) && Array.isArray(b.powerballs)) && key(a) === key(b);
+}
+
+// Quick pick: `count` random lines of a game, none repeating another line of the same order
+function generateQuickPicks(game, count, chosenTickets = []) {
+  const seen = new Set(chosenTickets.map(lineKey));
+  const lines = [];
+  while (lines.length < count) {
+    const line = gameService.generateLine(game);
+    const key = lineKey(line);
+    if (!seen.has(key)) {
+      seen.add(key);
+      lines.push({ ...line, quick_pick: true });
     }
+  }
+  return lines;
+}
 
-    res.json({ draws });
-  } catch (error) {
-    console.error('Fetch draws error:', error);
-    res.status(500).json({ error: 'Failed to fetch draws' });
+// Load one of the user's payment intents.
+// Returns { success, intent } or { success: false, status, error }.
+async function resolvePaymentIntent(user, paymentIntentId) {
+  const { data: intent, error } = await supabaseAdmin
+    .from('payment_intents')
+    .select('*')
+    .eq('id', paymentIntentId)
+    .eq('user_id', user.id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Resolve payment intent error:', error);
+    return { success: false, status: 500, error: 'Failed to load payment intent' };
   }
-});
 
-app.get('/draws/latest', async (req, res) => {
-  try {
-    const { data: draw, error } = await supabase
-      .from('draws')
-      .select('*')
-      .order('draw_date', { ascending: false })
-      .limit(1)
-      .single();
+  if (!intent) {
+    return { success: false, status: 404, error: 'Payment intent not found' };
+  }
 
-    if (error) {
-      console.error('Fetch latest draw error:', error);
-      return res.status(500).json({ error: 'Failed to fetch latest draw' });
-    }
+  if (intent.status === 'consumed') {
+    return { success: false, status: 409, error: 'Payment intent has already been used' };
+  }
 
-    res.json({ draw });
-  } catch (error) {
-    console.error('Fetch latest draw error:', error);
-    res.status(500).json({ error: 'Failed to fetch latest draw' });
+  if (intent.status === 'voided') {
+    return { success: false, status: 409, error: 'Payment intent was voided when its payment was refunded' };
   }
-});
 
-// Winner routes
-app.get('/winners/my', authenticateUser, async (req, res) => {
-  try {
-    const { data: winners, error } = await supabase
-      .from('winners')
-      .select(`
-        *,
-        tickets!inner(user_id),
-        draws(*)
-      `)
-      .eq('tickets.user_id', req.user.id)
-      .order('created_at', { ascending: false });
+  return { success: true, intent };
+}
 
-    if (error) {
-      console.error('Fetch winners error:', error);
-      return res.status(500).json({ error: 'Failed to fetch winners' });
-    }
+// Verify an on-chain payment against a payment intent (sender, amount and memo),
+// then claim the transaction and consume the intent so neither can be used twice.
+// Returns { success, payment } or { success: false, status, error }.
+async function claimTicketPayment(user, transactionHash, intent) {
+  // Cheap check first so replays don't cost an RPC round-trip
+  const { data: existingPayment } = await supabaseAdmin
+    .from('ticket_payments')
+    .select('id')
+    .eq('transaction_hash', transactionHash)
+    .maybeSingle();
+
+  if (existingPayment) {
+    return { success: false, status: 409, error: 'Transaction has already been used' };
+  }
 
-    res.json({ winners });
-  } catch (error) {
-    console.error('Fetch winners error:', error);
-    res.status(500).json({ error: 'Failed to fetch winners' });
+  const verification = await solanaService.verifyPayment(transactionHash, {
+    expectedSender: user.wallet_address,
+    expectedAmount: Number(intent.amount_lamports),
+    expectedMemo: intent.memo,
+    currency: intent.currency
+  });
+
+  if (!verification.verified) {
+    return { success: false, status: 402, error: verification.error };
   }
-});
 
-// Payment routes
-app.post('/payments/create-intent', authenticateUser, async (req, res) => {
-  try {
-    const { ticket_count = 1 } = req.body;
-    const ticket_price = 0.05; // 0.05 SOL per ticket
-    const total_amount = ticket_price * ticket_count;
+  // An intent that expired is still honoured if the payment landed on-chain before expiry
+  const paidAt = verification.block_time ? new Date(verification.block_time * 1000) : new Date();
+  if (paidAt > new Date(intent.expires_at)) {
+    return { success: false, status: 410, error: 'Payment intent expired before the payment was made' };
+  }
 
-    // Generate payment intent ID
-    const payment_intent_id = `pi_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  return recordIntentPayment(user, intent, {
+    transactionHash,
+    walletAddress: user.wallet_address,
+    lamports: verification.amount,
+    slot: verification.slot
+  });
+}
 
-    res.json({
-      payment_intent_id,
-      amount_sol: total_amount,
-      ticket_count,
-      ticket_price,
-      recipient_address: process.env.TREASURY_WALLET,
-      memo: `Powerball tickets: ${ticket_count}`,
-      rpc_url: process.env.HELIUS_RPC_URL
-    });
-  } catch (error) {
-    console.error('Create payment intent error:', error);
-    res.status(500).json({ error: 'Failed to create payment intent' });
+// Record a payment against an intent and consume the intent.
+// Returns { success, payment } or { success: false, status, error }.
+async function recordIntentPayment(user, intent, { transactionHash, walletAddress, lamports, slot }) {
+  // The unique constraint on transaction_hash is what actually guards against double use
+  const { data: payment, error } = await supabaseAdmin
+    .from('ticket_payments')
+    .insert({
+      transaction_hash: transactionHash,
+      user_id: user.id,
+      wallet_address: walletAddress,
+      payment_intent_id: intent.id,
+      ticket_count: intent.ticket_count,
+      amount_lamports: lamports,
+      currency: intent.currency,
+      slot
+    })
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      return { success: false, status: 409, error: 'Transaction has already been used' };
+    }
+    console.error('Claim payment error:', error);
+    return { success: false, status: 500, error: 'Failed to record payment' };
   }
-});
 
-app.post('/payments/verify', authenticateUser, async (req, res) => {
-  try {
-    const { transaction_hash, payment_intent_id } = req.body;
-    
-    if (!transaction_hash || !payment_intent_id) {
-      return res.status(400).json({ 
-        error: 'Transaction hash and payment intent ID are required' 
-      });
+  // A deposit that was (even partly) refunded cannot pay for tickets. Checked after the
+  // claim so a refund reserved at the same time sees the payment, or this sees the refund.
+  const { data: refundedDeposit, error: depositError } = await supabaseAdmin
+    .from('treasury_deposits')
+    .select('id')
+    .eq('signature', transactionHash)
+    .gt('refunded_lamports', 0)
+    .maybeSingle();
+
+  if (depositError || refundedDeposit) {
+    if (depositError) {
+      console.error('Check refunded deposit error:', depositError);
     }
+    await releaseTicketPayment(payment);
+    return depositError
+      ? { success: false, status: 500, error: 'Failed to record payment' }
+      : { success: false, status: 409, error: 'Transaction has been refunded' };
+  }
 
-    // TODO: Verify transaction on Solana blockchain
-    // For now, we'll assume the transaction is valid
+  const { data: consumed, error: consumeError } = await supabaseAdmin
+    .from('payment_intents')
+    .update({
+      status: 'consumed',
+      transaction_hash: transactionHash,
+      consumed_at: new Date().toISOString()
+    })
+    .eq('id', intent.id)
+    .in('status', ['pending', 'expired'])
+    .select();
+
+  if (consumeError || !consumed || consumed.length === 0) {
+    if (consumeError) {
+      console.error('Consume payment intent error:', consumeError);
+    }
+    await releaseTicketPayment(payment);
+    return consumeError
+      ? { success: false, status: 500, error: 'Failed to consume payment intent' }
+      : { success: false, status: 409, error: 'Payment intent has already been used' };
+  }
+
+  return { success: true, payment };
+}
+
+// Give a claimed transaction and its intent back if ticket creation fails, so the user can retry
+async function releaseTicketPayment(payment) {
+  const { error } = await supabaseAdmin
+    .from('ticket_payments')
+    .delete()
+    .eq('id', payment.id);
+
+  if (error) {
+    console.error(`Failed to release payment ${payment.id}:`, error);
+  }
+
+  if (payment.payment_intent_id) {
+    await supabaseAdmin
+      .from('payment_intents')
+      .update({ status: 'pending', transaction_hash: null, consumed_at: null })
+      .eq('id', payment.payment_intent_id)
+      .eq('transaction_hash', payment.transaction_hash);
+  }
+}
+
+// Create the tickets an intent paid for. Releases the payment if the insert fails.
+// Returns { success, tickets, payment } or { success: false, status, error }.
+async function createIntentTickets(user, intent, payment) {
+  // Subscription top-ups credit the subscription's balance instead of issuing tickets
+  if (intent.subscription_id) {
+    try {
+      const subscription = await subscriptionService.fund(intent, payment);
+      return { success: true, tickets: [], payment, subscription };
+    } catch (fundError) {
+      console.error('Subscription top-up error:', fundError);
+      await releaseTicketPayment(payment);
+      return { success: false, status: 500, error: 'Failed to top up subscription' };
+    }
+  }
+
+  // Syndicate share purchases go into the syndicate's pool
+  if (intent.syndicate_member_id) {
+    try {
+      const credited = await syndicateService.creditShares(intent, payment);
+      return { success: true, tickets: [], payment, ...credited };
+    } catch (creditError) {
+      console.error('Syndicate share purchase error:', creditError);
+      await releaseTicketPayment(payment);
+      return { success: false, status: 500, error: 'Failed to buy syndicate shares' };
+    }
+  }
+
+  // Tickets go into the draw on sale at the moment they are issued, and the draws
+  // after it when bought in advance
+  let draws;
+  try {
+    draws = await drawService.getSalesDraws(intent.draw_count || 1, intent.game_id);
+  } catch (drawError) {
+    console.error('Ticket draw assignment error:', drawError);
+    await releaseTicketPayment(payment);
+    return { success: false, status: 500, error: 'Failed to create tickets' };
+  }
+
+  // A system entry is recorded once per draw as the parent of that draw's lines
+  const ownerId = intent.gift_recipient_id || user.id;
+  let systemEntries = [];
+  if (intent.system_selection) {
+    const { data: entries, error: entryError } = await supabaseAdmin
+      .from('system_entries')
+      .insert(draws.map(draw => ({
+        user_id: ownerId,
+        payment_id: payment.id,
+        draw_id: draw.id,
+        numbers: intent.system_selection.numbers,
+        powerballs: intent.system_selection.powerballs,
+        line_count: intent.tickets.length,
+        currency: intent.currency
+      })))
+      .select();
+
+    if (entryError) {
+      console.error('System entry creation error:', entryError);
+      await releaseTicketPayment(payment);
+      return { success: false, status: 500, error: 'Failed to create tickets' };
+    }
+    systemEntries = entries;
+  }
+
+  // Gift tickets belong to the recipient; the payer is kept as the gifter
+  const ticketData = draws.flatMap(draw => intent.tickets.map(ticket => ({
+    user_id: ownerId,
+    numbers: ticket.numbers,
+    powerball: ticket.powerball,
+    transaction_hash: payment.transaction_hash,
+    payment_id: payment.id,
+    currency: intent.currency,
+    draw_id: draw.id,
+    quick_pick: ticket.quick_pick === true,
+    gifted_by: intent.gift_recipient_id ? user.id : null,
+    gift_message: intent.gift_recipient_id ? intent.gift_message : null,
+    system_entry_id: systemEntries.find(entry => entry.draw_id === draw.id)?.id || null
+  })));
+
+  const { data: tickets, error } = await supabaseAdmin
+    .from('tickets')
+    .insert(ticketData)
+    .select();
+
+  if (error) {
+    console.error('Ticket creation error:', error);
+    if (systemEntries.length > 0) {
+      await supabaseAdmin.from('system_entries').delete().in('id', systemEntries.map(entry => entry.id));
+    }
+    await releaseTicketPayment(payment);
+    return { success: false, status: 500, error: 'Failed to create tickets' };
+  }
+
+  // The sale goes into the pot, split evenly over the draws (the first draw takes any
+  // rounding remainder); anything paid beyond the intent stays with the deposit
+  const paid = Math.min(Number(payment.amount_lamports), Number(intent.amount_lamports));
+  const perDraw = Math.floor(paid / draws.length);
+
+  const sales = draws.map((draw, index) => ({
+    debit: 'treasury',
+    credit: 'pot',
+    amount: index === 0 ? paid - perDraw * (draws.length - 1) : perDraw,
+    currency: intent.currency,
+    reference: draws.length === 1 ? `payment:${payment.id}` : `payment:${payment.id}:${draw.id}`,
+    ticketCount: intent.tickets.length,
+    drawId: draw.id
+  }));
+
+  // Tickets are only issued if their sale is in the ledger; otherwise they are withdrawn
+  // and the payment released, as when they cannot be inserted
+  const posted = [];
+  try {
+    for (const sale of sales) {
+      await ledgerService.transfer('ticket_sale', sale);
+      posted.push(sale);
+    }
+  } catch (ledgerError) {
+    console.error(`❌ Sale of payment ${payment.id} could not be recorded in the ledger - withdrawing its tickets:`, ledgerError.message);
+    await ledgerService.reverseTransfers('refund', posted);
+    await supabaseAdmin.from('tickets').delete().in('id', tickets.map(ticket => ticket.id));
+    if (systemEntries.length > 0) {
+      await supabaseAdmin.from('system_entries').delete().in('id', systemEntries.map(entry => entry.id));
+    }
+    await releaseTicketPayment(payment);
+    return { success: false, status: 500, error: 'Failed to create tickets' };
+  }
+
+  return { success: true, tickets, payment, draw: draws[0], draws };
+}
+
+// Claim the payment for an intent and create its tickets.
+// Returns { success, tickets, payment } or { success: false, status, error }.
+async function issueTicketsForIntent(user, intent, transactionHash) {
+  const claim = await claimTicketPayment(user, transactionHash, intent);
+  if (!claim.success) {
+    return claim;
+  }
+
+  return createIntentTickets(user, intent, claim.payment);
+}
+
+// Lamports of a treasury deposit not yet assigned to tickets or refunded
+function getDepositOutstanding(deposit) {
+  return Number(deposit.amount_lamports) - Number(deposit.assigned_lamports) - Number(deposit.refunded_lamports);
+}
+
+// Load a treasury deposit that still needs an admin decision.
+// Returns { success, deposit } or { success: false, status, error }.
+async function getUnresolvedDeposit(depositId) {
+  const { data: deposit, error } = await supabaseAdmin
+    .from('treasury_deposits')
+    .select('*')
+    .eq('id', depositId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Load deposit error:', error);
+    return { success: false, status: 500, error: 'Failed to load deposit' };
+  }
+
+  if (!deposit) {
+    return { success: false, status: 404, error: 'Deposit not found' };
+  }
+
+  if (!treasuryIndexer.unresolvedStatuses.includes(deposit.status)) {
+    return { success: false, status: 409, error: `Deposit is already ${deposit.status}` };
+  }
+
+  return { success: true, deposit };
+}
+
+// Refund an unresolved treasury deposit (all of what is outstanding by default).
+// Returns { status, body } for the route to send.
+async function refundDeposit(depositId, amountLamports, admin, note) {
+  const deposit = await getUnresolvedDeposit(depositId);
+  if (!deposit.success) {
+    return { status: deposit.status, body: { error: deposit.error } };
+  }
+
+  const outstanding = getDepositOutstanding(deposit.deposit);
+  const refundLamports = amountLamports === undefined ? outstanding : amountLamports;
+
+  if (!Number.isInteger(refundLamports) || refundLamports <= 0 || refundLamports > outstanding) {
+    return { status: 400, body: { error: `Refund must be between 1 and ${outstanding} lamports` } };
+  }
+
+  // Reserve the refund first so two admins cannot refund the same lamports
+  const previousRefunded = Number(deposit.deposit.refunded_lamports);
+  const refundedTotal = previousRefunded + refundLamports;
+  const { data: reserved } = await supabaseAdmin
+    .from('treasury_deposits')
+    .update({
+      refunded_lamports: refundedTotal,
+      status: getDepositOutstanding({ ...deposit.deposit, refunded_lamports: refundedTotal }) > 0
+        ? deposit.deposit.status
+        : 'resolved',
+      resolved_by: admin.id,
+      resolved_at: new Date().toISOString(),
+      resolution_note: note || deposit.deposit.resolution_note
+    })
+    .eq('id', deposit.deposit.id)
+    .eq('refunded_lamports', previousRefunded)
+    .select()
+    .single();
+
+  if (!reserved) {
+    return { status: 409, body: { error: 'Deposit was changed by another request, try again' } };
+  }
+
+  // A deposit that was not assigned here may still be claimed for tickets through its
+  // intent: void the intent, then refuse the refund if the transaction already paid for tickets
+  if (deposit.deposit.payment_intent_id && !deposit.deposit.ticket_payment_id) {
+    await supabaseAdmin
+      .from('payment_intents')
+      .update({ status: 'voided' })
+      .eq('id', deposit.deposit.payment_intent_id)
+      .in('status', ['pending', 'expired']);
+  }
+
+  const { data: claimed } = await supabaseAdmin
+    .from('ticket_payments')
+    .select('id')
+    .eq('transaction_hash', deposit.deposit.signature)
+    .maybeSingle();
+
+  if (claimed && claimed.id !== deposit.deposit.ticket_payment_id) {
+    await supabaseAdmin
+      .from('treasury_deposits')
+      .update({
+        refunded_lamports: previousRefunded,
+        status: deposit.deposit.status,
+        resolved_by: deposit.deposit.resolved_by,
+        resolved_at: deposit.deposit.resolved_at,
+        resolution_note: deposit.deposit.resolution_note
+      })
+      .eq('id', deposit.deposit.id)
+      .eq('refunded_lamports', refundedTotal);
+    return { status: 409, body: { error: 'Transaction has already paid for tickets' } };
+  }
+
+  // A failed transfer stays on record and can be retried through /admin/refunds/:id/retry
+  const refund = await refundService.createRefund({
+    reason: 'unmatched_payment',
+    recipientWallet: deposit.deposit.sender,
+    amountLamports: refundLamports,
+    currency: deposit.deposit.currency,
+    originalTransaction: deposit.deposit.signature,
+    treasuryDepositId: deposit.deposit.id,
+    requestedBy: admin.id,
+    note
+  });
+
+  console.log(`🏦 Admin ${admin.id} refunded ${refundLamports} lamports of deposit ${deposit.deposit.signature}`);
+
+  return {
+    status: refund.status === 'sent' ? 201 : 502,
+    body: {
+      message: refund.status === 'sent' ? 'Deposit refunded successfully' : 'Refund recorded but the transfer failed',
+      refund,
+      deposit: { ...reserved, outstanding_lamports: getDepositOutstanding(reserved) }
+    }
+  };
+}
+
+// Group rows (tickets, winners) by their currency
+function groupByCurrency(rows) {
+  const groups = new Map();
+  for (const row of rows) {
+    const code = row.currency || 'SOL';
+    if (!groups.has(code)) {
+      groups.set(code, []);
+    }
+    groups.get(code).push(row);
+  }
+  return groups;
+}
+
+// Format per-currency totals for display, e.g. "1.5 SOL + 20 USDC"
+function formatCurrencyTotals(totals) {
+  const parts = Object.entries(totals).map(([code, amount]) => `${amount} ${code}`);
+  return parts.length > 0 ? parts.join(' + ') : '0 SOL';
+}
+
+// Latest settlement of a game's draws in a currency (other than `exceptDrawId`), or null
+async function getLatestSettlement(gameId, currency, exceptDrawId = null) {
+  let query = supabaseAdmin
+    .from('draw_settlements')
+    .select('*, draws!inner(game_id)')
+    .eq('draws.game_id', gameId)
+    .eq('currency', currency);
+
+  if (exceptDrawId) query = query.neq('draw_id', exceptDrawId);
+
+  const { data, error } = await query
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Failed to load previous settlement: ${error.message}`);
+  }
+
+  return data[0] || null;
+}
+
+// Draws in a row the jackpot has sat at its cap up to a settlement, 0 once it is paid out
+function getCappedDraws(settlement) {
+  return settlement && !settlement.jackpot_won && !settlement.rolled_down ? settlement.capped_draws : 0;
+}
+
+// Jackpot of a settlement as the prize engine takes it
+function toJackpot(settlement) {
+  return {
+    carriedIn: Number(settlement.carried_in_lamports),
+    seeded: Number(settlement.seeded_lamports),
+    amount: Number(settlement.jackpot_lamports),
+    mustBeWon: settlement.must_be_won
+  };
+}
+
+// Jackpot a game's draw would have in a currency if it settled now, from its sales so
+// far and the game's rollover. Returns the prize engine's jackpot and the game's rules.
+async function getProjectedJackpot(game, draw, currency, structure) {
+  const balances = await ledgerService.getBalances(currency, { gameId: game.id });
+  const sales = draw ? await ledgerService.getDrawSales(currency, [draw.id]) : 0;
+  const rules = prizeService.getJackpotRules(game, currency);
+  const previous = await getLatestSettlement(game.id, currency, draw ? draw.id : null);
+
+  return { rules, jackpot: prizeService.getJackpot(structure, rules, sales, balances.rollover, getCappedDraws(previous)) };
+}
+
+// How a draw would settle in one currency if it settled now, without recording
+// anything. Returns { sales, jackpot, distribution }.
+async function planDrawSettlement(draw, currency, structure, winners) {
+  const game = await gameService.get(draw.game_id);
+  const balances = await ledgerService.getBalances(currency, { gameId: draw.game_id });
+
+  // Sales already bound to later draws of the game stay in the pot for those draws
+  const laterSales = await ledgerService.getDrawSales(currency, await drawService.getOtherOpenDrawIds(draw));
+  const sales = Math.max(balances.pot - laterSales, 0);
+
+  const previous = await getLatestSettlement(draw.game_id, currency, draw.id);
+  const jackpot = prizeService.getJackpot(structure, prizeService.getJackpotRules(game, currency), sales, balances.rollover, getCappedDraws(previous));
+
+  return { sales, jackpot, distribution: prizeService.distribute(structure, winners, sales, currency, jackpot) };
+}
+
+// Pot a draw settles in one currency, fixed the first time it is worked out so a
+// retried settlement posts the same amounts: this draw's sales, the rollover carried
+// in, the seed added from house revenue and the jackpot
+async function getDrawSettlement(draw, currency, structure, winners) {
+  const { data: existing, error: existingError } = await supabaseAdmin
+    .from('draw_settlements')
+    .select('*')
+    .eq('draw_id', draw.id)
+    .eq('currency', currency)
+    .maybeSingle();
+
+  if (existingError) {
+    throw new Error(`Failed to load draw settlement: ${existingError.message}`);
+  }
+
+  if (existing) {
+    return existing;
+  }
+
+  const { sales, jackpot, distribution } = await planDrawSettlement(draw, currency, structure, winners);
+
+  const { error } = await supabaseAdmin
+    .from('draw_settlements')
+    .upsert({
+      draw_id: draw.id,
+      currency,
+      carried_in_lamports: jackpot.carriedIn,
+      seeded_lamports: jackpot.seeded,
+      total_pot_lamports: sales + jackpot.carriedIn + jackpot.seeded,
+      jackpot_lamports: jackpot.amount,
+      capped_draws: jackpot.cappedDraws,
+      must_be_won: jackpot.mustBeWon,
+      jackpot_won: distribution.jackpotWon,
+      rolled_down: distribution.rolledDown
+    }, { onConflict: 'draw_id,currency', ignoreDuplicates: true });
+
+  if (error) {
+    throw new Error(`Failed to save draw settlement: ${error.message}`);
+  }
+
+  return getDrawSettlement(draw, currency, structure, winners);
+}
+
+// Settle one currency's pot for a draw in the ledger: carry in the last rollover, seed
+// the jackpot from house revenue, take the house share of this draw's sales, allocate
+// the prizes and roll the remainder over into the next draw's jackpot. Every posting
+// has a fixed reference, so running this again only posts what is missing.
+async function settleCurrencyPot(draw, currency, winners, structure) {
+  const reference = `draw:${draw.id}`;
+  const settlement = await getDrawSettlement(draw, currency, structure, winners);
+  const jackpot = toJackpot(settlement);
+
+  const fundings = [
+    ['rollover', 'rollover', jackpot.carriedIn, `${reference}:carry-in`, 'Rollover from previous draws'],
+    ['jackpot_seed', 'house_revenue', jackpot.seeded, `${reference}:seed`, 'Jackpot seeded to its guaranteed minimum']
+  ];
+
+  for (const [type, account, amount, postingReference, description] of fundings) {
+    if (amount > 0) {
+      await ledgerService.transfer(type, {
+        debit: account,
+        credit: 'pot',
+        amount,
+        currency,
+        reference: postingReference,
+        drawId: draw.id,
+        description
+      });
+    }
+  }
+
+  const sales = Number(settlement.total_pot_lamports) - jackpot.carriedIn - jackpot.seeded;
+  const distribution = prizeService.distribute(structure, winners, sales, currency, jackpot);
+  const format = amount => `${currencies.format(amount, currency)} ${currency}`;
+
+  console.log(`\n💰 PRIZE DISTRIBUTION - Sales: ${format(distribution.totalPot)}`);
+  console.log(`💵 Winner Pot (${(10000 - structure.houseShareBps) / 100}%): ${format(distribution.winnerPot)}`);
+  console.log(`💸 Revenue (${structure.houseShareBps / 100}%): ${format(distribution.revenue)}`);
+  console.log(`🎰 Jackpot: ${format(distribution.jackpot)} (${format(jackpot.carriedIn)} rolled over, ${format(jackpot.seeded)} seeded${settlement.capped_draws > 0 ? `, at cap for ${settlement.capped_draws} draw(s)` : ''})\n`);
+
+  if (distribution.rolledDown) {
+    console.log(`⬇️  Jackpot must be won: rolling ${format(distribution.jackpot)} down to the lower tiers`);
+  }
+
+  for (const tier of distribution.tiers) {
+    const cap = tier.prizeType === 'fixed' ? 'fixed prize' : `cap ${tier.allocationBps / 100}% of winner pot`;
+    console.log(`🏆 Tier ${tier.tier} (${tier.name}): ${tier.winnersInTier} winner(s) @ ${format(distribution.prizePerWinnerByTier[tier.tier])} each (${cap})`);
+  }
+
+  const postings = [
+    ['house_revenue', 'house_revenue', distribution.revenue, reference],
+    ['prize_allocation', 'prizes_payable', distribution.allocated, reference],
+    ['rollover', 'rollover', distribution.remainingPot, `${reference}:carry-out`]
+  ];
+
+  for (const [type, account, amount, postingReference] of postings) {
+    if (amount > 0) {
+      await ledgerService.transfer(type, {
+        debit: 'pot',
+        credit: account,
+        amount,
+        currency,
+        reference: postingReference,
+        drawId: draw.id
+      });
+    }
+  }
+
+  if (distribution.remainingPot > 0) {
+    console.log(`ℹ️  Rolling over: ${format(distribution.remainingPot)}\n`);
+  }
+
+  return distribution;
+}
+
+// Winner row as used by the payout code, with the winner's wallet
+function toWinner(row) {
+  return {
+    ...row,
+    prize_lamports: Number(row.prize_lamports),
+    user_id: row.tickets?.user_id,
+    syndicate_id: row.tickets?.syndicate_id,
+    wallet_address: row.tickets?.users?.wallet_address
+  };
+}
+
+const WINNER_SELECT = '*, tickets(user_id, syndicate_id, users!user_id(wallet_address))';
+
+// Winners recorded for a draw, with their wallets
+async function getDrawWinners(drawId) {
+  const { data: winners, error } = await supabaseAdmin
+    .from('winners')
+    .select(WINNER_SELECT)
+    .eq('draw_id', drawId);
+
+  if (error) {
+    throw new Error(`Failed to load winners: ${error.message}`);
+  }
+
+  return winners.map(toWinner);
+}
+
+// Tickets that win a prize with the given winning line, each as the tier it wins
+function findWinners(structure, tickets, winningNumbers, powerball) {
+  const winners = [];
+  for (const ticket of tickets) {
+    const { prizeTier, matchingNumbers, powerballMatch } = prizeService.matchTicket(structure, ticket, winningNumbers, powerball);
+    if (prizeTier > 0) {
+      winners.push({
+        ticket_id: ticket.id,
+        currency: ticket.currency,
+        prize_tier: prizeTier,
+        matching_numbers: matchingNumbers,
+        powerball_match: powerballMatch
+      });
+    }
+  }
+  return winners;
+}
+
+// Whether a draw has anything to settle in a currency: a settlement already started,
+// or money in the game's pot or rollover
+async function hasUnsettledPot(draw, currency) {
+  const balances = await ledgerService.getBalances(currency, { gameId: draw.game_id });
+  if (balances.pot > 0 || balances.rollover > 0) {
+    return true;
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from('draw_settlements')
+    .select('id')
+    .eq('draw_id', draw.id)
+    .eq('currency', currency)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load draw settlement: ${error.message}`);
+  }
+
+  return Boolean(data);
+}
+
+// Work out a draw's winners and settle each currency's pot. A draw that already has
+// winners recorded is returned as it is, so its pots are only ever settled once.
+// Returns { winners, pots, alreadySettled }.
+async function settleDraw(draw, tickets) {
+  const existing = await getDrawWinners(draw.id);
+
+  if (existing.length > 0) {
+    return { winners: existing, pots: {}, alreadySettled: true };
+  }
+
+  const structure = await prizeService.getStructure(draw.game_id);
+  const winners = findWinners(structure, tickets, draw.winning_numbers, draw.powerball);
+
+  // A test draw with hand-picked numbers has no tickets and leaves the pots alone
+  if (draw.randomness === 'manual' && tickets.length === 0) {
+    return { winners: [], pots: {}, alreadySettled: false };
+  }
+
+  // Each currency's winners share that currency's pot. A pot without winners is
+  // settled too, so the house share is taken and the rest rolls over.
+  const pots = {};
+  const allocated = [];
+  const winnersByCurrency = groupByCurrency(winners);
+  for (const currency of currencies.codes()) {
+    const currencyWinners = winnersByCurrency.get(currency) || [];
+    if (currencyWinners.length === 0 && !(await hasUnsettledPot(draw, currency))) {
+      continue;
+    }
+    pots[currency] = await settleCurrencyPot(draw, currency, currencyWinners, structure);
+    allocated.push(...pots[currency].winners);
+  }
+
+  if (allocated.length === 0) {
+    return { winners: [], pots, alreadySettled: false };
+  }
+
+  const { data: saved, error } = await supabaseAdmin
+    .from('winners')
+    .insert(allocated.map(winner => ({
+      draw_id: draw.id,
+      game_id: draw.game_id,
+      ticket_id: winner.ticket_id,
+      match_count: winner.matching_numbers,
+      powerball_match: winner.powerball_match,
+      prize_tier: winner.prize_tier,
+      prize_lamports: winner.prize_lamports,
+      prize_amount: currencies.toDisplay(winner.prize_lamports, winner.currency),
+      currency: winner.currency,
+      claimed: false
+    })))
+    .select(WINNER_SELECT);
+
+  if (error) {
+    throw new Error(`Failed to save winners: ${error.message}`);
+  }
+
+  return { winners: saved.map(toWinner), pots, alreadySettled: false };
+}
+
+// Pay a syndicate ticket's prize to the syndicate's members. If any member's share
+// fails the winner stays unpaid, and a retry only pays the members still owed.
+async function paySyndicateWinner(winner) {
+  const result = {
+    winner_id: winner.user_id,
+    ticket_id: winner.ticket_id,
+    syndicate_id: winner.syndicate_id,
+    prize_tier: winner.prize_tier,
+    prize_amount: currencies.toDisplay(winner.prize_lamports, winner.currency),
+    prize_lamports: winner.prize_lamports,
+    currency: winner.currency
+  };
+
+  const { data: claimed } = await supabaseAdmin
+    .from('winners')
+    .update({ payout_sent: true })
+    .eq('id', winner.id)
+    .eq('payout_sent', false)
+    .select();
+
+  if (!claimed || claimed.length === 0) {
+    return { ...result, payout_success: false, error: 'Payout already in progress' };
+  }
+
+  try {
+    const split = await syndicateService.payWinner(winner);
+
+    if (!split.success) {
+      await supabaseAdmin
+        .from('winners')
+        .update({ payout_sent: false })
+        .eq('id', winner.id);
+
+      return {
+        ...result,
+        payout_success: false,
+        payouts: split.payouts,
+        error: split.unconfirmed > 0
+          ? `${split.unconfirmed} member payout(s) unconfirmed, to check in the treasury`
+          : 'Some member payouts failed'
+      };
+    }
+
+    await supabaseAdmin
+      .from('winners')
+      .update({ payout_date: new Date().toISOString(), claimed: true })
+      .eq('id', winner.id);
+
+    return { ...result, payout_success: true, payouts: split.payouts };
+  } catch (error) {
+    console.error(`❌ Failed to pay syndicate ${winner.syndicate_id}:`, error.message);
+
+    await supabaseAdmin
+      .from('winners')
+      .update({ payout_sent: false })
+      .eq('id', winner.id);
+
+    return { ...result, payout_success: false, error: error.message };
+  }
+}
+
+// Pay every unpaid winner from the treasury in the currency of the pot they won from.
+// A failed payout is left unpaid so it can be retried.
+async function payWinners(winners) {
+  const results = [];
+
+  for (let winner of winners) {
+    if (winner.prize_lamports <= 0) {
+      continue;
+    }
+
+    // A payout sent but never confirmed is checked on-chain first: it is only sent
+    // again once it is known not to have landed
+    if (winner.payout_sent) {
+      if (winner.claimed || !winner.payout_transaction || winner.syndicate_id) {
+        continue;
+      }
+
+      const outcome = await solanaService.getSendOutcome({
+        signature: winner.payout_transaction,
+        lastValidBlockHeight: winner.payout_last_valid_block_height
+      });
+      if (outcome === 'landed') {
+        results.push(await recordWinnerPaid(winner, winner.payout_transaction));
+        continue;
+      }
+      if (outcome === 'unknown') {
+        results.push({ ...getPayoutResult(winner), payout_success: false, error: `Payout ${winner.payout_transaction} is still unconfirmed` });
+        continue;
+      }
+
+      const { data: released } = await supabaseAdmin
+        .from('winners')
+        .update({ payout_sent: false, payout_transaction: null, payout_last_valid_block_height: null })
+        .eq('id', winner.id)
+        .eq('payout_transaction', winner.payout_transaction)
+        .select();
+
+      if (!released || released.length === 0) {
+        continue;
+      }
+      winner = { ...winner, payout_sent: false, payout_transaction: null, payout_last_valid_block_height: null };
+    }
+
+    // Syndicate prizes are split between the members' wallets by shares
+    if (winner.syndicate_id) {
+      results.push(await paySyndicateWinner(winner));
+      continue;
+    }
+
+    if (!winner.wallet_address) {
+      console.error(`No wallet address found for user ${winner.user_id}`);
+      continue;
+    }
+
+    // Claim the payout first so two runs cannot pay the same winner
+    const { data: claimed } = await supabaseAdmin
+      .from('winners')
+      .update({ payout_sent: true })
+      .eq('id', winner.id)
+      .eq('payout_sent', false)
+      .select();
+
+    if (!claimed || claimed.length === 0) {
+      continue;
+    }
+
+    let signature;
+    try {
+      ({ signature } = await solanaService.sendAmount(winner.wallet_address, winner.prize_lamports, winner.currency));
+    } catch (error) {
+      // A transfer that may still land keeps the payout claimed, with its signature to
+      // check next time; only one that definitely failed is released to be sent again
+      const outcome = await solanaService.getSendOutcome(error);
+      if (outcome === 'landed') {
+        signature = error.signature;
+      } else {
+        console.error(`❌ Failed to pay ${winner.wallet_address.substring(0, 8)}...:`, error.message);
+
+        await supabaseAdmin
+          .from('winners')
+          .update(outcome === 'failed'
+            ? { payout_sent: false }
+            : { payout_transaction: error.signature, payout_last_valid_block_height: error.lastValidBlockHeight })
+          .eq('id', winner.id);
+
+        results.push({ ...getPayoutResult(winner), payout_success: false, error: error.message });
+        continue;
+      }
+    }
+
+    results.push(await recordWinnerPaid(winner, signature));
+  }
+
+  return results;
+}
+
+function getPayoutResult(winner) {
+  return {
+    winner_id: winner.user_id,
+    ticket_id: winner.ticket_id,
+    prize_tier: winner.prize_tier,
+    prize_amount: currencies.toDisplay(winner.prize_lamports, winner.currency),
+    prize_lamports: winner.prize_lamports,
+    currency: winner.currency,
+    wallet_address: winner.wallet_address
+  };
+}
+
+// Mark a winner paid by a transfer that landed, and record the payout in the ledger
+async function recordWinnerPaid(winner, signature) {
+  const result = getPayoutResult(winner);
+
+  await supabaseAdmin
+    .from('winners')
+    .update({
+      payout_transaction: signature,
+      payout_date: new Date().toISOString(),
+      claimed: true
+    })
+    .eq('id', winner.id);
+
+  try {
+    await ledgerService.transfer('payout', {
+      debit: 'prizes_payable',
+      credit: 'treasury',
+      amount: winner.prize_lamports,
+      currency: winner.currency,
+      reference: `winner:${winner.id}`,
+      drawId: winner.draw_id,
+      description: signature
+    });
+  } catch (ledgerError) {
+    console.error(`❌ Payout ${signature} sent but not recorded in the ledger:`, ledgerError.message);
+  }
+
+  console.log(`✅ Paid ${result.prize_amount} ${winner.currency} to ${winner.wallet_address.substring(0, 8)}...`);
+  console.log(`   TX: ${signature}`);
+
+  return { ...result, payout_success: true, transaction_signature: signature };
+}
+
+// Draws whose pipeline is running in this process
+const runningDraws = new Set();
+
+// Pipeline step for each draw state: takes a draw in that state and returns it in the
+// next one. A step that failed partway can be run again without repeating its effects.
+const DRAW_STEPS = {
+  scheduled: draw => drawService.closeSales(draw),
+  sales_closed: draw => drawService.runDraw(draw),
+  drawn: calculateDrawWinners,
+  winners_calculated: draw => drawService.transition(draw, 'payouts_in_progress'),
+  payouts_in_progress: payDrawWinners
+};
+
+// drawn -> winners_calculated: record the winners and settle the pots
+async function calculateDrawWinners(draw, run) {
+  const tickets = await drawService.getTickets(draw.id);
+  run.settlement = await settleDraw(draw, tickets);
+  return drawService.transition(draw, 'winners_calculated');
+}
+
+// payouts_in_progress -> completed, once every winner has been paid. Failed payouts
+// are left unpaid and fail the draw, so resuming it only retries those.
+async function payDrawWinners(draw, run) {
+  run.payoutResults = await payWinners(await getDrawWinners(draw.id));
+
+  const unpaid = (await getDrawWinners(draw.id)).filter(w => w.prize_lamports > 0 && !w.claimed);
+  if (unpaid.length > 0) {
+    // A payout claimed but never confirmed may or may not have been sent
+    const unconfirmed = unpaid.filter(w => w.payout_sent).length;
+    throw new Error(unconfirmed > 0
+      ? `${unpaid.length} winner(s) unpaid, ${unconfirmed} with an unconfirmed payout to check in the treasury`
+      : `${unpaid.length} winner(s) unpaid`);
+  }
+
+  return drawService.transition(draw, 'completed');
+}
+
+// Run a draw's pipeline from the state it is in until it reaches `until`. Each step is
+// saved as it completes; a step that throws marks the draw failed in that state, and a
+// failed draw resumes from there. Returns { success, draw, settlement, payoutResults }
+// or { success: false, status, draw, error }.
+async function advanceDraw(draw, { until = 'completed' } = {}) {
+  if (runningDraws.has(draw.id)) {
+    return { success: false, status: 409, draw, error: 'Draw is already being processed' };
+  }
+  runningDraws.add(draw.id);
+
+  const target = drawService.states.indexOf(until);
+  const run = { draw };
+
+  try {
+    if (draw.status === 'failed' && drawService.states.indexOf(draw.failed_status) < target) {
+      run.draw = await drawService.resume(draw);
+    }
+
+    while (drawService.states.indexOf(run.draw.status) < target && DRAW_STEPS[run.draw.status]) {
+      const from = run.draw.status;
+      try {
+        run.draw = await DRAW_STEPS[from](run.draw, run);
+      } catch (stepError) {
+        console.error(`❌ Draw ${draw.id} failed in ${from}:`, stepError.message);
+        run.draw = await drawService.fail(run.draw, stepError.message);
+        return { ...run, success: false, status: 500, error: `Draw failed in ${from}: ${stepError.message}` };
+      }
+      console.log(`🔁 Draw ${draw.id}: ${from} → ${run.draw.status}`);
+    }
+
+    return { ...run, success: true };
+  } finally {
+    runningDraws.delete(draw.id);
+  }
+}
+
+// Carry on draws a restart left between steps
+async function resumeInterruptedDraws() {
+  try {
+    for (const draw of await drawService.getInterruptedDraws()) {
+      console.log(`🔁 Resuming draw ${draw.id} from ${draw.status}`);
+      const run = await advanceDraw(draw);
+      if (!run.success) {
+        console.error(`❌ Draw ${draw.id} could not be resumed: ${run.error}`);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Failed to resume interrupted draws:', error);
+  }
+}
+
+// Sum display amounts per currency, e.g. { SOL: 1.5, USDC: 20 }
+function totalsByCurrency(rows, amountOf) {
+  const totals = {};
+  for (const row of rows) {
+    totals[row.currency] = (totals[row.currency] || 0) + amountOf(row);
+  }
+  return totals;
+}
+
+// Ticket routes
+app.post('/tickets', authenticateUser, async (req, res) => {
+  try {
+    const { numbers, powerball, transaction_hash, payment_intent_id } = req.body;
+    
+    if (!transaction_hash) {
+      return res.status(400).json({ error: 'Transaction hash is required' });
+    }
+
+    if (!payment_intent_id) {
+      return res.status(400).json({ error: 'Payment intent ID is required' });
+    }
+
+    const resolved = await resolvePaymentIntent(req.user, payment_intent_id);
+    if (!resolved.success) {
+      return res.status(resolved.status).json({ error: resolved.error });
+    }
+
+    if (resolved.intent.subscription_id) {
+      return res.status(400).json({ error: 'Subscription top-ups are verified with /payments/verify' });
+    }
+
+    if (resolved.intent.syndicate_member_id) {
+      return res.status(400).json({ error: 'Syndicate share purchases are verified with /payments/verify' });
+    }
+
+    if (resolved.intent.system_selection) {
+      return res.status(400).json({ error: 'System entries are submitted to /tickets/bulk with their system selection' });
+    }
+
+    // Lines are checked against the game the intent was created for
+    const validationError = gameService.validateLine(await gameService.get(resolved.intent.game_id), numbers, powerball);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (!sameTickets(resolved.intent.tickets, [{ numbers, powerball }])) {
+      return res.status(400).json({ error: 'Ticket numbers do not match the payment intent' });
+    }
+
+    // Verify the payment on-chain before issuing anything
+    const issued = await issueTicketsForIntent(req.user, resolved.intent, transaction_hash);
+    if (!issued.success) {
+      return res.status(issued.status).json({ error: issued.error });
+    }
+
+    const ticket = issued.tickets[0];
+
+    res.status(201).json({
+      message: 'Ticket created successfully',
+      ticket: {
+        id: ticket.id,
+        numbers: ticket.numbers,
+        powerball: ticket.powerball,
+        currency: ticket.currency,
+        game_id: ticket.game_id,
+        draw_id: ticket.draw_id,
+        created_at: ticket.created_at
+      }
+    });
+  } catch (error) {
+    console.error('Ticket creation error:', error);
+    res.status(500).json({ error: 'Failed to create ticket' });
+  }
+});
+
+// Quick pick: the server draws `count` unique lines and creates the payment intent for them
+app.post('/tickets/quick-pick', authenticateUser, async (req, res) => {
+  try {
+    const { count = 1, currency = 'SOL' } = req.body;
+
+    if (!Number.isInteger(count) || count < 1 || count > MAX_TICKETS_PER_INTENT) {
+      return res.status(400).json({ error: `Count must be between 1 and ${MAX_TICKETS_PER_INTENT}` });
+    }
+
+    const drawCount = parseDrawCount(req.body.draws, MAX_ADVANCE_DRAWS);
+    if (drawCount === null) {
+      return res.status(400).json({ error: `Draws must be between 1 and ${MAX_ADVANCE_DRAWS}` });
+    }
+
+    const resolvedGame = await gameService.resolve(req.body.game);
+    if (!resolvedGame.success) {
+      return res.status(resolvedGame.status).json({ error: resolvedGame.error });
+    }
+
+    const created = await createPaymentIntent(req.user, generateQuickPicks(resolvedGame.game, count), currency, {
+      drawCount,
+      game: resolvedGame.game
+    });
+    if (!created.success) {
+      return res.status(created.status).json({ error: created.error });
+    }
+
+    res.status(201).json(formatPaymentIntent(created.intent));
+  } catch (error) {
+    console.error('Quick pick error:', error);
+    res.status(500).json({ error: 'Failed to create quick pick tickets' });
+  }
+});
+
+// Find the user for a wallet, creating one for a wallet that has not connected yet
+async function findOrCreateUser(walletAddress) {
+  const { data: existing, error } = await supabaseAdmin
+    .from('users')
+    .select('*')
+    .eq('wallet_address', walletAddress)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load user: ${error.message}`);
+  }
+
+  if (existing) {
+    return existing;
+  }
+
+  const { data: created, error: createError } = await supabaseAdmin
+    .from('users')
+    .insert({ wallet_address: walletAddress })
+    .select()
+    .single();
+
+  // Another request may have created the user in the meantime
+  if (createError && createError.code === '23505') {
+    return findOrCreateUser(walletAddress);
+  }
+
+  if (createError) {
+    throw new Error(`Failed to create user: ${createError.message}`);
+  }
+
+  console.log(`👤 Created user for gift recipient ${walletAddress.substring(0, 8)}...`);
+  return created;
+}
+
+// Gift tickets: the caller pays, the recipient wallet owns the tickets and any prize
+app.post('/tickets/gift', authenticateUser, async (req, res) => {
+  try {
+    const { recipient_wallet, message, currency = 'SOL' } = req.body;
+
+    if (!recipient_wallet || !walletAuth.isValidWalletAddress(recipient_wallet)) {
+      return res.status(400).json({ error: 'A valid recipient wallet address is required' });
+    }
+
+    if (recipient_wallet === req.user.wallet_address) {
+      return res.status(400).json({ error: 'Gift tickets must be for another wallet' });
+    }
+
+    if (message !== undefined && (typeof message !== 'string' || message.length > MAX_GIFT_MESSAGE_LENGTH)) {
+      return res.status(400).json({ error: `Message must be text of at most ${MAX_GIFT_MESSAGE_LENGTH} characters` });
+    }
+
+    const drawCount = parseDrawCount(req.body.draws, MAX_ADVANCE_DRAWS);
+    if (drawCount === null) {
+      return res.status(400).json({ error: `Draws must be between 1 and ${MAX_ADVANCE_DRAWS}` });
+    }
+
+    const resolvedGame = await gameService.resolve(req.body.game);
+    if (!resolvedGame.success) {
+      return res.status(resolvedGame.status).json({ error: resolvedGame.error });
+    }
+
+    const built = buildLines(req.body, resolvedGame.game);
+    if (!built.success) {
+      return res.status(built.status).json({ error: built.error });
+    }
+
+    const created = await createPaymentIntent(req.user, built.lines, currency, {
+      drawCount,
+      game: resolvedGame.game,
+      gift: { recipientWallet: recipient_wallet, message: message ? message.trim() : null }
+    });
+    if (!created.success) {
+      return res.status(created.status).json({ error: created.error });
+    }
+
+    res.status(201).json({
+      ...formatPaymentIntent(created.intent),
+      recipient_wallet
+    });
+  } catch (error) {
+    console.error('Gift tickets error:', error);
+    res.status(500).json({ error: 'Failed to create gift tickets' });
+  }
+});
+
+// Gift tickets the user has paid for, with their recipients
+app.get('/tickets/gifts/sent', authenticateUser, async (req, res) => {
+  try {
+    const { data: tickets, error } = await supabaseAdmin
+      .from('tickets')
+      .select('id, numbers, powerball, quick_pick, status, currency, draw_id, transaction_hash, gift_message, created_at, recipient:users!user_id(wallet_address)')
+      .eq('gifted_by', req.user.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Fetch sent gifts error:', error);
+      return res.status(500).json({ error: 'Failed to fetch sent gifts' });
+    }
+
+    res.json({
+      gifts: tickets.map(({ recipient, ...ticket }) => ({
+        ...ticket,
+        recipient_wallet: recipient?.wallet_address
+      })),
+      count: tickets.length
+    });
+  } catch (error) {
+    console.error('Fetch sent gifts error:', error);
+    res.status(500).json({ error: 'Failed to fetch sent gifts' });
+  }
+});
+
+app.get('/tickets/my', authenticateUser, async (req, res) => {
+  try {
+    console.log('Fetching tickets for user:', req.user.id);
+    
+    // Gift tickets show who sent them
+    const { data: tickets, error } = await supabaseAdmin
+      .from('tickets')
+      .select('*, gifted_by_user:users!gifted_by(wallet_address), system_entries(*)')
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false });
+
+    console.log('Tickets query result:', { tickets, error });
+
+    if (error) {
+      console.error('Fetch tickets error:', error);
+      return res.status(500).json({ error: 'Failed to fetch tickets' });
+    }
+
+    // The lines of a system entry are listed under their entry
+    const singles = [];
+    const systemEntries = new Map();
+    for (const { system_entries: entry, ...ticket } of tickets) {
+      if (!entry) {
+        singles.push(ticket);
+        continue;
+      }
+      if (!systemEntries.has(entry.id)) {
+        systemEntries.set(entry.id, { ...entry, lines: [] });
+      }
+      systemEntries.get(entry.id).lines.push(ticket);
+    }
+
+    res.json({ tickets: singles, system_entries: [...systemEntries.values()] });
+  } catch (error) {
+    console.error('Fetch tickets error:', error);
+    res.status(500).json({ error: 'Failed to fetch tickets' });
+  }
+});
+
+// Draw routes
+app.get('/draws', async (req, res) => {
+  try {
+    // Draws not made yet have no winning numbers; ?game narrows the list to one game
+    let query = supabase
+      .from('draws')
+      .select('*')
+      .or('winning_numbers.not.is.null,status.eq.cancelled')
+      .order('draw_date', { ascending: false });
+
+    if (req.query.game) query = query.eq('game_id', req.query.game);
+
+    const { data: draws, error } = await query;
+
+    if (error) {
+      console.error('Fetch draws error:', error);
+      return res.status(500).json({ error: 'Failed to fetch draws' });
+    }
+
+    res.json({ draws });
+  } catch (error) {
+    console.error('Fetch draws error:', error);
+    res.status(500).json({ error: 'Failed to fetch draws' });
+  }
+});
+
+// Latest draw of a game (the default game unless ?game is given)
+app.get('/draws/latest', async (req, res) => {
+  try {
+    const { data: draw, error } = await supabase
+      .from('draws')
+      .select('*')
+      .eq('game_id', req.query.game || gameService.defaultId)
+      .or('winning_numbers.not.is.null,status.eq.cancelled')
+      .order('draw_time', { ascending: false })
+      .limit(1)
+      .single();
+
+    if (error) {
+      console.error('Fetch latest draw error:', error);
+      return res.status(500).json({ error: 'Failed to fetch latest draw' });
+    }
+
+    res.json({ draw });
+  } catch (error) {
+    console.error('Fetch latest draw error:', error);
+    res.status(500).json({ error: 'Failed to fetch latest draw' });
+  }
+});
+
+// Everything needed to recompute a draw's numbers. The seed is only revealed once the
+// draw has been made; before that the commitment alone is published.
+app.get('/draws/:id/proof', async (req, res) => {
+  try {
+    const { data: draw, error } = await supabaseAdmin
+      .from('draws')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Fetch draw proof error:', error);
+      return res.status(500).json({ error: 'Failed to fetch draw proof' });
+    }
+
+    if (!draw) {
+      return res.status(404).json({ error: 'Draw not found' });
+    }
+
+    // The seed is saved on the draw only once its numbers have been derived
+    const revealed = draw.randomness === 'commit_reveal' && Boolean(draw.server_seed);
+    // The proof needs the game's matrix to recompute the numbers
+    const game = await gameService.get(draw.game_id);
+    if (!game) {
+      return res.status(404).json({ error: `Game ${draw.game_id} of this draw not found` });
+    }
+
+    res.json({
+      draw_id: draw.id,
+      game: {
+        id: game.id,
+        main_picks: game.main_picks,
+        main_pool: game.main_pool,
+        bonus_pool: game.bonus_pool
+      },
+      status: draw.status,
+      randomness: draw.randomness,
+      draw_time: draw.draw_time,
+      sales_close_at: draw.sales_close_at,
+      seed_commitment: draw.seed_commitment,
+      seed_committed_at: draw.seed_committed_at,
+      server_seed: revealed ? draw.server_seed : null,
+      public_input: revealed
+        ? {
+          type: 'solana_blockhash',
+          description: 'Hash of the first finalized Solana block at or after sales close (or the seed commitment, if later)',
+          slot: draw.public_input_slot,
+          blockhash: draw.public_input_blockhash,
+          block_time: draw.public_input_block_time
+        }
+        : null,
+      winning_numbers: draw.winning_numbers,
+      powerball: draw.powerball,
+      algorithm: {
+        name: fairnessService.algorithm,
+        steps: fairnessService.description
+      },
+      verification: revealed ? fairnessService.verify(draw, game) : null
+    });
+  } catch (error) {
+    console.error('Fetch draw proof error:', error);
+    res.status(500).json({ error: 'Failed to fetch draw proof' });
+  }
+});
+
+// Winner routes
+app.get('/winners/my', authenticateUser, async (req, res) => {
+  try {
+    const { data: winners, error } = await supabase
+      .from('winners')
+      .select(`
+        *,
+        tickets!inner(user_id),
+        draws(*)
+      `)
+      .eq('tickets.user_id', req.user.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Fetch winners error:', error);
+      return res.status(500).json({ error: 'Failed to fetch winners' });
+    }
+
+    res.json({ winners });
+  } catch (error) {
+    console.error('Fetch winners error:', error);
+    res.status(500).json({ error: 'Failed to fetch winners' });
+  }
+});
+
+// Create a payment intent for a list of lines of a game (the default game if none is
+// given). Returns { success, intent } or { success: false, status, error }.
+async function createPaymentIntent(user, tickets, currency, { drawCount = 1, subscriptionId = null, syndicateShares = null, gift = null, system = null, game = null } = {}) {
+  if (!currencies.isSupported(currency)) {
+    return { success: false, status: 400, error: `Currency must be one of: ${currencies.codes().join(', ')}` };
+  }
+
+  game = game || await gameService.get();
+
+  // A subscription top-up is charged per draw but only issues tickets later
+  // A system entry has a limit of its own, as its lines come from a single selection
+  const ticketCount = tickets.length * drawCount;
+  const maxTickets = system ? MAX_SYSTEM_LINES : MAX_TICKETS_PER_INTENT;
+  if (!subscriptionId && ticketCount > maxTickets) {
+    return { success: false, status: 400, error: `A payment can cover at most ${maxTickets} tickets` };
+  }
+
+  for (const ticket of tickets) {
+    const validationError = gameService.validateLine(game, ticket.numbers, ticket.powerball);
+    if (validationError) {
+      return { success: false, status: 400, error: validationError };
+    }
+  }
+
+  const ticketPrice = gameService.getTicketPrice(game, currency);
+  const expiresAt = new Date(Date.now() + PAYMENT_INTENT_TTL_MINUTES * 60 * 1000);
+
+  // Syndicate shares are priced by the syndicate and counted in place of tickets
+  const amountLamports = syndicateShares
+    ? syndicateShares.priceLamports * syndicateShares.count
+    : ticketPrice * ticketCount;
+
+  // The payer's responsible gaming limits. Gift lines are not the payer's own tickets,
+  // and a subscription top-up only enters one draw at a time.
+  const allowed = await responsibleGamingService.checkPurchase(user.id, {
+    currency,
+    amount: amountLamports,
+    ticketsPerDraw: gift ? 0 : tickets.length,
+    drawCount: subscriptionId ? 1 : drawCount,
+    gameId: game.id
+  });
+  if (!allowed.success) {
+    return allowed;
+  }
+
+  // A gift recipient gets a user row only once the gift has passed every check
+  const recipient = gift ? await findOrCreateUser(gift.recipientWallet) : null;
+
+  // Unguessable intent ID, a unique memo the payment transaction must carry, and a
+  // Solana Pay reference key the payment watcher uses to find the transaction
+  const { data: intent, error } = await supabaseAdmin
+    .from('payment_intents')
+    .insert({
+      id: `pi_${crypto.randomBytes(12).toString('hex')}`,
+      user_id: user.id,
+      ticket_count: syndicateShares ? syndicateShares.count : ticketCount,
+      tickets: tickets.map(t => ({ numbers: t.numbers, powerball: t.powerball, quick_pick: t.quick_pick === true })),
+      amount_lamports: amountLamports, // Smallest unit of the currency
+      currency,
+      game_id: game.id,
+      draw_count: drawCount,
+      subscription_id: subscriptionId,
+      syndicate_member_id: syndicateShares ? syndicateShares.memberId : null,
+      share_count: syndicateShares ? syndicateShares.count : null,
+      gift_recipient_id: recipient ? recipient.id : null,
+      gift_message: gift ? gift.message : null,
+      system_selection: system,
+      memo: `PB-${crypto.randomBytes(8).toString('hex').toUpperCase()}`,
+      reference: Keypair.generate().publicKey.toBase58(),
+      expires_at: expiresAt.toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Create payment intent error:', error);
+    return { success: false, status: 500, error: 'Failed to create payment intent' };
+  }
+
+  return { success: true, intent };
+}
+
+// What the client needs to pay for an intent
+function formatPaymentIntent(intent) {
+  const { currency, ticket_count } = intent;
+  const { mint } = currencies.get(currency);
+  const amount_lamports = Number(intent.amount_lamports);
+  // Price of one ticket (or share) of the intent's game
+  const ticketPrice = ticket_count > 0 ? Math.floor(amount_lamports / ticket_count) : 0;
+
+  return {
+    payment_intent_id: intent.id,
+    currency,
+    amount: currencies.toDisplay(amount_lamports, currency),
+    amount_sol: mint ? undefined : currencies.toDisplay(amount_lamports, currency),
+    amount_lamports,
+    ticket_count,
+    ticket_price: currencies.toDisplay(ticketPrice, currency),
+    game_id: intent.game_id,
+    tickets: intent.tickets,
+    draw_count: intent.draw_count,
+    subscription_id: intent.subscription_id || undefined,
+    share_count: intent.share_count || undefined,
+    gift_recipient_id: intent.gift_recipient_id || undefined,
+    gift_message: intent.gift_message || undefined,
+    system: intent.system_selection || undefined,
+    mint,
+    recipient_address: process.env.TREASURY_WALLET,
+    recipient_token_account: mint ? solanaService.getTreasuryTokenAccount(mint) : undefined,
+    memo: intent.memo,
+    reference: intent.reference,
+    payment_url: solanaService.buildTransferRequestUrl({
+      amount: amount_lamports,
+      currency,
+      reference: intent.reference,
+      label: 'Powerball Lottery',
+      message: intent.share_count
+        ? `${intent.share_count} syndicate share${intent.share_count === 1 ? '' : 's'}`
+        : `${ticket_count} Powerball ticket${ticket_count === 1 ? '' : 's'}`,
+      memo: intent.memo
+    }),
+    status_url: `/payments/${intent.id}/status`,
+    expires_at: intent.expires_at,
+    rpc_url: process.env.HELIUS_RPC_URL
+  };
+}
+
+// Number of quick pick lines requested: a count, or true for a single line
+function parseQuickPickCount(value) {
+  if (value === undefined || value === false) {
+    return 0;
+  }
+  if (value === true) {
+    return 1;
+  }
+  return Number.isInteger(value) && value >= 0 ? value : null;
+}
+
+// Lines of a game for a new intent or subscription: the chosen ones plus any quick
+// picks. Returns { success, lines } or { success: false, status, error }.
+function buildLines(body, game) {
+  const { tickets = [] } = body;
+  const quickPickCount = parseQuickPickCount(body.quick_pick);
+
+  if (!Array.isArray(tickets)) {
+    return { success: false, status: 400, error: 'Tickets array is required' };
+  }
+
+  if (quickPickCount === null) {
+    return { success: false, status: 400, error: 'quick_pick must be true or a number of lines' };
+  }
+
+  if (tickets.length + quickPickCount === 0) {
+    return { success: false, status: 400, error: 'Tickets array is required' };
+  }
+
+  if (tickets.length + quickPickCount > MAX_TICKETS_PER_INTENT) {
+    return { success: false, status: 400, error: `A payment can cover at most ${MAX_TICKETS_PER_INTENT} tickets` };
+  }
+
+  // Lines the user chose, plus any quick picks the server draws for them
+  const chosen = tickets.map(t => ({ numbers: t.numbers, powerball: t.powerball }));
+  return { success: true, lines: [...chosen, ...generateQuickPicks(game, quickPickCount, chosen)] };
+}
+
+// Number of draws requested in `value`, between 1 and `max`; null if invalid
+function parseDrawCount(value, max) {
+  if (value === undefined) {
+    return 1;
+  }
+  return Number.isInteger(value) && value >= 1 && value <= max ? value : null;
+}
+
+// Payment routes
+app.post('/payments/create-intent', authenticateUser, async (req, res) => {
+  try {
+    const { currency = 'SOL' } = req.body;
+
+    // The same lines can be bought for several consecutive draws in one payment
+    const drawCount = parseDrawCount(req.body.draws, MAX_ADVANCE_DRAWS);
+    if (drawCount === null) {
+      return res.status(400).json({ error: `Draws must be between 1 and ${MAX_ADVANCE_DRAWS}` });
+    }
+
+    const resolvedGame = await gameService.resolve(req.body.game);
+    if (!resolvedGame.success) {
+      return res.status(resolvedGame.status).json({ error: resolvedGame.error });
+    }
+    const { game } = resolvedGame;
+
+    // A system entry is expanded into all its combinations, each priced as one ticket
+    if (req.body.system !== undefined) {
+      if (req.body.tickets !== undefined || req.body.quick_pick !== undefined) {
+        return res.status(400).json({ error: 'A system entry cannot be combined with other lines' });
+      }
+
+      const systemError = validateSystemSelection(game, req.body.system);
+      if (systemError) {
+        return res.status(400).json({ error: systemError });
+      }
+
+      const system = { numbers: req.body.system.numbers, powerballs: req.body.system.powerballs };
+      const created = await createPaymentIntent(req.user, expandSystemSelection(game, system), currency, { drawCount, system, game });
+      if (!created.success) {
+        return res.status(created.status).json({ error: created.error });
+      }
+
+      return res.status(201).json(formatPaymentIntent(created.intent));
+    }
+
+    const built = buildLines(req.body, game);
+    if (!built.success) {
+      return res.status(built.status).json({ error: built.error });
+    }
+
+    const created = await createPaymentIntent(req.user, built.lines, currency, { drawCount, game });
+    if (!created.success) {
+      return res.status(created.status).json({ error: created.error });
+    }
+
+    res.status(201).json(formatPaymentIntent(created.intent));
+  } catch (error) {
+    console.error('Create payment intent error:', error);
+    res.status(500).json({ error: 'Failed to create payment intent' });
+  }
+});
+
+// Verify the payment for an intent and issue its tickets
+app.post('/payments/verify', authenticateUser, async (req, res) => {
+  try {
+    const { transaction_hash, payment_intent_id } = req.body;
+    
+    if (!transaction_hash || !payment_intent_id) {
+      return res.status(400).json({ 
+        error: 'Transaction hash and payment intent ID are required' 
+      });
+    }
+
+    const resolved = await resolvePaymentIntent(req.user, payment_intent_id);
+    if (!resolved.success) {
+      return res.status(resolved.status).json({ verified: false, error: resolved.error });
+    }
+
+    const issued = await issueTicketsForIntent(req.user, resolved.intent, transaction_hash);
+    if (!issued.success) {
+      return res.status(issued.status).json({
+        verified: false,
+        transaction_hash,
+        payment_intent_id,
+        error: issued.error
+      });
+    }
+    
+    res.json({
+      verified: true,
+      transaction_hash,
+      payment_intent_id,
+      currency: issued.payment.currency,
+      amount_lamports: Number(issued.payment.amount_lamports),
+      tickets: issued.tickets,
+      message: 'Payment verified successfully'
+    });
+  } catch (error) {
+    console.error('Payment verification error:', error);
+    res.status(500).json({ error: 'Payment verification failed' });
+  }
+});
+
+// Poll a payment intent. Tickets are issued by the payment watcher once the
+// Solana Pay transaction is found, so the client does not have to submit it.
+app.get('/payments/:intentId/status', authenticateUser, async (req, res) => {
+  try {
+    const { data: intent, error } = await supabaseAdmin
+      .from('payment_intents')
+      .select('*')
+      .eq('id', req.params.intentId)
+      .eq('user_id', req.user.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Payment status error:', error);
+      return res.status(500).json({ error: 'Failed to get payment status' });
+    }
+
+    if (!intent) {
+      return res.status(404).json({ error: 'Payment intent not found' });
+    }
+
+    // Subscription top-ups issue their tickets draw by draw, and share purchases none at all
+    let tickets = [];
+    if (intent.status === 'consumed' && !intent.subscription_id && !intent.syndicate_member_id) {
+      const { data: issuedTickets } = await supabaseAdmin
+        .from('tickets')
+        .select('*')
+        .eq('transaction_hash', intent.transaction_hash)
+        .eq(intent.gift_recipient_id ? 'gifted_by' : 'user_id', req.user.id)
+        .is('subscription_id', null);
+      tickets = issuedTickets || [];
+    }
+
+    res.json({
+      payment_intent_id: intent.id,
+      status: intent.status,
+      ticket_count: intent.ticket_count,
+      draw_count: intent.draw_count,
+      subscription_id: intent.subscription_id || undefined,
+      share_count: intent.share_count || undefined,
+      currency: intent.currency,
+      amount_lamports: Number(intent.amount_lamports),
+      transaction_hash: intent.transaction_hash,
+      expires_at: intent.expires_at,
+      consumed_at: intent.consumed_at,
+      tickets
+    });
+  } catch (error) {
+    console.error('Payment status error:', error);
+    res.status(500).json({ error: 'Failed to get payment status' });
+  }
+});
+
+// Enhanced ticket routes
+app.post('/tickets/bulk', authenticateUser, async (req, res) => {
+  try {
+    const { tickets = [], transaction_hash, payment_intent_id, quick_pick, system } = req.body;
+    
+    if (!Array.isArray(tickets) || (tickets.length === 0 && quick_pick !== true && system === undefined)) {
+      return res.status(400).json({ error: 'Tickets array is required' });
+    }
+
+    if (!transaction_hash) {
+      return res.status(400).json({ error: 'Transaction hash is required' });
+    }
+
+    if (!payment_intent_id) {
+      return res.status(400).json({ error: 'Payment intent ID is required' });
+    }
+
+    const resolved = await resolvePaymentIntent(req.user, payment_intent_id);
+    if (!resolved.success) {
+      return res.status(resolved.status).json({ error: resolved.error });
+    }
+
+    // Validate all tickets against the game the intent was created for
+    const game = await gameService.get(resolved.intent.game_id);
+    for (const ticket of tickets) {
+      const validationError = gameService.validateLine(game, ticket.numbers, ticket.powerball);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+    }
+
+    if (resolved.intent.subscription_id) {
+      return res.status(400).json({ error: 'Subscription top-ups are verified with /payments/verify' });
+    }
+
+    if (resolved.intent.syndicate_member_id) {
+      return res.status(400).json({ error: 'Syndicate share purchases are verified with /payments/verify' });
+    }
+
+    if (resolved.intent.system_selection) {
+      // A system entry is checked against its selection rather than line by line
+      if (system === undefined) {
+        return res.status(400).json({ error: 'System entries must be submitted with their system selection' });
+      }
+
+      if (!sameSystemSelection(resolved.intent.system_selection, system)) {
+        return res.status(400).json({ error: 'System selection does not match the payment intent' });
+      }
+    } else {
+      if (system !== undefined) {
+        return res.status(400).json({ error: 'Payment intent is not for a system entry' });
+      }
+
+      // With quick_pick the intent's server-drawn lines are issued as they are, so only
+      // the lines the user chose have to be sent back
+      const expectedTickets = quick_pick === true
+        ? resolved.intent.tickets.filter(t => !t.quick_pick)
+        : resolved.intent.tickets;
+
+      if (!sameTickets(expectedTickets, tickets)) {
+        return res.status(400).json({ error: 'Tickets do not match the payment intent' });
+      }
+    }
+
+    // Verify the payment covers every ticket before issuing anything
+    const issued = await issueTicketsForIntent(req.user, resolved.intent, transaction_hash);
+    if (!issued.success) {
+      return res.status(issued.status).json({ error: issued.error });
+    }
+
+    const createdTickets = issued.tickets;
+
+    res.status(201).json({
+      message: 'Tickets created successfully',
+      tickets: createdTickets,
+      count: createdTickets.length
+    });
+  } catch (error) {
+    console.error('Bulk ticket creation error:', error);
+    res.status(500).json({ error: 'Failed to create tickets' });
+  }
+});
+
+app.get('/tickets/active', authenticateUser, async (req, res) => {
+  try {
+    const resolvedGame = await gameService.resolve(req.query.game);
+    if (!resolvedGame.success) {
+      return res.status(resolvedGame.status).json({ error: resolvedGame.error });
+    }
+
+    // Tickets in the game's draw currently on sale
+    const draw = await drawService.getSalesDraw(resolvedGame.game.id);
+
+    const { data: tickets, error } = await supabase
+      .from('tickets')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .eq('draw_id', draw.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Fetch active tickets error:', error);
+      return res.status(500).json({ error: 'Failed to fetch active tickets' });
+    }
+
+    res.json({ 
+      tickets,
+      game_id: draw.game_id,
+      draw_id: draw.id,
+      draw_date: draw.draw_date,
+      draw_time: draw.draw_time,
+      sales_close_at: draw.sales_close_at,
+      count: tickets.length
+    });
+  } catch (error) {
+    console.error('Fetch active tickets error:', error);
+    res.status(500).json({ error: 'Failed to fetch active tickets' });
+  }
+});
+
+// Cancel a ticket within the cancellation window, while its draw is still on sale.
+// The price is refunded to the paying wallet less the cancellation fee.
+app.delete('/tickets/:id', authenticateUser, async (req, res) => {
+  try {
+    const { data: ticket, error } = await supabaseAdmin
+      .from('tickets')
+      .select('*, draws(status, sales_close_at)')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Load ticket error:', error);
+      return res.status(500).json({ error: 'Failed to cancel ticket' });
+    }
+
+    if (!ticket || ticket.user_id !== req.user.id) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    if (ticket.status !== 'active') {
+      return res.status(409).json({ error: `Ticket has already been ${ticket.status}` });
+    }
+
+    // Tickets paid for by someone else, or that are part of a larger purchase, are
+    // cancelled through that purchase
+    if (ticket.gifted_by) {
+      return res.status(409).json({ error: 'Gift tickets cannot be cancelled' });
+    }
+    if (ticket.subscription_id) {
+      return res.status(409).json({ error: 'Subscription tickets are cancelled with the subscription' });
+    }
+    if (ticket.syndicate_id) {
+      return res.status(409).json({ error: 'Syndicate tickets cannot be cancelled' });
+    }
+    if (ticket.system_entry_id) {
+      return res.status(409).json({ error: 'Lines of a system entry cannot be cancelled' });
+    }
+    if (!ticket.payment_id) {
+      return res.status(409).json({ error: 'Ticket has no recorded payment to refund' });
+    }
+
+    const now = new Date();
+    const windowEnds = new Date(new Date(ticket.created_at).getTime() + TICKET_CANCEL_WINDOW_MINUTES * 60 * 1000);
+    if (now >= windowEnds) {
+      return res.status(409).json({ error: `Tickets can only be cancelled within ${TICKET_CANCEL_WINDOW_MINUTES} minutes of purchase` });
+    }
+
+    if (!ticket.draws || ticket.draws.status !== 'scheduled' || now >= new Date(ticket.draws.sales_close_at)) {
+      return res.status(409).json({ error: 'Sales for this ticket\'s draw have closed' });
+    }
+
+    const { refunds, voidedTickets, unrefundedTickets } = await refundService.refundTickets([ticket.id], {
+      reason: 'cancelled_ticket',
+      status: 'cancelled',
+      feeBps: TICKET_CANCEL_FEE_BPS,
+      note: 'Cancelled by player'
+    });
+
+    if (unrefundedTickets.length > 0) {
+      return res.status(500).json({ error: 'Failed to cancel ticket' });
+    }
+
+    if (voidedTickets.length === 0) {
+      return res.status(409).json({ error: 'Ticket is no longer active' });
+    }
+
+    const refund = refunds[0];
+
+    res.json({
+      message: 'Ticket cancelled',
+      ticket_id: ticket.id,
+      refund: refund && {
+        id: refund.id,
+        status: refund.status,
+        currency: refund.currency,
+        amount: currencies.toDisplay(Number(refund.amount_lamports), refund.currency),
+        fee: currencies.toDisplay(Number(refund.fee_lamports), refund.currency),
+        refund_signature: refund.refund_signature
+      }
+    });
+  } catch (error) {
+    console.error('Cancel ticket error:', error);
+    res.status(500).json({ error: 'Failed to cancel ticket' });
+  }
+});
+
+// Subscription as shown to its owner, with what its balance still covers
+function formatSubscription(subscription) {
+  const { ticket_payments, ...fields } = subscription;
+  const balance = Number(subscription.balance_lamports);
+  const cost = Number(subscription.cost_per_draw_lamports);
+
+  return {
+    ...fields,
+    balance: currencies.toDisplay(balance, subscription.currency),
+    cost_per_draw: currencies.toDisplay(cost, subscription.currency),
+    draws_remaining: Math.floor(balance / cost)
+  };
+}
+
+// Subscription routes: the same lines are entered into every draw from a prepaid balance
+app.post('/subscriptions', authenticateUser, async (req, res) => {
+  try {
+    const { currency = 'SOL' } = req.body;
+
+    const drawCount = parseDrawCount(req.body.draws, MAX_PREPAID_DRAWS);
+    if (drawCount === null) {
+      return res.status(400).json({ error: `Draws must be between 1 and ${MAX_PREPAID_DRAWS}` });
+    }
+
+    if (!currencies.isSupported(currency)) {
+      return res.status(400).json({ error: `Currency must be one of: ${currencies.codes().join(', ')}` });
+    }
+
+    // Subscriptions and syndicates play the default game
+    const game = await gameService.get();
+    const built = buildLines(req.body, game);
+    if (!built.success) {
+      return res.status(built.status).json({ error: built.error });
+    }
+
+    for (const ticket of built.lines) {
+      const validationError = gameService.validateLine(game, ticket.numbers, ticket.powerball);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+    }
+
+    const subscription = await subscriptionService.create(req.user, built.lines, currency);
+
+    // The first top-up prepays `draws` draws and activates the subscription; without it
+    // the subscription is not kept
+    let created;
+    try {
+      created = await createPaymentIntent(req.user, built.lines, currency, {
+        drawCount,
+        subscriptionId: subscription.id
+      });
+    } catch (intentError) {
+      await subscriptionService.discard(subscription);
+      throw intentError;
+    }
+    if (!created.success) {
+      await subscriptionService.discard(subscription);
+      return res.status(created.status).json({ error: created.error });
+    }
+
+    res.status(201).json({
+      subscription: formatSubscription(subscription),
+      payment: formatPaymentIntent(created.intent)
+    });
+  } catch (error) {
+    console.error('Create subscription error:', error);
+    res.status(500).json({ error: 'Failed to create subscription' });
+  }
+});
+
+app.get('/subscriptions/my', authenticateUser, async (req, res) => {
+  try {
+    const { data: subscriptions, error } = await supabaseAdmin
+      .from('subscriptions')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Fetch subscriptions error:', error);
+      return res.status(500).json({ error: 'Failed to fetch subscriptions' });
+    }
+
+    res.json({ subscriptions: subscriptions.map(formatSubscription) });
+  } catch (error) {
+    console.error('Fetch subscriptions error:', error);
+    res.status(500).json({ error: 'Failed to fetch subscriptions' });
+  }
+});
+
+// Prepay more draws for a subscription
+app.post('/subscriptions/:id/top-up', authenticateUser, async (req, res) => {
+  try {
+    const drawCount = parseDrawCount(req.body.draws, MAX_PREPAID_DRAWS);
+    if (drawCount === null) {
+      return res.status(400).json({ error: `Draws must be between 1 and ${MAX_PREPAID_DRAWS}` });
+    }
+
+    const subscription = await subscriptionService.get(req.params.id, req.user.id);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    if (subscription.status === 'cancelled') {
+      return res.status(409).json({ error: 'Subscription has been cancelled' });
+    }
+
+    const created = await createPaymentIntent(req.user, subscription.tickets, subscription.currency, {
+      drawCount,
+      subscriptionId: subscription.id
+    });
+    if (!created.success) {
+      return res.status(created.status).json({ error: created.error });
+    }
+
+    res.status(201).json({ payment: formatPaymentIntent(created.intent) });
+  } catch (error) {
+    console.error('Top up subscription error:', error);
+    res.status(500).json({ error: 'Failed to top up subscription' });
+  }
+});
+
+// Cancel a subscription; its remaining balance is refunded to the wallet that last topped it up
+app.post('/subscriptions/:id/cancel', authenticateUser, async (req, res) => {
+  try {
+    const subscription = await subscriptionService.get(req.params.id, req.user.id);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    const result = await subscriptionService.cancel(subscription);
+    if (!result) {
+      return res.status(409).json({ error: 'Subscription has already been cancelled' });
+    }
+
+    res.json({
+      message: 'Subscription cancelled',
+      subscription: formatSubscription(result.subscription),
+      refund: result.refund
+    });
+  } catch (error) {
+    console.error('Cancel subscription error:', error);
+    res.status(500).json({ error: 'Failed to cancel subscription' });
+  }
+});
+
+// Syndicate with display amounts and each member's share of any prize
+function formatSyndicate(syndicate) {
+  const { syndicate_members, ...fields } = syndicate;
+  const totalShares = syndicate.total_shares;
+
+  return {
+    ...fields,
+    share_price: currencies.toDisplay(Number(syndicate.share_price_lamports), syndicate.currency),
+    balance: currencies.toDisplay(Number(syndicate.balance_lamports), syndicate.currency),
+    members: syndicate_members && syndicate_members.map(member => ({
+      id: member.id,
+      wallet_address: member.wallet_address,
+      status: member.status,
+      shares: member.shares,
+      share_percent: totalShares > 0 ? (member.shares / totalShares) * 100 : 0,
+      contributed: currencies.toDisplay(Number(member.contributed_lamports), syndicate.currency),
+      invited_at: member.invited_at,
+      joined_at: member.joined_at
+    }))
+  };
+}
+
+// Load a syndicate the user is a member of or invited to.
+// Returns { success, syndicate, member } or { success: false, status, error }.
+async function loadSyndicateForUser(user, syndicateId) {
+  const syndicate = await syndicateService.get(syndicateId);
+  const member = syndicate && syndicateService.getMember(syndicate, user.wallet_address);
+
+  if (!member) {
+    return { success: false, status: 404, error: 'Syndicate not found' };
+  }
+
+  return { success: true, syndicate, member };
+}
+
+// Syndicate routes: members buy shares into a pool, the owner buys tickets with it,
+// and prizes are split between members by shares
+app.post('/syndicates', authenticateUser, async (req, res) => {
+  try {
+    const { name, currency = 'SOL', share_price } = req.body;
+
+    if (!name || typeof name !== 'string' || name.trim().length === 0 || name.length > 100) {
+      return res.status(400).json({ error: 'Name is required (at most 100 characters)' });
+    }
+
+    if (!currencies.isSupported(currency)) {
+      return res.status(400).json({ error: `Currency must be one of: ${currencies.codes().join(', ')}` });
+    }
+
+    // A share costs one ticket of the default game unless the owner sets its price
+    const sharePriceLamports = share_price === undefined
+      ? gameService.getTicketPrice(await gameService.get(), currency)
+      : currencies.fromDisplay(share_price, currency);
+
+    if (!Number.isSafeInteger(sharePriceLamports) || sharePriceLamports <= 0) {
+      return res.status(400).json({ error: 'Share price must be a positive amount' });
+    }
+
+    const syndicate = await syndicateService.create(req.user, {
+      name: name.trim(),
+      currency,
+      sharePriceLamports
+    });
+
+    res.status(201).json({ syndicate: formatSyndicate(await syndicateService.get(syndicate.id)) });
+  } catch (error) {
+    console.error('Create syndicate error:', error);
+    res.status(500).json({ error: 'Failed to create syndicate' });
+  }
+});
+
+app.get('/syndicates/my', authenticateUser, async (req, res) => {
+  try {
+    const memberships = await syndicateService.listForWallet(req.user.wallet_address);
+
+    res.json({
+      syndicates: memberships.map(({ syndicates: syndicate, ...member }) => ({
+        ...formatSyndicate(syndicate),
+        is_owner: syndicate.owner_user_id === req.user.id,
+        membership: {
+          id: member.id,
+          status: member.status,
+          shares: member.shares,
+          share_percent: syndicate.total_shares > 0 ? (member.shares / syndicate.total_shares) * 100 : 0
+        }
+      }))
+    });
+  } catch (error) {
+    console.error('Fetch syndicates error:', error);
+    res.status(500).json({ error: 'Failed to fetch syndicates' });
+  }
+});
+
+// A syndicate with its members, tickets and prize results
+app.get('/syndicates/:id', authenticateUser, async (req, res) => {
+  try {
+    const loaded = await loadSyndicateForUser(req.user, req.params.id);
+    if (!loaded.success) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+
+    const { data: tickets, error } = await supabaseAdmin
+      .from('tickets')
+      .select('id, numbers, powerball, quick_pick, status, currency, draw_id, created_at')
+      .eq('syndicate_id', loaded.syndicate.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Fetch syndicate tickets error:', error);
+      return res.status(500).json({ error: 'Failed to fetch syndicate' });
+    }
+
+    const results = await syndicateService.getResults(loaded.syndicate.id);
+
+    res.json({
+      syndicate: formatSyndicate(loaded.syndicate),
+      is_owner: loaded.syndicate.owner_user_id === req.user.id,
+      tickets,
+      results: results.map(winner => ({
+        winner_id: winner.id,
+        ticket_id: winner.ticket_id,
+        draw: winner.draws,
+        prize_tier: winner.prize_tier,
+        prize_amount: currencies.toDisplay(Number(winner.prize_lamports), winner.currency),
+        currency: winner.currency,
+        claimed: winner.claimed,
+        payouts: winner.syndicate_payouts.map(payout => ({
+          wallet_address: payout.wallet_address,
+          shares: payout.shares,
+          amount: currencies.toDisplay(Number(payout.amount_lamports), payout.currency),
+          status: payout.status,
+          transaction_signature: payout.transaction_signature,
+          sent_at: payout.sent_at
+        }))
+      }))
+    });
+  } catch (error) {
+    console.error('Fetch syndicate error:', error);
+    res.status(500).json({ error: 'Failed to fetch syndicate' });
+  }
+});
+
+// Owner invites wallets to buy shares
+app.post('/syndicates/:id/invite', authenticateUser, async (req, res) => {
+  try {
+    const { wallets } = req.body;
+
+    if (!Array.isArray(wallets) || wallets.length === 0 || wallets.length > MAX_SYNDICATE_INVITES) {
+      return res.status(400).json({ error: `Wallets must be a list of 1 to ${MAX_SYNDICATE_INVITES} addresses` });
+    }
+
+    const invalid = wallets.find(wallet => !walletAuth.isValidWalletAddress(wallet));
+    if (invalid !== undefined) {
+      return res.status(400).json({ error: `Invalid wallet address: ${invalid}` });
+    }
+
+    const syndicate = await syndicateService.get(req.params.id);
+    if (!syndicate || syndicate.owner_user_id !== req.user.id) {
+      return res.status(404).json({ error: 'Syndicate not found' });
+    }
+
+    if (syndicate.status !== 'open') {
+      return res.status(409).json({ error: 'Syndicate has already bought its tickets' });
+    }
+
+    const invited = await syndicateService.invite(syndicate, [...new Set(wallets)]);
+
+    res.status(201).json({
+      message: `Invited ${invited.length} wallet(s)`,
+      syndicate: formatSyndicate(await syndicateService.get(syndicate.id))
+    });
+  } catch (error) {
+    console.error('Invite to syndicate error:', error);
+    res.status(500).json({ error: 'Failed to invite wallets' });
+  }
+});
+
+// Accept an invitation and buy shares; returns a payment intent for them
+app.post('/syndicates/:id/join', authenticateUser, async (req, res) => {
+  try {
+    const { shares = 1 } = req.body;
+
+    if (!Number.isInteger(shares) || shares < 1 || shares > MAX_SHARES_PER_PURCHASE) {
+      return res.status(400).json({ error: `Shares must be between 1 and ${MAX_SHARES_PER_PURCHASE}` });
+    }
+
+    const loaded = await loadSyndicateForUser(req.user, req.params.id);
+    if (!loaded.success) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+
+    const { syndicate } = loaded;
+    if (syndicate.status !== 'open') {
+      return res.status(409).json({ error: 'Syndicate has already bought its tickets' });
+    }
+
+    const member = await syndicateService.join(loaded.member, req.user);
+
+    const created = await createPaymentIntent(req.user, [], syndicate.currency, {
+      syndicateShares: {
+        memberId: member.id,
+        count: shares,
+        priceLamports: Number(syndicate.share_price_lamports)
+      }
+    });
+    if (!created.success) {
+      return res.status(created.status).json({ error: created.error });
+    }
+
+    res.status(201).json({
+      syndicate: formatSyndicate(await syndicateService.get(syndicate.id)),
+      payment: formatPaymentIntent(created.intent)
+    });
+  } catch (error) {
+    console.error('Join syndicate error:', error);
+    res.status(500).json({ error: 'Failed to join syndicate' });
+  }
+});
+
+// Owner spends the pool on tickets, for one or more draws. This closes the syndicate
+// to new shares so the split is fixed before any ticket can win.
+app.post('/syndicates/:id/purchase', authenticateUser, async (req, res) => {
+  try {
+    const drawCount = parseDrawCount(req.body.draws, MAX_ADVANCE_DRAWS);
+    if (drawCount === null) {
+      return res.status(400).json({ error: `Draws must be between 1 and ${MAX_ADVANCE_DRAWS}` });
+    }
+
+    // Subscriptions and syndicates play the default game
+    const game = await gameService.get();
+    const built = buildLines(req.body, game);
+    if (!built.success) {
+      return res.status(built.status).json({ error: built.error });
+    }
+
+    for (const ticket of built.lines) {
+      const validationError = gameService.validateLine(game, ticket.numbers, ticket.powerball);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+    }
+
+    if (built.lines.length * drawCount > MAX_TICKETS_PER_INTENT) {
+      return res.status(400).json({ error: `A purchase can cover at most ${MAX_TICKETS_PER_INTENT} tickets` });
+    }
+
+    const syndicate = await syndicateService.get(req.params.id);
+    if (!syndicate || syndicate.owner_user_id !== req.user.id) {
+      return res.status(404).json({ error: 'Syndicate not found' });
+    }
+
+    const purchase = await syndicateService.purchase(syndicate, built.lines, drawCount);
+    if (!purchase) {
+      return res.status(409).json({ error: 'Syndicate balance does not cover these tickets' });
+    }
+
+    res.status(201).json({
+      message: 'Tickets purchased for the syndicate',
+      tickets: purchase.tickets,
+      count: purchase.tickets.length,
+      draws: purchase.draws.map(draw => ({ id: draw.id, draw_time: draw.draw_time })),
+      syndicate: formatSyndicate(await syndicateService.get(syndicate.id))
+    });
+  } catch (error) {
+    console.error('Syndicate purchase error:', error);
+    res.status(500).json({ error: 'Failed to purchase syndicate tickets' });
+  }
+});
+
+// Responsible gaming controls with limits in display units
+function formatControls(controls) {
+  const toDisplay = limits => Object.fromEntries(
+    Object.entries(limits || {}).map(([code, amount]) => [code, amount === null ? null : currencies.toDisplay(amount, code)])
+  );
+  const pending = controls.pending_changes;
+
+  return {
+    weekly_spend_limits: toDisplay(controls.weekly_spend_limits),
+    monthly_spend_limits: toDisplay(controls.monthly_spend_limits),
+    tickets_per_draw_limit: controls.tickets_per_draw_limit,
+    pending_changes: pending && {
+      weekly_spend_limits: pending.weekly_spend_limits && toDisplay(pending.weekly_spend_limits),
+      monthly_spend_limits: pending.monthly_spend_limits && toDisplay(pending.monthly_spend_limits),
+      tickets_per_draw_limit: pending.tickets_per_draw_limit,
+      effective_at: controls.pending_effective_at
+    },
+    cool_off_until: controls.cool_off_until,
+    self_excluded_at: controls.self_excluded_at,
+    exclusion: responsibleGamingService.getExclusion(controls)
+  };
+}
+
+// Parse a spend limit in display units: undefined (unchanged), null (no limit) or integer units
+function parseSpendLimit(value, currency) {
+  if (value === undefined || value === null) {
+    return value;
+  }
+  const amount = currencies.fromDisplay(value, currency);
+  return typeof value === 'number' && Number.isSafeInteger(amount) && amount > 0 ? amount : NaN;
+}
+
+// Responsible gaming routes: a player's own spend limits, cool-offs and self-exclusion
+app.get('/account/limits', authenticateUser, async (req, res) => {
+  try {
+    const controls = await responsibleGamingService.get(req.user.id);
+
+    res.json({
+      limits: formatControls(controls),
+      usage: await responsibleGamingService.getUsage(controls),
+      limit_increase_delay_hours: responsibleGamingService.increaseDelayHours
+    });
+  } catch (error) {
+    console.error('Get limits error:', error);
+    res.status(500).json({ error: 'Failed to get limits' });
+  }
+});
+
+// Set spend limits for one currency and/or the tickets per draw limit; null removes one.
+// Lower limits apply at once, higher ones after LIMIT_INCREASE_DELAY_HOURS.
+app.put('/account/limits', authenticateUser, async (req, res) => {
+  try {
+    const { currency = 'SOL', weekly_spend_limit, monthly_spend_limit, tickets_per_draw } = req.body;
+
+    if (!currencies.isSupported(currency)) {
+      return res.status(400).json({ error: `Currency must be one of: ${currencies.codes().join(', ')}` });
+    }
+
+    const weekly = parseSpendLimit(weekly_spend_limit, currency);
+    const monthly = parseSpendLimit(monthly_spend_limit, currency);
+    if (Number.isNaN(weekly) || Number.isNaN(monthly)) {
+      return res.status(400).json({ error: 'Spend limits must be positive amounts or null' });
+    }
+
+    if (tickets_per_draw !== undefined && tickets_per_draw !== null && (!Number.isInteger(tickets_per_draw) || tickets_per_draw < 1)) {
+      return res.status(400).json({ error: 'tickets_per_draw must be a positive integer or null' });
+    }
+
+    if (weekly === undefined && monthly === undefined && tickets_per_draw === undefined) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const result = await responsibleGamingService.updateLimits(req.user.id, {
+      currency,
+      weekly,
+      monthly,
+      ticketsPerDraw: tickets_per_draw
+    });
+
+    res.json({
+      message: Object.keys(result.pending).length > 0
+        ? `Lower limits apply now; higher limits apply after ${responsibleGamingService.increaseDelayHours} hours`
+        : 'Limits updated',
+      limits: formatControls(result.controls)
+    });
+  } catch (error) {
+    console.error('Update limits error:', error);
+    res.status(500).json({ error: 'Failed to update limits' });
+  }
+});
+
+// Take a break from purchases for `days` days
+app.post('/account/limits/cool-off', authenticateUser, async (req, res) => {
+  try {
+    const { days } = req.body;
+
+    if (!Number.isInteger(days) || days < 1 || days > MAX_COOL_OFF_DAYS) {
+      return res.status(400).json({ error: `Days must be between 1 and ${MAX_COOL_OFF_DAYS}` });
+    }
+
+    const result = await responsibleGamingService.coolOff(req.user.id, days);
+    if (!result.extended) {
+      return res.status(409).json({
+        error: 'A longer cool-off is already in place',
+        limits: formatControls(result.controls)
+      });
+    }
+
+    console.log(`⏸️  User ${req.user.id} started a ${days}-day cool-off`);
+
+    res.json({ message: `Purchases paused for ${days} day(s)`, limits: formatControls(result.controls) });
+  } catch (error) {
+    console.error('Cool-off error:', error);
+    res.status(500).json({ error: 'Failed to start cool-off' });
+  }
+});
+
+// Exclude the account from purchases for good. Only support can lift it.
+app.post('/account/limits/self-exclusion', authenticateUser, async (req, res) => {
+  try {
+    if (req.body.confirm !== true) {
+      return res.status(400).json({ error: 'Self-exclusion is permanent; send confirm: true to proceed' });
+    }
+
+    const controls = await responsibleGamingService.selfExclude(req.user.id);
+
+    console.log(`⛔ User ${req.user.id} self-excluded`);
+
+    res.json({ message: 'Account self-excluded from purchases', limits: formatControls(controls) });
+  } catch (error) {
+    console.error('Self-exclusion error:', error);
+    res.status(500).json({ error: 'Failed to self-exclude' });
+  }
+});
+
+// Pot routes
+app.get('/pot', async (req, res) => {
+  try {
+    const resolvedGame = await gameService.resolve(req.query.game);
+    if (!resolvedGame.success) {
+      return res.status(resolvedGame.status).json({ error: resolvedGame.error });
+    }
+    const { game } = resolvedGame;
+
+    // The jackpot is projected for the draw now on sale, from what has been sold into it
+    const structure = await prizeService.getStructure(game.id);
+    const nextDrawTime = await drawService.getSalesDrawTime(game);
+    const nextDraw = await drawService.findDraw(game.id, nextDrawTime);
+
+    // One pot per currency for the game, read from the ledger; `pot` stays the SOL pot
+    // for older clients
+    const pots = [];
+    for (const currency of currencies.list()) {
+      const summary = await ledgerService.getSummary(currency.code, game.id);
+      const { rules, jackpot } = await getProjectedJackpot(game, nextDraw, currency.code, structure);
+      pots.push({
+        currency: currency.code,
+        decimals: currency.decimals,
+        current_amount: currencies.toDisplay(summary.pot, currency.code),
+        current_amount_lamports: summary.pot,
+        rollover_amount: currencies.toDisplay(summary.balances.rollover, currency.code),
+        rollover_amount_lamports: summary.balances.rollover,
+        projected_jackpot: currencies.toDisplay(jackpot.amount, currency.code),
+        projected_jackpot_lamports: jackpot.amount,
+        jackpot_seed: rules.seed > 0 ? currencies.toDisplay(rules.seed, currency.code) : null,
+        jackpot_cap: rules.cap !== null ? currencies.toDisplay(rules.cap, currency.code) : null,
+        jackpot_draws_at_cap: jackpot.cappedDraws,
+        jackpot_must_be_won: jackpot.mustBeWon,
+        total_tickets_sold: summary.tickets_sold,
+        total_revenue: currencies.toDisplay(summary.net_ticket_sales, currency.code)
+      });
+    }
+
+    res.json({
+      game_id: game.id,
+      next_draw_time: nextDrawTime.toISOString(),
+      pot: pots.find(p => p.currency === currencies.defaultCode),
+      pots
+    });
+  } catch (error) {
+    console.error('Get pot error:', error);
+    res.status(500).json({ error: 'Failed to get pot information' });
+  }
+});
+
+// Currencies tickets can be bought in, with the default game's standard ticket price
+// in each (GET /games has every game's prices)
+app.get('/currencies', (req, res) => {
+  res.json({
+    currencies: currencies.list().map(currency => ({
+      code: currency.code,
+      mint: currency.mint,
+      decimals: currency.decimals,
+      ticket_price: currencies.toDisplay(currency.ticketPrice, currency.code),
+      ticket_price_base_units: currency.ticketPrice
+    }))
+  });
+});
+
+// Prize tiers and house share a game's draws are settled with
+app.get('/prize-structure', async (req, res) => {
+  try {
+    const resolvedGame = await gameService.resolve(req.query.game);
+    if (!resolvedGame.success) {
+      return res.status(resolvedGame.status).json({ error: resolvedGame.error });
+    }
+
+    const structure = await prizeService.getStructure(resolvedGame.game.id);
+    res.json(prizeService.toPublic(structure));
+  } catch (error) {
+    console.error('Fetch prize structure error:', error);
+    res.status(500).json({ error: 'Failed to fetch prize structure' });
+  }
+});
+
+// Game routes
+app.get('/games', async (req, res) => {
+  try {
+    const games = [];
+    for (const game of await gameService.list()) {
+      games.push({
+        ...gameService.toPublic(game),
+        next_draw: (await scheduleService.getNextDrawTime(game)).toISOString()
+      });
+    }
+
+    res.json({ games });
+  } catch (error) {
+    console.error('Fetch games error:', error);
+    res.status(500).json({ error: 'Failed to fetch games' });
+  }
+});
+
+app.get('/games/:id', async (req, res) => {
+  try {
+    const game = await gameService.get(req.params.id);
+    if (!game || !game.active) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    const nextDraw = await scheduleService.getNextDrawTime(game);
+    const structure = await prizeService.getStructure(game.id);
+
+    res.json({
+      ...gameService.toPublic(game),
+      next_draw: nextDraw.toISOString(),
+      sales_close_at: drawService.getSalesCloseTime(game, nextDraw).toISOString(),
+      prize_structure: prizeService.toPublic(structure)
+    });
+  } catch (error) {
+    console.error('Fetch game error:', error);
+    res.status(500).json({ error: 'Failed to fetch game' });
+  }
+});
+
+// Admin authentication - sign a /auth/nonce challenge with an admin wallet
+app.post('/admin/auth/wallet-connect', async (req, res) => {
+  try {
+    const { wallet_address, signature, message } = req.body;
+
+    if (!wallet_address || !signature || !message) {
+      return res.status(400).json({
+        error: 'Wallet address, signature, and message are required'
+      });
+    }
+
+    const challengeResult = await consumeWalletChallenge(wallet_address, message, signature);
+    if (!challengeResult.success) {
+      return res.status(challengeResult.status).json({ error: challengeResult.error });
+    }
+
+    const admin = await adminAuthService.findAdminByWallet(wallet_address);
+    if (!admin) {
+      return res.status(403).json({ error: 'Wallet is not an active admin' });
+    }
+
+    console.log(`🔐 Admin login: ${admin.id} (${admin.role})`);
+
+    res.json({
+      message: 'Admin authenticated successfully',
+      token: adminAuthService.signAdminToken(admin),
+      token_type: 'Bearer',
+      expires_in: adminAuthService.tokenTtlSeconds,
+      admin: { id: admin.id, name: admin.name, wallet_address: admin.wallet_address, role: admin.role }
+    });
+  } catch (error) {
+    console.error('Admin wallet connect error:', error.message);
+    res.status(500).json({ error: 'Admin authentication failed' });
+  }
+});
+
+app.get('/admin/auth/me', authorizeAdmin(...ADMIN_READ_ROLES), async (req, res) => {
+  res.json({ admin: req.admin, auth_method: req.adminAuthMethod });
+});
+
+// Admin account management (superadmin only)
+app.get('/admin/users', authorizeAdmin('superadmin'), async (req, res) => {
+  try {
+    const { data: admins, error } = await supabaseAdmin
+      .from('admin_users')
+      .select('*')
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Fetch admin users error:', error);
+      return res.status(500).json({ error: 'Failed to fetch admin users' });
+    }
+
+    res.json({ admins });
+  } catch (error) {
+    console.error('Fetch admin users error:', error);
+    res.status(500).json({ error: 'Failed to fetch admin users' });
+  }
+});
+
+app.post('/admin/users', authorizeAdmin('superadmin'), async (req, res) => {
+  try {
+    const { name, wallet_address, role } = req.body;
+
+    if (!name || !role) {
+      return res.status(400).json({ error: 'Name and role are required' });
+    }
+
+    if (!adminAuthService.isValidRole(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${adminAuthService.roles.join(', ')}` });
+    }
+
+    if (wallet_address && !walletAuth.isValidWalletAddress(wallet_address)) {
+      return res.status(400).json({ error: 'Invalid wallet address' });
+    }
+
+    const { data: admin, error } = await supabaseAdmin
+      .from('admin_users')
+      .insert({
+        name,
+        wallet_address: wallet_address || null,
+        role,
+        created_by: req.admin.id
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'An admin with this wallet already exists' });
+      }
+      console.error('Create admin user error:', error);
+      return res.status(500).json({ error: 'Failed to create admin user' });
+    }
+
+    console.log(`🔐 Admin ${req.admin.id} created admin ${admin.id} (${admin.role})`);
+
+    res.status(201).json({ message: 'Admin user created successfully', admin });
+  } catch (error) {
+    console.error('Create admin user error:', error);
+    res.status(500).json({ error: 'Failed to create admin user' });
+  }
+});
+
+app.patch('/admin/users/:id', authorizeAdmin('superadmin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, wallet_address, role, active } = req.body;
+
+    const updates = {};
+    if (name !== undefined) updates.name = name;
+    if (wallet_address !== undefined) {
+      if (wallet_address && !walletAuth.isValidWalletAddress(wallet_address)) {
+        return res.status(400).json({ error: 'Invalid wallet address' });
+      }
+      updates.wallet_address = wallet_address || null;
+    }
+    if (role !== undefined) {
+      if (!adminAuthService.isValidRole(role)) {
+        return res.status(400).json({ error: `Role must be one of: ${adminAuthService.roles.join(', ')}` });
+      }
+      updates.role = role;
+    }
+    if (active !== undefined) updates.active = Boolean(active);
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No changes provided' });
+    }
+
+    // Stop a superadmin from locking themselves out
+    if (id === req.admin.id && (updates.active === false || (updates.role && updates.role !== 'superadmin'))) {
+      return res.status(400).json({ error: 'You cannot demote or deactivate your own account' });
+    }
+
+    const { data: admin, error } = await supabaseAdmin
+      .from('admin_users')
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('Update admin user error:', error);
+      return res.status(500).json({ error: 'Failed to update admin user' });
+    }
+
+    if (!admin) {
+      return res.status(404).json({ error: 'Admin user not found' });
+    }
+
+    console.log(`🔐 Admin ${req.admin.id} updated admin ${admin.id}:`, Object.keys(updates).join(', '));
+
+    res.json({ message: 'Admin user updated successfully', admin });
+  } catch (error) {
+    console.error('Update admin user error:', error);
+    res.status(500).json({ error: 'Failed to update admin user' });
+  }
+});
+
+app.get('/admin/users/:id/api-keys', authorizeAdmin('superadmin'), async (req, res) => {
+  try {
+    const { data: apiKeys, error } = await supabaseAdmin
+      .from('admin_api_keys')
+      .select('id, label, key_prefix, expires_at, revoked_at, last_used_at, created_at')
+      .eq('admin_user_id', req.params.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Fetch API keys error:', error);
+      return res.status(500).json({ error: 'Failed to fetch API keys' });
+    }
+
+    res.json({ api_keys: apiKeys });
+  } catch (error) {
+    console.error('Fetch API keys error:', error);
+    res.status(500).json({ error: 'Failed to fetch API keys' });
+  }
+});
+
+app.post('/admin/users/:id/api-keys', authorizeAdmin('superadmin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { label, expires_in_days } = req.body;
+
+    if (expires_in_days !== undefined && expires_in_days !== null && (!Number.isInteger(expires_in_days) || expires_in_days < 1)) {
+      return res.status(400).json({ error: 'expires_in_days must be a positive integer or null' });
+    }
+
+    const { data: admin } = await supabaseAdmin
+      .from('admin_users')
+      .select('id')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (!admin) {
+      return res.status(404).json({ error: 'Admin user not found' });
+    }
+
+    const { apiKey, keyPrefix, keyHash } = adminAuthService.generateApiKey();
+    const expiresAt = expires_in_days !== undefined && expires_in_days !== null
+      ? new Date(Date.now() + expires_in_days * 24 * 60 * 60 * 1000).toISOString()
+      : null;
+
+    const { data: key, error } = await supabaseAdmin
+      .from('admin_api_keys')
+      .insert({
+        admin_user_id: id,
+        label: label || null,
+        key_prefix: keyPrefix,
+        key_hash: keyHash,
+        expires_at: expiresAt,
+        created_by: req.admin.id
+      })
+      .select('id, label, key_prefix, expires_at, created_at')
+      .single();
+
+    if (error) {
+      console.error('Create API key error:', error);
+      return res.status(500).json({ error: 'Failed to create API key' });
+    }
+
+    console.log(`🔐 Admin ${req.admin.id} created API key ${key.id} for admin ${id}`);
+
+    res.status(201).json({
+      message: 'API key created successfully - store it now, it will not be shown again',
+      api_key: apiKey,
+      key
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+app.delete('/admin/users/:id/api-keys/:keyId', authorizeAdmin('superadmin'), async (req, res) => {
+  try {
+    const { id, keyId } = req.params;
+
+    const { data: key, error } = await supabaseAdmin
+      .from('admin_api_keys')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', keyId)
+      .eq('admin_user_id', id)
+      .is('revoked_at', null)
+      .select('id, label, key_prefix, revoked_at')
+      .maybeSingle();
+
+    if (error) {
+      console.error('Revoke API key error:', error);
+      return res.status(500).json({ error: 'Failed to revoke API key' });
+    }
+
+    if (!key) {
+      return res.status(404).json({ error: 'Active API key not found' });
+    }
+
+    console.log(`🔐 Admin ${req.admin.id} revoked API key ${key.id}`);
+
+    res.json({ message: 'API key revoked successfully', key });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+// Manual trigger for automated draw (testing only)
+app.post('/admin/draws/execute-automated', authorizeAdmin('operator'), async (req, res) => {
+  try {
+    const game = await gameService.get(req.body.game);
+    if (!game) {
+      return res.status(400).json({ error: `Unknown game: ${req.body.game}` });
+    }
+
+    // A manual trigger only runs a draw whose sales have closed and whose time has come
+    const draw = await drawService.getDueDraw(game.id);
+    if (!draw) {
+      return res.status(409).json({ error: `No ${game.id} draw has closed yet` });
+    }
+
+    console.log('🔧 Manual trigger of automated draw process...\n');
+    await executeAutomatedDraw(game, draw);
+    res.json({ message: 'Automated draw executed successfully' });
+  } catch (error) {
+    console.error('Execute automated draw error:', error);
+    res.status(500).json({ error: 'Failed to execute automated draw' });
+  }
+});
+
+// Test Twitter posting (testing only)
+app.post('/admin/test/twitter', authorizeAdmin('operator'), async (req, res) => {
+  try {
+    const testResults = {
+      game: await gameService.get(),
+      draw: {
+        winning_numbers: [5, 12, 18, 24, 29],
+        powerball: 7,
+        id: 'test-draw-id'
+      },
+      winners: [
+        {
+          wallet_address: '4EPFeqtnyYTa2vmn6NTiViZ8nNv7cMsQZRi43Y24VUnf',
+          prize_tier: 1,
+          prize_amount: 50.5,
+          transaction_signature: '5YourTestTransactionSignatureHere...'
+        }
+      ],
+      totalPot: '100 SOL',
+      totalPaid: '85 SOL',
+      successfulPayouts: 1
+    };
+
+    const result = await postDrawResultsToTwitter(testResults);
+    res.json(result);
+  } catch (error) {
+    console.error('Test Twitter error:', error);
+    res.status(500).json({ error: 'Failed to test Twitter posting' });
+  }
+});
+
+// Reset pot (admin only)
+app.post('/admin/pot/reset', authorizeAdmin('operator'), async (req, res) => {
+  try {
+    const { currency = 'SOL', note } = req.body;
+
+    if (!currencies.isSupported(currency)) {
+      return res.status(400).json({ error: `Currency must be one of: ${currencies.codes().join(', ')}` });
+    }
+
+    const game = await gameService.get(req.body.game);
+    if (!game) {
+      return res.status(400).json({ error: `Unknown game: ${req.body.game}` });
+    }
+
+    const balances = await ledgerService.getBalances(currency, { gameId: game.id });
+    const legs = [
+      { account: 'pot', debit: balances.pot },
+      { account: 'rollover', debit: balances.rollover }
+    ].filter(leg => leg.debit > 0);
+    const oldAmount = legs.reduce((sum, leg) => sum + leg.debit, 0);
+
+    // Resetting moves the pot (and any rollover) to house revenue as a manual adjustment
+    if (oldAmount > 0) {
+      await ledgerService.post({
+        type: 'adjustment',
+        currency,
+        gameId: game.id,
+        reference: `pot-reset:${crypto.randomUUID()}`,
+        entries: [...legs, { account: 'house_revenue', credit: oldAmount }],
+        description: note || 'Pot reset',
+        createdBy: req.admin.id
+      });
+    }
+
+    console.log(`💰 ${game.id} ${currency} pot reset successfully!`);
+    console.log(`   - Previous amount: ${currencies.format(oldAmount, currency)} ${currency}`);
+    console.log(`   - New amount: 0 ${currency}`);
+
+    res.json({
+      message: 'Pot reset successfully',
+      game_id: game.id,
+      currency,
+      previous_amount: currencies.toDisplay(oldAmount, currency),
+      previous_amount_lamports: oldAmount,
+      new_amount: 0
+    });
+  } catch (error) {
+    console.error('Reset pot error:', error);
+    res.status(500).json({ error: 'Failed to reset pot' });
+  }
+});
+
+// Jackpot rules of a game in a currency: `seed` (guaranteed minimum, topped up from
+// house revenue) and `cap` in display units, or null to remove them, and
+// `rolldown_draws`, the draws at the cap after which the jackpot must be won
+app.put('/admin/jackpot', authorizeAdmin('operator'), async (req, res) => {
+  try {
+    const { currency = 'SOL', rolldown_draws } = req.body;
+
+    if (!currencies.isSupported(currency)) {
+      return res.status(400).json({ error: `Currency must be one of: ${currencies.codes().join(', ')}` });
+    }
+
+    const game = await gameService.get(req.body.game);
+    if (!game) {
+      return res.status(400).json({ error: `Unknown game: ${req.body.game}` });
+    }
+
+    const seed = parseSpendLimit(req.body.seed, currency);
+    const cap = parseSpendLimit(req.body.cap, currency);
+
+    if (Number.isNaN(seed) || Number.isNaN(cap)) {
+      return res.status(400).json({ error: 'Seed and cap must be positive amounts, or null to remove them' });
+    }
+
+    if (rolldown_draws !== undefined && rolldown_draws !== null && (!Number.isInteger(rolldown_draws) || rolldown_draws < 1)) {
+      return res.status(400).json({ error: 'rolldown_draws must be a positive number of draws, or null for never' });
+    }
+
+    const seeds = { ...(game.jackpot_seeds || {}) };
+    const caps = { ...(game.jackpot_caps || {}) };
+    for (const [amounts, value] of [[seeds, seed], [caps, cap]]) {
+      if (value === null) {
+        delete amounts[currency];
+      } else if (value !== undefined) {
+        amounts[currency] = value;
+      }
+    }
+
+    if (seeds[currency] !== undefined && caps[currency] !== undefined && seeds[currency] > caps[currency]) {
+      return res.status(400).json({ error: 'The jackpot seed cannot be above its cap' });
+    }
+
+    const fields = { jackpot_seeds: seeds, jackpot_caps: caps };
+    if (rolldown_draws !== undefined) {
+      fields.jackpot_rolldown_draws = rolldown_draws;
+    }
+
+    const updated = await gameService.update(game.id, fields);
+    const rules = prizeService.getJackpotRules(updated, currency);
+
+    console.log(`🎰 Admin ${req.admin.id} changed the ${game.id} ${currency} jackpot rules: seed ${rules.seed}, cap ${rules.cap}, must be won after ${rules.rolldownDraws} draw(s) at cap`);
+
+    res.json({
+      message: 'Jackpot rules updated',
+      game_id: game.id,
+      currency,
+      seed: rules.seed > 0 ? currencies.toDisplay(rules.seed, currency) : null,
+      cap: rules.cap !== null ? currencies.toDisplay(rules.cap, currency) : null,
+      rolldown_draws: rules.rolldownDraws
+    });
+  } catch (error) {
+    console.error('Update jackpot rules error:', error);
+    res.status(500).json({ error: 'Failed to update jackpot rules' });
+  }
+});
+
+// Countdown route - Calculate time until a game's next draw and its sales cutoff
+app.get('/countdown', async (req, res) => {
+  try {
+    const resolvedGame = await gameService.resolve(req.query.game);
+    if (!resolvedGame.success) {
+      return res.status(resolvedGame.status).json({ error: resolvedGame.error });
+    }
+    const { game } = resolvedGame;
+
+    const now = new Date();
+    const currentUTC = new Date(now.getTime() + (now.getTimezoneOffset() * 60000));
+    
+    // Calculate next draw time
+    const nextDraw = await scheduleService.getNextDrawTime(game, currentUTC);
+    const salesClose = drawService.getSalesCloseTime(game, nextDraw);
+    const calendarDraw = await scheduleService.findDraw(game, nextDraw);
+    
+    // Calculate time difference in milliseconds
+    const timeDiff = nextDraw.getTime() - currentUTC.getTime();
+    
+    // Convert to hours, minutes, seconds
+    const totalHours = Math.floor(timeDiff / (1000 * 60 * 60));
+    const totalMinutes = Math.floor(timeDiff / (1000 * 60));
+    const totalSeconds = Math.floor(timeDiff / 1000);
+    
+    const hours = totalHours;
+    const minutes = totalMinutes % 60;
+    const seconds = totalSeconds % 60;
+    
+    // Format next draw date
+    const nextDrawDate = nextDraw.toISOString().split('T')[0]; // YYYY-MM-DD
+    const nextDrawTime = `${nextDraw.toISOString().substring(11, 16)} UTC`;
+    const nextDrawDay = nextDraw.toLocaleDateString('en-US', { 
+      weekday: 'long', 
+      timeZone: 'UTC' 
+    });
+    
+    res.json({
+      game_id: game.id,
+      next_draw: {
+        date: nextDrawDate,
+        time: nextDrawTime,
+        day: nextDrawDay,
+        full_datetime: nextDraw.toISOString(),
+        sales_close_at: salesClose.toISOString(),
+        sales_open: currentUTC < salesClose,
+        postponed_from: calendarDraw && calendarDraw.original_time ? calendarDraw.original_time.toISOString() : null
+      },
+      countdown: {
+        total_hours: hours,
+        total_minutes: totalMinutes,
+        total_seconds: totalSeconds,
+        hours: hours,
+        minutes: minutes,
+        seconds: seconds,
+        formatted: `${hours}h ${minutes}m ${seconds}s`
+      },
+      current_time: {
+        utc: currentUTC.toISOString(),
+        day: currentUTC.toLocaleDateString('en-US', { 
+          weekday: 'long', 
+          timeZone: 'UTC' 
+        }),
+        time: `${currentUTC.getUTCHours().toString().padStart(2, '0')}:${currentUTC.getUTCMinutes().toString().padStart(2, '0')}:${currentUTC.getUTCSeconds().toString().padStart(2, '0')} UTC`
+      }
+    });
+  } catch (error) {
+    console.error('Countdown calculation error:', error);
+    res.status(500).json({ error: 'Failed to calculate countdown' });
+  }
+});
+
+// Generate random winning numbers
+app.post('/admin/draws/generate', authorizeAdmin('operator'), async (req, res) => {
+  try {
+    const game = await gameService.get(req.body.game);
+    if (!game) {
+      return res.status(400).json({ error: `Unknown game: ${req.body.game}` });
+    }
+
+    // Make the game's draw whose cutoff and draw time have passed from its committed seed
+    const due = await drawService.getDueDraw(game.id);
+    if (!due) {
+      return res.status(409).json({ error: `No ${game.id} draw has closed yet` });
+    }
+
+    const run = await advanceDraw(due, { until: 'drawn' });
+
+    if (!run.success) {
+      return res.status(run.status).json({ error: run.error, draw: run.draw });
+    }
+
+    const { draw } = run;
+
+    console.log(`🎲 ${game.name} draw generated successfully! (Commit-reveal)`);
+    console.log('📊 Winning Numbers:', draw.winning_numbers.join(', '));
+    console.log('🎯 Powerball:', draw.powerball);
+    console.log('📅 Draw Date:', new Date().toISOString());
+    console.log('🆔 Draw ID:', draw.id);
+    console.log(`🔒 Proof: GET /draws/${draw.id}/proof`);
+
+    res.status(201).json({ 
+      message: 'Draw generated successfully',
+      draw: {
+        id: draw.id,
+        game_id: draw.game_id,
+        winning_numbers: draw.winning_numbers,
+        powerball: draw.powerball,
+        draw_date: draw.draw_date,
+        seed_commitment: draw.seed_commitment,
+        server_seed: draw.server_seed,
+        proof_url: `/draws/${draw.id}/proof`
+      }
+    });
+  } catch (error) {
+    console.error('Generate draw error:', error);
+    res.status(500).json({ error: 'Failed to generate draw' });
+  }
+});
+
+// Calculate winners for a draw
+app.post('/admin/draws/:drawId/calculate-winners', authorizeAdmin('operator'), async (req, res) => {
+  try {
+    const { drawId } = req.params;
+    
+    // Get the draw
+    const { data: draw, error: drawError } = await supabaseAdmin
+      .from('draws')
+      .select('*')
+      .eq('id', drawId)
+      .single();
+
+    if (drawError || !draw) {
+      return res.status(404).json({ error: 'Draw not found' });
+    }
+
+    if (draw.status === 'cancelled') {
+      return res.status(409).json({ error: 'Draw has been cancelled' });
+    }
+
+    if (!drawService.isDrawn(draw)) {
+      return res.status(409).json({ error: 'Draw has not been drawn yet' });
+    }
+
+    const run = await advanceDraw(draw, { until: 'winners_calculated' });
+
+    if (!run.success) {
+      return res.status(run.status).json({ error: run.error, draw: run.draw });
+    }
+
+    // Winners calculated on an earlier run are returned as they were recorded
+    const settlement = run.settlement || { winners: await getDrawWinners(draw.id), pots: {}, alreadySettled: true };
+
+    const finalWinners = settlement.winners;
+    const potByCurrency = {};
+    for (const [currency, pot] of Object.entries(settlement.pots)) {
+      // Sales plus the rollover and seed carried into the jackpot
+      potByCurrency[currency] = currencies.toDisplay(pot.totalPot + pot.carried, currency);
+    }
+
+    res.json({
+      message: settlement.alreadySettled ? 'Winners already calculated for this draw' : 'Winners calculated successfully',
+      draw: {
+        id: draw.id,
+        status: run.draw.status,
+        winning_numbers: draw.winning_numbers,
+        powerball: draw.powerball,
+        draw_date: draw.draw_date
+      },
+      winners: finalWinners,
+      total_winners: finalWinners.length,
+      total_pot: potByCurrency[currencies.defaultCode] || 0,
+      total_pot_by_currency: potByCurrency
+    });
+  } catch (error) {
+    console.error('Calculate winners error:', error);
+    res.status(500).json({ error: 'Failed to calculate winners' });
+  }
+});
+
+// Admin routes
+app.post('/admin/draws/create', authorizeAdmin('operator'), async (req, res) => {
+  try {
+    const { winning_numbers, powerball, draw_date } = req.body;
+
+    const game = await gameService.get(req.body.game);
+    if (!game) {
+      return res.status(400).json({ error: `Unknown game: ${req.body.game}` });
+    }
+    
+    if (!winning_numbers || !Array.isArray(winning_numbers) || winning_numbers.length !== game.main_picks) {
+      return res.status(400).json({ error: `Must provide exactly ${game.main_picks} winning numbers` });
+    }
+    
+    if (!Number.isInteger(powerball) || powerball < 1 || powerball > game.bonus_pool) {
+      return res.status(400).json({ error: `Powerball must be between 1 and ${game.bonus_pool}` });
+    }
+
+    // Validate numbers are within the game's pool and unique
+    const validNumbers = winning_numbers.every(num => Number.isInteger(num) && num >= 1 && num <= game.main_pool);
+    const uniqueNumbers = new Set(winning_numbers).size === winning_numbers.length;
+    
+    if (!validNumbers || !uniqueNumbers) {
+      return res.status(400).json({ 
+        error: `Winning numbers must be between 1-${game.main_pool} and unique` 
+      });
+    }
+
+    // Draws people have paid into are only made from their committed seed, so numbers
+    // chosen by hand go on a standalone test draw, and only while no real draw is waiting
+    const closed = await drawService.getClosedDraw(game.id);
+    if (closed) {
+      return res.status(409).json({ error: `Draw ${closed.id} has closed its sales and must be made with POST /admin/draws/generate` });
+    }
+
+    const draw = await drawService.recordTestDraw(winning_numbers, powerball, { gameId: game.id, drawDate: draw_date });
+
+    res.status(201).json({
+      message: 'Test draw created successfully',
+      draw
+    });
+  } catch (error) {
+    console.error('Create draw error:', error);
+    res.status(500).json({ error: 'Failed to create draw' });
+  }
+});
+
+// Treasury balance in a currency's smallest unit
+async function getTreasuryBalanceUnits(currency) {
+  return currency === 'SOL'
+    ? currencies.fromDisplay(await solanaService.getTreasuryBalance(), currency)
+    : solanaService.getTreasuryTokenBalance(currency);
+}
+
+// Dry run of a draw: work out the winners and prizes of the game's next draw (or
+// `draw_id`) for candidate `winning_numbers` and `powerball`, or `winning_numbers:
+// "random"`. Nothing is recorded and nothing is paid.
+app.post('/admin/draws/simulate', authorizeAdmin('operator'), async (req, res) => {
+  try {
+    const { draw_id } = req.body;
+    let draw;
+
+    if (draw_id) {
+      const { data, error } = await supabaseAdmin
+        .from('draws')
+        .select('*')
+        .eq('id', draw_id)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to load draw: ${error.message}`);
+      }
+      draw = data;
+      if (!draw) {
+        return res.status(404).json({ error: 'Draw not found' });
+      }
+    }
+
+    const game = await gameService.get(draw ? draw.game_id : req.body.game);
+    if (!game) {
+      return res.status(400).json({ error: `Unknown game: ${req.body.game}` });
+    }
+
+    // The draw to be made next: one whose sales have closed, else the one on sale
+    if (!draw) {
+      draw = (await drawService.getClosedDraw(game.id))
+        || (await drawService.findDraw(game.id, await drawService.getSalesDrawTime(game)));
+      if (!draw) {
+        return res.status(404).json({ error: `No ${game.id} draw is open yet` });
+      }
+    }
+
+    if (draw.status === 'cancelled' || drawService.isDrawn(draw)) {
+      return res.status(409).json({ error: `Draw ${draw.id} has already been ${draw.status === 'cancelled' ? 'cancelled' : 'drawn'}` });
+    }
+
+    const random = req.body.winning_numbers === 'random';
+    const { numbers, powerball } = random
+      ? gameService.generateLine(game)
+      : { numbers: req.body.winning_numbers, powerball: req.body.powerball };
+
+    const lineError = gameService.validateLine(game, numbers, powerball);
+    if (lineError) {
+      return res.status(400).json({ error: lineError });
+    }
+
+    const structure = await prizeService.getStructure(game.id);
+    const tickets = await drawService.getTickets(draw.id);
+    const winnersByCurrency = groupByCurrency(findWinners(structure, tickets, numbers, powerball));
+
+    const pots = [];
+    for (const currency of currencies.codes()) {
+      const currencyWinners = winnersByCurrency.get(currency) || [];
+      if (currencyWinners.length === 0 && !(await hasUnsettledPot(draw, currency))) {
+        continue;
+      }
+
+      const { jackpot, distribution } = await planDrawSettlement(draw, currency, structure, currencyWinners);
+      const display = amount => currencies.toDisplay(amount, currency);
+
+      // Prizes already won but not paid out yet need the treasury as well
+      const outstanding = (await ledgerService.getBalances(currency)).prizes_payable;
+      const required = distribution.allocated + outstanding;
+      let treasury;
+      try {
+        const balance = await getTreasuryBalanceUnits(currency);
+        treasury = { balance: display(balance), required: display(required), outstanding_prizes: display(outstanding), sufficient: balance >= required };
+      } catch (treasuryError) {
+        treasury = { balance: null, required: display(required), outstanding_prizes: display(outstanding), sufficient: null, error: treasuryError.message };
+      }
+
+      pots.push({
+        currency,
+        sales: display(distribution.totalPot),
+        carried_in: display(jackpot.carriedIn),
+        seeded: display(jackpot.seeded),
+        jackpot: display(distribution.jackpot),
+        jackpot_must_be_won: jackpot.mustBeWon,
+        jackpot_won: distribution.jackpotWon,
+        rolled_down: distribution.rolledDown,
+        tiers: structure.tiers.map(tier => {
+          const result = distribution.tiers.find(t => t.tier === tier.tier);
+          return {
+            tier: tier.tier,
+            name: tier.name,
+            match: prizeService.describeMatch(tier),
+            winners: currencyWinners.filter(w => w.prize_tier === tier.tier).length,
+            prize_per_winner: display(distribution.prizePerWinnerByTier[tier.tier] || 0),
+            total: display(result ? result.tierTotalPrize : 0),
+            rolldown: display(result ? result.rolldown : 0)
+          };
+        }),
+        total_payout: display(distribution.allocated),
+        total_payout_lamports: distribution.allocated,
+        house_revenue: display(distribution.revenue),
+        rollover: display(distribution.remainingPot),
+        treasury
+      });
+    }
+
+    console.log(`🧪 Admin ${req.admin.id} simulated ${game.id} draw ${draw.id} with ${numbers.join(', ')} + ${powerball}`);
+
+    res.json({
+      message: 'Simulation only: nothing was recorded or paid',
+      game_id: game.id,
+      draw: { id: draw.id, draw_time: draw.draw_time, status: draw.status },
+      winning_numbers: [...numbers].sort((a, b) => a - b),
+      powerball,
+      random,
+      tickets: tickets.length,
+      pots
+    });
+  } catch (error) {
+    console.error('Simulate draw error:', error);
+    res.status(500).json({ error: 'Failed to simulate draw' });
+  }
+});
+
+app.post('/admin/draws/execute', authorizeAdmin('operator'), async (req, res) => {
+  try {
+    const { draw_id } = req.body;
     
+    if (!draw_id) {
+      return res.status(400).json({ error: 'Draw ID is required' });
+    }
+
+    // Get the draw
+    const { data: draw, error: drawError } = await supabaseAdmin
+      .from('draws')
+      .select('*')
+      .eq('id', draw_id)
+      .single();
+
+    if (drawError || !draw) {
+      return res.status(404).json({ error: 'Draw not found' });
+    }
+
+    if (draw.status === 'cancelled') {
+      return res.status(409).json({ error: 'Draw has been cancelled' });
+    }
+
+    if (!drawService.isDrawn(draw)) {
+      return res.status(409).json({ error: 'Draw has not been drawn yet' });
+    }
+
+    // Calculate winners, settle the pots and pay out in each pot's currency. Failed
+    // payouts leave the draw failed, to be resumed once they can be retried.
+    const run = await advanceDraw(draw);
+
+    if (!run.success && !run.payoutResults) {
+      return res.status(run.status).json({ error: run.error, draw: run.draw });
+    }
+
+    const winners = await getDrawWinners(draw.id);
+    const payoutResults = run.payoutResults || [];
+
+    const prizeTotals = totalsByCurrency(winners, w => currencies.toDisplay(w.prize_lamports, w.currency));
+
     res.json({
-      verified: true,
-      transaction_hash,
-      payment_intent_id,
-      message: 'Payment verified successfully'
+      message: run.success ? 'Draw executed successfully' : run.error,
+      draw: run.draw,
+      winners_count: winners.length,
+      total_prize_amount: prizeTotals[currencies.defaultCode] || 0,
+      total_prize_by_currency: prizeTotals,
+      winners,
+      payout_results: payoutResults
     });
   } catch (error) {
-    console.error('Payment verification error:', error);
-    res.status(500).json({ error: 'Payment verification failed' });
+    console.error('Execute draw error:', error);
+    res.status(500).json({ error: 'Failed to execute draw' });
   }
 });
 
-// Enhanced ticket routes
-app.post('/tickets/bulk', authenticateUser, async (req, res) => {
+app.get('/admin/treasury/balance', authorizeAdmin(...ADMIN_READ_ROLES), async (req, res) => {
+  try {
+    const balance = await solanaService.getTreasuryBalance();
+
+    // SPL token balances live in the treasury's associated token accounts
+    const tokenBalances = [];
+    for (const currency of currencies.list().filter(c => c.mint)) {
+      const amount = await solanaService.getTreasuryTokenBalance(currency.code);
+      tokenBalances.push({
+        currency: currency.code,
+        mint: currency.mint,
+        token_account: solanaService.getTreasuryTokenAccount(currency.mint),
+        balance: currencies.toDisplay(amount, currency.code),
+        balance_base_units: amount
+      });
+    }
+
+    res.json({
+      treasury_wallet: process.env.TREASURY_WALLET,
+      balance_sol: balance,
+      balance_lamports: Math.floor(balance * 1000000000), // Convert to lamports
+      token_balances: tokenBalances
+    });
+  } catch (error) {
+    console.error('Get treasury balance error:', error);
+    res.status(500).json({ error: 'Failed to get treasury balance' });
+  }
+});
+
+app.post('/admin/payouts/send', authorizeAdmin('treasurer'), async (req, res) => {
   try {
-    const { tickets, transaction_hash } = req.body;
+    const { winner_wallet, amount_sol, currency = 'SOL' } = req.body;
+    const amount = req.body.amount !== undefined ? req.body.amount : amount_sol;
     
-    if (!tickets || !Array.isArray(tickets) || tickets.length === 0) {
-      return res.status(400).json({ error: 'Tickets array is required' });
+    if (!winner_wallet || !amount) {
+      return res.status(400).json({ 
+        error: 'Winner wallet and amount are required' 
+      });
     }
 
-    if (!transaction_hash) {
-      return res.status(400).json({ error: 'Transaction hash is required' });
+    if (!currencies.isSupported(currency)) {
+      return res.status(400).json({ error: `Currency must be one of: ${currencies.codes().join(', ')}` });
     }
 
-    // Validate all tickets
-    for (const ticket of tickets) {
-      if (!ticket.numbers || !Array.isArray(ticket.numbers) || ticket.numbers.length !== 5) {
-        return res.status(400).json({ error: 'Each ticket must have exactly 5 numbers' });
-      }
-      
-      if (!ticket.powerball || ticket.powerball < 1 || ticket.powerball > 10) {
-        return res.status(400).json({ error: 'Powerball must be between 1 and 10' });
-      }
+    const result = await solanaService.sendPayout(winner_wallet, amount, currency);
 
-      // Validate numbers are between 1-30 and unique
-      const validNumbers = ticket.numbers.every(num => num >= 1 && num <= 30);
-      const uniqueNumbers = new Set(ticket.numbers).size === ticket.numbers.length;
-      
-      if (!validNumbers || !uniqueNumbers) {
-        return res.status(400).json({ 
-          error: 'Numbers must be between 1-30 and unique' 
+    // Manual payouts are not tied to a winner, so they leave the treasury as an adjustment
+    try {
+      if (result.success) {
+        await ledgerService.transfer('adjustment', {
+          debit: 'adjustments',
+          credit: 'treasury',
+          amount: currencies.fromDisplay(amount, currency),
+          currency,
+          reference: `manual-payout:${result.signature}`,
+          description: req.body.note || `Manual payout to ${winner_wallet}`,
+          createdBy: req.admin.id
         });
       }
+    } catch (ledgerError) {
+      console.error(`❌ Manual payout ${result.signature} sent but not recorded in the ledger:`, ledgerError.message);
     }
 
-    // Create all tickets
-    const ticketData = tickets.map(ticket => ({
-      user_id: req.user.id,
-      numbers: ticket.numbers,
-      powerball: ticket.powerball,
-      transaction_hash
-    }));
+    res.json(result);
+  } catch (error) {
+    console.error('Send payout error:', error);
+    res.status(500).json({ error: 'Failed to send payout' });
+  }
+});
 
-    const { data: createdTickets, error } = await supabaseAdmin
-      .from('tickets')
-      .insert(ticketData)
-      .select();
+// Settle a syndicate member payout whose transfer could not be confirmed, once it has
+// been checked in the treasury
+app.post('/admin/syndicate-payouts/:id/resolve', authorizeAdmin('treasurer'), async (req, res) => {
+  try {
+    const { transaction_signature } = req.body;
+    const resolved = await syndicateService.resolvePayout(req.params.id, transaction_signature || null);
+    if (!resolved.success) {
+      return res.status(resolved.status).json({ error: resolved.error });
+    }
+
+    console.log(`🤝 Admin ${req.admin.id} resolved syndicate payout ${req.params.id} as ${resolved.payout.status}`);
+
+    res.json({ payout: resolved.payout });
+  } catch (error) {
+    console.error('Resolve syndicate payout error:', error);
+    res.status(500).json({ error: 'Failed to resolve syndicate payout' });
+  }
+});
+
+// Treasury deposits with no tickets, or paying the wrong amount, waiting for an admin decision
+app.get('/admin/payments/unmatched', authorizeAdmin(...ADMIN_READ_ROLES), async (req, res) => {
+  try {
+    const { status, currency } = req.query;
+    const statuses = status ? [status] : treasuryIndexer.unresolvedStatuses;
+
+    if (!statuses.every(s => treasuryIndexer.unresolvedStatuses.includes(s))) {
+      return res.status(400).json({ error: `Status must be one of: ${treasuryIndexer.unresolvedStatuses.join(', ')}` });
+    }
+
+    let query = supabaseAdmin
+      .from('treasury_deposits')
+      .select('*')
+      .in('status', statuses)
+      .order('block_time', { ascending: false });
+
+    if (currency) query = query.eq('currency', currency);
+
+    const { data: deposits, error } = await query;
 
     if (error) {
-      console.error('Bulk ticket creation error:', error);
-      return res.status(500).json({ error: 'Failed to create tickets' });
+      console.error('Fetch unmatched payments error:', error);
+      return res.status(500).json({ error: 'Failed to fetch unmatched payments' });
     }
 
-    res.status(201).json({
-      message: 'Tickets created successfully',
-      tickets: createdTickets,
-      count: createdTickets.length
+    const withOutstanding = deposits.map(deposit => ({
+      ...deposit,
+      outstanding_lamports: getDepositOutstanding(deposit)
+    }));
+
+    // Amounts are in each currency's smallest unit, so totals are kept per currency
+    const totalOutstanding = {};
+    for (const deposit of withOutstanding) {
+      totalOutstanding[deposit.currency] = (totalOutstanding[deposit.currency] || 0) + deposit.outstanding_lamports;
+    }
+
+    res.json({
+      deposits: withOutstanding,
+      count: withOutstanding.length,
+      total_outstanding_by_currency: totalOutstanding
     });
   } catch (error) {
-    console.error('Bulk ticket creation error:', error);
-    res.status(500).json({ error: 'Failed to create tickets' });
+    console.error('Fetch unmatched payments error:', error);
+    res.status(500).json({ error: 'Failed to fetch unmatched payments' });
   }
 });
 
-app.get('/tickets/active', authenticateUser, async (req, res) => {
+// Issue the tickets of a payment intent against an unmatched deposit
+app.post('/admin/payments/:depositId/assign', authorizeAdmin('treasurer'), async (req, res) => {
   try {
-    // Get the latest draw date
-    const { data: latestDraw } = await supabase
-      .from('draws')
-      .select('draw_date')
-      .order('draw_date', { ascending: false })
-      .limit(1)
+    const { payment_intent_id, note } = req.body;
+
+    if (!payment_intent_id) {
+      return res.status(400).json({ error: 'Payment intent ID is required' });
+    }
+
+    const deposit = await getUnresolvedDeposit(req.params.depositId);
+    if (!deposit.success) {
+      return res.status(deposit.status).json({ error: deposit.error });
+    }
+
+    if (Number(deposit.deposit.assigned_lamports) > 0) {
+      return res.status(409).json({ error: 'Deposit has already been assigned' });
+    }
+
+    const { data: intent } = await supabaseAdmin
+      .from('payment_intents')
+      .select('*, users!user_id(id, wallet_address)')
+      .eq('id', payment_intent_id)
+      .maybeSingle();
+
+    if (!intent) {
+      return res.status(404).json({ error: 'Payment intent not found' });
+    }
+
+    if (intent.status === 'consumed') {
+      return res.status(409).json({ error: 'Payment intent has already been used' });
+    }
+
+    if (intent.status === 'voided') {
+      return res.status(409).json({ error: 'Payment intent was voided when its payment was refunded' });
+    }
+
+    if (intent.currency !== deposit.deposit.currency) {
+      return res.status(400).json({ error: `Deposit is in ${deposit.deposit.currency} but the payment intent is in ${intent.currency}` });
+    }
+
+    // The tickets are paid for at the intent's price; anything over it stays on the
+    // deposit as its refundable remainder
+    const assignedLamports = Math.min(Number(deposit.deposit.amount_lamports), Number(intent.amount_lamports));
+    const recorded = await recordIntentPayment(intent.users, intent, {
+      transactionHash: deposit.deposit.signature,
+      walletAddress: deposit.deposit.sender,
+      lamports: assignedLamports,
+      slot: deposit.deposit.slot
+    });
+    if (!recorded.success) {
+      return res.status(recorded.status).json({ error: recorded.error });
+    }
+
+    const issued = await createIntentTickets(intent.users, intent, recorded.payment);
+    if (!issued.success) {
+      return res.status(issued.status).json({ error: issued.error });
+    }
+
+    const updated = {
+      ...deposit.deposit,
+      assigned_lamports: assignedLamports
+    };
+
+    const { data: savedDeposit, error } = await supabaseAdmin
+      .from('treasury_deposits')
+      .update({
+        assigned_lamports: assignedLamports,
+        payment_intent_id: intent.id,
+        ticket_payment_id: recorded.payment.id,
+        status: getDepositOutstanding(updated) > 0 ? deposit.deposit.status : 'resolved',
+        resolved_by: req.admin.id,
+        resolved_at: new Date().toISOString(),
+        resolution_note: note || null
+      })
+      .eq('id', deposit.deposit.id)
+      .select()
       .single();
 
-    const drawDate = latestDraw?.draw_date || new Date().toISOString().split('T')[0];
+    if (error) {
+      console.error('Update deposit error:', error);
+      return res.status(500).json({ error: 'Tickets issued but failed to update deposit' });
+    }
 
-    // Get tickets for current draw period
-    const { data: tickets, error } = await supabase
-      .from('tickets')
+    console.log(`🏦 Admin ${req.admin.id} assigned deposit ${deposit.deposit.signature} to intent ${intent.id}`);
+
+    res.json({
+      message: 'Deposit assigned successfully',
+      deposit: { ...savedDeposit, outstanding_lamports: getDepositOutstanding(savedDeposit) },
+      tickets: issued.tickets
+    });
+  } catch (error) {
+    console.error('Assign deposit error:', error);
+    res.status(500).json({ error: 'Failed to assign deposit' });
+  }
+});
+
+// Send an unmatched deposit (or the overpaid part of one) back to its sender
+app.post('/admin/payments/:depositId/refund', authorizeAdmin('treasurer'), async (req, res) => {
+  try {
+    const { amount_lamports, note } = req.body;
+    const result = await refundDeposit(req.params.depositId, amount_lamports, req.admin, note);
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error('Refund deposit error:', error);
+    res.status(500).json({ error: 'Failed to refund deposit' });
+  }
+});
+
+// Refunds: a treasury deposit, specific tickets, or every ticket in a cancelled draw
+app.post('/admin/refunds', authorizeAdmin('treasurer'), async (req, res) => {
+  try {
+    const { deposit_id, amount_lamports, ticket_ids, draw_id, reason, note } = req.body;
+
+    const targets = [deposit_id, ticket_ids, draw_id].filter(t => t !== undefined);
+    if (targets.length !== 1) {
+      return res.status(400).json({ error: 'Provide exactly one of deposit_id, ticket_ids or draw_id' });
+    }
+
+    if (reason && !refundService.reasons.includes(reason)) {
+      return res.status(400).json({ error: `Reason must be one of: ${refundService.reasons.join(', ')}` });
+    }
+
+    // Unmatched payment sitting in the treasury
+    if (deposit_id) {
+      const result = await refundDeposit(deposit_id, amount_lamports, req.admin, note);
+      return res.status(result.status).json(result.body);
+    }
+
+    // Specific tickets, e.g. rejected by validation after payment
+    if (ticket_ids) {
+      if (!Array.isArray(ticket_ids) || ticket_ids.length === 0) {
+        return res.status(400).json({ error: 'ticket_ids must be a non-empty array' });
+      }
+
+      const { refunds, syndicateReturns, voidedTickets, unrefundedTickets } = await refundService.refundTickets(ticket_ids, {
+        reason: reason || 'rejected_ticket',
+        requestedBy: req.admin.id,
+        note
+      });
+
+      console.log(`↩️  Admin ${req.admin.id} refunded ${voidedTickets.length} ticket(s)`);
+
+      return res.status(201).json({
+        message: 'Tickets refunded',
+        refunded_tickets: voidedTickets.length,
+        skipped_tickets: ticket_ids.length - voidedTickets.length,
+        unrefunded_ticket_ids: unrefundedTickets.map(t => t.id),
+        refunds,
+        syndicate_returns: syndicateReturns,
+        failed_refunds: refunds.filter(r => r.status === 'failed').length
+      });
+    }
+
+    // Cancel a draw and refund everything sold into it
+    const { data: draw } = await supabaseAdmin
+      .from('draws')
       .select('*')
-      .eq('user_id', req.user.id)
-      .gte('created_at', drawDate)
-      .order('created_at', { ascending: false });
+      .eq('id', draw_id)
+      .maybeSingle();
 
-    if (error) {
-      console.error('Fetch active tickets error:', error);
-      return res.status(500).json({ error: 'Failed to fetch active tickets' });
+    if (!draw) {
+      return res.status(404).json({ error: 'Draw not found' });
     }
 
-    res.json({ 
-      tickets,
-      draw_date: drawDate,
-      count: tickets.length
+    // Once a draw is drawn its pot is settled, so refunding its tickets would take them
+    // out of the pot a second time
+    if (draw.status === 'cancelled' || drawService.isDrawn(draw)) {
+      return res.status(409).json({ error: `Draw has already been ${draw.status === 'cancelled' ? 'cancelled' : 'drawn'} and cannot be cancelled` });
+    }
+
+    // The transition only applies if the draw is still where it was loaded, so a draw
+    // the pipeline has just moved on is not cancelled under it
+    try {
+      await drawService.transition(draw, 'cancelled');
+    } catch (cancelError) {
+      return res.status(409).json({ error: cancelError.message });
+    }
+
+    const drawTickets = await drawService.getTickets(draw.id);
+    const { refunds, syndicateReturns, voidedTickets, unrefundedTickets } = drawTickets.length > 0
+      ? await refundService.refundTickets(drawTickets.map(t => t.id), {
+        reason: 'cancelled_draw',
+        drawId: draw_id,
+        requestedBy: req.admin.id,
+        note
+      })
+      : { refunds: [], syndicateReturns: [], voidedTickets: [], unrefundedTickets: [] };
+
+    console.log(`↩️  Admin ${req.admin.id} cancelled draw ${draw_id} and refunded ${voidedTickets.length} ticket(s)`);
+
+    res.status(201).json({
+      message: 'Draw cancelled and tickets refunded',
+      draw_id,
+      refunded_tickets: voidedTickets.length,
+      unrefunded_ticket_ids: unrefundedTickets.map(t => t.id),
+      refunds,
+      syndicate_returns: syndicateReturns,
+      failed_refunds: refunds.filter(r => r.status === 'failed').length
     });
   } catch (error) {
-    console.error('Fetch active tickets error:', error);
-    res.status(500).json({ error: 'Failed to fetch active tickets' });
+    console.error('Create refund error:', error);
+    res.status(500).json({ error: 'Failed to create refund' });
   }
 });
 
-// Pot routes
-app.get('/pot', async (req, res) => {
+app.get('/admin/refunds', authorizeAdmin(...ADMIN_READ_ROLES), async (req, res) => {
   try {
-    const { data: pot, error } = await supabaseAdmin
-      .from('pot')
+    const { status, reason, draw_id, currency } = req.query;
+
+    let query = supabaseAdmin
+      .from('refunds')
       .select('*')
-      .order('created_at', { ascending: false })
-      .limit(1)
-      .single();
+      .order('created_at', { ascending: false });
+
+    if (status) query = query.eq('status', status);
+    if (reason) query = query.eq('reason', reason);
+    if (draw_id) query = query.eq('draw_id', draw_id);
+    if (currency) query = query.eq('currency', currency);
+
+    const { data: refunds, error } = await query;
 
     if (error) {
-      console.error('Get pot error:', error);
-      return res.status(500).json({ error: 'Failed to get pot information' });
+      console.error('Fetch refunds error:', error);
+      return res.status(500).json({ error: 'Failed to fetch refunds' });
     }
 
-    res.json({ pot });
+    const totalByCurrency = {};
+    for (const refund of refunds) {
+      totalByCurrency[refund.currency] = (totalByCurrency[refund.currency] || 0) + Number(refund.amount_lamports);
+    }
+
+    res.json({
+      refunds,
+      count: refunds.length,
+      total_by_currency: totalByCurrency
+    });
   } catch (error) {
-    console.error('Get pot error:', error);
-    res.status(500).json({ error: 'Failed to get pot information' });
+    console.error('Fetch refunds error:', error);
+    res.status(500).json({ error: 'Failed to fetch refunds' });
   }
 });
 
-// Manual trigger for automated draw (testing only)
-app.post('/admin/draws/execute-automated', async (req, res) => {
+// Retry a refund whose transfer failed
+app.post('/admin/refunds/:id/retry', authorizeAdmin('treasurer'), async (req, res) => {
   try {
-    console.log('🔧 Manual trigger of automated draw process...\n');
-    await executeAutomatedDraw();
-    res.json({ message: 'Automated draw executed successfully' });
+    const { data: refund } = await supabaseAdmin
+      .from('refunds')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (!refund) {
+      return res.status(404).json({ error: 'Refund not found' });
+    }
+
+    // A transfer sent but not confirmed is checked on-chain, and only sent again if it did not land
+    let current = refund;
+    if (refund.status === 'sending' && refund.refund_signature) {
+      current = await refundService.reconcileRefund(refund);
+      if (current.status !== 'failed') {
+        return res.status(current.status === 'sent' ? 200 : 409).json(current.status === 'sent'
+          ? { refund: current }
+          : { error: `Refund transfer ${current.refund_signature} is still unconfirmed, check again later`, refund: current });
+      }
+    }
+
+    const stuck = current.status === 'pending' &&
+      new Date(current.created_at) < new Date(Date.now() - STUCK_REFUND_MINUTES * 60 * 1000);
+    if (current.status !== 'failed' && !stuck) {
+      return res.status(409).json({ error: `Refund is ${current.status}, only failed refunds (or refunds pending for over ${STUCK_REFUND_MINUTES} minutes) can be retried` });
+    }
+
+    const result = await refundService.sendRefund(current);
+    res.status(result.status === 'sent' ? 200 : 502).json({ refund: result });
   } catch (error) {
-    console.error('Execute automated draw error:', error);
-    res.status(500).json({ error: 'Failed to execute automated draw' });
+    console.error('Retry refund error:', error);
+    res.status(500).json({ error: 'Failed to retry refund' });
   }
 });
 
-// Test Twitter posting (testing only)
-app.post('/admin/test/twitter', async (req, res) => {
+app.get('/admin/stats', authorizeAdmin(...ADMIN_READ_ROLES), async (req, res) => {
   try {
-    const testResults = {
-      draw: {
-        winning_numbers: [5, 12, 18, 24, 29],
-        powerball: 7,
-        id: 'test-draw-id'
-      },
-      winners: [
-        {
-          wallet_address: '4EPFeqtnyYTa2vmn6NTiViZ8nNv7cMsQZRi43Y24VUnf',
-          prize_tier: 1,
-          prize_amount: 50.5,
-          transaction_signature: '5YourTestTransactionSignatureHere...'
-        }
-      ],
-      totalPot: 100,
-      totalPaid: 85,
-      successfulPayouts: 1
-    };
+    // Get total winners
+    const { count: totalWinners } = await supabaseAdmin
+      .from('winners')
+      .select('*', { count: 'exact', head: true });
+
+    // Tickets whose numbers were drawn by the server
+    const { count: quickPickTickets } = await supabaseAdmin
+      .from('tickets')
+      .select('*', { count: 'exact', head: true })
+      .eq('quick_pick', true);
+
+    // Tickets players cancelled; their refunds are already netted out of sales
+    const { count: cancelledTickets } = await supabaseAdmin
+      .from('tickets')
+      .select('*', { count: 'exact', head: true })
+      .eq('status', 'cancelled');
+
+    // Sales, prizes and revenue per currency come from the ledger, in whole units
+    const byCurrency = [];
+    for (const code of currencies.codes()) {
+      const summary = await ledgerService.getSummary(code);
+      const toDisplay = amount => currencies.toDisplay(amount, code);
+
+      byCurrency.push({
+        currency: code,
+        total_tickets_sold: summary.tickets_sold,
+        total_revenue: toDisplay(summary.net_ticket_sales),
+        total_prizes_allocated: toDisplay(summary.prizes_allocated),
+        total_prizes_paid: toDisplay(summary.prizes_paid),
+        prizes_outstanding: toDisplay(summary.balances.prizes_payable),
+        refunds_paid: toDisplay(summary.refunds_paid),
+        cancellation_fees: toDisplay(summary.cancellation_fees),
+        current_pot: toDisplay(summary.pot),
+        profit: toDisplay(summary.house_revenue)
+      });
+    }
+
+    // Get treasury balance
+    const treasuryBalance = await solanaService.getTreasuryBalance();
+    const sol = byCurrency.find(c => c.currency === currencies.defaultCode);
 
-    const result = await postDrawResultsToTwitter(testResults);
-    res.json(result);
+    res.json({
+      total_tickets_sold: byCurrency.reduce((sum, c) => sum + c.total_tickets_sold, 0),
+      total_revenue_sol: sol.total_revenue,
+      total_winners: totalWinners || 0,
+      quick_pick_tickets: quickPickTickets || 0,
+      cancelled_tickets: cancelledTickets || 0,
+      total_prizes_paid_sol: sol.total_prizes_paid,
+      treasury_balance_sol: treasuryBalance,
+      profit_sol: sol.profit,
+      by_currency: byCurrency
+    });
   } catch (error) {
-    console.error('Test Twitter error:', error);
-    res.status(500).json({ error: 'Failed to test Twitter posting' });
+    console.error('Get stats error:', error);
+    res.status(500).json({ error: 'Failed to get statistics' });
   }
 });
 
-// Reset pot (admin only)
-app.post('/admin/pot/reset', async (req, res) => {
+// Quote a value for a CSV cell
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Browse ledger transactions with their legs, or export them as CSV (one row per leg)
+app.get('/admin/ledger', authorizeAdmin(...ADMIN_READ_ROLES), async (req, res) => {
   try {
-    const { data: currentPot, error: fetchError } = await supabaseAdmin
-      .from('pot')
-      .select('*')
-      .order('created_at', { ascending: false })
-      .limit(1)
-      .single();
+    const { currency, type, account, draw_id, reference, from, to, format } = req.query;
+    const limit = Math.min(parseInt(req.query.limit || '100', 10) || 100, 1000);
+    const offset = parseInt(req.query.offset || '0', 10) || 0;
 
-    if (fetchError) {
-      console.error('Get pot error:', fetchError);
-      return res.status(500).json({ error: 'Failed to get pot information' });
+    if (type && !ledgerService.entryTypes.includes(type)) {
+      return res.status(400).json({ error: `Type must be one of: ${ledgerService.entryTypes.join(', ')}` });
     }
 
-    const oldAmount = currentPot ? currentPot.current_amount : 0;
+    if (account && !ledgerService.isValidAccount(account)) {
+      return res.status(400).json({ error: `Account must be one of: ${ledgerService.accounts.join(', ')}` });
+    }
 
-    // Update pot to 0
-    const { data: updatedPot, error } = await supabaseAdmin
-      .from('pot')
-      .update({
-        current_amount: 0,
-        total_tickets_sold: 0,
-        last_updated: new Date().toISOString()
-      })
-      .eq('id', currentPot.id)
-      .select()
-      .single();
+    // Filtering on an account only keeps the transactions (and legs) that touch it
+    let query = supabaseAdmin
+      .from('ledger_transactions')
+      .select(account ? '*, ledger_entries!inner(*)' : '*, ledger_entries(*)', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (currency) query = query.eq('currency', currency);
+    if (type) query = query.eq('type', type);
+    if (account) query = query.eq('ledger_entries.account', account);
+    if (draw_id) query = query.eq('draw_id', draw_id);
+    if (reference) query = query.eq('reference', reference);
+    if (from) query = query.gte('created_at', from);
+    if (to) query = query.lte('created_at', to);
+
+    const { data: transactions, count, error } = await query;
 
     if (error) {
-      console.error('Reset pot error:', error);
-      return res.status(500).json({ error: 'Failed to reset pot' });
+      console.error('Fetch ledger error:', error);
+      return res.status(500).json({ error: 'Failed to fetch ledger' });
     }
 
-    console.log('💰 Pot reset successfully!');
-    console.log(`   - Previous amount: ${oldAmount} SOL`);
-    console.log(`   - New amount: 0 SOL`);
+    if (format === 'csv') {
+      const header = ['created_at', 'transaction_id', 'type', 'reference', 'currency', 'account', 'debit', 'credit', 'ticket_count', 'draw_id', 'description'];
+      const rows = [header.join(',')];
+      for (const transaction of transactions) {
+        for (const entry of transaction.ledger_entries) {
+          rows.push([
+            transaction.created_at,
+            transaction.id,
+            transaction.type,
+            transaction.reference,
+            transaction.currency,
+            entry.account,
+            entry.debit_lamports,
+            entry.credit_lamports,
+            transaction.ticket_count,
+            transaction.draw_id,
+            transaction.description
+          ].map(csvCell).join(','));
+        }
+      }
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="ledger-${new Date().toISOString().slice(0, 10)}.csv"`);
+      return res.send(rows.join('\n') + '\n');
+    }
 
     res.json({
-      message: 'Pot reset successfully',
-      previous_amount: oldAmount,
-      new_amount: 0,
-      pot: updatedPot
+      transactions: transactions.map(({ ledger_entries, ...transaction }) => ({
+        ...transaction,
+        entries: ledger_entries
+      })),
+      count: transactions.length,
+      total: count,
+      limit,
+      offset
     });
   } catch (error) {
-    console.error('Reset pot error:', error);
-    res.status(500).json({ error: 'Failed to reset pot' });
+    console.error('Fetch ledger error:', error);
+    res.status(500).json({ error: 'Failed to fetch ledger' });
   }
 });
 
-// Countdown route - Calculate time until next Friday 20:00 UTC draw
-app.get('/countdown', async (req, res) => {
+// Balance of every ledger account, per currency
+app.get('/admin/ledger/balances', authorizeAdmin(...ADMIN_READ_ROLES), async (req, res) => {
   try {
-    const now = new Date();
-    const currentUTC = new Date(now.getTime() + (now.getTimezoneOffset() * 60000));
-    
-    // Get current day of week (0 = Sunday, 1 = Monday, ..., 5 = Friday, 6 = Saturday)
-    const currentDay = currentUTC.getUTCDay();
-    const currentHour = currentUTC.getUTCHours();
-    const currentMinute = currentUTC.getUTCMinutes();
-    const currentSecond = currentUTC.getUTCSeconds();
-    
-    // Calculate days until next Friday
-    let daysUntilFriday;
-    if (currentDay === 5) { // Friday
-      if (currentHour < 20 || (currentHour === 20 && currentMinute === 0 && currentSecond === 0)) {
-        // It's Friday but before 20:00 UTC, next draw is today
-        daysUntilFriday = 0;
-      } else {
-        // It's Friday but after 20:00 UTC, next draw is next Friday
-        daysUntilFriday = 7;
+    const balances = [];
+    for (const code of currencies.codes()) {
+      const lamports = await ledgerService.getBalances(code);
+      const display = {};
+      for (const [account, amount] of Object.entries(lamports)) {
+        display[account] = currencies.toDisplay(amount, code);
       }
-    } else if (currentDay < 5) {
-      // Monday to Thursday
-      daysUntilFriday = 5 - currentDay;
-    } else {
-      // Saturday or Sunday
-      daysUntilFriday = 5 + (7 - currentDay);
+      balances.push({ currency: code, balances: display, balances_lamports: lamports });
     }
-    
-    // Calculate next draw time
-    const nextDraw = new Date(currentUTC);
-    nextDraw.setUTCDate(currentUTC.getUTCDate() + daysUntilFriday);
-    nextDraw.setUTCHours(20, 0, 0, 0); // 20:00 UTC
-    
-    // Calculate time difference in milliseconds
-    const timeDiff = nextDraw.getTime() - currentUTC.getTime();
-    
-    // Convert to hours, minutes, seconds
-    const totalHours = Math.floor(timeDiff / (1000 * 60 * 60));
-    const totalMinutes = Math.floor(timeDiff / (1000 * 60));
-    const totalSeconds = Math.floor(timeDiff / 1000);
-    
-    const hours = totalHours;
-    const minutes = totalMinutes % 60;
-    const seconds = totalSeconds % 60;
-    
-    // Format next draw date
-    const nextDrawDate = nextDraw.toISOString().split('T')[0]; // YYYY-MM-DD
-    const nextDrawTime = '20:00 UTC';
-    const nextDrawDay = nextDraw.toLocaleDateString('en-US', { 
-      weekday: 'long', 
-      timeZone: 'UTC' 
+
+    res.json({ balances });
+  } catch (error) {
+    console.error('Get ledger balances error:', error);
+    res.status(500).json({ error: 'Failed to get ledger balances' });
+  }
+});
+
+// Manual correction between two accounts, always with a note for the audit trail
+app.post('/admin/ledger/adjustments', authorizeAdmin('treasurer'), async (req, res) => {
+  try {
+    const { currency = 'SOL', debit_account, credit_account, amount_lamports, note } = req.body;
+    const amount = Number(amount_lamports);
+
+    if (!currencies.isSupported(currency)) {
+      return res.status(400).json({ error: `Currency must be one of: ${currencies.codes().join(', ')}` });
+    }
+
+    if (!ledgerService.isValidAccount(debit_account) || !ledgerService.isValidAccount(credit_account) || debit_account === credit_account) {
+      return res.status(400).json({ error: `Debit and credit accounts must be two of: ${ledgerService.accounts.join(', ')}` });
+    }
+
+    if (!Number.isSafeInteger(amount) || amount <= 0) {
+      return res.status(400).json({ error: 'amount_lamports must be a positive integer' });
+    }
+
+    if (!note) {
+      return res.status(400).json({ error: 'A note explaining the adjustment is required' });
+    }
+
+    const transaction = await ledgerService.transfer('adjustment', {
+      debit: debit_account,
+      credit: credit_account,
+      amount,
+      currency,
+      reference: `adjustment:${crypto.randomUUID()}`,
+      description: note,
+      createdBy: req.admin.id
     });
-    
+
+    console.log(`🧾 Ledger adjustment: ${currencies.format(amount, currency)} ${currency} from ${credit_account} to ${debit_account} (${note})`);
+
+    res.json({ message: 'Adjustment posted', transaction });
+  } catch (error) {
+    console.error('Post ledger adjustment error:', error);
+    res.status(500).json({ error: 'Failed to post ledger adjustment' });
+  }
+});
+
+// Users currently cooling off or self-excluded
+app.get('/admin/responsible-gaming/exclusions', authorizeAdmin(...ADMIN_READ_ROLES), async (req, res) => {
+  try {
+    const exclusions = await responsibleGamingService.listExclusions();
+
     res.json({
-      next_draw: {
-        date: nextDrawDate,
-        time: nextDrawTime,
-        day: nextDrawDay,
-        full_datetime: nextDraw.toISOString()
-      },
-      countdown: {
-        total_hours: hours,
-        total_minutes: totalMinutes,
-        total_seconds: totalSeconds,
-        hours: hours,
-        minutes: minutes,
-        seconds: seconds,
-        formatted: `${hours}h ${minutes}m ${seconds}s`
-      },
-      current_time: {
-        utc: currentUTC.toISOString(),
-        day: currentUTC.toLocaleDateString('en-US', { 
-          weekday: 'long', 
-          timeZone: 'UTC' 
-        }),
-        time: `${currentUTC.getUTCHours().toString().padStart(2, '0')}:${currentUTC.getUTCMinutes().toString().padStart(2, '0')}:${currentUTC.getUTCSeconds().toString().padStart(2, '0')} UTC`
-      }
+      exclusions: exclusions.map(controls => ({
+        user_id: controls.user_id,
+        wallet_address: controls.users?.wallet_address,
+        ...formatControls(controls)
+      })),
+      count: exclusions.length
     });
   } catch (error) {
-    console.error('Countdown calculation error:', error);
-    res.status(500).json({ error: 'Failed to calculate countdown' });
+    console.error('List exclusions error:', error);
+    res.status(500).json({ error: 'Failed to list exclusions' });
   }
 });
 
-// Generate random winning numbers
-app.post('/admin/draws/generate', async (req, res) => {
-  try {
-    // Generate 5 unique numbers between 1-30 using cryptographically secure random
-    const winning_numbers = [];
-    while (winning_numbers.length < 5) {
-      const num = crypto.randomInt(1, 31); // Cryptographically secure: 1-30 inclusive
-      if (!winning_numbers.includes(num)) {
-        winning_numbers.push(num);
-      }
-    }
-    winning_numbers.sort((a, b) => a - b);
+// A user's limits and exclusion with their audit trail
+app.get('/admin/responsible-gaming/users/:userId', authorizeAdmin(...ADMIN_READ_ROLES), async (req, res) => {
+  try {
+    const controls = await responsibleGamingService.get(req.params.userId);
+    const events = await responsibleGamingService.getEvents(req.params.userId);
 
-    // Generate powerball between 1-10 using cryptographically secure random
-    const powerball = crypto.randomInt(1, 11); // Cryptographically secure: 1-10 inclusive
+    res.json({ user_id: req.params.userId, limits: formatControls(controls), events });
+  } catch (error) {
+    console.error('Get user limits error:', error);
+    res.status(500).json({ error: 'Failed to get user limits' });
+  }
+});
 
-    const { data: draw, error } = await supabaseAdmin
-      .from('draws')
-      .insert({
-        winning_numbers,
-        powerball,
-        draw_date: new Date().toISOString()
-      })
-      .select()
-      .single();
+// Lift a user's exclusion, or exclude them (until a date, or for good). Recorded with
+// the admin and their reason.
+app.post('/admin/responsible-gaming/users/:userId/override', authorizeAdmin('operator'), async (req, res) => {
+  try {
+    const { action, until, reason } = req.body;
 
-    if (error) {
-      console.error('Generate draw error:', error);
-      return res.status(500).json({ error: 'Failed to generate draw' });
+    if (!['lift', 'exclude'].includes(action)) {
+      return res.status(400).json({ error: 'Action must be lift or exclude' });
     }
 
-    console.log('🎲 Draw generated successfully! (Cryptographically Secure)');
-    console.log('📊 Winning Numbers:', winning_numbers.join(', '));
-    console.log('🎯 Powerball:', powerball);
-    console.log('📅 Draw Date:', new Date().toISOString());
-    console.log('🆔 Draw ID:', draw.id);
-    console.log('🔒 Random Generation: crypto.randomInt() - Provably Fair');
+    if (until !== undefined && (action !== 'exclude' || Number.isNaN(Date.parse(until)) || new Date(until) <= new Date())) {
+      return res.status(400).json({ error: 'until must be a future date, and only applies to exclude' });
+    }
 
-    res.status(201).json({ 
-      message: 'Draw generated successfully',
-      draw: {
-        id: draw.id,
-        winning_numbers: draw.winning_numbers,
-        powerball: draw.powerball,
-        draw_date: draw.draw_date
-      }
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required for the audit trail' });
+    }
+
+    const { data: user } = await supabaseAdmin
+      .from('users')
+      .select('id')
+      .eq('id', req.params.userId)
+      .maybeSingle();
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const controls = await responsibleGamingService.override(user.id, req.admin, {
+      action,
+      until: until ? new Date(until).toISOString() : null,
+      reason
     });
+
+    console.log(`🔐 Admin ${req.admin.id} ${action === 'lift' ? 'lifted the exclusion of' : 'excluded'} user ${user.id} (${reason})`);
+
+    res.json({ message: action === 'lift' ? 'Exclusion lifted' : 'User excluded', limits: formatControls(controls) });
   } catch (error) {
-    console.error('Generate draw error:', error);
-    res.status(500).json({ error: 'Failed to generate draw' });
+    console.error('Override exclusion error:', error);
+    res.status(500).json({ error: 'Failed to override exclusion' });
   }
 });
 
-// Calculate winners for a draw
-app.post('/admin/draws/:drawId/calculate-winners', async (req, res) => {
+// Execute complete draw with payouts
+app.post('/admin/draws/:drawId/execute', authorizeAdmin('operator'), async (req, res) => {
   try {
     const { drawId } = req.params;
     
@@ -855,634 +4815,373 @@ app.post('/admin/draws/:drawId/calculate-winners', async (req, res) => {
       return res.status(404).json({ error: 'Draw not found' });
     }
 
-    // Get all tickets for this draw period (assuming tickets are for current draw)
-    const { data: tickets, error: ticketsError } = await supabaseAdmin
-      .from('tickets')
-      .select('*')
-      .gte('created_at', new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString()); // Last 7 days
-
-    if (ticketsError) {
-      console.error('Get tickets error:', ticketsError);
-      return res.status(500).json({ error: 'Failed to get tickets' });
+    if (draw.status === 'cancelled') {
+      return res.status(409).json({ error: 'Draw has been cancelled' });
     }
 
-    const winners = [];
-    const winningNumbers = draw.winning_numbers;
-    const winningPowerball = draw.powerball;
-
-    // Calculate matches for each ticket
-    for (const ticket of tickets) {
-      const ticketNumbers = ticket.numbers;
-      const ticketPowerball = ticket.powerball;
-      
-      // Count matching numbers
-      const matchingNumbers = ticketNumbers.filter(num => winningNumbers.includes(num)).length;
-      const powerballMatch = ticketPowerball === winningPowerball;
-
-      let prizeTier = 0;
-      let prizeAmount = 0;
-
-      // Determine prize tier
-      if (matchingNumbers === 5 && powerballMatch) {
-        prizeTier = 1; // Jackpot
-      } else if (matchingNumbers === 5) {
-        prizeTier = 2; // 5 numbers
-      } else if (matchingNumbers === 4 && powerballMatch) {
-        prizeTier = 3; // 4 + powerball
-      } else if (matchingNumbers === 4) {
-        prizeTier = 4; // 4 numbers
-      } else if (matchingNumbers === 3 && powerballMatch) {
-        prizeTier = 5; // 3 + powerball
-      } else if (matchingNumbers === 3) {
-        prizeTier = 6; // 3 numbers
-      }
-
-      if (prizeTier > 0) {
-        winners.push({
-          ticket_id: ticket.id,
-          user_id: ticket.user_id,
-          wallet_address: ticket.user_id, // We'll need to get this from users table
-          prize_tier: prizeTier,
-          matching_numbers: matchingNumbers,
-          powerball_match: powerballMatch,
-          prize_amount: prizeAmount // Will be calculated based on pot
-        });
-      }
+    if (!drawService.isDrawn(draw)) {
+      return res.status(409).json({ error: 'Draw has not been drawn yet' });
     }
 
-    // Get current pot amount
-    const { data: pot } = await supabaseAdmin
-      .from('pot')
-      .select('current_amount')
-      .order('created_at', { ascending: false })
-      .limit(1)
-      .single();
-
-    const totalPot = pot ? parseFloat(pot.current_amount) : 0;
-
-    // Calculate prize amounts based on pot (85% to winners, 15% revenue)
-    const winnerPot = totalPot * 0.85; // 85% for winners
-    const revenue = totalPot * 0.15;   // 15% revenue
-    
-    console.log(`\n💰 PRIZE DISTRIBUTION - Total Pot: ${totalPot} SOL`);
-    console.log(`💵 Winner Pot (85%): ${winnerPot} SOL`);
-    console.log(`💸 Revenue (15%): ${revenue} SOL\n`);
-
-    // Tier allocation percentages (maximum each tier can get)
-    const tierAllocations = {
-      1: 1.0,    // Jackpot: 100% of remaining pot
-      2: 0.5,    // 5 numbers: 50% of remaining pot
-      3: 0.25,   // 4 + powerball: 25% of remaining pot
-      4: 0.10,   // 4 numbers: 10% of remaining pot
-      5: 0.05,   // 3 + powerball: 5% of remaining pot
-      6: 0.02    // 3 numbers: 2% of remaining pot
-    };
-
-    // Count winners per tier
-    const winnerCountByTier = {};
-    winners.forEach(winner => {
-      winnerCountByTier[winner.prize_tier] = (winnerCountByTier[winner.prize_tier] || 0) + 1;
-    });
+    // Calculate winners and settle each currency's pot (reuses winners already
+    // calculated), then pay every unpaid winner in the currency of the pot they won from
+    const run = await advanceDraw(draw);
 
-    // CASCADING MODEL: Distribute prizes starting from highest tier
-    let remainingPot = winnerPot;
-    const prizePerWinnerByTier = {};
-    
-    // Process tiers in order (1 = highest priority)
-    for (let tier = 1; tier <= 6; tier++) {
-      const winnersInTier = winnerCountByTier[tier] || 0;
-      
-      if (winnersInTier > 0 && remainingPot > 0) {
-        // Calculate how much this tier should get (percentage of ORIGINAL winner pot)
-        const tierAllocation = winnerPot * tierAllocations[tier];
-        
-        // Take the minimum of allocation or remaining pot
-        const tierTotalPrize = Math.min(tierAllocation, remainingPot);
-        
-        // Split equally among winners in this tier
-        prizePerWinnerByTier[tier] = tierTotalPrize / winnersInTier;
-        
-        // Deduct from remaining pot
-        remainingPot -= tierTotalPrize;
-        
-        console.log(`🏆 Tier ${tier}: ${winnersInTier} winner(s)`);
-        console.log(`   - Tier allocation: ${tierAllocation.toFixed(6)} SOL (${(tierAllocations[tier] * 100).toFixed(0)}% of winner pot)`);
-        console.log(`   - Actually distributed: ${tierTotalPrize.toFixed(6)} SOL`);
-        console.log(`   - Per winner: ${prizePerWinnerByTier[tier].toFixed(6)} SOL`);
-        console.log(`   - Remaining pot: ${remainingPot.toFixed(6)} SOL\n`);
-      }
+    if (!run.success && !run.payoutResults) {
+      return res.status(run.status).json({ error: run.error, draw: run.draw });
     }
 
-    if (remainingPot > 0.000001) {
-      console.log(`ℹ️  Undistributed pot: ${remainingPot.toFixed(6)} SOL (rolls over or kept as extra revenue)\n`);
-    }
+    const winners = await getDrawWinners(draw.id);
 
-    // Update winners with prize amounts
-    const finalWinners = winners.map(winner => ({
-      ...winner,
-      prize_amount: prizePerWinnerByTier[winner.prize_tier] || 0
-    }));
+    if (winners.length === 0) {
+      return res.json({
+        message: 'No winners found for this draw',
+        draw: run.draw,
+        total_winners: 0
+      });
+    }
 
-    // Save winners to database
-    if (finalWinners.length > 0) {
-      const { error: winnersError } = await supabaseAdmin
-        .from('winners')
-        .insert(finalWinners.map(winner => ({
-          draw_id: drawId,
-          ticket_id: winner.ticket_id,
-          match_count: winner.matching_numbers,
-          powerball_match: winner.powerball_match,
-          prize_amount: winner.prize_amount,
-          claimed: false
-        })));
-
-      if (winnersError) {
-        console.error('Save winners error:', winnersError);
-        return res.status(500).json({ error: 'Failed to save winners' });
-      }
+    const payoutResults = run.payoutResults || [];
+    const successful = payoutResults.filter(r => r.payout_success);
+    const totalPayoutsByCurrency = totalsByCurrency(successful, r => r.prize_amount);
+    const revenueKeptByCurrency = {};
+    for (const [currency, pot] of Object.entries(run.settlement ? run.settlement.pots : {})) {
+      revenueKeptByCurrency[currency] = currencies.toDisplay(pot.revenue, currency);
     }
 
     res.json({
-      message: 'Winners calculated successfully',
-      draw: {
-        id: draw.id,
-        winning_numbers: draw.winning_numbers,
-        powerball: draw.powerball,
-        draw_date: draw.draw_date
-      },
-      winners: finalWinners,
-      total_winners: finalWinners.length,
-      total_pot: totalPot
+      message: run.success ? 'Draw executed successfully' : run.error,
+      draw: run.draw,
+      total_winners: winners.length,
+      successful_payouts: successful.length,
+      failed_payouts: payoutResults.length - successful.length,
+      total_payout_amount: totalPayoutsByCurrency[currencies.defaultCode] || 0,
+      revenue_kept: revenueKeptByCurrency[currencies.defaultCode] || 0,
+      total_payout_by_currency: totalPayoutsByCurrency,
+      revenue_kept_by_currency: revenueKeptByCurrency,
+      payout_results: payoutResults
     });
   } catch (error) {
-    console.error('Calculate winners error:', error);
-    res.status(500).json({ error: 'Failed to calculate winners' });
+    console.error('Execute draw error:', error);
+    res.status(500).json({ error: 'Failed to execute draw' });
   }
 });
 
-// Admin routes
-app.post('/admin/draws/create', async (req, res) => {
+// Draws with their pipeline state, e.g. ?status=failed for draws waiting to be resumed
+app.get('/admin/draws', authorizeAdmin(...ADMIN_READ_ROLES), async (req, res) => {
   try {
-    const { winning_numbers, powerball, draw_date } = req.body;
-    
-    if (!winning_numbers || !Array.isArray(winning_numbers) || winning_numbers.length !== 5) {
-      return res.status(400).json({ error: 'Must provide exactly 5 winning numbers' });
-    }
-    
-    if (!powerball || powerball < 1 || powerball > 10) {
-      return res.status(400).json({ error: 'Powerball must be between 1 and 10' });
-    }
+    const { status } = req.query;
+    const statuses = [...drawService.states, 'failed', 'cancelled'];
 
-    // Validate numbers are between 1-30 and unique
-    const validNumbers = winning_numbers.every(num => num >= 1 && num <= 30);
-    const uniqueNumbers = new Set(winning_numbers).size === winning_numbers.length;
-    
-    if (!validNumbers || !uniqueNumbers) {
-      return res.status(400).json({ 
-        error: 'Winning numbers must be between 1-30 and unique' 
-      });
+    if (status && !statuses.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${statuses.join(', ')}` });
     }
 
-    // Create draw
-    const { data: draw, error } = await supabaseAdmin
+    let query = supabaseAdmin
       .from('draws')
-      .insert({
-        winning_numbers,
-        powerball,
-        draw_date: draw_date || new Date().toISOString().split('T')[0]
-      })
-      .select()
-      .single();
+      .select('*')
+      .order('draw_time', { ascending: false })
+      .limit(100);
+
+    if (status) query = query.eq('status', status);
+
+    const { data: draws, error } = await query;
 
     if (error) {
-      console.error('Create draw error:', error);
-      return res.status(500).json({ error: 'Failed to create draw' });
+      console.error('Fetch admin draws error:', error);
+      return res.status(500).json({ error: 'Failed to fetch draws' });
     }
 
-    res.status(201).json({
-      message: 'Draw created successfully',
-      draw
-    });
+    res.json({ draws });
   } catch (error) {
-    console.error('Create draw error:', error);
-    res.status(500).json({ error: 'Failed to create draw' });
+    console.error('Fetch admin draws error:', error);
+    res.status(500).json({ error: 'Failed to fetch draws' });
   }
 });
 
-app.post('/admin/draws/execute', async (req, res) => {
+// Carry a failed or interrupted draw on from the last step it completed
+app.post('/admin/draws/:id/resume', authorizeAdmin('operator'), async (req, res) => {
   try {
-    const { draw_id } = req.body;
-    
-    if (!draw_id) {
-      return res.status(400).json({ error: 'Draw ID is required' });
-    }
-
-    // Get the draw
-    const { data: draw, error: drawError } = await supabaseAdmin
+    const { data: draw, error } = await supabaseAdmin
       .from('draws')
       .select('*')
-      .eq('id', draw_id)
-      .single();
+      .eq('id', req.params.id)
+      .maybeSingle();
 
-    if (drawError || !draw) {
-      return res.status(404).json({ error: 'Draw not found' });
+    if (error) {
+      console.error('Load draw error:', error);
+      return res.status(500).json({ error: 'Failed to resume draw' });
     }
 
-    // Get all tickets for this draw period
-    const { data: tickets, error: ticketsError } = await supabaseAdmin
-      .from('tickets')
-      .select(`
-        *,
-        users!inner(wallet_address)
-      `)
-      .eq('created_at', draw.draw_date);
-
-    if (ticketsError) {
-      console.error('Get tickets error:', ticketsError);
-      return res.status(500).json({ error: 'Failed to get tickets' });
+    if (!draw) {
+      return res.status(404).json({ error: 'Draw not found' });
     }
 
-    // Calculate winners
-    const winners = [];
-    const payouts = [];
-
-    for (const ticket of tickets) {
-      const matches = ticket.numbers.filter(num => 
-        draw.winning_numbers.includes(num)
-      ).length;
-      
-      const powerballMatch = ticket.powerball === draw.powerball;
-      
-      // Calculate prize based on matches
-      let prizeAmount = 0;
-      let prizeTier = 'none';
-      
-      if (matches === 5 && powerballMatch) {
-        prizeAmount = 1000000.00; // Jackpot
-        prizeTier = 'jackpot';
-      } else if (matches === 5) {
-        prizeAmount = 100000.00;
-        prizeTier = '5_numbers';
-      } else if (matches === 4 && powerballMatch) {
-        prizeAmount = 10000.00;
-        prizeTier = '4_numbers_powerball';
-      } else if (matches === 4) {
-        prizeAmount = 1000.00;
-        prizeTier = '4_numbers';
-      } else if (matches === 3 && powerballMatch) {
-        prizeAmount = 100.00;
-        prizeTier = '3_numbers_powerball';
-      } else if (matches === 3) {
-        prizeAmount = 10.00;
-        prizeTier = '3_numbers';
-      } else if (matches === 2 && powerballMatch) {
-        prizeAmount = 5.00;
-        prizeTier = '2_numbers_powerball';
-      } else if (powerballMatch) {
-        prizeAmount = 2.00;
-        prizeTier = 'powerball_only';
-      }
-
-      if (prizeAmount > 0) {
-        winners.push({
-          ticket_id: ticket.id,
-          draw_id: draw.id,
-          match_count: matches,
-          powerball_match: powerballMatch,
-          prize_amount: prizeAmount,
-          prize_tier: prizeTier,
-          winner_wallet: ticket.users.wallet_address
-        });
-
-        payouts.push({
-          winnerWallet: ticket.users.wallet_address,
-          amount: prizeAmount,
-          prize_tier: prizeTier,
-          ticket_id: ticket.id
-        });
-      }
+    if (draw.status === 'cancelled' || draw.status === 'completed') {
+      return res.status(409).json({ error: `Draw is already ${draw.status}` });
     }
 
-    // Insert winners into database
-    if (winners.length > 0) {
-      const { error: winnersError } = await supabaseAdmin
-        .from('winners')
-        .insert(winners);
+    const resumedFrom = draw.status === 'failed' ? draw.failed_status : draw.status;
+    console.log(`🔁 Admin ${req.admin.id} resumed draw ${draw.id} from ${resumedFrom}`);
 
-      if (winnersError) {
-        console.error('Insert winners error:', winnersError);
-        return res.status(500).json({ error: 'Failed to insert winners' });
-      }
-    }
+    const run = await advanceDraw(draw);
 
-    // Send payouts via Solana
-    let payoutResults = [];
-    if (payouts.length > 0) {
-      try {
-        payoutResults = await solanaService.sendBulkPayouts(payouts);
-      } catch (error) {
-        console.error('Payout error:', error);
-        // Continue even if payouts fail - winners are still recorded
-      }
+    if (!run.success) {
+      return res.status(run.status).json({
+        error: run.error,
+        draw: run.draw,
+        payout_results: run.payoutResults
+      });
     }
 
     res.json({
-      message: 'Draw executed successfully',
-      draw,
-      winners_count: winners.length,
-      total_prize_amount: winners.reduce((sum, w) => sum + w.prize_amount, 0),
-      winners,
-      payout_results: payoutResults
+      message: 'Draw completed',
+      resumed_from: resumedFrom,
+      draw: run.draw,
+      payout_results: run.payoutResults || []
     });
   } catch (error) {
-    console.error('Execute draw error:', error);
-    res.status(500).json({ error: 'Failed to execute draw' });
+    console.error('Resume draw error:', error);
+    res.status(500).json({ error: 'Failed to resume draw' });
   }
 });
 
-app.get('/admin/treasury/balance', async (req, res) => {
+// Time from a request field, or null if it is not a valid timestamp
+function parseTimestamp(value) {
+  return typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? new Date(value) : null;
+}
+
+// Draw calendar: a game's recurring rule, its upcoming draws and the one-off changes to them
+app.get('/admin/schedule', authorizeAdmin(...ADMIN_READ_ROLES), async (req, res) => {
   try {
-    const balance = await solanaService.getTreasuryBalance();
+    const game = await gameService.get(req.query.game);
+    if (!game) {
+      return res.status(400).json({ error: `Unknown game: ${req.query.game}` });
+    }
+
+    const days = req.query.days === undefined ? 30 : parseInt(req.query.days, 10);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_SCHEDULE_DAYS) {
+      return res.status(400).json({ error: `Days must be between 1 and ${MAX_SCHEDULE_DAYS}` });
+    }
+
+    const now = new Date();
+    const draws = await scheduleService.getDrawTimes(game, now, new Date(now.getTime() + days * 24 * 60 * 60 * 1000));
+
     res.json({
-      treasury_wallet: process.env.TREASURY_WALLET,
-      balance_sol: balance,
-      balance_lamports: Math.floor(balance * 1000000000) // Convert to lamports
+      game_id: game.id,
+      rule: {
+        draw_days: game.draw_days,
+        draw_hour_utc: game.draw_hour_utc,
+        sales_cutoff_minutes: gameService.getSalesCutoffMinutes(game)
+      },
+      draws: draws.map(draw => ({
+        draw_time: draw.draw_time.toISOString(),
+        sales_close_at: drawService.getSalesCloseTime(game, draw.draw_time).toISOString(),
+        type: draw.type,
+        original_time: draw.original_time ? draw.original_time.toISOString() : null,
+        entry_id: draw.entry_id
+      })),
+      entries: await scheduleService.getEntries(game.id)
     });
   } catch (error) {
-    console.error('Get treasury balance error:', error);
-    res.status(500).json({ error: 'Failed to get treasury balance' });
+    console.error('Fetch schedule error:', error);
+    res.status(500).json({ error: 'Failed to fetch schedule' });
   }
 });
 
-app.post('/admin/payouts/send', async (req, res) => {
+// Change a game's recurring rule. Draws already opened that the new rule drops are
+// removed if nothing was sold into them, and kept as extra draws otherwise.
+app.put('/admin/schedule/rule', authorizeAdmin('operator'), async (req, res) => {
   try {
-    const { winner_wallet, amount_sol } = req.body;
-    
-    if (!winner_wallet || !amount_sol) {
-      return res.status(400).json({ 
-        error: 'Winner wallet and amount are required' 
-      });
+    const { draw_days, draw_hour_utc, sales_cutoff_minutes } = req.body;
+
+    const game = await gameService.get(req.body.game);
+    if (!game) {
+      return res.status(400).json({ error: `Unknown game: ${req.body.game}` });
     }
 
-    const result = await solanaService.sendPayout(winner_wallet, amount_sol);
-    res.json(result);
-  } catch (error) {
-    console.error('Send payout error:', error);
-    res.status(500).json({ error: 'Failed to send payout' });
-  }
-});
+    const fields = {};
 
-app.get('/admin/stats', async (req, res) => {
-  try {
-    // Get total tickets sold
-    const { count: totalTickets } = await supabaseAdmin
-      .from('tickets')
-      .select('*', { count: 'exact', head: true });
+    if (draw_days !== undefined) {
+      if (!Array.isArray(draw_days) || draw_days.length === 0 || !draw_days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+        return res.status(400).json({ error: 'draw_days must be a list of weekdays from 0 (Sunday) to 6' });
+      }
+      fields.draw_days = [...new Set(draw_days)].sort((a, b) => a - b);
+    }
 
-    // Get total revenue (0.05 SOL per ticket)
-    const totalRevenue = (totalTickets || 0) * 0.05;
+    if (draw_hour_utc !== undefined) {
+      if (!Number.isInteger(draw_hour_utc) || draw_hour_utc < 0 || draw_hour_utc > 23) {
+        return res.status(400).json({ error: 'draw_hour_utc must be between 0 and 23' });
+      }
+      fields.draw_hour_utc = draw_hour_utc;
+    }
 
-    // Get total winners
-    const { count: totalWinners } = await supabaseAdmin
-      .from('winners')
-      .select('*', { count: 'exact', head: true });
+    if (sales_cutoff_minutes !== undefined) {
+      if (sales_cutoff_minutes !== null && (!Number.isInteger(sales_cutoff_minutes) || sales_cutoff_minutes < 0)) {
+        return res.status(400).json({ error: 'sales_cutoff_minutes must be a number of minutes, or null for the default' });
+      }
+      fields.sales_cutoff_minutes = sales_cutoff_minutes;
+    }
 
-    // Get total prize amount paid
-    const { data: winners } = await supabaseAdmin
-      .from('winners')
-      .select('prize_amount');
-    
-    const totalPrizesPaid = winners?.reduce((sum, w) => sum + w.prize_amount, 0) || 0;
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ error: 'Nothing to change' });
+    }
 
-    // Get treasury balance
-    const treasuryBalance = await solanaService.getTreasuryBalance();
+    const updated = await scheduleService.updateRule(game, fields);
+
+    const keptDraws = [];
+    for (const draw of await drawService.getScheduledDraws(game.id)) {
+      const drawTime = new Date(draw.draw_time);
+
+      if (await scheduleService.findDraw(updated, drawTime)) {
+        // Still on the calendar; only its sales cutoff may have changed
+        if (fields.sales_cutoff_minutes !== undefined) {
+          await drawService.reschedule(draw, updated, drawTime);
+        }
+        continue;
+      }
+
+      if (!(await drawService.deleteUnsold(draw))) {
+        await scheduleService.addExtra(updated, drawTime, {
+          reason: 'Kept from the previous schedule: tickets were already sold',
+          createdBy: req.admin.id
+        });
+        keptDraws.push(draw.id);
+      }
+    }
+
+    console.log(`🗓️  Admin ${req.admin.id} changed the ${game.id} draw schedule: ${JSON.stringify(fields)}`);
 
     res.json({
-      total_tickets_sold: totalTickets || 0,
-      total_revenue_sol: totalRevenue,
-      total_winners: totalWinners || 0,
-      total_prizes_paid_sol: totalPrizesPaid,
-      treasury_balance_sol: treasuryBalance,
-      profit_sol: totalRevenue - totalPrizesPaid
+      message: 'Draw schedule updated',
+      rule: {
+        draw_days: updated.draw_days,
+        draw_hour_utc: updated.draw_hour_utc,
+        sales_cutoff_minutes: gameService.getSalesCutoffMinutes(updated)
+      },
+      kept_draws: keptDraws,
+      next_draw: (await scheduleService.getNextDrawTime(updated)).toISOString()
     });
   } catch (error) {
-    console.error('Get stats error:', error);
-    res.status(500).json({ error: 'Failed to get statistics' });
+    console.error('Update schedule rule error:', error);
+    res.status(500).json({ error: 'Failed to update draw schedule' });
   }
 });
 
-// Execute complete draw with payouts
-app.post('/admin/draws/:drawId/execute', async (req, res) => {
+// Add an extra draw, or skip or postpone a draw on the calendar. A draw already opened
+// for sales moves with its postponement; it can only be skipped if nothing was sold into it.
+app.post('/admin/schedule', authorizeAdmin('operator'), async (req, res) => {
   try {
-    const { drawId } = req.params;
-    
-    // Get the draw
-    const { data: draw, error: drawError } = await supabaseAdmin
-      .from('draws')
-      .select('*')
-      .eq('id', drawId)
-      .single();
+    const { type, reason } = req.body;
 
-    if (drawError || !draw) {
-      return res.status(404).json({ error: 'Draw not found' });
+    const game = await gameService.get(req.body.game);
+    if (!game) {
+      return res.status(400).json({ error: `Unknown game: ${req.body.game}` });
     }
 
-    // Get all tickets from last 7 days
-    const { data: tickets, error: ticketsError } = await supabaseAdmin
-      .from('tickets')
-      .select('*')
-      .gte('created_at', new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString());
-
-    if (ticketsError) {
-      console.error('Get tickets error:', ticketsError);
-      return res.status(500).json({ error: 'Failed to get tickets' });
+    if (!SCHEDULE_CHANGE_TYPES.includes(type)) {
+      return res.status(400).json({ error: `Type must be one of: ${SCHEDULE_CHANGE_TYPES.join(', ')}` });
     }
 
-    // Calculate winners
-    const winners = [];
-    const winningNumbers = draw.winning_numbers;
-    const winningPowerball = draw.powerball;
-
-    for (const ticket of tickets) {
-      const matchingNumbers = ticket.numbers.filter(num => winningNumbers.includes(num)).length;
-      const powerballMatch = ticket.powerball === winningPowerball;
-
-      let prizeTier = 0;
-      if (matchingNumbers === 5 && powerballMatch) prizeTier = 1;
-      else if (matchingNumbers === 5) prizeTier = 2;
-      else if (matchingNumbers === 4 && powerballMatch) prizeTier = 3;
-      else if (matchingNumbers === 4) prizeTier = 4;
-      else if (matchingNumbers === 3 && powerballMatch) prizeTier = 5;
-      else if (matchingNumbers === 3) prizeTier = 6;
-
-      if (prizeTier > 0) {
-        winners.push({
-          ticket_id: ticket.id,
-          user_id: ticket.user_id,
-          prize_tier: prizeTier,
-          matching_numbers: matchingNumbers,
-          powerball_match: powerballMatch
-        });
-      }
+    const drawTime = parseTimestamp(req.body.draw_time);
+    if (!drawTime) {
+      return res.status(400).json({ error: 'draw_time must be a timestamp' });
     }
 
-    // Get current pot
-    const { data: pot } = await supabaseAdmin
-      .from('pot')
-      .select('current_amount')
-      .order('created_at', { ascending: false })
-      .limit(1)
-      .single();
-
-    const totalPot = pot ? parseFloat(pot.current_amount) : 0;
-
-    // Calculate prizes with cascading distribution
-    const winnerPot = totalPot * 0.85;
-    const tierAllocations = {
-      1: 1.0, 2: 0.5, 3: 0.25, 4: 0.10, 5: 0.05, 6: 0.02
-    };
+    const postponedTo = parseTimestamp(req.body.postponed_to);
+    if (type === 'postpone' && !postponedTo) {
+      return res.status(400).json({ error: 'postponed_to must be a timestamp' });
+    }
 
-    const winnerCountByTier = {};
-    winners.forEach(w => {
-      winnerCountByTier[w.prize_tier] = (winnerCountByTier[w.prize_tier] || 0) + 1;
-    });
+    const options = { reason: reason || null, createdBy: req.admin.id };
+    const opened = type === 'extra' ? null : await drawService.findDraw(game.id, drawTime);
 
-    let remainingPot = winnerPot;
-    const prizePerWinnerByTier = {};
+    if (opened && opened.status !== 'scheduled') {
+      return res.status(409).json({ error: `Draw ${opened.id} has already closed its sales` });
+    }
 
-    for (let tier = 1; tier <= 6; tier++) {
-      const winnersInTier = winnerCountByTier[tier] || 0;
-      if (winnersInTier > 0 && remainingPot > 0) {
-        const tierAllocation = winnerPot * tierAllocations[tier];
-        const tierTotalPrize = Math.min(tierAllocation, remainingPot);
-        prizePerWinnerByTier[tier] = tierTotalPrize / winnersInTier;
-        remainingPot -= tierTotalPrize;
+    let result;
+    if (type === 'extra') {
+      result = await scheduleService.addExtra(game, drawTime, options);
+    } else if (type === 'skip') {
+      if (opened && !(await drawService.deleteUnsold(opened))) {
+        return res.status(409).json({
+          error: `Draw ${opened.id} already has tickets; postpone it, or cancel and refund it with POST /admin/refunds`
+        });
+      }
+      result = await scheduleService.skip(game, drawTime, options);
+    } else {
+      result = await scheduleService.postpone(game, drawTime, postponedTo, options);
+      if (result.success && opened) {
+        await drawService.reschedule(opened, game, postponedTo);
       }
     }
 
-    const finalWinners = winners.map(winner => ({
-      ...winner,
-      prize_amount: prizePerWinnerByTier[winner.prize_tier] || 0
-    }));
-
-    const calculateResult = {
-      draw,
-      winners: finalWinners,
-      total_pot: totalPot
-    };
-    
-    if (winners.length === 0) {
-      return res.json({
-        message: 'No winners found for this draw',
-        draw: calculateResult.draw,
-        total_winners: 0
-      });
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    // Get user wallet addresses for winners
-    const winnerUserIds = winners.map(w => w.user_id);
-    const { data: users, error: usersError } = await supabaseAdmin
-      .from('users')
-      .select('id, wallet_address')
-      .in('id', winnerUserIds);
+    console.log(`🗓️  Admin ${req.admin.id}: ${type} ${game.id} draw ${drawTime.toISOString()}${postponedTo && type === 'postpone' ? ` -> ${postponedTo.toISOString()}` : ''}`);
 
-    if (usersError) {
-      console.error('Get users error:', usersError);
-      return res.status(500).json({ error: 'Failed to get winner details' });
+    res.status(201).json({
+      message: 'Draw calendar updated',
+      entry: result.entry,
+      next_draw: (await scheduleService.getNextDrawTime(game)).toISOString()
+    });
+  } catch (error) {
+    console.error('Update schedule error:', error);
+    res.status(500).json({ error: 'Failed to update draw calendar' });
+  }
+});
+
+// Undo a calendar change: a postponed draw goes back to its regular time, an extra
+// draw is removed (if nothing was sold into it) and a skipped draw is restored
+app.delete('/admin/schedule/:id', authorizeAdmin('operator'), async (req, res) => {
+  try {
+    const entry = await scheduleService.getEntry(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Calendar entry not found' });
     }
 
-    const userMap = users.reduce((acc, user) => {
-      acc[user.id] = user.wallet_address;
-      return acc;
-    }, {});
+    const game = await gameService.get(entry.game_id);
+    const drawTime = new Date(entry.type === 'postpone' ? entry.postponed_to : entry.draw_time);
+    const opened = entry.type === 'skip' ? null : await drawService.findDraw(game.id, drawTime);
 
-    // Send payouts to all winners
-    const payoutResults = [];
-    const solanaService = require('./lib/solana');
+    if (opened && opened.status !== 'scheduled') {
+      return res.status(409).json({ error: `Draw ${opened.id} has already closed its sales` });
+    }
 
-    for (const winner of winners) {
-      const walletAddress = userMap[winner.user_id];
-      if (!walletAddress) {
-        console.error(`No wallet address found for user ${winner.user_id}`);
-        continue;
+    if (entry.type === 'postpone') {
+      const originalTime = new Date(entry.draw_time);
+      if (originalTime <= new Date()) {
+        return res.status(409).json({ error: 'The draw\'s regular time has passed; postpone it instead' });
       }
-
-      try {
-        const payoutResult = await solanaService.sendPayout(
-          walletAddress,
-          winner.prize_amount
-        );
-
-        payoutResults.push({
-          winner_id: winner.user_id,
-          ticket_id: winner.ticket_id,
-          prize_tier: winner.prize_tier,
-          prize_amount: winner.prize_amount,
-          wallet_address: walletAddress,
-          payout_success: payoutResult.success,
-          transaction_signature: payoutResult.transaction_signature,
-          error: payoutResult.error
-        });
-
-        // Update winner record if payout was successful
-        if (payoutResult.success) {
-          await supabaseAdmin
-            .from('winners')
-            .update({
-              payout_transaction: payoutResult.transaction_signature,
-              payout_sent: true,
-              payout_date: new Date().toISOString()
-            })
-            .eq('ticket_id', winner.ticket_id)
-            .eq('draw_id', drawId);
-        }
-      } catch (payoutError) {
-        console.error(`Payout error for winner ${winner.user_id}:`, payoutError);
-        payoutResults.push({
-          winner_id: winner.user_id,
-          ticket_id: winner.ticket_id,
-          prize_tier: winner.prize_tier,
-          prize_amount: winner.prize_amount,
-          wallet_address: walletAddress,
-          payout_success: false,
-          error: payoutError.message
+      if (await scheduleService.findDraw(game, originalTime)) {
+        return res.status(409).json({ error: `There is already a ${game.id} draw at ${originalTime.toISOString()}` });
+      }
+      await scheduleService.deleteEntry(game, entry.id);
+      if (opened) {
+        await drawService.reschedule(opened, game, originalTime);
+      }
+    } else {
+      if (entry.type === 'extra' && opened && !(await drawService.deleteUnsold(opened))) {
+        return res.status(409).json({
+          error: `Draw ${opened.id} already has tickets; postpone it, or cancel and refund it with POST /admin/refunds`
         });
       }
+      await scheduleService.deleteEntry(game, entry.id);
     }
 
-    // Update pot to reflect payouts and revenue
-    const totalPayouts = payoutResults
-      .filter(r => r.payout_success)
-      .reduce((sum, r) => sum + r.prize_amount, 0);
-
-    if (totalPayouts > 0) {
-      // Calculate revenue (15% of total pot)
-      const totalPot = calculateResult.total_pot || 0;
-      const revenue = totalPot * 0.15;
-      
-      await supabaseAdmin
-        .from('pot')
-        .update({
-          current_amount: revenue, // Keep 15% as revenue, reset to 0 for next draw
-          last_updated: new Date().toISOString()
-        })
-        .order('created_at', { ascending: false })
-        .limit(1);
-    }
+    console.log(`🗓️  Admin ${req.admin.id} removed ${entry.type} of ${game.id} draw ${entry.draw_time}`);
 
     res.json({
-      message: 'Draw executed successfully',
-      draw: calculateResult.draw,
-      total_winners: winners.length,
-      successful_payouts: payoutResults.filter(r => r.payout_success).length,
-      failed_payouts: payoutResults.filter(r => !r.payout_success).length,
-      total_payout_amount: totalPayouts,
-      revenue_kept: totalPayouts > 0 ? (calculateResult.total_pot || 0) * 0.15 : 0,
-      payout_results: payoutResults
+      message: 'Calendar entry removed',
+      entry,
+      next_draw: (await scheduleService.getNextDrawTime(game)).toISOString()
     });
   } catch (error) {
-    console.error('Execute draw error:', error);
-    res.status(500).json({ error: 'Failed to execute draw' });
+    console.error('Remove schedule entry error:', error);
+    res.status(500).json({ error: 'Failed to remove calendar entry' });
   }
 });
 
@@ -1520,28 +5219,23 @@ async function postDrawResultsToTwitter(drawResults) {
     });
 
     // Format the tweet
-    const { draw, winners, totalPot, totalPaid, successfulPayouts } = drawResults;
+    const { game, draw, winners, totalPot, totalPaid, successfulPayouts } = drawResults;
     
-    let tweet = `🎰 POWERBALL DRAW RESULTS 🎰\n\n`;
+    let tweet = `🎰 ${game.name.toUpperCase()} DRAW RESULTS 🎰\n\n`;
     tweet += `🎲 Winning Numbers: ${draw.winning_numbers.join(', ')}\n`;
     tweet += `🎯 Powerball: ${draw.powerball}\n\n`;
-    tweet += `💰 Total Pot: ${totalPot} SOL\n`;
+    tweet += `💰 Total Pot: ${totalPot}\n`;
     tweet += `🏆 Winners: ${winners.length}\n`;
-    tweet += `💸 Total Paid: ${totalPaid} SOL\n\n`;
+    tweet += `💸 Total Paid: ${totalPaid}\n\n`;
 
     if (winners.length > 0) {
+      const { tiers } = await prizeService.getStructure(game.id);
+      const tierNames = Object.fromEntries(tiers.map(t => [t.tier, t.name]));
+
       tweet += `🎉 WINNERS:\n`;
       winners.forEach((winner, index) => {
-        const tierNames = {
-          1: 'JACKPOT (5+PB)',
-          2: '5 Numbers',
-          3: '4+Powerball',
-          4: '4 Numbers',
-          5: '3+Powerball',
-          6: '3 Numbers'
-        };
         const walletShort = `${winner.wallet_address.substring(0, 4)}...${winner.wallet_address.substring(winner.wallet_address.length - 4)}`;
-        tweet += `${index + 1}. ${tierNames[winner.prize_tier]} - ${winner.prize_amount} SOL\n`;
+        tweet += `${index + 1}. ${tierNames[winner.prize_tier]} - ${winner.prize_amount} ${winner.currency || 'SOL'}\n`;
         tweet += `   Wallet: ${walletShort}\n`;
         if (winner.transaction_signature) {
           tweet += `   TX: https://solscan.io/tx/${winner.transaction_signature}\n`;
@@ -1551,7 +5245,9 @@ async function postDrawResultsToTwitter(drawResults) {
       tweet += `No winners this draw - pot rolls over! 🔄`;
     }
 
-    tweet += `\n📅 Next draw: Friday 20:00 UTC\n`;
+    const nextDraw = await scheduleService.getNextDrawTime(game);
+    const nextDrawDay = nextDraw.toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' });
+    tweet += `\n📅 Next draw: ${nextDrawDay} ${nextDraw.toISOString().substring(11, 16)} UTC\n`;
     tweet += `🎫 Get your tickets now!`;
 
     // Post to Twitter
@@ -1572,241 +5268,80 @@ async function postDrawResultsToTwitter(drawResults) {
   }
 }
 
-// Automated Draw Execution Function
-async function executeAutomatedDraw() {
+// Automated Draw Execution Function, for one game's draw
+async function executeAutomatedDraw(game, drawToRun) {
   try {
     console.log('\n🤖 ============================================');
-    console.log('🤖 AUTOMATED DRAW EXECUTION STARTED');
+    console.log(`🤖 AUTOMATED DRAW EXECUTION STARTED: ${game.name}`);
     console.log('🤖 ============================================\n');
     console.log(`⏰ Time: ${new Date().toISOString()}`);
     console.log(`📅 Day: ${new Date().toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' })}`);
     console.log(`🕐 UTC Time: ${new Date().toISOString()}\n`);
 
-    // Step 1: Generate the draw
-    console.log('📝 Step 1: Generating random draw...');
-    const winning_numbers = [];
-    while (winning_numbers.length < 5) {
-      const num = crypto.randomInt(1, 31);
-      if (!winning_numbers.includes(num)) {
-        winning_numbers.push(num);
-      }
+    // Get the game's current pot in every currency from the ledger, before the draw settles it
+    const potByCurrency = {};
+    for (const currency of currencies.codes()) {
+      const summary = await ledgerService.getSummary(currency, game.id);
+      potByCurrency[currency] = currencies.toDisplay(summary.pot, currency);
+      console.log(`💰 Current ${currency} Pot: ${currencies.format(summary.pot, currency)} ${currency}`);
     }
-    winning_numbers.sort((a, b) => a - b);
-    const powerball = crypto.randomInt(1, 11);
+    console.log('');
 
-    const { data: draw, error: drawError } = await supabaseAdmin
-      .from('draws')
-      .insert({
-        winning_numbers,
-        powerball,
-        draw_date: new Date().toISOString()
-      })
-      .select()
-      .single();
+    // Steps 1-4: close sales on the draw whose cutoff has passed, make it from its
+    // committed seed, settle the pots and pay the winners. Each step is saved as it
+    // completes, so a failed draw can be resumed with POST /admin/draws/:id/resume.
+    console.log('📝 Running draw pipeline...');
+    const run = await advanceDraw(drawToRun);
+    const { draw } = run;
 
-    if (drawError) {
-      console.error('❌ Failed to create draw:', drawError);
+    if (!draw.winning_numbers || !run.settlement) {
+      console.error(`❌ Draw ${draw.id} stopped in ${draw.failed_status || draw.status}: ${run.error}`);
+      console.log('🤖 ============================================\n');
       return;
     }
 
+    const { winning_numbers, powerball } = draw;
+    const { winners } = run.settlement;
+
     console.log('✅ Draw created successfully!');
     console.log(`🎲 Draw ID: ${draw.id}`);
     console.log(`📊 Winning Numbers: ${winning_numbers.join(', ')}`);
-    console.log(`🎯 Powerball: ${powerball}\n`);
-
-    // Step 2: Get current pot
-    const { data: pot } = await supabaseAdmin
-      .from('pot')
-      .select('current_amount')
-      .order('created_at', { ascending: false })
-      .limit(1)
-      .single();
-
-    const totalPot = pot ? parseFloat(pot.current_amount) : 0;
-    console.log(`💰 Current Pot: ${totalPot} SOL\n`);
-
-    // Step 3: Get all tickets from last 7 days
-    console.log('📝 Step 2: Finding eligible tickets...');
-    const { data: tickets } = await supabaseAdmin
-      .from('tickets')
-      .select(`
-        *,
-        users!inner(wallet_address)
-      `)
-      .gte('created_at', new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString());
-
-    console.log(`🎫 Found ${tickets?.length || 0} eligible tickets\n`);
-
-    if (!tickets || tickets.length === 0) {
-      console.log('ℹ️  No tickets found - no winners for this draw\n');
-      console.log('🤖 ============================================\n');
-      return;
-    }
+    console.log(`🎯 Powerball: ${powerball}`);
+    console.log(`🔒 Proof: GET /draws/${draw.id}/proof`);
+    console.log(`🏆 Found ${winners.length} winner(s)\n`);
 
-    // Step 4: Calculate winners
-    console.log('📝 Step 3: Calculating winners...');
-    const winners = [];
-    
-    for (const ticket of tickets) {
-      const matchingNumbers = ticket.numbers.filter(num => winning_numbers.includes(num)).length;
-      const powerballMatch = ticket.powerball === powerball;
-
-      let prizeTier = 0;
-      if (matchingNumbers === 5 && powerballMatch) prizeTier = 1;
-      else if (matchingNumbers === 5) prizeTier = 2;
-      else if (matchingNumbers === 4 && powerballMatch) prizeTier = 3;
-      else if (matchingNumbers === 4) prizeTier = 4;
-      else if (matchingNumbers === 3 && powerballMatch) prizeTier = 5;
-      else if (matchingNumbers === 3) prizeTier = 6;
-
-      if (prizeTier > 0) {
-        winners.push({
-          ticket_id: ticket.id,
-          user_id: ticket.user_id,
-          wallet_address: ticket.users.wallet_address,
-          prize_tier: prizeTier,
-          matching_numbers: matchingNumbers,
-          powerball_match: powerballMatch
-        });
-      }
+    if (!run.success) {
+      console.error(`❌ Draw ${draw.id} stopped in ${draw.failed_status}: ${run.error}`);
     }
 
-    console.log(`🏆 Found ${winners.length} winner(s)\n`);
-
     if (winners.length === 0) {
-      console.log('ℹ️  No winners for this draw\n');
+      console.log('ℹ️  No winners for this draw - pots roll over\n');
       console.log('🤖 ============================================\n');
       return;
     }
 
-    // Step 5: Calculate and distribute prizes
-    console.log('📝 Step 4: Calculating prize distribution...');
-    const winnerPot = totalPot * 0.85;
-    const revenue = totalPot * 0.15;
-
-    console.log(`💰 Total Pot: ${totalPot} SOL`);
-    console.log(`💵 Winner Pot (85%): ${winnerPot} SOL`);
-    console.log(`💸 Revenue (15%): ${revenue} SOL\n`);
-
-    const tierAllocations = {
-      1: 1.0, 2: 0.5, 3: 0.25, 4: 0.10, 5: 0.05, 6: 0.02
-    };
-
-    const winnerCountByTier = {};
-    winners.forEach(w => {
-      winnerCountByTier[w.prize_tier] = (winnerCountByTier[w.prize_tier] || 0) + 1;
-    });
-
-    let remainingPot = winnerPot;
-    const prizePerWinnerByTier = {};
-
-    for (let tier = 1; tier <= 6; tier++) {
-      const winnersInTier = winnerCountByTier[tier] || 0;
-      if (winnersInTier > 0 && remainingPot > 0) {
-        const tierAllocation = winnerPot * tierAllocations[tier];
-        const tierTotalPrize = Math.min(tierAllocation, remainingPot);
-        prizePerWinnerByTier[tier] = tierTotalPrize / winnersInTier;
-        remainingPot -= tierTotalPrize;
-        console.log(`🏆 Tier ${tier}: ${winnersInTier} winner(s) @ ${prizePerWinnerByTier[tier].toFixed(6)} SOL each`);
-      }
-    }
-    console.log('');
-
-    const finalWinners = winners.map(winner => ({
-      ...winner,
-      prize_amount: prizePerWinnerByTier[winner.prize_tier] || 0
-    }));
-
-    // Step 6: Save winners to database
-    console.log('📝 Step 5: Saving winners to database...');
-    await supabaseAdmin
-      .from('winners')
-      .insert(finalWinners.map(winner => ({
-        draw_id: draw.id,
-        ticket_id: winner.ticket_id,
-        match_count: winner.matching_numbers,
-        powerball_match: winner.powerball_match,
-        prize_amount: winner.prize_amount,
-        claimed: false
-      })));
-    console.log('✅ Winners saved to database\n');
-
-    // Step 7: Send payouts
-    console.log('📝 Step 6: Sending payouts via Solana...');
-    let successfulPayouts = 0;
-    let failedPayouts = 0;
-    const winnersWithTransactions = [];
-
-    for (const winner of finalWinners) {
-      try {
-        const payoutResult = await solanaService.sendPayout(
-          winner.wallet_address,
-          winner.prize_amount
-        );
-
-        if (payoutResult.success) {
-          successfulPayouts++;
-          console.log(`✅ Paid ${winner.prize_amount} SOL to ${winner.wallet_address.substring(0, 8)}...`);
-          console.log(`   TX: ${payoutResult.signature}`);
-          
-          // Update winner record with claimed status
-          await supabaseAdmin
-            .from('winners')
-            .update({
-              claimed: true
-            })
-            .eq('ticket_id', winner.ticket_id)
-            .eq('draw_id', draw.id);
-
-          // Track winner with transaction signature for Twitter post
-          winnersWithTransactions.push({
-            ...winner,
-            transaction_signature: payoutResult.signature
-          });
-        }
-      } catch (error) {
-        failedPayouts++;
-        console.error(`❌ Failed to pay ${winner.wallet_address.substring(0, 8)}...:`, error.message);
-      }
-    }
+    const payoutResults = run.payoutResults || [];
+    const winnersWithTransactions = payoutResults.filter(r => r.payout_success);
+    const successfulPayouts = winnersWithTransactions.length;
+    const failedPayouts = payoutResults.length - successfulPayouts;
+    const paidByCurrency = totalsByCurrency(winnersWithTransactions, r => r.prize_amount);
 
-    console.log('');
     console.log(`✅ Successful payouts: ${successfulPayouts}`);
     console.log(`❌ Failed payouts: ${failedPayouts}`);
-    console.log(`💰 Total paid out: ${finalWinners.reduce((sum, w) => sum + w.prize_amount, 0).toFixed(6)} SOL\n`);
-
-    // Step 8: Reset pot for next draw
-    console.log('📝 Step 7: Resetting pot for next draw...');
-    const { data: currentPot } = await supabaseAdmin
-      .from('pot')
-      .select('*')
-      .order('created_at', { ascending: false })
-      .limit(1)
-      .single();
+    console.log(`💰 Total paid out: ${formatCurrencyTotals(paidByCurrency)}\n`);
 
-    if (currentPot) {
-      await supabaseAdmin
-        .from('pot')
-        .update({
-          current_amount: 0,
-          total_tickets_sold: 0,
-          last_updated: new Date().toISOString()
-        })
-        .eq('id', currentPot.id);
-      console.log('✅ Pot reset to 0 for next draw\n');
-    }
-
-    // Step 9: Post results to Twitter/X
-    console.log('📝 Step 8: Posting results to Twitter/X...');
+    // Step 5: Post results to Twitter/X
+    console.log('📝 Step 5: Posting results to Twitter/X...');
     const twitterResult = await postDrawResultsToTwitter({
+      game,
       draw: {
         winning_numbers: winning_numbers,
         powerball: powerball,
         id: draw.id
       },
       winners: winnersWithTransactions,
-      totalPot: totalPot,
-      totalPaid: finalWinners.reduce((sum, w) => sum + w.prize_amount, 0),
+      totalPot: formatCurrencyTotals(potByCurrency),
+      totalPaid: formatCurrencyTotals(paidByCurrency),
       successfulPayouts: successfulPayouts
     });
 
@@ -1825,51 +5360,160 @@ async function executeAutomatedDraw() {
   }
 }
 
+// Run the draw of every game whose calendar has a draw in the last minute
+async function runScheduledDraws(now = new Date()) {
+  try {
+    for (const game of await gameService.list()) {
+      const drawTime = await scheduleService.getNextDrawTime(game, new Date(now.getTime() - 60 * 1000));
+      if (drawTime <= now) {
+        await executeAutomatedDraw(game, await drawService.getDrawToRun(game, drawTime));
+      }
+    }
+  } catch (error) {
+    console.error('❌ Scheduled draw check failed:', error);
+  }
+}
+
+// Mark unpaid payment intents as expired
+async function expirePaymentIntents() {
+  try {
+    const { data: expired, error } = await supabaseAdmin
+      .from('payment_intents')
+      .update({ status: 'expired' })
+      .eq('status', 'pending')
+      .lt('expires_at', new Date().toISOString())
+      .select('id');
+
+    if (error) {
+      console.error('❌ Failed to expire payment intents:', error);
+      return;
+    }
+
+    if (expired.length > 0) {
+      console.log(`⌛ Expired ${expired.length} unpaid payment intent(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Payment intent sweep failed:', error);
+  }
+}
+
+// Payment watcher: look up open intents by their Solana Pay reference and issue
+// tickets for any payment found on-chain
+let paymentWatcherRunning = false;
+
+async function watchPaymentReferences() {
+  if (paymentWatcherRunning) {
+    return;
+  }
+  paymentWatcherRunning = true;
+
+  try {
+    // Include recently expired intents: a payment may have landed just before expiry
+    const graceCutoff = new Date(Date.now() - PAYMENT_WATCH_GRACE_MINUTES * 60 * 1000);
+
+    const { data: intents, error } = await supabaseAdmin
+      .from('payment_intents')
+      .select('*, users!user_id(id, wallet_address)')
+      .in('status', ['pending', 'expired'])
+      .not('reference', 'is', null)
+      .gte('expires_at', graceCutoff.toISOString())
+      .order('created_at', { ascending: true })
+      .limit(100);
+
+    if (error) {
+      console.error('❌ Payment watcher failed to load intents:', error);
+      return;
+    }
+
+    for (const intent of intents) {
+      try {
+        const signatures = await solanaService.findSignaturesForReference(intent.reference);
+
+        for (const signature of signatures) {
+          const issued = await issueTicketsForIntent(intent.users, intent, signature);
+
+          if (issued.success) {
+            console.log(`🎫 Payment watcher issued ${issued.tickets.length} ticket(s) for intent ${intent.id}`);
+            console.log(`   TX: ${signature}`);
+            break;
+          }
+
+          console.log(`⚠️  Payment watcher skipped ${signature} for intent ${intent.id}: ${issued.error}`);
+        }
+      } catch (intentError) {
+        console.error(`❌ Payment watcher failed on intent ${intent.id}:`, intentError.message);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Payment watcher failed:', error);
+  } finally {
+    paymentWatcherRunning = false;
+  }
+}
+
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 Powerball Backend running on port ${PORT}`);
   console.log(`📊 Health check: http://localhost:${PORT}/health`);
   console.log(`🔗 API docs: http://localhost:${PORT}/`);
   
-  // Schedule automated draw every Friday at 20:00 UTC
-  // Cron format: second minute hour day month weekday
-  // '0 20 * * 5' = At 20:00 (8 PM) every Friday
-  cron.schedule('0 20 * * 5', async () => {
-    await executeAutomatedDraw();
+  // Carry on any draw a restart interrupted partway through
+  resumeInterruptedDraws();
+
+  // Check every minute for games due a draw; each game is drawn at its
+  // draw_hour_utc on its draw_days
+  cron.schedule('* * * * *', async () => {
+    await runScheduledDraws();
+  }, {
+    scheduled: true,
+    timezone: "UTC"
+  });
+
+  // Sweep expired payment intents every minute
+  cron.schedule('* * * * *', async () => {
+    await expirePaymentIntents();
+  }, {
+    scheduled: true,
+    timezone: "UTC"
+  });
+
+  // Look for Solana Pay payments every 15 seconds
+  cron.schedule('*/15 * * * * *', async () => {
+    await watchPaymentReferences();
+  }, {
+    scheduled: true,
+    timezone: "UTC"
+  });
+
+  // Index incoming treasury transfers every minute
+  cron.schedule('30 * * * * *', async () => {
+    await treasuryIndexer.run();
+  }, {
+    scheduled: true,
+    timezone: "UTC"
+  });
+
+  // Enter active subscriptions into the draw on sale every minute
+  cron.schedule('45 * * * * *', async () => {
+    await subscriptionService.enterSalesDraw();
   }, {
     scheduled: true,
     timezone: "UTC"
   });
 
-  console.log('⏰ Automated draw scheduled: Every Friday at 20:00 UTC');
-  console.log(`📅 Next draw: ${getNextDrawDate()}\n`);
+  // Print each game's next draw
+  logNextDraws();
 });
 
-// Helper function to get next draw date
-function getNextDrawDate() {
-  const now = new Date();
-  const currentUTC = new Date(now.getTime() + (now.getTimezoneOffset() * 60000));
-  const currentDay = currentUTC.getUTCDay();
-  const currentHour = currentUTC.getUTCHours();
-  
-  let daysUntilFriday;
-  if (currentDay === 5) {
-    if (currentHour < 20) {
-      daysUntilFriday = 0;
-    } else {
-      daysUntilFriday = 7;
+async function logNextDraws() {
+  try {
+    for (const game of await gameService.list()) {
+      console.log(`📅 Next ${game.name} draw: ${(await scheduleService.getNextDrawTime(game)).toISOString()}`);
     }
-  } else if (currentDay < 5) {
-    daysUntilFriday = 5 - currentDay;
-  } else {
-    daysUntilFriday = 5 + (7 - currentDay);
+    console.log('');
+  } catch (error) {
+    console.error('❌ Failed to load games:', error.message);
   }
-  
-  const nextDraw = new Date(currentUTC);
-  nextDraw.setUTCDate(currentUTC.getUTCDate() + daysUntilFriday);
-  nextDraw.setUTCHours(20, 0, 0, 0);
-  
-  return nextDraw.toISOString();
 }
 
 module.exports = app;
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { supabaseAdmin } = require('./supabase');
+const sessionService = require('./sessions');
+
+const TOKEN_ISSUER = 'powerball-backend';
+const TOKEN_AUDIENCE = 'admin';
+const API_KEY_PREFIX = 'pbk_';
+
+// operator: run draws, treasurer: send payouts, auditor: read-only stats and exports.
+// superadmin passes every role check and manages admin accounts.
+const ADMIN_ROLES = ['operator', 'treasurer', 'auditor', 'superadmin'];
+
+class AdminAuthService {
+  constructor() {
+    this.roles = ADMIN_ROLES;
+    this.tokenTtlSeconds = parseInt(process.env.ADMIN_TOKEN_TTL_SECONDS || '3600', 10); // 1 hour
+  }
+
+  isValidRole(role) {
+    return ADMIN_ROLES.includes(role);
+  }
+
+  hasRole(admin, roles) {
+    return admin.role === 'superadmin' || roles.includes(admin.role);
+  }
+
+  hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+  }
+
+  // Generate a new API key. The plaintext key is only ever returned here.
+  generateApiKey() {
+    const apiKey = API_KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+    return {
+      apiKey,
+      keyPrefix: apiKey.substring(0, API_KEY_PREFIX.length + 8),
+      keyHash: this.hashApiKey(apiKey)
+    };
+  }
+
+  signAdminToken(admin) {
+    return jwt.sign(
+      { role: admin.role },
+      sessionService.getSecret(),
+      {
+        algorithm: 'HS256',
+        subject: admin.id,
+        issuer: TOKEN_ISSUER,
+        audience: TOKEN_AUDIENCE,
+        expiresIn: this.tokenTtlSeconds
+      }
+    );
+  }
+
+  async getActiveAdmin(query) {
+    const { data: admin, error } = await query
+      .eq('active', true)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load admin: ${error.message}`);
+    }
+
+    return admin;
+  }
+
+  async findAdminByWallet(walletAddress) {
+    return this.getActiveAdmin(
+      supabaseAdmin.from('admin_users').select('*').eq('wallet_address', walletAddress)
+    );
+  }
+
+  // Resolve an admin from a bearer token. The role is re-read from the database
+  // so role changes and deactivation apply immediately.
+  async verifyAdminToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, sessionService.getSecret(), {
+        algorithms: ['HS256'],
+        issuer: TOKEN_ISSUER,
+        audience: TOKEN_AUDIENCE
+      });
+    } catch (error) {
+      return { valid: false, error: error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token' };
+    }
+
+    const admin = await this.getActiveAdmin(
+      supabaseAdmin.from('admin_users').select('*').eq('id', payload.sub)
+    );
+
+    if (!admin) {
+      return { valid: false, error: 'Admin not found or deactivated' };
+    }
+
+    return { valid: true, admin, method: 'wallet' };
+  }
+
+  // Resolve an admin from an API key
+  async verifyApiKey(apiKey) {
+    if (!apiKey.startsWith(API_KEY_PREFIX)) {
+      return { valid: false, error: 'Invalid API key' };
+    }
+
+    const { data: key, error } = await supabaseAdmin
+      .from('admin_api_keys')
+      .select('*, admin_users(*)')
+      .eq('key_hash', this.hashApiKey(apiKey))
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load API key: ${error.message}`);
+    }
+
+    if (!key || key.revoked_at || (key.expires_at && new Date(key.expires_at) <= new Date())) {
+      return { valid: false, error: 'Invalid API key' };
+    }
+
+    if (!key.admin_users || !key.admin_users.active) {
+      return { valid: false, error: 'Admin not found or deactivated' };
+    }
+
+    await supabaseAdmin
+      .from('admin_api_keys')
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('id', key.id);
+
+    return { valid: true, admin: key.admin_users, method: 'api_key', apiKeyId: key.id };
+  }
+}
+
+module.exports = new AdminAuthService();
@@ -0,0 +1,92 @@
+// Currencies tickets can be bought and prizes paid in. All amounts are integers in
+// the currency's smallest unit (lamports for SOL, base units for SPL tokens).
+
+const SOL = {
+  code: 'SOL',
+  decimals: 9,
+  mint: null,
+  ticketPrice: 50000000 // 0.05 SOL
+};
+
+// Optional SPL token (e.g. USDC), configured through the environment
+function loadTokenCurrency() {
+  const mint = process.env.TOKEN_MINT;
+  if (!mint) {
+    return null;
+  }
+
+  const code = (process.env.TOKEN_CODE || 'USDC').toUpperCase();
+  const decimals = parseInt(process.env.TOKEN_DECIMALS || '6', 10);
+  const ticketPrice = parseInt(process.env.TOKEN_TICKET_PRICE || '0', 10);
+
+  if (!ticketPrice) {
+    console.warn(`⚠️  TOKEN_MINT is set but TOKEN_TICKET_PRICE is not - ${code} purchases disabled`);
+    return null;
+  }
+
+  return { code, decimals, mint, ticketPrice };
+}
+
+class CurrencyRegistry {
+  constructor() {
+    this.defaultCode = SOL.code;
+    this.currencies = new Map([[SOL.code, SOL]]);
+
+    const token = loadTokenCurrency();
+    if (token) {
+      this.currencies.set(token.code, token);
+    }
+  }
+
+  list() {
+    return [...this.currencies.values()];
+  }
+
+  codes() {
+    return [...this.currencies.keys()];
+  }
+
+  isSupported(code) {
+    return this.currencies.has(code);
+  }
+
+  get(code = this.defaultCode) {
+    const currency = this.currencies.get(code);
+    if (!currency) {
+      throw new Error(`Unsupported currency: ${code}`);
+    }
+    return currency;
+  }
+
+  // Format an integer amount as a decimal string without floating-point rounding
+  format(amount, code = this.defaultCode) {
+    const { decimals } = this.get(code);
+    const base = 10 ** decimals;
+    const whole = Math.floor(amount / base);
+    const fraction = String(amount % base).padStart(decimals, '0').replace(/0+$/, '');
+    return fraction ? `${whole}.${fraction}` : String(whole);
+  }
+
+  // Convert an integer amount to a display number (e.g. lamports -> SOL)
+  toDisplay(amount, code = this.defaultCode) {
+    return Number(amount) / 10 ** this.get(code).decimals;
+  }
+
+  // Convert a display number or decimal string back to integer units. The digits are
+  // read as written rather than multiplied in floating point, and digits beyond the
+  // currency's decimals are dropped.
+  fromDisplay(value, code = this.defaultCode) {
+    const { decimals } = this.get(code);
+    const match = /^(-?)(\d*)(?:\.(\d*))?$/.exec(String(value).trim());
+    if (!match) {
+      // Exponent notation (e.g. 1e-7) has no digits to read
+      return Math.round(Number(value) * 10 ** decimals);
+    }
+
+    const [, sign, whole, fraction = ''] = match;
+    const units = Number(whole || 0) * 10 ** decimals + Number(fraction.slice(0, decimals).padEnd(decimals, '0'));
+    return sign ? -units : units;
+  }
+}
+
+module.exports = new CurrencyRegistry();
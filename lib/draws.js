@@ -0,0 +1,454 @@
+const { supabaseAdmin } = require('./supabase');
+const solanaService = require('./solana');
+const fairnessService = require('./fairness');
+const gameService = require('./games');
+const scheduleService = require('./schedule');
+
+// A draw moves through these states in order; `failed` and `cancelled` can be reached
+// from any of them. A failed draw remembers the state it failed in and resumes there.
+const DRAW_STATES = ['scheduled', 'sales_closed', 'drawn', 'winners_calculated', 'payouts_in_progress', 'completed'];
+
+// States in which a draw has no numbers yet
+const UNDRAWN_STATES = ['scheduled', 'sales_closed'];
+
+class DrawService {
+  constructor() {
+    // How long a draw waits for the Solana block it mixes into its numbers
+    this.blockWaitSeconds = 90;
+
+    this.states = DRAW_STATES;
+    this.undrawnStates = UNDRAWN_STATES;
+  }
+
+  getSalesCloseTime(game, drawTime) {
+    return new Date(drawTime.getTime() - gameService.getSalesCutoffMinutes(game) * 60 * 1000);
+  }
+
+  // Draw a purchase made at `now` goes into: the next draw on the game's calendar, or
+  // the one after it once the next draw's sales have closed
+  async getSalesDrawTime(game, now = new Date()) {
+    const nextDraw = await scheduleService.getNextDrawTime(game, now);
+    return now < this.getSalesCloseTime(game, nextDraw) ? nextDraw : scheduleService.getNextDrawTime(game, nextDraw);
+  }
+
+  // Open draw of a game for a draw time, created on first use. A new draw publishes
+  // the commitment to its seed as it opens, in the same write that stores the seed.
+  async getOpenDraw(game, drawTime) {
+    const seed = fairnessService.createSeed();
+
+    const { data: created, error: createError } = await supabaseAdmin.rpc('open_draw', {
+      p_game_id: game.id,
+      p_draw_time: drawTime.toISOString(),
+      p_sales_close_at: this.getSalesCloseTime(game, drawTime).toISOString(),
+      p_seed: seed,
+      p_seed_commitment: fairnessService.commit(seed)
+    });
+
+    if (createError) {
+      throw new Error(`Failed to open draw: ${createError.message}`);
+    }
+
+    if (created && created.length > 0) {
+      console.log(`🗓️  Opened ${game.id} draw ${created[0].id} for ${drawTime.toISOString()}`);
+      await this.adoptUnassignedTickets(created[0]);
+      return created[0];
+    }
+
+    const { data: draw, error } = await supabaseAdmin
+      .from('draws')
+      .select('*')
+      .eq('game_id', game.id)
+      .eq('draw_time', drawTime.toISOString())
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to load draw: ${error.message}`);
+    }
+
+    return draw;
+  }
+
+  async loadGame(gameId) {
+    const game = await gameService.get(gameId);
+    if (!game) {
+      throw new Error(`Unknown game: ${gameId}`);
+    }
+    return game;
+  }
+
+  // Draw of a game that tickets bought now are sold into
+  async getSalesDraw(gameId = gameService.defaultId, now = new Date()) {
+    const game = await this.loadGame(gameId);
+    return this.getOpenDraw(game, await this.getSalesDrawTime(game, now));
+  }
+
+  // The draw of a game on sale and the `count - 1` draws after it, for advance purchases
+  async getSalesDraws(count, gameId = gameService.defaultId, now = new Date()) {
+    const game = await this.loadGame(gameId);
+    const draws = [];
+    let drawTime = await this.getSalesDrawTime(game, now);
+    for (let i = 0; i < count; i++) {
+      draws.push(await this.getOpenDraw(game, drawTime));
+      drawTime = await scheduleService.getNextDrawTime(game, drawTime);
+    }
+    return draws;
+  }
+
+  // Draw of a game already opened for a draw time, or null
+  async findDraw(gameId, drawTime) {
+    const { data: draw, error } = await supabaseAdmin
+      .from('draws')
+      .select('*')
+      .eq('game_id', gameId)
+      .eq('draw_time', drawTime.toISOString())
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load draw: ${error.message}`);
+    }
+
+    return draw;
+  }
+
+  // Opened draws of a game still on sale after `now`
+  async getScheduledDraws(gameId, now = new Date()) {
+    const { data: draws, error } = await supabaseAdmin
+      .from('draws')
+      .select('*')
+      .eq('game_id', gameId)
+      .eq('status', 'scheduled')
+      .gt('draw_time', now.toISOString())
+      .order('draw_time', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to load scheduled draws: ${error.message}`);
+    }
+
+    return draws;
+  }
+
+  // Move a draw that has not closed its sales to a new time; its sales cutoff moves with it
+  async reschedule(draw, game, drawTime) {
+    const { data: updated, error } = await supabaseAdmin
+      .from('draws')
+      .update({
+        draw_time: drawTime.toISOString(),
+        draw_date: drawTime.toISOString().split('T')[0],
+        sales_close_at: this.getSalesCloseTime(game, drawTime).toISOString()
+      })
+      .eq('id', draw.id)
+      .eq('status', 'scheduled')
+      .select();
+
+    if (error) {
+      throw new Error(`Failed to reschedule draw: ${error.message}`);
+    }
+
+    if (!updated || updated.length === 0) {
+      throw new Error(`Draw ${draw.id} is no longer scheduled`);
+    }
+
+    console.log(`🗓️  Moved draw ${draw.id} from ${draw.draw_time} to ${drawTime.toISOString()}`);
+    return updated[0];
+  }
+
+  // Delete an opened draw nothing was sold into. Returns false, leaving the draw as it
+  // is, if it has any tickets.
+  async deleteUnsold(draw) {
+    const { data: tickets, error } = await supabaseAdmin
+      .from('tickets')
+      .select('id')
+      .eq('draw_id', draw.id)
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Failed to load draw tickets: ${error.message}`);
+    }
+
+    if (tickets.length > 0) {
+      return false;
+    }
+
+    const { error: deleteError } = await supabaseAdmin
+      .from('draws')
+      .delete()
+      .eq('id', draw.id)
+      .eq('status', 'scheduled');
+
+    if (deleteError) {
+      throw new Error(`Failed to delete draw: ${deleteError.message}`);
+    }
+
+    return true;
+  }
+
+  // Tickets bought before draws were scheduled join the first draw that opens
+  async adoptUnassignedTickets(draw) {
+    const { data: adopted, error } = await supabaseAdmin
+      .from('tickets')
+      .update({ draw_id: draw.id })
+      .is('draw_id', null)
+      .eq('game_id', draw.game_id)
+      .eq('status', 'active')
+      .select('id');
+
+    if (error) {
+      console.error('❌ Failed to assign unassigned tickets:', error.message);
+      return;
+    }
+
+    if (adopted.length > 0) {
+      console.log(`🎫 Assigned ${adopted.length} earlier ticket(s) to draw ${draw.id}`);
+    }
+  }
+
+  // Oldest undrawn draw of a game whose sales have closed, i.e. the next one to be drawn
+  async getClosedDraw(gameId = gameService.defaultId, now = new Date()) {
+    const { data: draw, error } = await supabaseAdmin
+      .from('draws')
+      .select('*')
+      .eq('game_id', gameId)
+      .in('status', UNDRAWN_STATES)
+      .lte('sales_close_at', now.toISOString())
+      .order('draw_time', { ascending: true })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load closed draw: ${error.message}`);
+    }
+
+    return draw;
+  }
+
+  // Whether a draw has its numbers (a failed draw counts from the state it failed in)
+  isDrawn(draw) {
+    const state = draw.status === 'failed' ? draw.failed_status : draw.status;
+    return state !== 'cancelled' && !UNDRAWN_STATES.includes(state);
+  }
+
+  // Oldest undrawn draw of a game whose sales have closed and whose draw time has come,
+  // i.e. the one a draw can be made for now
+  async getDueDraw(gameId = gameService.defaultId, now = new Date()) {
+    const { data: draw, error } = await supabaseAdmin
+      .from('draws')
+      .select('*')
+      .eq('game_id', gameId)
+      .in('status', UNDRAWN_STATES)
+      .lte('sales_close_at', now.toISOString())
+      .lte('draw_time', now.toISOString())
+      .order('draw_time', { ascending: true })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load due draw: ${error.message}`);
+    }
+
+    return draw;
+  }
+
+  // The draw of a game to make at a calendar draw time: the one due or, when nothing
+  // was sold into it, the calendar's draw opened as it is made
+  async getDrawToRun(game, drawTime) {
+    return (await this.getDueDraw(game.id)) || this.getOpenDraw(game, drawTime);
+  }
+
+  // Move a draw from the state it is in to `status`. Throws if it has moved on since
+  // it was loaded, so two runs cannot both take the same step.
+  async transition(draw, status, fields = {}) {
+    const { data: updated, error } = await supabaseAdmin
+      .from('draws')
+      .update({ ...fields, status, status_changed_at: new Date().toISOString() })
+      .eq('id', draw.id)
+      .eq('status', draw.status)
+      .select();
+
+    if (error) {
+      throw new Error(`Failed to move draw to ${status}: ${error.message}`);
+    }
+
+    if (!updated || updated.length === 0) {
+      throw new Error(`Draw ${draw.id} is no longer ${draw.status}`);
+    }
+
+    return updated[0];
+  }
+
+  // Record that a step failed. The draw keeps the state it failed in so it can resume.
+  async fail(draw, reason) {
+    return this.transition(draw, 'failed', {
+      failed_status: draw.status,
+      failure_reason: reason,
+      failed_at: new Date().toISOString()
+    });
+  }
+
+  // Put a failed draw back in the state it failed in
+  async resume(draw) {
+    if (draw.status !== 'failed') {
+      return draw;
+    }
+
+    return this.transition(draw, draw.failed_status, {
+      failed_status: null,
+      failure_reason: null,
+      failed_at: null
+    });
+  }
+
+  // Stop ticket sales for a scheduled draw once its cutoff has passed
+  async closeSales(draw, now = new Date()) {
+    if (now < new Date(draw.sales_close_at)) {
+      throw new Error(`Sales for draw ${draw.id} close at ${draw.sales_close_at}`);
+    }
+
+    return this.transition(draw, 'sales_closed');
+  }
+
+  // Make a draw whose sales have closed: reveal its seed and derive the numbers from
+  // it and the first Solana block at or after sales closed (or after the seed was
+  // committed, if that was later)
+  async runDraw(draw) {
+    // Draws opened before seeds were committed get one now; the proof shows it was late.
+    // A draw that published a commitment can only be made from the seed behind it.
+    let seed = await fairnessService.getSeed(draw.id);
+    if (!seed) {
+      if (draw.seed_commitment) {
+        throw new Error(`Draw ${draw.id} published a seed commitment but its seed is missing`);
+      }
+      seed = fairnessService.createSeed();
+      await fairnessService.storeSeed(draw.id, seed);
+    }
+
+    if (!draw.seed_commitment) {
+      const { data: committed, error: commitError } = await supabaseAdmin
+        .from('draws')
+        .update({ seed_commitment: fairnessService.commit(seed), seed_committed_at: new Date().toISOString() })
+        .eq('id', draw.id)
+        .is('seed_commitment', null)
+        .select()
+        .maybeSingle();
+
+      if (commitError || !committed) {
+        throw new Error(`Failed to commit draw seed: ${commitError ? commitError.message : 'the draw was committed by another run'}`);
+      }
+      draw = committed;
+    } else if (fairnessService.commit(seed) !== draw.seed_commitment) {
+      throw new Error(`Draw ${draw.id} seed does not match its published commitment`);
+    }
+
+    const inputAfter = new Date(Math.max(
+      new Date(draw.sales_close_at).getTime(),
+      new Date(draw.seed_committed_at).getTime()
+    ));
+    const block = await this.waitForBlockAfter(inputAfter);
+    const game = await this.loadGame(draw.game_id);
+    const { numbers, powerball } = fairnessService.deriveNumbers(seed, block.blockhash, game);
+
+    const drawn = await this.transition(draw, 'drawn', {
+      winning_numbers: numbers,
+      powerball,
+      randomness: 'commit_reveal',
+      server_seed: seed,
+      public_input_slot: block.slot,
+      public_input_blockhash: block.blockhash,
+      public_input_block_time: new Date(block.blockTime * 1000).toISOString()
+    });
+
+    console.log(`🔐 Draw ${drawn.id}: seed revealed, mixed with block ${block.slot} (${block.blockhash})`);
+
+    return drawn;
+  }
+
+  // Poll until a finalized block at or after `time` exists
+  async waitForBlockAfter(time) {
+    const deadline = Date.now() + this.blockWaitSeconds * 1000;
+    for (;;) {
+      const block = await solanaService.getFirstBlockAfter(time);
+      if (block) {
+        return block;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`No finalized Solana block after ${time.toISOString()} yet`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 3000));
+    }
+  }
+
+  // Record a standalone test draw with numbers chosen by an operator. It has no tickets
+  // and is marked as manual, and settling it leaves the game's pots alone; real draws
+  // are only ever made from their committed seed.
+  async recordTestDraw(winningNumbers, powerball, { gameId = gameService.defaultId, drawDate } = {}) {
+    const now = new Date();
+    const { data: draw, error } = await supabaseAdmin
+      .from('draws')
+      .insert({
+        game_id: gameId,
+        winning_numbers: winningNumbers,
+        powerball,
+        draw_date: drawDate || now.toISOString().split('T')[0],
+        draw_time: now.toISOString(),
+        sales_close_at: now.toISOString(),
+        status: 'drawn',
+        randomness: 'manual'
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create draw: ${error.message}`);
+    }
+
+    return draw;
+  }
+
+  // Active tickets sold into a draw
+  async getTickets(drawId, select = '*') {
+    const { data: tickets, error } = await supabaseAdmin
+      .from('tickets')
+      .select(select)
+      .eq('draw_id', drawId)
+      .eq('status', 'active');
+
+    if (error) {
+      throw new Error(`Failed to load draw tickets: ${error.message}`);
+    }
+
+    return tickets;
+  }
+
+  // Undrawn draws of the same game other than `draw`; their ticket sales are not part
+  // of its pot
+  async getOtherOpenDrawIds(draw) {
+    const { data: draws, error } = await supabaseAdmin
+      .from('draws')
+      .select('id')
+      .eq('game_id', draw.game_id)
+      .or(`status.in.(${UNDRAWN_STATES}),failed_status.in.(${UNDRAWN_STATES})`)
+      .neq('id', draw.id);
+
+    if (error) {
+      throw new Error(`Failed to load open draws: ${error.message}`);
+    }
+
+    return draws.map(d => d.id);
+  }
+
+  // Draws a step was interrupted in, e.g. by a restart, to pick up where they stopped
+  async getInterruptedDraws() {
+    const { data: draws, error } = await supabaseAdmin
+      .from('draws')
+      .select('*')
+      .in('status', ['sales_closed', 'drawn', 'winners_calculated', 'payouts_in_progress'])
+      .order('draw_time', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to load interrupted draws: ${error.message}`);
+    }
+
+    return draws;
+  }
+}
+
+module.exports = new DrawService();
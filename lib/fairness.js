@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const { supabaseAdmin } = require('./supabase');
+
+// Version of the derivation below, published with every proof
+const ALGORITHM = 'hmac-sha256-v1';
+
+const ALGORITHM_DESCRIPTION = [
+  'commitment = sha256(seed bytes), where the seed is 32 random bytes published as hex',
+  'block i of the stream = hmac_sha256(key = seed bytes, message = "<public_input>:<i>") for i = 0, 1, 2, ...',
+  'the stream is read as big-endian 32-bit unsigned integers',
+  'a number in 1..n uses the next integer x, skipping any x >= 2^32 - (2^32 mod n), as (x mod n) + 1',
+  'main numbers: numbers in 1..main_pool are drawn until there are main_picks different ones (repeats are skipped), then sorted',
+  'powerball: the next number in 1..bonus_pool',
+  'main_picks, main_pool and bonus_pool are those of the draw\'s game, published with the proof'
+];
+
+const UINT32_RANGE = 2 ** 32;
+
+// Commit-reveal randomness for draws. A seed is committed (its hash published) when a
+// draw opens, and revealed once the draw is made. The numbers come from the seed mixed
+// with a public input nobody knows in advance, so anyone can recompute them.
+class FairnessService {
+  constructor() {
+    this.algorithm = ALGORITHM;
+    this.description = ALGORITHM_DESCRIPTION;
+  }
+
+  createSeed() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  commit(seed) {
+    return crypto.createHash('sha256').update(Buffer.from(seed, 'hex')).digest('hex');
+  }
+
+  // Seeds are kept out of the public draws table until they are revealed
+  async storeSeed(drawId, seed) {
+    const { error } = await supabaseAdmin
+      .from('draw_seeds')
+      .insert({ draw_id: drawId, server_seed: seed });
+
+    if (error) {
+      throw new Error(`Failed to store draw seed: ${error.message}`);
+    }
+  }
+
+  async getSeed(drawId) {
+    const { data, error } = await supabaseAdmin
+      .from('draw_seeds')
+      .select('server_seed')
+      .eq('draw_id', drawId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load draw seed: ${error.message}`);
+    }
+
+    return data ? data.server_seed : null;
+  }
+
+  // Deterministic stream of uniform numbers in 1..n from the seed and public input
+  createStream(seed, publicInput) {
+    const key = Buffer.from(seed, 'hex');
+    let counter = 0;
+    let buffer = Buffer.alloc(0);
+    let offset = 0;
+
+    const nextUint32 = () => {
+      if (offset + 4 > buffer.length) {
+        buffer = crypto.createHmac('sha256', key).update(`${publicInput}:${counter}`).digest();
+        counter++;
+        offset = 0;
+      }
+      const value = buffer.readUInt32BE(offset);
+      offset += 4;
+      return value;
+    };
+
+    return (n) => {
+      // Rejection sampling keeps every number equally likely
+      const limit = UINT32_RANGE - (UINT32_RANGE % n);
+      let x = nextUint32();
+      while (x >= limit) {
+        x = nextUint32();
+      }
+      return (x % n) + 1;
+    };
+  }
+
+  // Winning line for a game's matrix ({ main_picks, main_pool, bonus_pool })
+  deriveNumbers(seed, publicInput, game) {
+    const next = this.createStream(seed, publicInput);
+
+    const numbers = [];
+    while (numbers.length < game.main_picks) {
+      const num = next(game.main_pool);
+      if (!numbers.includes(num)) {
+        numbers.push(num);
+      }
+    }
+    numbers.sort((a, b) => a - b);
+
+    return { numbers, powerball: next(game.bonus_pool) };
+  }
+
+  // Recompute a completed draw of a game from its published fields.
+  // Returns { verified, errors }.
+  verify(draw, game) {
+    const errors = [];
+
+    if (!draw.server_seed || !draw.seed_commitment || !draw.public_input_blockhash) {
+      return { verified: false, errors: ['Draw has no revealed seed and public input'] };
+    }
+
+    if (this.commit(draw.server_seed) !== draw.seed_commitment) {
+      errors.push('Seed does not match the commitment');
+    }
+
+    const { numbers, powerball } = this.deriveNumbers(draw.server_seed, draw.public_input_blockhash, game);
+    const drawn = [...draw.winning_numbers].sort((a, b) => a - b);
+    if (numbers.join(',') !== drawn.join(',') || powerball !== draw.powerball) {
+      errors.push('Winning numbers do not match the seed and public input');
+    }
+
+    return { verified: errors.length === 0, errors };
+  }
+}
+
+module.exports = new FairnessService();
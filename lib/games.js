@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const { supabaseAdmin } = require('./supabase');
+const currencies = require('./currencies');
+
+// Game every ticket, draw and pot belongs to unless another one is chosen
+const DEFAULT_GAME_ID = 'main';
+
+// Ticket sales close this many minutes before a draw, for games that do not set their own
+const DEFAULT_SALES_CUTOFF_MINUTES = parseInt(process.env.SALES_CUTOFF_MINUTES || '30', 10);
+
+// Games are read on nearly every request, so they are cached briefly; edits to the
+// games table apply within this time
+const CACHE_TTL_MS = 60 * 1000;
+
+// Lottery games: number matrix, ticket prices, draw schedule and house share, from the
+// `games` table. Prize tiers are configured per game in `prize_tiers`.
+class GameService {
+  constructor() {
+    this.defaultId = DEFAULT_GAME_ID;
+    this.cache = null;
+    this.cachedAt = 0;
+  }
+
+  async loadAll() {
+    if (this.cache && Date.now() - this.cachedAt < CACHE_TTL_MS) {
+      return this.cache;
+    }
+
+    const { data: games, error } = await supabaseAdmin
+      .from('games')
+      .select('*')
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to load games: ${error.message}`);
+    }
+
+    this.cache = games;
+    this.cachedAt = Date.now();
+    return games;
+  }
+
+  // Drop the cache after a change made by the backend itself, so it applies at once
+  invalidate() {
+    this.cache = null;
+  }
+
+  // Change a game's settings and drop the cache, so the change applies at once
+  async update(id, fields) {
+    const { data: game, error } = await supabaseAdmin
+      .from('games')
+      .update(fields)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to update game: ${error.message}`);
+    }
+
+    this.invalidate();
+    return game;
+  }
+
+  // Active games, the default game first
+  async list() {
+    const games = await this.loadAll();
+    return games
+      .filter(g => g.active)
+      .sort((a, b) => (b.id === DEFAULT_GAME_ID) - (a.id === DEFAULT_GAME_ID));
+  }
+
+  // A game by id (active or not), or null
+  async get(id = DEFAULT_GAME_ID) {
+    const games = await this.loadAll();
+    return games.find(g => g.id === id) || null;
+  }
+
+  // A game tickets can be bought for. Returns { success, game } or { success: false, status, error }.
+  async resolve(id = DEFAULT_GAME_ID) {
+    const game = await this.get(id || DEFAULT_GAME_ID);
+
+    if (!game || !game.active) {
+      return { success: false, status: 400, error: `Unknown game: ${id}` };
+    }
+
+    return { success: true, game };
+  }
+
+  // Validate one line against a game's matrix.
+  // Returns an error message, or null when the line is valid.
+  validateLine(game, numbers, powerball) {
+    if (!numbers || !Array.isArray(numbers) || numbers.length !== game.main_picks) {
+      return `Each ticket must have exactly ${game.main_picks} numbers`;
+    }
+
+    if (!Number.isInteger(powerball) || powerball < 1 || powerball > game.bonus_pool) {
+      return `Powerball must be between 1 and ${game.bonus_pool}`;
+    }
+
+    const validNumbers = numbers.every(num => Number.isInteger(num) && num >= 1 && num <= game.main_pool);
+    const uniqueNumbers = new Set(numbers).size === numbers.length;
+
+    if (!validNumbers || !uniqueNumbers) {
+      return `Numbers must be between 1-${game.main_pool} and unique`;
+    }
+
+    return null;
+  }
+
+  // One random line for a game, cryptographically secure
+  generateLine(game) {
+    const numbers = [];
+    while (numbers.length < game.main_picks) {
+      const num = crypto.randomInt(1, game.main_pool + 1);
+      if (!numbers.includes(num)) {
+        numbers.push(num);
+      }
+    }
+    numbers.sort((a, b) => a - b);
+
+    return { numbers, powerball: crypto.randomInt(1, game.bonus_pool + 1) };
+  }
+
+  // Ticket price in a currency's smallest unit: the game's own price, or the
+  // currency's standard price when the game does not set one
+  getTicketPrice(game, currency) {
+    const price = (game.ticket_prices || {})[currency];
+    return price !== undefined ? Number(price) : currencies.get(currency).ticketPrice;
+  }
+
+  getSalesCutoffMinutes(game) {
+    return game.sales_cutoff_minutes !== null && game.sales_cutoff_minutes !== undefined
+      ? game.sales_cutoff_minutes
+      : DEFAULT_SALES_CUTOFF_MINUTES;
+  }
+
+  // Game as published to players
+  toPublic(game) {
+    return {
+      id: game.id,
+      name: game.name,
+      main_picks: game.main_picks,
+      main_pool: game.main_pool,
+      bonus_pool: game.bonus_pool,
+      ticket_prices: currencies.list().map(currency => ({
+        currency: currency.code,
+        ticket_price: currencies.toDisplay(this.getTicketPrice(game, currency.code), currency.code),
+        ticket_price_base_units: this.getTicketPrice(game, currency.code)
+      })),
+      draw_days: game.draw_days,
+      draw_hour_utc: game.draw_hour_utc,
+      sales_cutoff_minutes: this.getSalesCutoffMinutes(game)
+    };
+  }
+}
+
+module.exports = new GameService();
@@ -0,0 +1,263 @@
+const { supabaseAdmin } = require('./supabase');
+
+// Chart of accounts. The side is the one that increases the account's balance.
+const ACCOUNTS = {
+  treasury: 'debit',         // Funds held by the treasury for tickets sold
+  pot: 'credit',             // Prize pool of the upcoming draw
+  rollover: 'credit',        // Undistributed prizes carried into the next draw's jackpot
+  prizes_payable: 'credit',  // Prizes won but not paid out yet
+  refunds_payable: 'credit', // Voided tickets not refunded yet
+  house_revenue: 'credit',   // Operator's share of each settled pot
+  adjustments: 'debit',      // Counter-account for manual corrections
+  subscription_balances: 'credit', // Prepaid subscription funds not spent on a draw yet
+  syndicate_pools: 'credit'  // Syndicate contributions not spent on tickets yet
+};
+
+const ENTRY_TYPES = [
+  'ticket_sale',
+  'house_revenue',
+  'prize_allocation',
+  'payout',
+  'rollover',
+  'jackpot_seed',
+  'refund',
+  'adjustment',
+  'subscription_deposit',
+  'syndicate_contribution',
+  'cancellation_fee'
+];
+
+// Integer amounts only: lamports for SOL, base units for SPL tokens
+function isAmount(value) {
+  return Number.isSafeInteger(value) && value > 0;
+}
+
+class LedgerService {
+  constructor() {
+    this.accounts = Object.keys(ACCOUNTS);
+    this.entryTypes = ENTRY_TYPES;
+  }
+
+  isValidAccount(account) {
+    return Object.prototype.hasOwnProperty.call(ACCOUNTS, account);
+  }
+
+  // Post a journal transaction. `entries` are { account, debit } or { account, credit }
+  // legs that must balance. Posting the same type and reference twice returns the
+  // original transaction instead of recording it again. A transaction belongs to the
+  // game of its draw unless `gameId` says otherwise, and to the default game without either.
+  async post({
+    type,
+    currency = 'SOL',
+    reference,
+    entries,
+    ticketCount = 0,
+    drawId = null,
+    gameId = null,
+    description = null,
+    createdBy = null
+  }) {
+    if (!ENTRY_TYPES.includes(type)) {
+      throw new Error(`Invalid ledger entry type: ${type}`);
+    }
+
+    if (!reference) {
+      throw new Error('Ledger transactions need a reference');
+    }
+
+    let debits = 0;
+    let credits = 0;
+    for (const entry of entries) {
+      if (!this.isValidAccount(entry.account)) {
+        throw new Error(`Invalid ledger account: ${entry.account}`);
+      }
+      const amount = entry.debit !== undefined ? entry.debit : entry.credit;
+      if (!isAmount(amount) || (entry.debit !== undefined && entry.credit !== undefined)) {
+        throw new Error(`Invalid ledger leg for ${entry.account}: ${JSON.stringify(entry)}`);
+      }
+      if (entry.debit !== undefined) {
+        debits += entry.debit;
+      } else {
+        credits += entry.credit;
+      }
+    }
+
+    if (debits !== credits) {
+      throw new Error(`Unbalanced ledger transaction: debits ${debits}, credits ${credits}`);
+    }
+
+    // The database function inserts the transaction and its legs atomically
+    const { data, error } = await supabaseAdmin.rpc('post_ledger_transaction', {
+      p_type: type,
+      p_currency: currency,
+      p_reference: reference,
+      p_entries: entries,
+      p_ticket_count: ticketCount,
+      p_draw_id: drawId,
+      p_description: description,
+      p_created_by: createdBy,
+      p_game_id: gameId
+    });
+
+    if (error) {
+      if (error.code === '23505') {
+        const existing = await this.findTransaction(type, reference, currency);
+        return { ...existing, duplicate: true };
+      }
+      throw new Error(`Failed to post ${type} to ledger: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  // Two-legged transaction: debit one account, credit another by the same amount
+  async transfer(type, { debit, credit, amount, ...options }) {
+    return this.post({
+      type,
+      entries: [
+        { account: debit, debit: amount },
+        { account: credit, credit: amount }
+      ],
+      ...options
+    });
+  }
+
+  // Take back transfers posted for a sale that then had to be withdrawn, by posting
+  // each in the opposite direction as `type`. Failures are only logged, since the
+  // caller is already unwinding.
+  async reverseTransfers(type, transfers) {
+    for (const { debit, credit, reference, ...options } of transfers) {
+      try {
+        await this.transfer(type, { ...options, debit: credit, credit: debit, reference: `${reference}:reversed` });
+      } catch (error) {
+        console.error(`❌ Failed to reverse ledger transaction ${reference}:`, error.message);
+      }
+    }
+  }
+
+  async findTransaction(type, reference, currency = 'SOL') {
+    const { data, error } = await supabaseAdmin
+      .from('ledger_transactions')
+      .select('*')
+      .eq('type', type)
+      .eq('reference', reference)
+      .eq('currency', currency)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load ledger transaction: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  // Debit and credit totals per entry type and account for a currency, across all
+  // games or for one game
+  async getFlows(currency = 'SOL', gameId = null) {
+    let query = supabaseAdmin
+      .from('ledger_flows')
+      .select('*')
+      .eq('currency', currency);
+
+    if (gameId) query = query.eq('game_id', gameId);
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to load ledger flows: ${error.message}`);
+    }
+
+    return data.map(row => ({
+      type: row.type,
+      account: row.account,
+      debit: Number(row.debit_lamports),
+      credit: Number(row.credit_lamports)
+    }));
+  }
+
+  // Sum of one side of an account, optionally only for one entry type
+  sumFlows(flows, account, side, type) {
+    return flows
+      .filter(f => f.account === account && (!type || f.type === type))
+      .reduce((sum, f) => sum + f[side], 0);
+  }
+
+  // Balance of every account in a currency (of one game, if given), positive on the
+  // account's increasing side
+  async getBalances(currency = 'SOL', { gameId = null, flows = null } = {}) {
+    const rows = flows || await this.getFlows(currency, gameId);
+    const balances = {};
+    for (const account of this.accounts) {
+      const debit = this.sumFlows(rows, account, 'debit');
+      const credit = this.sumFlows(rows, account, 'credit');
+      balances[account] = ACCOUNTS[account] === 'debit' ? debit - credit : credit - debit;
+    }
+    return balances;
+  }
+
+  // Net amount in the pot from ticket sales (less refunds) bound to the given draws
+  async getDrawSales(currency, drawIds) {
+    if (drawIds.length === 0) {
+      return 0;
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('ledger_entries')
+      .select('debit_lamports, credit_lamports, ledger_transactions!inner(draw_id)')
+      .eq('account', 'pot')
+      .eq('currency', currency)
+      .in('ledger_transactions.draw_id', drawIds);
+
+    if (error) {
+      throw new Error(`Failed to load draw sales: ${error.message}`);
+    }
+
+    return data.reduce((sum, entry) => sum + Number(entry.credit_lamports) - Number(entry.debit_lamports), 0);
+  }
+
+  // Tickets sold minus tickets refunded, from the ticket counts on each transaction
+  async getTicketCount(currency = 'SOL', gameId = null) {
+    let query = supabaseAdmin
+      .from('ledger_totals')
+      .select('type, ticket_count')
+      .eq('currency', currency)
+      .in('type', ['ticket_sale', 'refund']);
+
+    if (gameId) query = query.eq('game_id', gameId);
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to load ledger totals: ${error.message}`);
+    }
+
+    return data.reduce((sum, row) => sum + (row.type === 'ticket_sale' ? 1 : -1) * Number(row.ticket_count), 0);
+  }
+
+  // Headline figures for a currency (of one game, if given), all in its smallest unit
+  async getSummary(currency = 'SOL', gameId = null) {
+    const flows = await this.getFlows(currency, gameId);
+    const balances = await this.getBalances(currency, { flows });
+
+    const ticketSales = this.sumFlows(flows, 'pot', 'credit', 'ticket_sale');
+    const ticketRefunds = this.sumFlows(flows, 'pot', 'debit', 'refund');
+
+    return {
+      currency,
+      balances,
+      pot: balances.pot + balances.rollover,
+      ticket_sales: ticketSales,
+      ticket_refunds: ticketRefunds,
+      net_ticket_sales: ticketSales - ticketRefunds,
+      tickets_sold: await this.getTicketCount(currency, gameId),
+      house_revenue: balances.house_revenue,
+      prizes_allocated: this.sumFlows(flows, 'prizes_payable', 'credit', 'prize_allocation'),
+      prizes_paid: this.sumFlows(flows, 'prizes_payable', 'debit', 'payout'),
+      jackpot_seeded: this.sumFlows(flows, 'house_revenue', 'debit', 'jackpot_seed'),
+      refunds_paid: this.sumFlows(flows, 'refunds_payable', 'debit', 'refund'),
+      cancellation_fees: this.sumFlows(flows, 'house_revenue', 'credit', 'cancellation_fee')
+    };
+  }
+}
+
+module.exports = new LedgerService();
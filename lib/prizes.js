@@ -0,0 +1,233 @@
+const { supabaseAdmin } = require('./supabase');
+const currencies = require('./currencies');
+const gameService = require('./games');
+
+// Integer share of an amount, rounded down (BigInt so large pots cannot overflow)
+function basisPoints(amount, bps) {
+  return Number((BigInt(amount) * BigInt(bps)) / 10000n);
+}
+
+// A draw's jackpot when nothing is carried into it, seeded or capped
+const NO_JACKPOT = { carriedIn: 0, seeded: 0, amount: 0, mustBeWon: false };
+
+// Prize engine: which tier a ticket wins and how a pot is split between the tiers,
+// driven by each game's `prize_tiers`, house share and jackpot rules
+class PrizeService {
+  // A game's house share and active tiers, highest tier first.
+  // Returns { gameId, houseShareBps, tiers }.
+  async getStructure(gameId = gameService.defaultId) {
+    const game = await gameService.get(gameId);
+
+    if (!game) {
+      throw new Error(`Unknown game: ${gameId}`);
+    }
+
+    const { data: tiers, error } = await supabaseAdmin
+      .from('prize_tiers')
+      .select('*')
+      .eq('game_id', game.id)
+      .eq('active', true)
+      .order('tier', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to load prize tiers: ${error.message}`);
+    }
+
+    if (tiers.length === 0) {
+      throw new Error(`Prize structure of game ${game.id} is not configured`);
+    }
+
+    return { gameId: game.id, houseShareBps: game.house_share_bps, tiers };
+  }
+
+  // Tier a ticket wins: the first tier whose match rule it meets. Returns
+  // { prizeTier, tier, matchingNumbers, powerballMatch }, with prizeTier 0 for no prize.
+  matchTicket(structure, ticket, winningNumbers, winningPowerball) {
+    const matchingNumbers = ticket.numbers.filter(num => winningNumbers.includes(num)).length;
+    const powerballMatch = ticket.powerball === winningPowerball;
+
+    const tier = structure.tiers.find(t =>
+      t.match_count === matchingNumbers && (!t.requires_powerball || powerballMatch)
+    ) || null;
+
+    return { prizeTier: tier ? tier.tier : 0, tier, matchingNumbers, powerballMatch };
+  }
+
+  // Prize per winner of a fixed tier in a currency (smallest unit), 0 if not set
+  getFixedAmount(tier, currency) {
+    return Number((tier.fixed_amounts || {})[currency] || 0);
+  }
+
+  // The jackpot tier: the highest tier, when it is a pool tier. Rollovers, seeding and
+  // the cap only apply to games that have one.
+  getJackpotTier(structure) {
+    const tier = structure.tiers[0];
+    return tier && tier.prize_type === 'pool' ? tier : null;
+  }
+
+  // A game's jackpot rules in a currency (smallest unit): the guaranteed minimum seeded
+  // from house revenue, the cap (null for none) and after how many draws at the cap the
+  // jackpot must be won (null for never)
+  getJackpotRules(game, currency) {
+    const seed = (game.jackpot_seeds || {})[currency];
+    const cap = (game.jackpot_caps || {})[currency];
+
+    return {
+      seed: seed !== undefined ? Number(seed) : 0,
+      cap: cap !== undefined ? Number(cap) : null,
+      rolldownDraws: game.jackpot_rolldown_draws || null
+    };
+  }
+
+  // Jackpot of a draw with `sales` of new money in its pot and `carriedIn` rolled over
+  // from earlier draws: the jackpot tier's share of the winner pot plus the rollover,
+  // topped up to the seed and held at the cap. `previousCappedDraws` is how many draws
+  // in a row the jackpot had already sat at its cap.
+  // Returns { carriedIn, seeded, amount, capped, cappedDraws, mustBeWon }.
+  getJackpot(structure, rules, sales, carriedIn, previousCappedDraws = 0) {
+    const jackpotTier = this.getJackpotTier(structure);
+
+    if (!jackpotTier) {
+      return { ...NO_JACKPOT, carriedIn, capped: false, cappedDraws: 0 };
+    }
+
+    const winnerPot = basisPoints(sales, 10000 - structure.houseShareBps);
+    const uncapped = basisPoints(winnerPot, jackpotTier.allocation_bps) + carriedIn;
+    const seed = rules.cap !== null ? Math.min(rules.seed, rules.cap) : rules.seed;
+    const seeded = Math.max(seed - uncapped, 0);
+    const capped = rules.cap !== null && uncapped + seeded >= rules.cap;
+    const cappedDraws = capped ? previousCappedDraws + 1 : 0;
+
+    return {
+      carriedIn,
+      seeded,
+      amount: capped ? rules.cap : uncapped + seeded,
+      capped,
+      cappedDraws,
+      mustBeWon: capped && rules.rolldownDraws !== null && cappedDraws >= rules.rolldownDraws
+    };
+  }
+
+  // Split one pot (in the currency's smallest unit) starting from the highest tier,
+  // after the house share. A pool tier gets at most its share of the winner pot and a
+  // fixed tier its fixed prize per winner, both capped at what is left and split evenly,
+  // rounded down.
+  //
+  // The jackpot tier instead shares `jackpot.amount`, which also holds the rollover
+  // carried in and any seed. When the jackpot must be won and nobody wins it, it rolls
+  // down to the lower tiers that have winners, in proportion to their share of the
+  // winner pot (or evenly between tiers if none has one). Whatever is not handed out
+  // rolls over into the next draw's jackpot.
+  distribute(structure, winners, totalPot, currency, jackpot = NO_JACKPOT) {
+    const winnerPot = basisPoints(totalPot, 10000 - structure.houseShareBps);
+    const revenue = totalPot - winnerPot;
+    const carried = jackpot.carriedIn + jackpot.seeded;
+    const jackpotTier = this.getJackpotTier(structure);
+
+    const winnerCountByTier = {};
+    winners.forEach(w => {
+      winnerCountByTier[w.prize_tier] = (winnerCountByTier[w.prize_tier] || 0) + 1;
+    });
+
+    const lowerTiers = structure.tiers.filter(t => t !== jackpotTier && winnerCountByTier[t.tier] > 0);
+    const jackpotWon = Boolean(jackpotTier && winnerCountByTier[jackpotTier.tier] > 0);
+    const rolledDown = Boolean(jackpotTier && jackpot.mustBeWon && !jackpotWon && lowerTiers.length > 0);
+
+    // A jackpot that is paid out comes first, from the money carried in and then from
+    // this draw's winner pot. Lower tiers share the rest of the winner pot.
+    const jackpotPaid = jackpotWon || rolledDown ? jackpot.amount : 0;
+    let remainingPot = jackpotTier ? winnerPot - Math.max(jackpotPaid - carried, 0) : winnerPot + carried;
+
+    const prizePerWinnerByTier = {};
+    const tiers = [];
+
+    if (jackpotWon) {
+      const winnersInTier = winnerCountByTier[jackpotTier.tier];
+      const perWinner = Math.floor(jackpotPaid / winnersInTier);
+      prizePerWinnerByTier[jackpotTier.tier] = perWinner;
+      tiers.push({ tier: jackpotTier.tier, name: jackpotTier.name, prizeType: jackpotTier.prize_type, allocationBps: jackpotTier.allocation_bps, winnersInTier, tierAllocation: jackpotPaid, tierTotalPrize: perWinner * winnersInTier, rolldown: 0, remainingPot });
+    }
+
+    for (const tier of lowerTiers) {
+      const winnersInTier = winnerCountByTier[tier.tier];
+      // Pool tiers take a percentage of the ORIGINAL winner pot
+      const tierAllocation = tier.prize_type === 'fixed'
+        ? this.getFixedAmount(tier, currency) * winnersInTier
+        : basisPoints(winnerPot, tier.allocation_bps);
+      const perWinner = Math.floor(Math.min(tierAllocation, Math.max(remainingPot, 0)) / winnersInTier);
+      prizePerWinnerByTier[tier.tier] = perWinner;
+      remainingPot -= perWinner * winnersInTier;
+      tiers.push({ tier: tier.tier, name: tier.name, prizeType: tier.prize_type, allocationBps: tier.allocation_bps, winnersInTier, tierAllocation, tierTotalPrize: perWinner * winnersInTier, rolldown: 0, remainingPot });
+    }
+
+    if (rolledDown) {
+      const weights = lowerTiers.map(t => (t.prize_type === 'pool' ? t.allocation_bps : 0));
+      const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+
+      tiers.filter(t => t.tier !== jackpotTier.tier).forEach((entry, index) => {
+        const share = totalWeight > 0
+          ? Number((BigInt(jackpotPaid) * BigInt(weights[index])) / BigInt(totalWeight))
+          : Math.floor(jackpotPaid / lowerTiers.length);
+        const extraPerWinner = Math.floor(share / entry.winnersInTier);
+        prizePerWinnerByTier[entry.tier] += extraPerWinner;
+        entry.rolldown = extraPerWinner * entry.winnersInTier;
+        entry.tierTotalPrize += entry.rolldown;
+      });
+    }
+
+    const allocated = tiers.reduce((sum, t) => sum + t.tierTotalPrize, 0);
+
+    return {
+      totalPot,
+      winnerPot,
+      revenue,
+      carried,
+      jackpot: jackpot.amount,
+      jackpotWon,
+      rolledDown,
+      allocated,
+      remainingPot: winnerPot + carried - allocated,
+      prizePerWinnerByTier,
+      tiers,
+      winners: winners.map(winner => ({
+        ...winner,
+        prize_lamports: prizePerWinnerByTier[winner.prize_tier] || 0
+      }))
+    };
+  }
+
+  // Human description of a tier's match rule, e.g. "4 + Powerball"
+  describeMatch(tier) {
+    return tier.requires_powerball ? `${tier.match_count} + Powerball` : `${tier.match_count} numbers`;
+  }
+
+  // Structure as published to players, with fixed prizes in whole units
+  toPublic(structure) {
+    return {
+      game_id: structure.gameId,
+      house_share_bps: structure.houseShareBps,
+      winner_share_bps: 10000 - structure.houseShareBps,
+      tiers: structure.tiers.map(tier => {
+        const fixedPrizes = {};
+        for (const [code, amount] of Object.entries(tier.fixed_amounts || {})) {
+          if (currencies.isSupported(code)) {
+            fixedPrizes[code] = currencies.toDisplay(Number(amount), code);
+          }
+        }
+
+        return {
+          tier: tier.tier,
+          name: tier.name,
+          match: this.describeMatch(tier),
+          match_count: tier.match_count,
+          requires_powerball: tier.requires_powerball,
+          prize_type: tier.prize_type,
+          allocation_bps: tier.prize_type === 'pool' ? tier.allocation_bps : null,
+          fixed_prizes: tier.prize_type === 'fixed' ? fixedPrizes : null
+        };
+      })
+    };
+  }
+}
+
+module.exports = new PrizeService();
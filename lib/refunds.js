@@ -0,0 +1,431 @@
+const { supabaseAdmin } = require('./supabase');
+const solanaService = require('./solana');
+const currencies = require('./currencies');
+const ledgerService = require('./ledger');
+
+const REFUND_REASONS = ['unmatched_payment', 'rejected_ticket', 'cancelled_draw', 'cancelled_subscription', 'cancelled_ticket', 'manual'];
+
+class RefundService {
+  constructor() {
+    this.reasons = REFUND_REASONS;
+  }
+
+  // Record a refund as pending, then send it. The row is kept (as failed) if the
+  // transfer fails so it can be retried. Refunds of funds held in the ledger come out
+  // of `fromAccount` (the pot for tickets, subscription_balances for subscriptions)
+  // when they are sent; deposit refunds never reached the ledger.
+  async createRefund(options) {
+    return this.sendRefund(await this.recordRefund(options));
+  }
+
+  // Insert a pending refund without sending it
+  async recordRefund({
+    reason,
+    recipientWallet,
+    amountLamports,
+    currency = 'SOL',
+    originalTransaction,
+    userId = null,
+    ticketPaymentId = null,
+    treasuryDepositId = null,
+    drawId = null,
+    ticketIds = [],
+    subscriptionId = null,
+    fromAccount = null,
+    feeLamports = 0,
+    requestedBy = null,
+    note = null
+  }) {
+    if (!REFUND_REASONS.includes(reason)) {
+      throw new Error(`Invalid refund reason: ${reason}`);
+    }
+
+    const { data: refund, error } = await supabaseAdmin
+      .from('refunds')
+      .insert({
+        reason,
+        recipient_wallet: recipientWallet,
+        amount_lamports: amountLamports,
+        currency,
+        original_transaction: originalTransaction,
+        user_id: userId,
+        ticket_payment_id: ticketPaymentId,
+        treasury_deposit_id: treasuryDepositId,
+        draw_id: drawId,
+        ticket_ids: ticketIds,
+        subscription_id: subscriptionId,
+        from_account: fromAccount,
+        fee_lamports: feeLamports,
+        requested_by: requestedBy,
+        note,
+        status: 'pending'
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to record refund: ${error.message}`);
+    }
+
+    return refund;
+  }
+
+  // Move a refund (and the fee kept from it) out of its ledger account. Posting is
+  // idempotent, so a retried refund posts again safely.
+  async postRefund(refund) {
+    if (!refund.from_account) {
+      return;
+    }
+
+    const ticketCount = refund.ticket_ids.length;
+    await ledgerService.transfer('refund', {
+      debit: refund.from_account,
+      credit: 'refunds_payable',
+      amount: Number(refund.amount_lamports),
+      currency: refund.currency,
+      reference: `refund:${refund.id}`,
+      ticketCount,
+      drawId: refund.draw_id,
+      description: ticketCount > 0 ? `${refund.reason}: ${ticketCount} ticket(s) voided` : refund.reason
+    });
+
+    // The fee kept from a refund is house revenue
+    if (Number(refund.fee_lamports) > 0) {
+      await ledgerService.transfer('cancellation_fee', {
+        debit: refund.from_account,
+        credit: 'house_revenue',
+        amount: Number(refund.fee_lamports),
+        currency: refund.currency,
+        reference: `refund:${refund.id}`,
+        drawId: refund.draw_id,
+        description: `${refund.reason}: fee`
+      });
+    }
+  }
+
+  // Delete a refund that was never posted or sent
+  async discardRefund(refund) {
+    const { error } = await supabaseAdmin
+      .from('refunds')
+      .delete()
+      .eq('id', refund.id)
+      .eq('status', 'pending');
+
+    if (error) {
+      console.error(`❌ Failed to discard refund ${refund.id}:`, error.message);
+    }
+  }
+
+  // Send a pending or failed refund
+  async sendRefund(refund) {
+    // Claim the refund so two workers cannot send it twice
+    const { data: claimed } = await supabaseAdmin
+      .from('refunds')
+      .update({ status: 'sending', error: null })
+      .eq('id', refund.id)
+      .in('status', ['pending', 'failed'])
+      .select();
+
+    if (!claimed || claimed.length === 0) {
+      throw new Error(`Refund ${refund.id} is not pending`);
+    }
+
+    let signature;
+    try {
+      // A refund whose ledger posting fails is not sent, and is retried as a whole
+      await this.postRefund(refund);
+
+      ({ signature } = await solanaService.sendAmount(refund.recipient_wallet, Number(refund.amount_lamports), refund.currency));
+    } catch (sendError) {
+      // A transfer that may still land leaves the refund sending, with its signature for
+      // reconcileRefund to check; only one that definitely failed can be retried
+      const outcome = await solanaService.getSendOutcome(sendError);
+      if (outcome !== 'landed') {
+        console.error(`❌ Refund ${refund.id} failed:`, sendError.message);
+
+        const { data: failed } = await supabaseAdmin
+          .from('refunds')
+          .update(outcome === 'failed'
+            ? { status: 'failed', error: sendError.message }
+            : { refund_signature: sendError.signature, last_valid_block_height: sendError.lastValidBlockHeight, error: sendError.message })
+          .eq('id', refund.id)
+          .select()
+          .single();
+
+        return failed;
+      }
+      signature = sendError.signature;
+    }
+
+    return this.markRefundSent(refund, signature);
+  }
+
+  async markRefundSent(refund, signature) {
+    const { data: sent } = await supabaseAdmin
+      .from('refunds')
+      .update({
+        status: 'sent',
+        refund_signature: signature,
+        sent_at: new Date().toISOString(),
+        error: null
+      })
+      .eq('id', refund.id)
+      .select()
+      .single();
+
+    if (refund.ticket_ids.length > 0 || refund.subscription_id) {
+      await this.recordRefundSent(refund, signature);
+    }
+
+    console.log(`↩️  Refunded ${currencies.format(Number(refund.amount_lamports), refund.currency)} ${refund.currency} to ${refund.recipient_wallet.substring(0, 8)}... (${refund.reason})`);
+    console.log(`   TX: ${signature}`);
+
+    return sent;
+  }
+
+  // Check a refund left sending with an unconfirmed transfer: it is marked sent if the
+  // transfer landed, or failed (so it can be retried) once it is known that it did not.
+  // Returns the refund as it now stands.
+  async reconcileRefund(refund) {
+    const outcome = await solanaService.getSendOutcome({
+      signature: refund.refund_signature,
+      lastValidBlockHeight: refund.last_valid_block_height
+    });
+
+    if (outcome === 'landed') {
+      return this.markRefundSent(refund, refund.refund_signature);
+    }
+
+    if (outcome === 'unknown') {
+      return refund;
+    }
+
+    const { data: failed } = await supabaseAdmin
+      .from('refunds')
+      .update({
+        status: 'failed',
+        refund_signature: null,
+        last_valid_block_height: null,
+        error: `Transfer ${refund.refund_signature} did not land`
+      })
+      .eq('id', refund.id)
+      .eq('status', 'sending')
+      .select()
+      .maybeSingle();
+
+    return failed || refund;
+  }
+
+  // Move a sent ticket or subscription refund out of refunds_payable. A ledger failure is logged
+  // rather than marking the (already sent) refund as failed.
+  async recordRefundSent(refund, signature) {
+    try {
+      await ledgerService.transfer('refund', {
+        debit: 'refunds_payable',
+        credit: 'treasury',
+        amount: Number(refund.amount_lamports),
+        currency: refund.currency,
+        reference: `refund:${refund.id}:sent`,
+        drawId: refund.draw_id,
+        description: signature
+      });
+    } catch (ledgerError) {
+      console.error(`❌ Refund ${refund.id} sent but not recorded in the ledger:`, ledgerError.message);
+    }
+  }
+
+  // What refunding `ticketCount` tickets of a payment sends back: the price the payment
+  // actually paid per ticket, less `feeBps` of it kept as a fee. Returns { amount, fee }.
+  getTicketRefund(payment, ticketCount, feeBps = 0) {
+    const pricePerTicket = Math.floor(Number(payment.amount_lamports) / payment.ticket_count);
+    const paid = pricePerTicket * ticketCount;
+    const fee = Number((BigInt(paid) * BigInt(feeBps)) / 10000n);
+    return { amount: paid - fee, fee };
+  }
+
+  // Return syndicate tickets of one purchase and draw to the syndicate's pool, at the
+  // price the pool paid for them, voiding them as `status`. Returns the amount, or null
+  // if the sale cannot be found in the ledger or the tickets are no longer active.
+  async returnToSyndicate(tickets, status) {
+    const { syndicate_id: syndicateId, transaction_hash: purchase, draw_id: ticketDrawId, currency } = tickets[0];
+
+    const sale = await ledgerService.findTransaction('ticket_sale', `${purchase}:${ticketDrawId}`, currency);
+    if (!sale) {
+      return null;
+    }
+
+    const amount = Math.floor(Number(sale.amount_lamports) / sale.ticket_count) * tickets.length;
+
+    if (!await this.voidTickets(tickets, status)) {
+      return null;
+    }
+
+    const { error } = await supabaseAdmin.rpc('restore_syndicate_balance', { p_syndicate_id: syndicateId, p_amount: amount });
+    if (error) {
+      await this.restoreTickets(tickets);
+      throw new Error(`Failed to return funds to syndicate ${syndicateId}: ${error.message}`);
+    }
+
+    try {
+      await ledgerService.transfer('refund', {
+        debit: 'pot',
+        credit: 'syndicate_pools',
+        amount,
+        currency,
+        reference: `syndicate-refund:${ticketDrawId}:${tickets[0].id}`,
+        ticketCount: tickets.length,
+        drawId: ticketDrawId,
+        description: `${tickets.length} syndicate ticket(s) returned to the pool`
+      });
+    } catch (ledgerError) {
+      console.error(`❌ Syndicate ${syndicateId} refunded but not recorded in the ledger:`, ledgerError.message);
+    }
+
+    console.log(`↩️  Returned ${currencies.format(amount, currency)} ${currency} for ${tickets.length} ticket(s) to syndicate ${syndicateId}`);
+
+    return amount;
+  }
+
+  // Flip tickets that are still active to `status`. If any of them is not (another
+  // refund got there first), the rest are put back and false is returned.
+  async voidTickets(tickets, status) {
+    const { data: voided, error } = await supabaseAdmin
+      .from('tickets')
+      .update({ status })
+      .in('id', tickets.map(t => t.id))
+      .eq('status', 'active')
+      .select('id');
+
+    if (error) {
+      throw new Error(`Failed to void tickets: ${error.message}`);
+    }
+
+    if (voided.length < tickets.length) {
+      await this.restoreTickets(voided);
+      return false;
+    }
+
+    return true;
+  }
+
+  async restoreTickets(tickets) {
+    if (tickets.length === 0) {
+      return;
+    }
+
+    const { error } = await supabaseAdmin
+      .from('tickets')
+      .update({ status: 'active' })
+      .in('id', tickets.map(t => t.id));
+
+    if (error) {
+      console.error(`❌ Failed to restore ${tickets.length} ticket(s) to active:`, error.message);
+    }
+  }
+
+  // Void active tickets and refund them, one transfer per original payment transaction
+  // and draw. Syndicate tickets go back to their syndicate's pool, to be shared by its
+  // members as they were. Each group's refund is recorded before its tickets are voided,
+  // so a voided ticket always has a refund to retry. Tickets that are already refunded
+  // are skipped; tickets with nothing to refund them against, or whose refund could not
+  // be recorded, are left active and returned as `unrefundedTickets`.
+  // `feeBps` of the price is kept as a fee; cancelled tickets are marked `cancelled`
+  // rather than `refunded`.
+  async refundTickets(ticketIds, { reason, drawId = null, requestedBy = null, note = null, status = 'refunded', feeBps = 0 }) {
+    const { data: active, error } = await supabaseAdmin
+      .from('tickets')
+      .select('*, ticket_payments(*)')
+      .in('id', ticketIds)
+      .eq('status', 'active');
+
+    if (error) {
+      throw new Error(`Failed to load tickets: ${error.message}`);
+    }
+
+    // Group by original payment and draw so each is refunded once (a payment can
+    // cover several draws)
+    const byPayment = new Map();
+    const bySyndicatePurchase = new Map();
+    const unrefunded = [];
+    for (const ticket of active) {
+      if (ticket.syndicate_id) {
+        const key = `${ticket.transaction_hash}:${ticket.draw_id}`;
+        bySyndicatePurchase.set(key, [...(bySyndicatePurchase.get(key) || []), ticket]);
+        continue;
+      }
+      if (!ticket.ticket_payments) {
+        unrefunded.push(ticket);
+        continue;
+      }
+      const key = `${ticket.payment_id}:${ticket.draw_id}`;
+      const group = byPayment.get(key) || { payment: ticket.ticket_payments, tickets: [] };
+      group.tickets.push(ticket);
+      byPayment.set(key, group);
+    }
+
+    if (unrefunded.length > 0) {
+      console.warn(`⚠️  ${unrefunded.length} ticket(s) have no recorded payment - left active, cannot refund automatically`);
+    }
+
+    const voidedTickets = [];
+    const syndicateReturns = [];
+    for (const tickets of bySyndicatePurchase.values()) {
+      try {
+        const amount = await this.returnToSyndicate(tickets, status);
+        if (amount === null) {
+          unrefunded.push(...tickets);
+          continue;
+        }
+        voidedTickets.push(...tickets);
+        syndicateReturns.push({ syndicate_id: tickets[0].syndicate_id, draw_id: tickets[0].draw_id, ticket_count: tickets.length, amount_lamports: amount, currency: tickets[0].currency });
+      } catch (returnError) {
+        console.error(`❌ Failed to return ${tickets.length} ticket(s) to syndicate ${tickets[0].syndicate_id}:`, returnError.message);
+        unrefunded.push(...tickets);
+      }
+    }
+
+    const refunds = [];
+    for (const { payment, tickets } of byPayment.values()) {
+      const { amount, fee } = this.getTicketRefund(payment, tickets.length, feeBps);
+
+      let refund;
+      try {
+        refund = await this.recordRefund({
+          reason,
+          recipientWallet: payment.wallet_address,
+          amountLamports: amount,
+          currency: payment.currency,
+          originalTransaction: payment.transaction_hash,
+          userId: payment.user_id,
+          ticketPaymentId: payment.id,
+          drawId: drawId || tickets[0].draw_id,
+          ticketIds: tickets.map(t => t.id),
+          fromAccount: 'pot',
+          feeLamports: fee,
+          requestedBy,
+          note
+        });
+
+        if (!await this.voidTickets(tickets, status)) {
+          await this.discardRefund(refund);
+          unrefunded.push(...tickets);
+          continue;
+        }
+      } catch (recordError) {
+        console.error(`❌ Failed to refund ${tickets.length} ticket(s) of payment ${payment.transaction_hash}:`, recordError.message);
+        if (refund) {
+          await this.discardRefund(refund);
+        }
+        unrefunded.push(...tickets);
+        continue;
+      }
+
+      voidedTickets.push(...tickets);
+      refunds.push(await this.sendRefund(refund));
+    }
+
+    return { refunds, syndicateReturns, voidedTickets, unrefundedTickets: unrefunded };
+  }
+}
+
+module.exports = new RefundService();
@@ -0,0 +1,420 @@
+const { supabaseAdmin } = require('./supabase');
+const currencies = require('./currencies');
+const drawService = require('./draws');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rolling windows the spend limits apply to
+const SPEND_WINDOWS = {
+  weekly_spend_limits: 7,
+  monthly_spend_limits: 30
+};
+
+// A new value raises a limit if it is higher, or if it removes an existing limit (null)
+function isIncrease(current, next) {
+  if (next === null) {
+    return current !== null && current !== undefined;
+  }
+  return current !== null && current !== undefined && next > current;
+}
+
+class ResponsibleGamingService {
+  constructor() {
+    // How long a raised limit waits before it applies
+    this.increaseDelayHours = parseInt(process.env.LIMIT_INCREASE_DELAY_HOURS || '24', 10);
+  }
+
+  // A user's controls, with any raised limits whose delay has passed applied
+  async get(userId) {
+    const { data: controls, error } = await supabaseAdmin
+      .from('responsible_gaming_controls')
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load limits: ${error.message}`);
+    }
+
+    if (!controls) {
+      return {
+        user_id: userId,
+        weekly_spend_limits: {},
+        monthly_spend_limits: {},
+        tickets_per_draw_limit: null,
+        pending_changes: null,
+        pending_effective_at: null,
+        cool_off_until: null,
+        self_excluded_at: null
+      };
+    }
+
+    if (controls.pending_changes && new Date(controls.pending_effective_at) <= new Date()) {
+      return this.applyPending(controls);
+    }
+
+    return controls;
+  }
+
+  async applyPending(controls) {
+    const pending = controls.pending_changes;
+    const updates = {
+      weekly_spend_limits: { ...controls.weekly_spend_limits },
+      monthly_spend_limits: { ...controls.monthly_spend_limits },
+      pending_changes: null,
+      pending_effective_at: null
+    };
+
+    for (const field of Object.keys(SPEND_WINDOWS)) {
+      for (const [currency, value] of Object.entries(pending[field] || {})) {
+        if (value === null) {
+          delete updates[field][currency];
+        } else {
+          updates[field][currency] = value;
+        }
+      }
+    }
+
+    if (Object.prototype.hasOwnProperty.call(pending, 'tickets_per_draw_limit')) {
+      updates.tickets_per_draw_limit = pending.tickets_per_draw_limit;
+    }
+
+    // Only the request that clears the pending changes records them
+    const { data: applied } = await supabaseAdmin
+      .from('responsible_gaming_controls')
+      .update(updates)
+      .eq('user_id', controls.user_id)
+      .eq('pending_effective_at', controls.pending_effective_at)
+      .select();
+
+    if (!applied || applied.length === 0) {
+      return this.get(controls.user_id);
+    }
+
+    await this.record(controls.user_id, 'limit_increase_applied', { changes: pending });
+    return applied[0];
+  }
+
+  async save(userId, fields) {
+    const { data: controls, error } = await supabaseAdmin
+      .from('responsible_gaming_controls')
+      .upsert({ user_id: userId, ...fields }, { onConflict: 'user_id' })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to save limits: ${error.message}`);
+    }
+
+    return controls;
+  }
+
+  // Append to the audit trail. A failure is logged rather than undoing the change.
+  async record(userId, action, details = {}, { adminId = null, reason = null } = {}) {
+    const { error } = await supabaseAdmin
+      .from('responsible_gaming_events')
+      .insert({ user_id: userId, action, details, reason, admin_user_id: adminId });
+
+    if (error) {
+      console.error(`❌ Failed to record responsible gaming event ${action} for ${userId}:`, error.message);
+    }
+  }
+
+  async getEvents(userId, limit = 100) {
+    const { data: events, error } = await supabaseAdmin
+      .from('responsible_gaming_events')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to load responsible gaming events: ${error.message}`);
+    }
+
+    return events;
+  }
+
+  // Change limits. `changes` has weekly/monthly spend limits for one currency and/or
+  // the tickets per draw limit; null removes a limit. Lower limits apply at once,
+  // higher ones after the delay (restarting it for anything already pending).
+  // Returns { controls, applied, pending }.
+  async updateLimits(userId, { currency, weekly, monthly, ticketsPerDraw }) {
+    const controls = await this.get(userId);
+    const active = {
+      weekly_spend_limits: { ...controls.weekly_spend_limits },
+      monthly_spend_limits: { ...controls.monthly_spend_limits },
+      tickets_per_draw_limit: controls.tickets_per_draw_limit
+    };
+    const pending = { ...(controls.pending_changes || {}) };
+    const applied = {};
+    const raised = {};
+
+    const requested = [
+      ['weekly_spend_limits', weekly],
+      ['monthly_spend_limits', monthly]
+    ];
+    for (const [field, value] of requested) {
+      if (value === undefined) continue;
+
+      const current = active[field][currency];
+      const pendingField = { ...(pending[field] || {}) };
+      delete pendingField[currency];
+
+      if (isIncrease(current, value)) {
+        pendingField[currency] = value;
+        raised[field] = { [currency]: value };
+      } else {
+        if (value === null) {
+          delete active[field][currency];
+        } else {
+          active[field][currency] = value;
+        }
+        applied[field] = { [currency]: value };
+      }
+
+      if (Object.keys(pendingField).length > 0) {
+        pending[field] = pendingField;
+      } else {
+        delete pending[field];
+      }
+    }
+
+    if (ticketsPerDraw !== undefined) {
+      delete pending.tickets_per_draw_limit;
+      if (isIncrease(active.tickets_per_draw_limit, ticketsPerDraw)) {
+        pending.tickets_per_draw_limit = ticketsPerDraw;
+        raised.tickets_per_draw_limit = ticketsPerDraw;
+      } else {
+        active.tickets_per_draw_limit = ticketsPerDraw;
+        applied.tickets_per_draw_limit = ticketsPerDraw;
+      }
+    }
+
+    const hasPending = Object.keys(pending).length > 0;
+    const effectiveAt = Object.keys(raised).length > 0
+      ? new Date(Date.now() + this.increaseDelayHours * 60 * 60 * 1000).toISOString()
+      : controls.pending_effective_at;
+
+    const saved = await this.save(userId, {
+      ...active,
+      pending_changes: hasPending ? pending : null,
+      pending_effective_at: hasPending ? effectiveAt : null
+    });
+
+    await this.record(userId, 'limits_updated', { applied, raised, effective_at: hasPending ? effectiveAt : null });
+
+    return { controls: saved, applied, pending: raised };
+  }
+
+  // Current exclusion, if any: { type: 'self_exclusion' } or { type: 'cool_off', until }
+  getExclusion(controls, now = new Date()) {
+    if (controls.self_excluded_at) {
+      return { type: 'self_exclusion', since: controls.self_excluded_at };
+    }
+    if (controls.cool_off_until && new Date(controls.cool_off_until) > now) {
+      return { type: 'cool_off', until: controls.cool_off_until };
+    }
+    return null;
+  }
+
+  async isExcluded(userId) {
+    return this.getExclusion(await this.get(userId)) !== null;
+  }
+
+  // Take a break for `days` days. A cool-off can be extended but not shortened.
+  async coolOff(userId, days) {
+    const controls = await this.get(userId);
+    const until = new Date(Date.now() + days * DAY_MS);
+
+    if (controls.cool_off_until && new Date(controls.cool_off_until) > until) {
+      return { controls, extended: false };
+    }
+
+    const saved = await this.save(userId, { cool_off_until: until.toISOString() });
+    await this.record(userId, 'cool_off', { days, until: until.toISOString() });
+    await this.expireOpenIntents(userId);
+
+    return { controls: saved, extended: true };
+  }
+
+  // Exclude the user permanently; only an admin can lift it
+  async selfExclude(userId) {
+    const controls = await this.get(userId);
+    if (controls.self_excluded_at) {
+      return controls;
+    }
+
+    const saved = await this.save(userId, { self_excluded_at: new Date().toISOString() });
+    await this.record(userId, 'self_exclusion');
+    await this.expireOpenIntents(userId);
+
+    return saved;
+  }
+
+  // Admin override: lift an exclusion, or exclude a user (until a date, or for good)
+  async override(userId, admin, { action, until = null, reason }) {
+    const before = await this.get(userId);
+    const fields = action === 'lift'
+      ? { cool_off_until: null, self_excluded_at: null }
+      : until
+        ? { cool_off_until: until }
+        : { self_excluded_at: new Date().toISOString() };
+
+    const saved = await this.save(userId, fields);
+    await this.record(userId, action === 'lift' ? 'exclusion_lifted' : 'exclusion_set', {
+      before: this.getExclusion(before),
+      after: this.getExclusion(saved)
+    }, { adminId: admin.id, reason });
+
+    if (action !== 'lift') {
+      await this.expireOpenIntents(userId);
+    }
+
+    return saved;
+  }
+
+  // Users currently cooling off or self-excluded
+  async listExclusions() {
+    const { data: controls, error } = await supabaseAdmin
+      .from('responsible_gaming_controls')
+      .select('*, users(wallet_address)')
+      .or(`self_excluded_at.not.is.null,cool_off_until.gt.${new Date().toISOString()}`)
+      .order('updated_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to load exclusions: ${error.message}`);
+    }
+
+    return controls;
+  }
+
+  // Unpaid intents stop being payable once a user is excluded. A payment already
+  // sent before now is still honoured.
+  async expireOpenIntents(userId) {
+    const { error } = await supabaseAdmin
+      .from('payment_intents')
+      .update({ status: 'expired', expires_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('status', 'pending');
+
+    if (error) {
+      console.error(`❌ Failed to expire payment intents for ${userId}:`, error.message);
+    }
+  }
+
+  // Amount spent in a currency over the last `days` days, counting unpaid intents
+  // that can still be paid
+  async getSpend(userId, currency, days) {
+    const since = new Date(Date.now() - days * DAY_MS).toISOString();
+
+    const { data: payments, error } = await supabaseAdmin
+      .from('ticket_payments')
+      .select('amount_lamports')
+      .eq('user_id', userId)
+      .eq('currency', currency)
+      .gte('created_at', since);
+
+    if (error) {
+      throw new Error(`Failed to load spend: ${error.message}`);
+    }
+
+    const { data: intents, error: intentError } = await supabaseAdmin
+      .from('payment_intents')
+      .select('amount_lamports')
+      .eq('user_id', userId)
+      .eq('currency', currency)
+      .eq('status', 'pending')
+      .gt('expires_at', new Date().toISOString());
+
+    if (intentError) {
+      throw new Error(`Failed to load open intents: ${intentError.message}`);
+    }
+
+    return [...payments, ...intents].reduce((sum, row) => sum + Number(row.amount_lamports), 0);
+  }
+
+  // Spend against each limit for the currencies the user has limits in
+  async getUsage(controls) {
+    const usage = [];
+    for (const field of Object.keys(SPEND_WINDOWS)) {
+      for (const [currency, limit] of Object.entries(controls[field])) {
+        const spent = await this.getSpend(controls.user_id, currency, SPEND_WINDOWS[field]);
+        usage.push({
+          window: field === 'weekly_spend_limits' ? 'weekly' : 'monthly',
+          days: SPEND_WINDOWS[field],
+          currency,
+          limit: currencies.toDisplay(limit, currency),
+          spent: currencies.toDisplay(spent, currency),
+          remaining: currencies.toDisplay(Math.max(limit - spent, 0), currency)
+        });
+      }
+    }
+    return usage;
+  }
+
+  // Check a purchase of `amount` costing `ticketsPerDraw` lines in each of the next
+  // `drawCount` draws of a game. Returns { success } or { success: false, status, error }.
+  async checkPurchase(userId, { currency, amount, ticketsPerDraw = 0, drawCount = 1, gameId }) {
+    const controls = await this.get(userId);
+
+    const exclusion = this.getExclusion(controls);
+    if (exclusion) {
+      return {
+        success: false,
+        status: 403,
+        error: exclusion.type === 'self_exclusion'
+          ? 'Account is self-excluded from purchases'
+          : `Account is cooling off until ${exclusion.until}`
+      };
+    }
+
+    for (const field of Object.keys(SPEND_WINDOWS)) {
+      const limit = controls[field][currency];
+      if (limit === undefined) continue;
+
+      const spent = await this.getSpend(userId, currency, SPEND_WINDOWS[field]);
+      if (spent + amount > limit) {
+        const window = field === 'weekly_spend_limits' ? 'Weekly' : 'Monthly';
+        return {
+          success: false,
+          status: 403,
+          error: `${window} spend limit of ${currencies.format(limit, currency)} ${currency} would be exceeded (${currencies.format(Math.max(limit - spent, 0), currency)} ${currency} left)`
+        };
+      }
+    }
+
+    if (controls.tickets_per_draw_limit && ticketsPerDraw > 0) {
+      if (ticketsPerDraw > controls.tickets_per_draw_limit) {
+        return { success: false, status: 403, error: `Limit of ${controls.tickets_per_draw_limit} tickets per draw would be exceeded` };
+      }
+
+      const draws = await drawService.getSalesDraws(drawCount, gameId);
+      const { data: tickets, error } = await supabaseAdmin
+        .from('tickets')
+        .select('draw_id')
+        .eq('user_id', userId)
+        .eq('status', 'active')
+        .in('draw_id', draws.map(d => d.id));
+
+      if (error) {
+        throw new Error(`Failed to load tickets: ${error.message}`);
+      }
+
+      for (const draw of draws) {
+        const held = tickets.filter(t => t.draw_id === draw.id).length;
+        if (held + ticketsPerDraw > controls.tickets_per_draw_limit) {
+          return {
+            success: false,
+            status: 403,
+            error: `Limit of ${controls.tickets_per_draw_limit} tickets per draw would be exceeded (${held} already held for the draw at ${draw.draw_time})`
+          };
+        }
+      }
+    }
+
+    return { success: true };
+  }
+}
+
+module.exports = new ResponsibleGamingService();
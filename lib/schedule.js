@@ -0,0 +1,247 @@
+const { supabaseAdmin } = require('./supabase');
+const gameService = require('./games');
+
+// Calendar entries are read on every sale and every scheduler tick, so they are cached
+// briefly per game; changes made through this service apply at once, direct edits to
+// `draw_calendar` within this time
+const CACHE_TTL_MS = 60 * 1000;
+
+// Entries this far in the past are still loaded, so a draw postponed from last week to
+// tomorrow is found
+const ENTRY_LOOKBACK_DAYS = 7;
+
+// How far ahead the calendar is searched for a game's next draw
+const MAX_LOOKAHEAD_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Draw calendar of each game: the recurring rule on the game (`draw_days` at
+// `draw_hour_utc`) with one-off changes from `draw_calendar`: extra draws, skipped
+// draws and postponed draws
+class ScheduleService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  async getEntries(gameId) {
+    const cached = this.cache.get(gameId);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+      return cached.entries;
+    }
+
+    const since = new Date(Date.now() - ENTRY_LOOKBACK_DAYS * DAY_MS).toISOString();
+    const { data: entries, error } = await supabaseAdmin
+      .from('draw_calendar')
+      .select('*')
+      .eq('game_id', gameId)
+      .or(`draw_time.gte.${since},postponed_to.gte.${since}`)
+      .order('draw_time', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to load draw calendar: ${error.message}`);
+    }
+
+    this.cache.set(gameId, { entries, loadedAt: Date.now() });
+    return entries;
+  }
+
+  invalidate(gameId) {
+    this.cache.delete(gameId);
+  }
+
+  // Times the recurring rule puts a draw at, after `from` and up to `to`
+  getRuleTimes(game, from, to) {
+    const times = [];
+    const day = new Date(from);
+    day.setUTCHours(game.draw_hour_utc, 0, 0, 0);
+    while (day <= to) {
+      if (day > from && game.draw_days.includes(day.getUTCDay())) {
+        times.push(new Date(day));
+      }
+      day.setUTCDate(day.getUTCDate() + 1);
+    }
+    return times;
+  }
+
+  // A game's draws after `from` and up to `to`, in order, each as
+  // { draw_time, type, original_time, entry_id } where type is regular, extra or postponed
+  async getDrawTimes(game, from, to) {
+    const entries = await this.getEntries(game.id);
+    const changed = new Set(entries.filter(e => e.type !== 'extra').map(e => new Date(e.draw_time).getTime()));
+    const inRange = time => time > from && time <= to;
+
+    const draws = this.getRuleTimes(game, from, to)
+      .filter(time => !changed.has(time.getTime()))
+      .map(time => ({ draw_time: time, type: 'regular', original_time: null, entry_id: null }));
+
+    for (const entry of entries) {
+      const drawTime = new Date(entry.type === 'postpone' ? entry.postponed_to : entry.draw_time);
+      if (entry.type !== 'skip' && inRange(drawTime)) {
+        draws.push({
+          draw_time: drawTime,
+          type: entry.type === 'postpone' ? 'postponed' : 'extra',
+          original_time: entry.type === 'postpone' ? new Date(entry.draw_time) : null,
+          entry_id: entry.id
+        });
+      }
+    }
+
+    return draws.sort((a, b) => a.draw_time - b.draw_time);
+  }
+
+  // First draw of a game strictly after `from`
+  async getNextDrawTime(game, from = new Date()) {
+    for (let start = from; start - from < MAX_LOOKAHEAD_DAYS * DAY_MS;) {
+      const end = new Date(start.getTime() + 31 * DAY_MS);
+      const draws = await this.getDrawTimes(game, start, end);
+      if (draws.length > 0) {
+        return draws[0].draw_time;
+      }
+      start = end;
+    }
+    throw new Error(`Game ${game.id} has no draws in the next ${MAX_LOOKAHEAD_DAYS} days`);
+  }
+
+  // The calendar's draw at exactly `time`, or null
+  async findDraw(game, time) {
+    const draws = await this.getDrawTimes(game, new Date(time.getTime() - 1), time);
+    return draws.find(d => d.draw_time.getTime() === time.getTime()) || null;
+  }
+
+  async insertEntry(game, fields, { reason = null, createdBy = null }) {
+    const { data: entry, error } = await supabaseAdmin
+      .from('draw_calendar')
+      .insert({ game_id: game.id, ...fields, reason, created_by: createdBy })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to save calendar entry: ${error.message}`);
+    }
+
+    this.invalidate(game.id);
+    return entry;
+  }
+
+  async updateEntry(game, id, fields) {
+    const { data: entry, error } = await supabaseAdmin
+      .from('draw_calendar')
+      .update(fields)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to update calendar entry: ${error.message}`);
+    }
+
+    this.invalidate(game.id);
+    return entry;
+  }
+
+  async deleteEntry(game, id) {
+    const { error } = await supabaseAdmin
+      .from('draw_calendar')
+      .delete()
+      .eq('id', id);
+
+    if (error) {
+      throw new Error(`Failed to delete calendar entry: ${error.message}`);
+    }
+
+    this.invalidate(game.id);
+  }
+
+  // Add a one-off draw. Returns { success, entry } or { success: false, status, error }.
+  async addExtra(game, time, options = {}) {
+    if (time <= new Date()) {
+      return { success: false, status: 400, error: 'An extra draw must be in the future' };
+    }
+
+    if (await this.findDraw(game, time)) {
+      return { success: false, status: 409, error: `There is already a ${game.id} draw at ${time.toISOString()}` };
+    }
+
+    const entry = await this.insertEntry(game, { type: 'extra', draw_time: time.toISOString() }, options);
+    return { success: true, entry };
+  }
+
+  // Take the draw at `time` off the calendar: an extra draw is removed, a regular or
+  // postponed one is skipped. Returns { success, entry } or { success: false, status, error }.
+  async skip(game, time, options = {}) {
+    const draw = await this.findDraw(game, time);
+    if (!draw) {
+      return { success: false, status: 404, error: `No ${game.id} draw at ${time.toISOString()}` };
+    }
+
+    if (draw.type === 'extra') {
+      await this.deleteEntry(game, draw.entry_id);
+      return { success: true, entry: null };
+    }
+
+    if (draw.type === 'postponed') {
+      const entry = await this.updateEntry(game, draw.entry_id, { type: 'skip', postponed_to: null, reason: options.reason || null });
+      return { success: true, entry };
+    }
+
+    const entry = await this.insertEntry(game, { type: 'skip', draw_time: time.toISOString() }, options);
+    return { success: true, entry };
+  }
+
+  // Move the draw at `time` to `to`. Returns { success, entry } or { success: false, status, error }.
+  async postpone(game, time, to, options = {}) {
+    if (to <= new Date()) {
+      return { success: false, status: 400, error: 'A draw can only be moved to a time in the future' };
+    }
+
+    const draw = await this.findDraw(game, time);
+    if (!draw) {
+      return { success: false, status: 404, error: `No ${game.id} draw at ${time.toISOString()}` };
+    }
+
+    if (await this.findDraw(game, to)) {
+      return { success: false, status: 409, error: `There is already a ${game.id} draw at ${to.toISOString()}` };
+    }
+
+    if (draw.type === 'extra') {
+      const entry = await this.updateEntry(game, draw.entry_id, { draw_time: to.toISOString() });
+      return { success: true, entry };
+    }
+
+    if (draw.type === 'postponed') {
+      // Moving a postponed draw back to its regular time clears the postponement
+      if (to.getTime() === draw.original_time.getTime()) {
+        await this.deleteEntry(game, draw.entry_id);
+        return { success: true, entry: null };
+      }
+      const entry = await this.updateEntry(game, draw.entry_id, { postponed_to: to.toISOString(), reason: options.reason || null });
+      return { success: true, entry };
+    }
+
+    const entry = await this.insertEntry(game, { type: 'postpone', draw_time: time.toISOString(), postponed_to: to.toISOString() }, options);
+    return { success: true, entry };
+  }
+
+  async getEntry(id) {
+    const { data: entry, error } = await supabaseAdmin
+      .from('draw_calendar')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load calendar entry: ${error.message}`);
+    }
+
+    return entry;
+  }
+
+  // Change a game's recurring rule
+  async updateRule(game, fields) {
+    const updated = await gameService.update(game.id, fields);
+    this.invalidate(game.id);
+    return updated;
+  }
+}
+
+module.exports = new ScheduleService();
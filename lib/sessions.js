@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { supabaseAdmin } = require('./supabase');
+
+const TOKEN_ISSUER = 'powerball-backend';
+const TOKEN_AUDIENCE = 'user';
+
+class SessionService {
+  constructor() {
+    this.jwtSecret = process.env.JWT_SECRET;
+    this.accessTokenTtlSeconds = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS || '900', 10); // 15 minutes
+    this.refreshTokenTtlSeconds = parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS || '2592000', 10); // 30 days
+
+    if (!this.jwtSecret) {
+      console.warn('⚠️  JWT_SECRET environment variable not set - authentication will fail');
+    }
+  }
+
+  getSecret() {
+    if (!this.jwtSecret) {
+      throw new Error('JWT secret not configured');
+    }
+    return this.jwtSecret;
+  }
+
+  // Refresh tokens are opaque random strings; only their SHA-256 hash is stored
+  hashRefreshToken(refreshToken) {
+    return crypto.createHash('sha256').update(refreshToken).digest('hex');
+  }
+
+  generateRefreshToken() {
+    return crypto.randomBytes(48).toString('base64url');
+  }
+
+  signAccessToken(user, sessionId) {
+    return jwt.sign(
+      { wallet: user.wallet_address, sid: sessionId },
+      this.getSecret(),
+      {
+        algorithm: 'HS256',
+        subject: user.id,
+        issuer: TOKEN_ISSUER,
+        audience: TOKEN_AUDIENCE,
+        expiresIn: this.accessTokenTtlSeconds
+      }
+    );
+  }
+
+  buildTokenResponse(user, sessionId, refreshToken) {
+    return {
+      access_token: this.signAccessToken(user, sessionId),
+      refresh_token: refreshToken,
+      token_type: 'Bearer',
+      expires_in: this.accessTokenTtlSeconds
+    };
+  }
+
+  // Start a new session for a user and issue its first token pair
+  async createSession(user, { userAgent, ipAddress } = {}) {
+    const refreshToken = this.generateRefreshToken();
+    const expiresAt = new Date(Date.now() + this.refreshTokenTtlSeconds * 1000);
+
+    const { data: session, error } = await supabaseAdmin
+      .from('sessions')
+      .insert({
+        user_id: user.id,
+        refresh_token_hash: this.hashRefreshToken(refreshToken),
+        expires_at: expiresAt.toISOString(),
+        user_agent: userAgent || null,
+        ip_address: ipAddress || null
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create session: ${error.message}`);
+    }
+
+    return this.buildTokenResponse(user, session.id, refreshToken);
+  }
+
+  // Exchange a refresh token for a new token pair. Presenting an already
+  // rotated refresh token revokes the whole session (token theft signal).
+  async refreshSession(refreshToken) {
+    const tokenHash = this.hashRefreshToken(refreshToken);
+
+    const { data: session, error } = await supabaseAdmin
+      .from('sessions')
+      .select('*, users(*)')
+      .or(`refresh_token_hash.eq.${tokenHash},previous_refresh_token_hash.eq.${tokenHash}`)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load session: ${error.message}`);
+    }
+
+    if (!session || session.revoked_at) {
+      return { success: false, error: 'Invalid refresh token' };
+    }
+
+    if (session.refresh_token_hash !== tokenHash) {
+      console.warn(`⚠️  Refresh token reuse detected for session ${session.id} - revoking`);
+      await this.revokeSession(session.id);
+      return { success: false, error: 'Refresh token has already been used' };
+    }
+
+    if (new Date(session.expires_at) <= new Date()) {
+      return { success: false, error: 'Refresh token has expired' };
+    }
+
+    const nextRefreshToken = this.generateRefreshToken();
+
+    // Rotate only if the token is still current, so two concurrent refreshes cannot both win
+    const { data: rotated, error: rotateError } = await supabaseAdmin
+      .from('sessions')
+      .update({
+        refresh_token_hash: this.hashRefreshToken(nextRefreshToken),
+        previous_refresh_token_hash: tokenHash,
+        last_used_at: new Date().toISOString()
+      })
+      .eq('id', session.id)
+      .eq('refresh_token_hash', tokenHash)
+      .is('revoked_at', null)
+      .select();
+
+    if (rotateError) {
+      throw new Error(`Failed to rotate session: ${rotateError.message}`);
+    }
+
+    if (!rotated || rotated.length === 0) {
+      return { success: false, error: 'Refresh token has already been used' };
+    }
+
+    return {
+      success: true,
+      user: session.users,
+      tokens: this.buildTokenResponse(session.users, session.id, nextRefreshToken)
+    };
+  }
+
+  // Verify an access token's signature and expiry, then check its session is still live
+  async verifyAccessToken(accessToken) {
+    let payload;
+    try {
+      payload = jwt.verify(accessToken, this.getSecret(), {
+        algorithms: ['HS256'],
+        issuer: TOKEN_ISSUER,
+        audience: TOKEN_AUDIENCE
+      });
+    } catch (error) {
+      return { valid: false, error: error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token' };
+    }
+
+    const { data: session, error } = await supabaseAdmin
+      .from('sessions')
+      .select('*, users(*)')
+      .eq('id', payload.sid)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load session: ${error.message}`);
+    }
+
+    if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+      return { valid: false, error: 'Session revoked' };
+    }
+
+    if (!session.users || session.users.id !== payload.sub || session.users.wallet_address !== payload.wallet) {
+      return { valid: false, error: 'User not found' };
+    }
+
+    return { valid: true, user: session.users, session };
+  }
+
+  async revokeSession(sessionId) {
+    const { error } = await supabaseAdmin
+      .from('sessions')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', sessionId)
+      .is('revoked_at', null);
+
+    if (error) {
+      throw new Error(`Failed to revoke session: ${error.message}`);
+    }
+  }
+
+  async revokeAllSessions(userId) {
+    const { data, error } = await supabaseAdmin
+      .from('sessions')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .is('revoked_at', null)
+      .select('id');
+
+    if (error) {
+      throw new Error(`Failed to revoke sessions: ${error.message}`);
+    }
+
+    return data ? data.length : 0;
+  }
+}
+
+module.exports = new SessionService();
@@ -1,5 +1,11 @@
 const { Connection, PublicKey, Keypair, Transaction, SystemProgram, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const {
+  getAssociatedTokenAddressSync,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createTransferCheckedInstruction
+} = require('@solana/spl-token');
 const bs58 = require('bs58');
+const currencies = require('./currencies');
 
 class SolanaService {
   constructor() {
@@ -65,52 +71,197 @@ class SolanaService {
     }
   }
 
-  // Send SOL to winner
-  async sendPayout(winnerWalletAddress, amountSOL) {
+  // Send an exact number of lamports from the treasury
+  async sendLamports(recipientWalletAddress, amountLamports) {
+    const treasuryKeypair = this.getTreasuryKeypair();
+    const recipientPublicKey = new PublicKey(recipientWalletAddress);
+
+    if (!Number.isInteger(amountLamports) || amountLamports <= 0) {
+      throw new Error(`Invalid transfer amount: ${amountLamports} lamports`);
+    }
+
+    // Check if treasury has enough balance
+    const treasuryBalance = await this.connection.getBalance(treasuryKeypair.publicKey);
+    if (treasuryBalance < amountLamports) {
+      throw new Error(`Insufficient treasury balance. Available: ${treasuryBalance / LAMPORTS_PER_SOL} SOL, Required: ${amountLamports / LAMPORTS_PER_SOL} SOL`);
+    }
+
+    // Create transaction
+    const transaction = new Transaction();
+    
+    // Add transfer instruction
+    transaction.add(
+      SystemProgram.transfer({
+        fromPubkey: treasuryKeypair.publicKey,
+        toPubkey: recipientPublicKey,
+        lamports: amountLamports,
+      })
+    );
+
+    // Get recent blockhash
+    const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash();
+    transaction.recentBlockhash = blockhash;
+    transaction.feePayer = treasuryKeypair.publicKey;
+
+    // Sign and send transaction
+    transaction.sign(treasuryKeypair);
+    
+    const signature = await this.connection.sendRawTransaction(transaction.serialize());
+    
+    // Wait for confirmation
+    await this.confirmTransfer(signature, blockhash, lastValidBlockHeight);
+
+    return { success: true, signature, lamports: amountLamports };
+  }
+
+  // Treasury's associated token account for an SPL mint
+  getTreasuryTokenAccount(mint) {
+    if (!this.treasuryWallet) {
+      throw new Error('Treasury wallet address not configured. Please set TREASURY_WALLET environment variable.');
+    }
+    return getAssociatedTokenAddressSync(new PublicKey(mint), new PublicKey(this.treasuryWallet)).toBase58();
+  }
+
+  // Treasury balance of an SPL token, in base units (0 if the token account does not exist yet)
+  async getTreasuryTokenBalance(currencyCode) {
+    const { mint } = currencies.get(currencyCode);
+    const tokenAccount = new PublicKey(this.getTreasuryTokenAccount(mint));
+
+    const accountInfo = await this.connection.getAccountInfo(tokenAccount);
+    if (!accountInfo) {
+      return 0;
+    }
+
+    const { value } = await this.connection.getTokenAccountBalance(tokenAccount);
+    return Number(value.amount);
+  }
+
+  // Send an exact number of token base units from the treasury's token account.
+  // The recipient's token account is created (paid by the treasury) if it does not exist.
+  async sendTokens(recipientWalletAddress, amount, currencyCode) {
+    const { mint, decimals, code } = currencies.get(currencyCode);
+    const treasuryKeypair = this.getTreasuryKeypair();
+    const recipientPublicKey = new PublicKey(recipientWalletAddress);
+    const mintPublicKey = new PublicKey(mint);
+
+    if (!Number.isInteger(amount) || amount <= 0) {
+      throw new Error(`Invalid transfer amount: ${amount} ${code} base units`);
+    }
+
+    const treasuryBalance = await this.getTreasuryTokenBalance(code);
+    if (treasuryBalance < amount) {
+      throw new Error(`Insufficient treasury balance. Available: ${currencies.format(treasuryBalance, code)} ${code}, Required: ${currencies.format(amount, code)} ${code}`);
+    }
+
+    const sourceAccount = getAssociatedTokenAddressSync(mintPublicKey, treasuryKeypair.publicKey);
+    const destinationAccount = getAssociatedTokenAddressSync(mintPublicKey, recipientPublicKey);
+
+    const transaction = new Transaction();
+    transaction.add(
+      createAssociatedTokenAccountIdempotentInstruction(
+        treasuryKeypair.publicKey,
+        destinationAccount,
+        recipientPublicKey,
+        mintPublicKey
+      ),
+      createTransferCheckedInstruction(
+        sourceAccount,
+        mintPublicKey,
+        destinationAccount,
+        treasuryKeypair.publicKey,
+        BigInt(amount),
+        decimals
+      )
+    );
+
+    const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash();
+    transaction.recentBlockhash = blockhash;
+    transaction.feePayer = treasuryKeypair.publicKey;
+
+    transaction.sign(treasuryKeypair);
+
+    const signature = await this.connection.sendRawTransaction(transaction.serialize());
+
+    await this.confirmTransfer(signature, blockhash, lastValidBlockHeight);
+
+    return { success: true, signature, amount, currency: code };
+  }
+
+  // Wait for a broadcast transfer. A transfer that fails on-chain throws a plain error.
+  // One whose confirmation cannot be read throws an error carrying its `signature` and
+  // `lastValidBlockHeight`: it may still land, so check getSendOutcome before sending again.
+  async confirmTransfer(signature, blockhash, lastValidBlockHeight) {
+    let confirmation;
     try {
-      const treasuryKeypair = this.getTreasuryKeypair();
-      const winnerPublicKey = new PublicKey(winnerWalletAddress);
-      const amountLamports = Math.floor(amountSOL * LAMPORTS_PER_SOL);
-
-      // Check if treasury has enough balance
-      const treasuryBalance = await this.getTreasuryBalance();
-      if (treasuryBalance < amountSOL) {
-        throw new Error(`Insufficient treasury balance. Available: ${treasuryBalance} SOL, Required: ${amountSOL} SOL`);
-      }
+      confirmation = await this.connection.confirmTransaction({ signature, blockhash, lastValidBlockHeight });
+    } catch (error) {
+      throw Object.assign(new Error(`Transfer ${signature} was sent but not confirmed: ${error.message}`), { signature, lastValidBlockHeight });
+    }
 
-      // Create transaction
-      const transaction = new Transaction();
-      
-      // Add transfer instruction
-      transaction.add(
-        SystemProgram.transfer({
-          fromPubkey: treasuryKeypair.publicKey,
-          toPubkey: winnerPublicKey,
-          lamports: amountLamports,
-        })
-      );
+    if (confirmation.value.err) {
+      throw new Error(`Transaction failed: ${JSON.stringify(confirmation.value.err)}`);
+    }
+  }
 
-      // Get recent blockhash
-      const { blockhash } = await this.connection.getLatestBlockhash();
-      transaction.recentBlockhash = blockhash;
-      transaction.feePayer = treasuryKeypair.publicKey;
+  // Whether a broadcast transfer landed: 'landed', 'failed', or 'unknown' while it is
+  // neither confirmed nor known to have expired
+  async getTransferStatus(signature, lastValidBlockHeight = null) {
+    const { value: status } = await this.connection.getSignatureStatus(signature, { searchTransactionHistory: true });
 
-      // Sign and send transaction
-      transaction.sign(treasuryKeypair);
-      
-      const signature = await this.connection.sendRawTransaction(transaction.serialize());
-      
-      // Wait for confirmation
-      const confirmation = await this.connection.confirmTransaction(signature);
-      
-      if (confirmation.value.err) {
-        throw new Error(`Transaction failed: ${confirmation.value.err}`);
+    if (status) {
+      if (status.err) {
+        return 'failed';
       }
+      return ['confirmed', 'finalized'].includes(status.confirmationStatus) ? 'landed' : 'unknown';
+    }
+
+    // Not seen, and its blockhash has expired, so it can no longer land
+    if (lastValidBlockHeight && await this.connection.getBlockHeight('confirmed') > lastValidBlockHeight) {
+      return 'failed';
+    }
+
+    return 'unknown';
+  }
+
+  // Outcome of a send that threw: 'failed' if the transfer definitely did not land and
+  // can be sent again, 'landed' if it went through after all, or 'unknown'
+  async getSendOutcome(sendError) {
+    if (!sendError.signature) {
+      return 'failed';
+    }
+
+    try {
+      return await this.getTransferStatus(sendError.signature, sendError.lastValidBlockHeight);
+    } catch (statusError) {
+      console.error(`Failed to check transfer ${sendError.signature}:`, statusError.message);
+      return 'unknown';
+    }
+  }
+
+  // Send an exact amount (in the currency's smallest unit) from the treasury
+  async sendAmount(recipientWalletAddress, amount, currencyCode = 'SOL') {
+    const currency = currencies.get(currencyCode);
+    if (!currency.mint) {
+      const result = await this.sendLamports(recipientWalletAddress, amount);
+      return { ...result, amount, currency: currency.code };
+    }
+    return this.sendTokens(recipientWalletAddress, amount, currency.code);
+  }
+
+  // Send a prize to a winner, in the currency of the pot it was won from
+  async sendPayout(winnerWalletAddress, amount, currencyCode = 'SOL') {
+    try {
+      const result = await this.sendAmount(
+        winnerWalletAddress,
+        currencies.fromDisplay(amount, currencyCode),
+        currencyCode
+      );
 
       return {
         success: true,
-        signature,
-        amount: amountSOL,
+        signature: result.signature,
+        amount,
+        currency: currencyCode,
         winner: winnerWalletAddress
       };
     } catch (error) {
@@ -125,7 +276,7 @@ class SolanaService {
     
     for (const payout of payouts) {
       try {
-        const result = await this.sendPayout(payout.winnerWallet, payout.amount);
+        const result = await this.sendPayout(payout.winnerWallet, payout.amount, payout.currency);
         results.push({
           ...result,
           winner: payout.winnerWallet,
@@ -146,20 +297,25 @@ class SolanaService {
   }
 
   // Verify transaction
-  async verifyTransaction(transactionHash) {
+  async verifyTransaction(transactionHash, { commitment = 'confirmed' } = {}) {
     try {
       const signature = transactionHash;
-      const transaction = await this.connection.getTransaction(signature);
+      const transaction = await this.getTransactionDetails(signature, { commitment });
       
       if (!transaction) {
         return { verified: false, error: 'Transaction not found' };
       }
 
-      // Check if transaction is confirmed
-      const { value: status } = await this.connection.getSignatureStatus(signature);
+      // Check if transaction reached the required commitment level
+      const { value: status } = await this.connection.getSignatureStatus(signature, {
+        searchTransactionHistory: true
+      });
+      const accepted = commitment === 'finalized'
+        ? ['finalized']
+        : ['confirmed', 'finalized'];
       
       return {
-        verified: status?.confirmationStatus === 'confirmed' || status?.confirmationStatus === 'finalized',
+        verified: accepted.includes(status?.confirmationStatus) && !transaction.meta?.err,
         transaction,
         status
       };
@@ -169,16 +325,222 @@ class SolanaService {
     }
   }
 
-  // Get transaction details
-  async getTransactionDetails(transactionHash) {
+  // Get transaction details (parsed, so transfer instructions can be inspected)
+  async getTransactionDetails(transactionHash, { commitment = 'confirmed' } = {}) {
     try {
-      const transaction = await this.connection.getTransaction(transactionHash);
+      const transaction = await this.connection.getParsedTransaction(transactionHash, {
+        commitment,
+        maxSupportedTransactionVersion: 0
+      });
       return transaction;
     } catch (error) {
       console.error('Error getting transaction details:', error);
       throw error;
     }
   }
+
+  // Top-level and inner instructions of a parsed transaction, in one list
+  getAllInstructions(transaction) {
+    const instructions = [...transaction.transaction.message.instructions];
+    for (const inner of transaction.meta?.innerInstructions || []) {
+      instructions.push(...inner.instructions);
+    }
+    return instructions;
+  }
+
+  // Collect every System Program transfer in a parsed transaction
+  getSystemTransfers(transaction) {
+    return this.getAllInstructions(transaction)
+      .filter(ix => ix.program === 'system' && ix.parsed &&
+        (ix.parsed.type === 'transfer' || ix.parsed.type === 'transferWithSeed'))
+      .map(ix => ({
+        source: ix.parsed.info.source,
+        destination: ix.parsed.info.destination,
+        lamports: Number(ix.parsed.info.lamports)
+      }));
+  }
+
+  // Collect every SPL Token transfer in a parsed transaction. `authority` is the
+  // wallet that signed for the source account; `mint` is only known for transferChecked.
+  getTokenTransfers(transaction) {
+    return this.getAllInstructions(transaction)
+      .filter(ix => ix.program === 'spl-token' && ix.parsed &&
+        (ix.parsed.type === 'transfer' || ix.parsed.type === 'transferChecked'))
+      .map(ix => {
+        const info = ix.parsed.info;
+        return {
+          source: info.source,
+          destination: info.destination,
+          authority: info.authority || info.multisigAuthority,
+          mint: info.mint || null,
+          amount: Number(info.amount !== undefined ? info.amount : info.tokenAmount.amount)
+        };
+      });
+  }
+
+  // Incoming transfers to the treasury in a currency, as { sender, amount }
+  getTreasuryTransfers(transaction, currencyCode = 'SOL') {
+    const currency = currencies.get(currencyCode);
+
+    if (!currency.mint) {
+      return this.getSystemTransfers(transaction)
+        .filter(t => t.destination === this.treasuryWallet)
+        .map(t => ({ sender: t.source, amount: t.lamports }));
+    }
+
+    const tokenAccount = this.getTreasuryTokenAccount(currency.mint);
+    return this.getTokenTransfers(transaction)
+      .filter(t => t.destination === tokenAccount && (!t.mint || t.mint === currency.mint))
+      .map(t => ({ sender: t.authority, amount: t.amount }));
+  }
+
+  // Collect the text of every Memo Program instruction in a parsed transaction
+  getMemos(transaction) {
+    return this.getAllInstructions(transaction)
+      .filter(ix => ix.program === 'spl-memo' && typeof ix.parsed === 'string')
+      .map(ix => ix.parsed);
+  }
+
+  // Format lamports as a decimal SOL string without floating-point rounding
+  formatLamportsAsSol(lamports) {
+    return currencies.format(lamports, 'SOL');
+  }
+
+  // Build a Solana Pay transfer request URL paying the treasury. `amount` is in the
+  // currency's smallest unit; SPL currencies add the `spl-token` mint parameter.
+  buildTransferRequestUrl({ amount, currency: currencyCode = 'SOL', reference, label, message, memo }) {
+    const currency = currencies.get(currencyCode);
+
+    // Solana Pay requires percent-encoding, so URLSearchParams ('+' for spaces) is not used
+    const params = [
+      ['amount', currencies.format(amount, currency.code)],
+      ['spl-token', currency.mint],
+      ['reference', reference],
+      ['label', label],
+      ['message', message],
+      ['memo', memo]
+    ].filter(([, value]) => value);
+
+    const query = params
+      .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+      .join('&');
+
+    return `solana:${this.treasuryWallet}?${query}`;
+  }
+
+  // First finalized block produced at or after `time`, as { slot, blockhash, blockTime }.
+  // Returns null while no finalized block that late exists yet.
+  async getFirstBlockAfter(time) {
+    const commitment = 'finalized';
+    const target = Math.floor(time.getTime() / 1000);
+
+    const latest = await this.connection.getSlot(commitment);
+    const latestTime = await this.connection.getBlockTime(latest);
+    if (latestTime === null || latestTime < target) {
+      return null;
+    }
+
+    // Skipped slots have no block, so look at the first block produced from a slot on
+    const blockFrom = async (slot) => {
+      const [produced] = await this.connection.getBlocksWithLimit(slot, 1, commitment);
+      return { slot: produced, time: await this.connection.getBlockTime(produced) };
+    };
+
+    // Step back (slots are roughly 400ms apart) until a block before `time` is found
+    let step = Math.max(Math.ceil((latestTime - target) / 0.4), 100);
+    let lo = Math.max(latest - step, 0);
+    while (lo > 0 && (await blockFrom(lo)).time >= target) {
+      step *= 2;
+      lo = Math.max(latest - step, 0);
+    }
+
+    // Binary search: blocks from `lo` are before `time`, blocks from `hi` are not
+    let hi = latest;
+    while (hi - lo > 1) {
+      const mid = Math.floor((lo + hi) / 2);
+      if ((await blockFrom(mid)).time >= target) {
+        hi = mid;
+      } else {
+        lo = mid;
+      }
+    }
+
+    const { slot } = await blockFrom(hi);
+    const block = await this.connection.getBlock(slot, {
+      commitment,
+      maxSupportedTransactionVersion: 0,
+      transactionDetails: 'none',
+      rewards: false
+    });
+
+    return { slot, blockhash: block.blockhash, blockTime: block.blockTime };
+  }
+
+  // Find finalized transactions that include a Solana Pay reference key
+  async findSignaturesForReference(reference, { limit = 10 } = {}) {
+    const signatures = await this.connection.getSignaturesForAddress(
+      new PublicKey(reference),
+      { limit },
+      'finalized'
+    );
+    return signatures.filter(sig => !sig.err).map(sig => sig.signature);
+  }
+
+  // Verify a ticket payment: finalized, sent by `expectedSender` to the treasury (its
+  // token account for SPL currencies), for exactly `expectedAmount` in the currency's
+  // smallest unit, and carrying `expectedMemo` when one is given
+  async verifyPayment(transactionHash, { expectedSender, expectedAmount, expectedMemo, currency = 'SOL' }) {
+    if (!this.treasuryWallet) {
+      return { verified: false, error: 'Treasury wallet not configured' };
+    }
+
+    const result = await this.verifyTransaction(transactionHash, { commitment: 'finalized' });
+    if (!result.verified) {
+      return {
+        verified: false,
+        error: result.error || (result.transaction?.meta?.err ? 'Transaction failed on-chain' : 'Transaction is not finalized yet')
+      };
+    }
+
+    const { transaction } = result;
+
+    const senderSigned = transaction.transaction.message.accountKeys
+      .some(key => key.pubkey.toBase58() === expectedSender && key.signer);
+    if (!senderSigned) {
+      return { verified: false, error: 'Transaction was not signed by your wallet' };
+    }
+
+    const transfers = this.getTreasuryTransfers(transaction, currency);
+    if (transfers.length === 0) {
+      return { verified: false, error: `Transaction does not pay ${currency} to the treasury` };
+    }
+
+    if (transfers.some(t => t.sender !== expectedSender)) {
+      return { verified: false, error: 'Treasury transfer was not sent from your wallet' };
+    }
+
+    const amount = transfers.reduce((sum, t) => sum + t.amount, 0);
+    if (amount !== expectedAmount) {
+      return {
+        verified: false,
+        error: `Incorrect payment amount. Expected ${currencies.format(expectedAmount, currency)} ${currency}, received ${currencies.format(amount, currency)}`,
+        amount
+      };
+    }
+
+    if (expectedMemo && !this.getMemos(transaction).includes(expectedMemo)) {
+      return { verified: false, error: 'Transaction memo does not match the payment intent' };
+    }
+
+    return {
+      verified: true,
+      amount,
+      currency,
+      sender: expectedSender,
+      slot: transaction.slot,
+      block_time: transaction.blockTime
+    };
+  }
 }
 
 module.exports = new SolanaService();
@@ -0,0 +1,285 @@
+const { supabaseAdmin } = require('./supabase');
+const currencies = require('./currencies');
+const ledgerService = require('./ledger');
+const drawService = require('./draws');
+const refundService = require('./refunds');
+const responsibleGamingService = require('./responsibleGaming');
+const gameService = require('./games');
+
+const SUBSCRIPTION_SELECT = '*, ticket_payments!last_payment_id(id, transaction_hash, wallet_address, user_id)';
+
+class SubscriptionService {
+  constructor() {
+    this.running = false;
+  }
+
+  // New subscription for a set of lines of the default game; it becomes active with
+  // its first top-up
+  async create(user, tickets, currency) {
+    const ticketPrice = gameService.getTicketPrice(await gameService.get(), currency);
+
+    const { data: subscription, error } = await supabaseAdmin
+      .from('subscriptions')
+      .insert({
+        user_id: user.id,
+        tickets,
+        currency,
+        cost_per_draw_lamports: ticketPrice * tickets.length,
+        status: 'pending'
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create subscription: ${error.message}`);
+    }
+
+    return subscription;
+  }
+
+  // Remove a subscription that was never funded, e.g. when its first payment intent
+  // is rejected
+  async discard(subscription) {
+    const { error } = await supabaseAdmin
+      .from('subscriptions')
+      .delete()
+      .eq('id', subscription.id)
+      .eq('status', 'pending');
+
+    if (error) {
+      throw new Error(`Failed to discard subscription: ${error.message}`);
+    }
+  }
+
+  async get(id, userId) {
+    let query = supabaseAdmin
+      .from('subscriptions')
+      .select(SUBSCRIPTION_SELECT)
+      .eq('id', id);
+
+    if (userId) query = query.eq('user_id', userId);
+
+    const { data: subscription, error } = await query.maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load subscription: ${error.message}`);
+    }
+
+    return subscription;
+  }
+
+  // Credit a paid top-up to its subscription's balance and activate it
+  async fund(intent, payment) {
+    const amount = Math.min(Number(payment.amount_lamports), Number(intent.amount_lamports));
+
+    const { data: credited, error } = await supabaseAdmin.rpc('adjust_subscription_balance', {
+      p_subscription_id: intent.subscription_id,
+      p_amount: amount
+    });
+
+    if (error || !credited || credited.length === 0) {
+      throw new Error(`Failed to credit subscription ${intent.subscription_id}: ${error ? error.message : 'not found'}`);
+    }
+
+    try {
+      await ledgerService.transfer('subscription_deposit', {
+        debit: 'treasury',
+        credit: 'subscription_balances',
+        amount,
+        currency: intent.currency,
+        reference: `payment:${payment.id}`,
+        description: `Subscription ${intent.subscription_id}`
+      });
+    } catch (ledgerError) {
+      console.error(`❌ Subscription top-up ${payment.id} credited but not recorded in the ledger:`, ledgerError.message);
+    }
+
+    const { data: subscription } = await supabaseAdmin
+      .from('subscriptions')
+      .update({
+        status: credited[0].status === 'pending' ? 'active' : credited[0].status,
+        last_payment_id: payment.id
+      })
+      .eq('id', intent.subscription_id)
+      .select(SUBSCRIPTION_SELECT)
+      .single();
+
+    console.log(`🔁 Subscription ${subscription.id} topped up by ${currencies.format(amount, intent.currency)} ${intent.currency}`);
+
+    // A top-up landing after cancellation goes straight back to the payer
+    if (subscription.status === 'cancelled') {
+      await this.refundBalance(subscription);
+    }
+
+    return subscription;
+  }
+
+  // Enter one subscription into a draw, charging its balance. Returns the tickets,
+  // or null if it was already entered or cannot afford the draw.
+  async enterDraw(subscription, draw) {
+    const { data: entered, error } = await supabaseAdmin.rpc('enter_subscription_draw', {
+      p_subscription_id: subscription.id,
+      p_draw_id: draw.id
+    });
+
+    if (error) {
+      throw new Error(`Failed to enter subscription ${subscription.id}: ${error.message}`);
+    }
+
+    if (!entered || entered.length === 0) {
+      return null;
+    }
+
+    const cost = Number(subscription.cost_per_draw_lamports);
+    const payment = subscription.ticket_payments;
+
+    const { data: tickets, error: ticketError } = await supabaseAdmin
+      .from('tickets')
+      .insert(subscription.tickets.map(ticket => ({
+        user_id: subscription.user_id,
+        numbers: ticket.numbers,
+        powerball: ticket.powerball,
+        quick_pick: ticket.quick_pick === true,
+        transaction_hash: payment.transaction_hash,
+        payment_id: payment.id,
+        currency: subscription.currency,
+        draw_id: draw.id,
+        subscription_id: subscription.id
+      })))
+      .select();
+
+    if (ticketError) {
+      console.error(`❌ Failed to issue tickets for subscription ${subscription.id}:`, ticketError.message);
+      await this.withdrawEntry(subscription, entered[0], cost);
+      return null;
+    }
+
+    try {
+      await ledgerService.transfer('ticket_sale', {
+        debit: 'subscription_balances',
+        credit: 'pot',
+        amount: cost,
+        currency: subscription.currency,
+        reference: `subscription:${subscription.id}:${draw.id}`,
+        ticketCount: tickets.length,
+        drawId: draw.id
+      });
+    } catch (ledgerError) {
+      // Tickets without a recorded sale are withdrawn like tickets that were never issued
+      console.error(`❌ Subscription ${subscription.id} sale for draw ${draw.id} could not be recorded in the ledger - withdrawing its tickets:`, ledgerError.message);
+      await supabaseAdmin.from('tickets').delete().in('id', tickets.map(ticket => ticket.id));
+      await this.withdrawEntry(subscription, entered[0], cost);
+      return null;
+    }
+
+    return tickets;
+  }
+
+  // Give a draw entry back so the next run tries again
+  async withdrawEntry(subscription, entered, cost) {
+    await supabaseAdmin.rpc('adjust_subscription_balance', { p_subscription_id: subscription.id, p_amount: cost });
+    await supabaseAdmin
+      .from('subscriptions')
+      .update({ last_draw_id: subscription.last_draw_id, draws_entered: entered.draws_entered - 1 })
+      .eq('id', subscription.id);
+  }
+
+  // Job: enter every active subscription into the draw currently on sale
+  async enterSalesDraw() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+
+    try {
+      const draw = await drawService.getSalesDraw();
+
+      const { data: subscriptions, error } = await supabaseAdmin
+        .from('subscriptions')
+        .select(SUBSCRIPTION_SELECT)
+        .eq('status', 'active')
+        .or(`last_draw_id.is.null,last_draw_id.neq.${draw.id}`);
+
+      if (error) {
+        console.error('❌ Failed to load subscriptions:', error.message);
+        return;
+      }
+
+      let entered = 0;
+      for (const subscription of subscriptions) {
+        try {
+          // Subscriptions pause while their owner is cooling off or self-excluded
+          if (await responsibleGamingService.isExcluded(subscription.user_id)) {
+            continue;
+          }
+
+          if (await this.enterDraw(subscription, draw)) {
+            entered++;
+          }
+        } catch (entryError) {
+          console.error(`❌ Subscription ${subscription.id} entry failed:`, entryError.message);
+        }
+      }
+
+      if (entered > 0) {
+        console.log(`🔁 Entered ${entered} subscription(s) into draw ${draw.id}`);
+      }
+    } catch (error) {
+      console.error('❌ Subscription entry job failed:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Cancel a subscription and refund what is left of its balance.
+  // Returns { subscription, refund }, or null if it was already cancelled.
+  async cancel(subscription, { requestedBy = null } = {}) {
+    const { data: cancelled } = await supabaseAdmin
+      .from('subscriptions')
+      .update({ status: 'cancelled', cancelled_at: new Date().toISOString() })
+      .eq('id', subscription.id)
+      .in('status', ['pending', 'active'])
+      .select(SUBSCRIPTION_SELECT);
+
+    if (!cancelled || cancelled.length === 0) {
+      return null;
+    }
+
+    const refund = await this.refundBalance(cancelled[0], { requestedBy });
+    return { subscription: await this.get(subscription.id), refund };
+  }
+
+  // Send a cancelled subscription's remaining balance back to the wallet that last topped it up
+  async refundBalance(subscription, { requestedBy = null } = {}) {
+    const balance = Number(subscription.balance_lamports);
+    const payment = subscription.ticket_payments;
+
+    if (balance <= 0 || !payment) {
+      return null;
+    }
+
+    const { data: debited } = await supabaseAdmin.rpc('adjust_subscription_balance', {
+      p_subscription_id: subscription.id,
+      p_amount: -balance
+    });
+
+    if (!debited || debited.length === 0) {
+      return null;
+    }
+
+    return refundService.createRefund({
+      reason: 'cancelled_subscription',
+      recipientWallet: payment.wallet_address,
+      amountLamports: balance,
+      currency: subscription.currency,
+      originalTransaction: payment.transaction_hash,
+      userId: subscription.user_id,
+      ticketPaymentId: payment.id,
+      subscriptionId: subscription.id,
+      fromAccount: 'subscription_balances',
+      requestedBy
+    });
+  }
+}
+
+module.exports = new SubscriptionService();
@@ -0,0 +1,442 @@
+const crypto = require('crypto');
+const { supabaseAdmin } = require('./supabase');
+const solanaService = require('./solana');
+const currencies = require('./currencies');
+const ledgerService = require('./ledger');
+const drawService = require('./draws');
+const refundService = require('./refunds');
+const gameService = require('./games');
+
+class SyndicateService {
+  // New syndicate; the owner is its first member
+  async create(user, { name, currency, sharePriceLamports }) {
+    const { data: syndicate, error } = await supabaseAdmin
+      .from('syndicates')
+      .insert({
+        name,
+        owner_user_id: user.id,
+        currency,
+        share_price_lamports: sharePriceLamports
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create syndicate: ${error.message}`);
+    }
+
+    const { error: memberError } = await supabaseAdmin
+      .from('syndicate_members')
+      .insert({
+        syndicate_id: syndicate.id,
+        wallet_address: user.wallet_address,
+        user_id: user.id,
+        status: 'member',
+        joined_at: new Date().toISOString()
+      });
+
+    if (memberError) {
+      throw new Error(`Failed to add syndicate owner: ${memberError.message}`);
+    }
+
+    return syndicate;
+  }
+
+  async get(id) {
+    const { data: syndicate, error } = await supabaseAdmin
+      .from('syndicates')
+      .select('*, syndicate_members(*)')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load syndicate: ${error.message}`);
+    }
+
+    return syndicate;
+  }
+
+  // Membership (or invitation) of a wallet in a syndicate
+  getMember(syndicate, walletAddress) {
+    return syndicate.syndicate_members.find(m => m.wallet_address === walletAddress) || null;
+  }
+
+  // Syndicates a wallet belongs to or has been invited to
+  async listForWallet(walletAddress) {
+    const { data: memberships, error } = await supabaseAdmin
+      .from('syndicate_members')
+      .select('*, syndicates(*)')
+      .eq('wallet_address', walletAddress)
+      .order('invited_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to load syndicates: ${error.message}`);
+    }
+
+    return memberships;
+  }
+
+  // Invite wallets; wallets already invited are left as they are
+  async invite(syndicate, walletAddresses) {
+    const { data: invited, error } = await supabaseAdmin
+      .from('syndicate_members')
+      .upsert(walletAddresses.map(wallet => ({
+        syndicate_id: syndicate.id,
+        wallet_address: wallet
+      })), { onConflict: 'syndicate_id,wallet_address', ignoreDuplicates: true })
+      .select();
+
+    if (error) {
+      throw new Error(`Failed to invite wallets: ${error.message}`);
+    }
+
+    return invited;
+  }
+
+  // Accept an invitation
+  async join(member, user) {
+    if (member.status === 'member') {
+      return member;
+    }
+
+    const { data: joined, error } = await supabaseAdmin
+      .from('syndicate_members')
+      .update({ user_id: user.id, status: 'member', joined_at: new Date().toISOString() })
+      .eq('id', member.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to join syndicate: ${error.message}`);
+    }
+
+    return joined;
+  }
+
+  // Credit a paid share purchase to the member and the pool. A payment landing after
+  // the pool has bought its tickets is sent back instead.
+  async creditShares(intent, payment) {
+    const amount = Math.min(Number(payment.amount_lamports), Number(intent.amount_lamports));
+
+    const { data: pool, error } = await supabaseAdmin.rpc('add_syndicate_shares', {
+      p_member_id: intent.syndicate_member_id,
+      p_shares: intent.share_count,
+      p_amount: amount
+    });
+
+    if (error) {
+      throw new Error(`Failed to credit syndicate shares: ${error.message}`);
+    }
+
+    if (!pool || pool.length === 0) {
+      console.warn(`⚠️  Share payment ${payment.id} arrived after the syndicate closed - refunding`);
+      const refund = await refundService.createRefund({
+        reason: 'manual',
+        recipientWallet: payment.wallet_address,
+        amountLamports: amount,
+        currency: intent.currency,
+        originalTransaction: payment.transaction_hash,
+        userId: payment.user_id,
+        ticketPaymentId: payment.id,
+        note: 'Syndicate closed before the share payment arrived'
+      });
+      return { syndicate: null, refund };
+    }
+
+    try {
+      await ledgerService.transfer('syndicate_contribution', {
+        debit: 'treasury',
+        credit: 'syndicate_pools',
+        amount,
+        currency: intent.currency,
+        reference: `payment:${payment.id}`,
+        description: `Syndicate ${pool[0].id}: ${intent.share_count} share(s)`
+      });
+    } catch (ledgerError) {
+      console.error(`❌ Syndicate contribution ${payment.id} credited but not recorded in the ledger:`, ledgerError.message);
+    }
+
+    console.log(`🤝 Syndicate ${pool[0].id}: ${intent.share_count} share(s) bought for ${currencies.format(amount, intent.currency)} ${intent.currency}`);
+
+    return { syndicate: pool[0], refund: null };
+  }
+
+  // Buy the same lines of the default game for `drawCount` consecutive draws with pool
+  // funds. Buying closes the syndicate to new shares. Returns { tickets, draws, syndicate },
+  // or null if the pool cannot afford them.
+  async purchase(syndicate, lines, drawCount) {
+    const ticketPrice = gameService.getTicketPrice(await gameService.get(), syndicate.currency);
+    const ticketsPerDraw = lines.length;
+    const cost = ticketPrice * ticketsPerDraw * drawCount;
+
+    const { data: spent, error } = await supabaseAdmin.rpc('spend_syndicate_balance', {
+      p_syndicate_id: syndicate.id,
+      p_amount: cost
+    });
+
+    if (error) {
+      throw new Error(`Failed to spend syndicate balance: ${error.message}`);
+    }
+
+    if (!spent || spent.length === 0) {
+      return null;
+    }
+
+    const purchaseId = crypto.randomUUID();
+    let draws;
+    let tickets;
+
+    try {
+      draws = await drawService.getSalesDraws(drawCount);
+
+      const { data, error: ticketError } = await supabaseAdmin
+        .from('tickets')
+        .insert(draws.flatMap(draw => lines.map(line => ({
+          user_id: syndicate.owner_user_id,
+          numbers: line.numbers,
+          powerball: line.powerball,
+          quick_pick: line.quick_pick === true,
+          transaction_hash: `syndicate:${syndicate.id}:${purchaseId}`,
+          currency: syndicate.currency,
+          draw_id: draw.id,
+          syndicate_id: syndicate.id
+        }))))
+        .select();
+
+      if (ticketError) {
+        throw new Error(ticketError.message);
+      }
+      tickets = data;
+    } catch (purchaseError) {
+      await supabaseAdmin.rpc('restore_syndicate_balance', { p_syndicate_id: syndicate.id, p_amount: cost });
+      throw new Error(`Failed to issue syndicate tickets: ${purchaseError.message}`);
+    }
+
+    // The tickets are withdrawn and the pool restored unless every sale is in the ledger
+    const posted = [];
+    try {
+      for (const draw of draws) {
+        const sale = {
+          debit: 'syndicate_pools',
+          credit: 'pot',
+          amount: ticketPrice * ticketsPerDraw,
+          currency: syndicate.currency,
+          reference: `syndicate:${syndicate.id}:${purchaseId}:${draw.id}`,
+          ticketCount: ticketsPerDraw,
+          drawId: draw.id
+        };
+        await ledgerService.transfer('ticket_sale', sale);
+        posted.push(sale);
+      }
+    } catch (ledgerError) {
+      await ledgerService.reverseTransfers('refund', posted);
+      await supabaseAdmin.from('tickets').delete().in('id', tickets.map(ticket => ticket.id));
+      await supabaseAdmin.rpc('restore_syndicate_balance', { p_syndicate_id: syndicate.id, p_amount: cost });
+      throw new Error(`Failed to record syndicate ticket sale: ${ledgerError.message}`);
+    }
+
+    console.log(`🤝 Syndicate ${syndicate.id} bought ${tickets.length} ticket(s) for ${currencies.format(cost, syndicate.currency)} ${syndicate.currency}`);
+
+    return { tickets, draws, syndicate: spent[0] };
+  }
+
+  // Split an amount between members in proportion to their shares, rounding down.
+  // The units left over by rounding go to the largest shareholders, one each.
+  splitByShares(amount, members) {
+    const holders = members
+      .filter(m => m.shares > 0)
+      .sort((a, b) => b.shares - a.shares);
+    const totalShares = holders.reduce((sum, m) => sum + m.shares, 0);
+
+    const splits = holders.map(member => ({
+      member,
+      amount: Number((BigInt(amount) * BigInt(member.shares)) / BigInt(totalShares))
+    }));
+
+    let remainder = amount - splits.reduce((sum, s) => sum + s.amount, 0);
+    for (let i = 0; remainder > 0; i = (i + 1) % splits.length, remainder--) {
+      splits[i].amount += 1;
+    }
+
+    return splits.filter(s => s.amount > 0);
+  }
+
+  // Pay a syndicate ticket's prize to its members. Members already paid for this
+  // prize are skipped, so a partly failed split can be retried.
+  // Returns { success, payouts }.
+  async payWinner(winner) {
+    const syndicate = await this.get(winner.syndicate_id);
+
+    const { data: existing } = await supabaseAdmin
+      .from('syndicate_payouts')
+      .select('*')
+      .eq('winner_id', winner.id);
+
+    const payouts = [];
+    for (const { member, amount } of this.splitByShares(winner.prize_lamports, syndicate.syndicate_members)) {
+      const previous = (existing || []).find(p => p.member_id === member.id);
+      if (previous && previous.status === 'sent') {
+        payouts.push(previous);
+        continue;
+      }
+
+      // A payout left sending is checked on-chain, and only sent again once it is known
+      // not to have landed. Without a transfer on record it waits for resolvePayout.
+      if (previous && previous.status === 'sending') {
+        const outcome = previous.transaction_signature
+          ? await solanaService.getSendOutcome({ signature: previous.transaction_signature, lastValidBlockHeight: previous.last_valid_block_height })
+          : 'unknown';
+        if (outcome === 'landed') {
+          payouts.push(await this.recordMemberPaid(winner, previous, previous.transaction_signature));
+          continue;
+        }
+        if (outcome === 'unknown') {
+          payouts.push(previous);
+          continue;
+        }
+      }
+
+      const { data: payout, error } = await supabaseAdmin
+        .from('syndicate_payouts')
+        .upsert({
+          winner_id: winner.id,
+          syndicate_id: syndicate.id,
+          member_id: member.id,
+          wallet_address: member.wallet_address,
+          shares: member.shares,
+          amount_lamports: amount,
+          currency: winner.currency,
+          status: 'sending',
+          transaction_signature: null,
+          last_valid_block_height: null,
+          error: null
+        }, { onConflict: 'winner_id,member_id' })
+        .select()
+        .single();
+
+      if (error) {
+        payouts.push({ member_id: member.id, wallet_address: member.wallet_address, status: 'failed', error: error.message });
+        continue;
+      }
+
+      let signature;
+      try {
+        ({ signature } = await solanaService.sendAmount(member.wallet_address, amount, winner.currency));
+      } catch (sendError) {
+        // A transfer that may still land stays sending, with its signature to check;
+        // only one that definitely failed is sent again on a retry
+        const outcome = await solanaService.getSendOutcome(sendError);
+        if (outcome !== 'landed') {
+          console.error(`❌ Failed to pay syndicate member ${member.wallet_address.substring(0, 8)}...:`, sendError.message);
+
+          const { data: failed } = await supabaseAdmin
+            .from('syndicate_payouts')
+            .update(outcome === 'failed'
+              ? { status: 'failed', error: sendError.message }
+              : { transaction_signature: sendError.signature, last_valid_block_height: sendError.lastValidBlockHeight, error: sendError.message })
+            .eq('id', payout.id)
+            .select()
+            .single();
+
+          payouts.push(failed);
+          continue;
+        }
+        signature = sendError.signature;
+      }
+
+      payouts.push(await this.recordMemberPaid(winner, payout, signature));
+    }
+
+    return {
+      success: payouts.every(p => p.status === 'sent'),
+      payouts,
+      unconfirmed: payouts.filter(p => p.status === 'sending').length
+    };
+  }
+
+  // Settle a member payout left sending, after checking the treasury: with the signature
+  // of the transfer that paid it, it is marked sent once that transfer has landed;
+  // without one, it is marked failed to be sent again.
+  // Returns { success, payout } or { success: false, status, error }.
+  async resolvePayout(payoutId, signature = null) {
+    const { data: payout, error } = await supabaseAdmin
+      .from('syndicate_payouts')
+      .select('*, winners(id, currency, draw_id)')
+      .eq('id', payoutId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load syndicate payout: ${error.message}`);
+    }
+
+    if (!payout) {
+      return { success: false, status: 404, error: 'Syndicate payout not found' };
+    }
+
+    if (payout.status !== 'sending') {
+      return { success: false, status: 409, error: `Syndicate payout is already ${payout.status}` };
+    }
+
+    if (!signature) {
+      const { data: failed } = await supabaseAdmin
+        .from('syndicate_payouts')
+        .update({ status: 'failed', error: 'No transfer found in the treasury' })
+        .eq('id', payout.id)
+        .eq('status', 'sending')
+        .select()
+        .single();
+      return { success: true, payout: failed };
+    }
+
+    if (await solanaService.getTransferStatus(signature) !== 'landed') {
+      return { success: false, status: 409, error: `Transfer ${signature} has not landed` };
+    }
+
+    return { success: true, payout: await this.recordMemberPaid(payout.winners, payout, signature) };
+  }
+
+  // Mark a member's payout sent by a transfer that landed, and record it in the ledger
+  async recordMemberPaid(winner, payout, signature) {
+    const { data: sent } = await supabaseAdmin
+      .from('syndicate_payouts')
+      .update({ status: 'sent', transaction_signature: signature, sent_at: new Date().toISOString(), error: null })
+      .eq('id', payout.id)
+      .select()
+      .single();
+
+    try {
+      await ledgerService.transfer('payout', {
+        debit: 'prizes_payable',
+        credit: 'treasury',
+        amount: Number(payout.amount_lamports),
+        currency: winner.currency,
+        reference: `winner:${winner.id}:${payout.member_id}`,
+        drawId: winner.draw_id,
+        description: signature
+      });
+    } catch (ledgerError) {
+      console.error(`❌ Syndicate payout ${signature} sent but not recorded in the ledger:`, ledgerError.message);
+    }
+
+    console.log(`✅ Paid ${currencies.format(Number(payout.amount_lamports), winner.currency)} ${winner.currency} (${payout.shares} share(s)) to ${payout.wallet_address.substring(0, 8)}...`);
+
+    return sent;
+  }
+
+  // Prizes won by a syndicate's tickets, with each member's payout
+  async getResults(syndicateId) {
+    const { data: winners, error } = await supabaseAdmin
+      .from('winners')
+      .select('*, tickets!inner(numbers, powerball, syndicate_id), draws(id, winning_numbers, powerball, draw_date), syndicate_payouts(*)')
+      .eq('tickets.syndicate_id', syndicateId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to load syndicate results: ${error.message}`);
+    }
+
+    return winners;
+  }
+}
+
+module.exports = new SyndicateService();
@@ -0,0 +1,266 @@
+const { PublicKey } = require('@solana/web3.js');
+const { supabaseAdmin } = require('./supabase');
+const solanaService = require('./solana');
+const currencies = require('./currencies');
+
+const INDEXER_NAME = 'treasury_deposits';
+const PAGE_SIZE = 1000;
+const INITIAL_BACKFILL = 100; // Signatures to index on the very first run
+
+// Deposit statuses that still need an admin decision
+const UNRESOLVED_STATUSES = ['unmatched', 'overpaid', 'underpaid'];
+
+class TreasuryIndexer {
+  constructor() {
+    this.running = false;
+    this.unresolvedStatuses = UNRESOLVED_STATUSES;
+  }
+
+  // SOL keeps the original cursor name; each SPL currency gets its own
+  getCursorName(currency) {
+    return currency.mint ? `${INDEXER_NAME}:${currency.code}` : INDEXER_NAME;
+  }
+
+  // Address whose history holds a currency's deposits: the treasury wallet for SOL,
+  // the treasury's associated token account for SPL tokens
+  getDepositAddress(currency) {
+    return currency.mint
+      ? solanaService.getTreasuryTokenAccount(currency.mint)
+      : solanaService.treasuryWallet;
+  }
+
+  async getCursor(currency) {
+    const { data } = await supabaseAdmin
+      .from('indexer_state')
+      .select('last_signature')
+      .eq('name', this.getCursorName(currency))
+      .maybeSingle();
+
+    return data ? data.last_signature : null;
+  }
+
+  async saveCursor(currency, signature, slot) {
+    const { error } = await supabaseAdmin
+      .from('indexer_state')
+      .upsert({
+        name: this.getCursorName(currency),
+        last_signature: signature,
+        last_slot: slot,
+        updated_at: new Date().toISOString()
+      });
+
+    if (error) {
+      throw new Error(`Failed to save indexer cursor: ${error.message}`);
+    }
+  }
+
+  // Fetch every finalized signature for an address newer than the cursor, oldest first
+  async fetchNewSignatures(address, untilSignature) {
+    const account = new PublicKey(address);
+    const signatures = [];
+    let before;
+
+    while (true) {
+      const page = await solanaService.connection.getSignaturesForAddress(
+        account,
+        { limit: untilSignature ? PAGE_SIZE : INITIAL_BACKFILL, before, until: untilSignature || undefined },
+        'finalized'
+      );
+
+      signatures.push(...page);
+
+      if (!untilSignature || page.length < PAGE_SIZE) {
+        break;
+      }
+      before = page[page.length - 1].signature;
+    }
+
+    return signatures.reverse();
+  }
+
+  // Work out which ticket payment or payment intent a deposit belongs to
+  async matchDeposit(deposit, transaction) {
+    const { data: payment } = await supabaseAdmin
+      .from('ticket_payments')
+      .select('id, payment_intent_id')
+      .eq('transaction_hash', deposit.signature)
+      .maybeSingle();
+
+    if (payment) {
+      return {
+        status: 'matched',
+        ticket_payment_id: payment.id,
+        payment_intent_id: payment.payment_intent_id
+      };
+    }
+
+    // Not issued yet: look for the intent by memo or by Solana Pay reference key.
+    // An intent paid in the wrong currency is left unmatched.
+    const memos = solanaService.getMemos(transaction);
+    const accountKeys = transaction.transaction.message.accountKeys.map(key => key.pubkey.toBase58());
+
+    let intent = null;
+    if (memos.length > 0) {
+      const { data } = await supabaseAdmin
+        .from('payment_intents')
+        .select('*')
+        .eq('currency', deposit.currency)
+        .in('memo', memos)
+        .limit(1);
+      intent = data && data[0];
+    }
+    if (!intent) {
+      const { data } = await supabaseAdmin
+        .from('payment_intents')
+        .select('*')
+        .eq('currency', deposit.currency)
+        .in('reference', accountKeys)
+        .limit(1);
+      intent = data && data[0];
+    }
+
+    if (!intent) {
+      return { status: 'unmatched' };
+    }
+
+    const expected = Number(intent.amount_lamports);
+    let status = 'unmatched';
+    if (deposit.amount_lamports > expected) {
+      status = 'overpaid';
+    } else if (deposit.amount_lamports < expected) {
+      status = 'underpaid';
+    }
+
+    return { status, payment_intent_id: intent.id, expected_lamports: expected };
+  }
+
+  // Record one treasury transaction if it carries incoming transfers in the currency
+  async indexSignature(signatureInfo, currency) {
+    if (signatureInfo.err) {
+      return null;
+    }
+
+    const transaction = await solanaService.getTransactionDetails(signatureInfo.signature, { commitment: 'finalized' });
+    if (!transaction || transaction.meta?.err) {
+      return null;
+    }
+
+    const incoming = solanaService.getTreasuryTransfers(transaction, currency.code)
+      .filter(t => t.sender !== solanaService.treasuryWallet);
+
+    if (incoming.length === 0) {
+      return null; // Outgoing payout or unrelated activity
+    }
+
+    const deposit = {
+      signature: signatureInfo.signature,
+      slot: transaction.slot,
+      block_time: transaction.blockTime ? new Date(transaction.blockTime * 1000).toISOString() : null,
+      sender: incoming[0].sender,
+      amount_lamports: incoming.reduce((sum, t) => sum + t.amount, 0),
+      currency: currency.code,
+      memo: solanaService.getMemos(transaction).join(' | ') || null
+    };
+
+    const match = await this.matchDeposit(deposit, transaction);
+
+    const { data, error } = await supabaseAdmin
+      .from('treasury_deposits')
+      .upsert({ ...deposit, ...match }, { onConflict: 'signature', ignoreDuplicates: true })
+      .select();
+
+    if (error) {
+      throw new Error(`Failed to record deposit ${deposit.signature}: ${error.message}`);
+    }
+
+    return data && data[0];
+  }
+
+  // Deposits recorded before their tickets were issued get linked once the payment is claimed
+  async reconcileUnresolved() {
+    const { data: deposits, error } = await supabaseAdmin
+      .from('treasury_deposits')
+      .select('id, signature')
+      .in('status', UNRESOLVED_STATUSES)
+      .eq('assigned_lamports', 0)
+      .eq('refunded_lamports', 0);
+
+    if (error) {
+      throw new Error(`Failed to load unresolved deposits: ${error.message}`);
+    }
+
+    if (deposits.length === 0) {
+      return 0;
+    }
+
+    const { data: payments } = await supabaseAdmin
+      .from('ticket_payments')
+      .select('id, transaction_hash, payment_intent_id')
+      .in('transaction_hash', deposits.map(d => d.signature));
+
+    for (const payment of payments || []) {
+      const deposit = deposits.find(d => d.signature === payment.transaction_hash);
+      await supabaseAdmin
+        .from('treasury_deposits')
+        .update({
+          status: 'matched',
+          ticket_payment_id: payment.id,
+          payment_intent_id: payment.payment_intent_id
+        })
+        .eq('id', deposit.id);
+    }
+
+    return (payments || []).length;
+  }
+
+  // Index new deposits of one currency. Returns how many were recorded.
+  async indexCurrency(currency) {
+    const cursor = await this.getCursor(currency);
+    const signatures = await this.fetchNewSignatures(this.getDepositAddress(currency), cursor);
+
+    let recorded = 0;
+    for (const signatureInfo of signatures) {
+      const deposit = await this.indexSignature(signatureInfo, currency);
+      if (deposit) {
+        recorded++;
+        if (deposit.status !== 'matched') {
+          console.log(`⚠️  Treasury deposit ${deposit.signature} is ${deposit.status}: ${currencies.format(Number(deposit.amount_lamports), currency.code)} ${currency.code} from ${deposit.sender}`);
+        }
+      }
+      await this.saveCursor(currency, signatureInfo.signature, signatureInfo.slot);
+    }
+
+    return recorded;
+  }
+
+  // Index new treasury transactions in every currency, then re-check deposits still waiting for a match
+  async run() {
+    if (this.running || !solanaService.treasuryWallet) {
+      return;
+    }
+    this.running = true;
+
+    try {
+      let recorded = 0;
+      for (const currency of currencies.list()) {
+        try {
+          recorded += await this.indexCurrency(currency);
+        } catch (error) {
+          console.error(`❌ Treasury indexer failed for ${currency.code}:`, error.message);
+        }
+      }
+
+      const reconciled = await this.reconcileUnresolved();
+
+      if (recorded > 0 || reconciled > 0) {
+        console.log(`🏦 Treasury indexer: ${recorded} new deposit(s), ${reconciled} reconciled`);
+      }
+    } catch (error) {
+      console.error('❌ Treasury indexer failed:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new TreasuryIndexer();
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const { PublicKey } = require('@solana/web3.js');
+const bs58 = require('bs58');
+
+// DER prefix for an Ed25519 SubjectPublicKeyInfo, followed by the 32 raw key bytes
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+// Solana off-chain message signing domain ("\xffsolana offchain")
+const OFFCHAIN_SIGNING_DOMAIN = Buffer.concat([Buffer.from([0xff]), Buffer.from('solana offchain', 'utf-8')]);
+const OFFCHAIN_MAX_LEDGER_MESSAGE_LENGTH = 1212;
+const OFFCHAIN_MAX_MESSAGE_LENGTH = 65515;
+
+const NONCE_TTL_MINUTES = parseInt(process.env.AUTH_NONCE_TTL_MINUTES || '5', 10);
+
+// Check that a string is a valid base58 Solana public key
+function isValidWalletAddress(walletAddress) {
+  try {
+    return typeof walletAddress === 'string' && PublicKey.isOnCurve(new PublicKey(walletAddress).toBytes());
+  } catch (error) {
+    return false;
+  }
+}
+
+// Generate a random nonce and the challenge message the wallet has to sign
+function createChallenge(walletAddress, now = new Date()) {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const expiresAt = new Date(now.getTime() + NONCE_TTL_MINUTES * 60 * 1000);
+
+  const message = [
+    'Powerball Lottery wants you to sign in with your Solana account:',
+    walletAddress,
+    '',
+    'Sign this message to prove you own this wallet. It does not cost any SOL.',
+    '',
+    `Nonce: ${nonce}`,
+    `Issued At: ${now.toISOString()}`,
+    `Expiration Time: ${expiresAt.toISOString()}`
+  ].join('\n');
+
+  return { nonce, message, issued_at: now.toISOString(), expires_at: expiresAt.toISOString() };
+}
+
+// Pull the nonce back out of a signed challenge message
+function extractNonce(message) {
+  const match = /^Nonce: ([0-9a-f]{32})$/m.exec(message || '');
+  return match ? match[1] : null;
+}
+
+// Wallets return signatures as base58 (Phantom + bs58) or base64 strings
+function decodeSignature(signature) {
+  if (typeof signature !== 'string') {
+    return null;
+  }
+
+  try {
+    const decoded = Buffer.from(bs58.decode(signature));
+    if (decoded.length === 64) {
+      return decoded;
+    }
+  } catch (error) {
+    // Not base58, try base64 below
+  }
+
+  const decoded = Buffer.from(signature, 'base64');
+  return decoded.length === 64 ? decoded : null;
+}
+
+// Serialize a message the way `solana sign-offchain-message` and Ledger do (header version 0)
+function buildOffchainMessage(message) {
+  const body = Buffer.from(message, 'utf-8');
+  if (body.length > OFFCHAIN_MAX_MESSAGE_LENGTH) {
+    return null;
+  }
+
+  // Format 0: restricted ASCII, 1: UTF-8 that fits on a Ledger, 2: extended UTF-8
+  let format;
+  if (/^[\x20-\x7e]*$/.test(message) && body.length <= OFFCHAIN_MAX_LEDGER_MESSAGE_LENGTH) {
+    format = 0;
+  } else if (body.length <= OFFCHAIN_MAX_LEDGER_MESSAGE_LENGTH) {
+    format = 1;
+  } else {
+    format = 2;
+  }
+
+  const header = Buffer.alloc(4);
+  header.writeUInt8(0, 0); // header version
+  header.writeUInt8(format, 1);
+  header.writeUInt16LE(body.length, 2);
+
+  return Buffer.concat([OFFCHAIN_SIGNING_DOMAIN, header, body]);
+}
+
+// Verify an ed25519 signature of `message` by `walletAddress`.
+// Accepts both a plain `signMessage` signature and the Solana off-chain message format.
+function verifyWalletSignature(walletAddress, message, signature) {
+  const signatureBytes = decodeSignature(signature);
+  if (!signatureBytes || typeof message !== 'string') {
+    return { valid: false, format: null };
+  }
+
+  let publicKey;
+  try {
+    const publicKeyBytes = Buffer.from(new PublicKey(walletAddress).toBytes());
+    publicKey = crypto.createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, publicKeyBytes]),
+      format: 'der',
+      type: 'spki'
+    });
+  } catch (error) {
+    return { valid: false, format: null };
+  }
+
+  if (crypto.verify(null, Buffer.from(message, 'utf-8'), publicKey, signatureBytes)) {
+    return { valid: true, format: 'plain' };
+  }
+
+  const offchainMessage = buildOffchainMessage(message);
+  if (offchainMessage && crypto.verify(null, offchainMessage, publicKey, signatureBytes)) {
+    return { valid: true, format: 'offchain' };
+  }
+
+  return { valid: false, format: null };
+}
+
+module.exports = {
+  isValidWalletAddress,
+  createChallenge,
+  extractNonce,
+  verifyWalletSignature,
+  buildOffchainMessage
+};
@@ -0,0 +1,19 @@
+-- Create auth_nonces table to store single-use wallet sign-in challenges
+CREATE TABLE IF NOT EXISTS auth_nonces (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    wallet_address TEXT NOT NULL,
+    nonce TEXT UNIQUE NOT NULL,
+    message TEXT NOT NULL, -- Exact challenge message the wallet must sign
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE, -- Set once the nonce has been consumed
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_nonces_wallet_address ON auth_nonces(wallet_address);
+CREATE INDEX IF NOT EXISTS idx_auth_nonces_expires_at ON auth_nonces(expires_at);
+
+-- Only the backend (service role) reads or writes nonces
+ALTER TABLE auth_nonces ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Only service role can manage auth nonces" ON auth_nonces
+    FOR ALL USING (auth.role() = 'service_role');
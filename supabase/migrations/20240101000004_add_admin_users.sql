@@ -0,0 +1,46 @@
+-- Create admin_users table for role-based access to /admin routes
+-- Roles: operator (run draws), treasurer (send payouts), auditor (read-only), superadmin (everything)
+CREATE TABLE IF NOT EXISTS admin_users (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name TEXT NOT NULL,
+    wallet_address TEXT UNIQUE, -- Optional: required only for wallet signature login
+    role TEXT NOT NULL CHECK (role IN ('operator', 'treasurer', 'auditor', 'superadmin')),
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TRIGGER update_admin_users_updated_at
+    BEFORE UPDATE ON admin_users
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Create admin_api_keys table; only a SHA-256 hash of each key is stored
+CREATE TABLE IF NOT EXISTS admin_api_keys (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    admin_user_id UUID NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+    label TEXT,
+    key_prefix TEXT NOT NULL, -- First characters of the key, to help identify it
+    key_hash TEXT UNIQUE NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_api_keys_admin_user_id ON admin_api_keys(admin_user_id);
+
+-- Only the backend (service role) reads or writes admin accounts
+ALTER TABLE admin_users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE admin_api_keys ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Only service role can manage admin users" ON admin_users
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Only service role can manage admin api keys" ON admin_api_keys
+    FOR ALL USING (auth.role() = 'service_role');
+
+-- Bootstrap the first superadmin by hand, then manage the rest through /admin/users:
+-- INSERT INTO admin_users (name, wallet_address, role) VALUES ('Owner', 'YOUR_WALLET_ADDRESS', 'superadmin');
@@ -0,0 +1,28 @@
+-- Create ticket_payments table: one row per verified on-chain payment.
+-- The UNIQUE transaction_hash makes each transaction consumable only once,
+-- whether it pays for a single ticket or a bulk order.
+CREATE TABLE IF NOT EXISTS ticket_payments (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    transaction_hash TEXT UNIQUE NOT NULL,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    wallet_address TEXT NOT NULL, -- Sender of the payment
+    ticket_count INTEGER NOT NULL CHECK (ticket_count > 0),
+    amount_lamports BIGINT NOT NULL CHECK (amount_lamports > 0),
+    slot BIGINT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ticket_payments_user_id ON ticket_payments(user_id);
+
+-- A bulk purchase shares one transaction across several tickets
+ALTER TABLE tickets DROP CONSTRAINT IF EXISTS tickets_transaction_hash_key;
+CREATE INDEX IF NOT EXISTS idx_tickets_transaction_hash ON tickets(transaction_hash);
+
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS payment_id UUID REFERENCES ticket_payments(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_tickets_payment_id ON tickets(payment_id);
+
+-- Only the backend (service role) reads or writes payments
+ALTER TABLE ticket_payments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Only service role can manage ticket payments" ON ticket_payments
+    FOR ALL USING (auth.role() = 'service_role');
@@ -0,0 +1,26 @@
+-- Create payment_intents table: what a user is about to pay for, and the memo
+-- their payment transaction must carry so it can be matched back to them
+CREATE TABLE IF NOT EXISTS payment_intents (
+    id TEXT PRIMARY KEY, -- pi_<random hex>
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    ticket_count INTEGER NOT NULL CHECK (ticket_count > 0),
+    tickets JSONB NOT NULL, -- Chosen lines: [{ "numbers": [...], "powerball": n }]
+    amount_lamports BIGINT NOT NULL CHECK (amount_lamports > 0),
+    memo TEXT UNIQUE NOT NULL, -- Reference the payment's memo instruction must match
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'consumed', 'expired')),
+    transaction_hash TEXT UNIQUE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    consumed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_intents_user_id ON payment_intents(user_id);
+CREATE INDEX IF NOT EXISTS idx_payment_intents_status_expires_at ON payment_intents(status, expires_at);
+
+ALTER TABLE ticket_payments ADD COLUMN IF NOT EXISTS payment_intent_id TEXT REFERENCES payment_intents(id) ON DELETE SET NULL;
+
+-- Only the backend (service role) reads or writes payment intents
+ALTER TABLE payment_intents ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Only service role can manage payment intents" ON payment_intents
+    FOR ALL USING (auth.role() = 'service_role');
@@ -0,0 +1,3 @@
+-- Solana Pay reference public key for each payment intent. The payment watcher
+-- finds the payment transaction with getSignaturesForAddress(reference).
+ALTER TABLE payment_intents ADD COLUMN IF NOT EXISTS reference TEXT UNIQUE;
@@ -0,0 +1,45 @@
+-- Create treasury_deposits table: every incoming SOL transfer to TREASURY_WALLET,
+-- matched to the ticket payment or payment intent it belongs to
+CREATE TABLE IF NOT EXISTS treasury_deposits (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    signature TEXT UNIQUE NOT NULL,
+    slot BIGINT NOT NULL,
+    block_time TIMESTAMP WITH TIME ZONE,
+    sender TEXT NOT NULL,
+    amount_lamports BIGINT NOT NULL CHECK (amount_lamports > 0),
+    memo TEXT,
+    -- matched: tickets issued; unmatched / overpaid / underpaid: needs an admin; resolved: admin handled it
+    status TEXT NOT NULL CHECK (status IN ('matched', 'unmatched', 'overpaid', 'underpaid', 'resolved')),
+    expected_lamports BIGINT, -- Amount of the matched payment intent, if any
+    payment_intent_id TEXT REFERENCES payment_intents(id) ON DELETE SET NULL,
+    ticket_payment_id UUID REFERENCES ticket_payments(id) ON DELETE SET NULL,
+    assigned_lamports BIGINT NOT NULL DEFAULT 0, -- Part of the deposit turned into tickets by an admin
+    refunded_lamports BIGINT NOT NULL DEFAULT 0, -- Part of the deposit sent back to the sender
+    refund_signature TEXT,
+    resolved_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    resolution_note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (assigned_lamports + refunded_lamports <= amount_lamports)
+);
+
+CREATE INDEX IF NOT EXISTS idx_treasury_deposits_status ON treasury_deposits(status);
+CREATE INDEX IF NOT EXISTS idx_treasury_deposits_sender ON treasury_deposits(sender);
+
+-- Cursor for background indexers (last processed signature)
+CREATE TABLE IF NOT EXISTS indexer_state (
+    name TEXT PRIMARY KEY,
+    last_signature TEXT,
+    last_slot BIGINT,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Only the backend (service role) reads or writes deposits
+ALTER TABLE treasury_deposits ENABLE ROW LEVEL SECURITY;
+ALTER TABLE indexer_state ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Only service role can manage treasury deposits" ON treasury_deposits
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Only service role can manage indexer state" ON indexer_state
+    FOR ALL USING (auth.role() = 'service_role');
@@ -0,0 +1,42 @@
+-- Ticket lifecycle: refunded tickets no longer take part in draws
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'refunded'));
+CREATE INDEX IF NOT EXISTS idx_tickets_status ON tickets(status);
+
+-- Draws can be cancelled, which refunds every ticket sold into them
+ALTER TABLE draws ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'completed'
+    CHECK (status IN ('completed', 'cancelled'));
+
+-- Create refunds table: every SOL transfer sent back to a player
+CREATE TABLE IF NOT EXISTS refunds (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    reason TEXT NOT NULL CHECK (reason IN ('unmatched_payment', 'rejected_ticket', 'cancelled_draw', 'manual')),
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed')),
+    recipient_wallet TEXT NOT NULL,
+    amount_lamports BIGINT NOT NULL CHECK (amount_lamports > 0),
+    original_transaction TEXT NOT NULL, -- Payment being refunded
+    refund_signature TEXT UNIQUE, -- Outgoing refund transfer
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    ticket_payment_id UUID REFERENCES ticket_payments(id) ON DELETE SET NULL,
+    treasury_deposit_id UUID REFERENCES treasury_deposits(id) ON DELETE SET NULL,
+    draw_id UUID REFERENCES draws(id) ON DELETE SET NULL,
+    ticket_ids UUID[] NOT NULL DEFAULT '{}',
+    requested_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    note TEXT,
+    error TEXT,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_refunds_status ON refunds(status);
+CREATE INDEX IF NOT EXISTS idx_refunds_original_transaction ON refunds(original_transaction);
+CREATE INDEX IF NOT EXISTS idx_refunds_draw_id ON refunds(draw_id);
+
+-- Deposit refunds now live in the refunds table
+ALTER TABLE treasury_deposits DROP COLUMN IF EXISTS refund_signature;
+
+-- Only the backend (service role) reads or writes refunds
+ALTER TABLE refunds ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Only service role can manage refunds" ON refunds
+    FOR ALL USING (auth.role() = 'service_role');
@@ -0,0 +1,54 @@
+-- Tickets can be paid in SOL or a configured SPL token (e.g. USDC).
+-- Every *_lamports column holds the smallest unit of the row's currency
+-- (lamports for SOL, base units for SPL tokens).
+ALTER TABLE payment_intents ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'SOL';
+ALTER TABLE ticket_payments ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'SOL';
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'SOL';
+ALTER TABLE winners ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'SOL';
+ALTER TABLE treasury_deposits ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'SOL';
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'SOL';
+
+CREATE INDEX IF NOT EXISTS idx_tickets_currency ON tickets(currency);
+
+-- One pot per currency; amounts are in whole units of that currency
+ALTER TABLE pot ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'SOL';
+ALTER TABLE pot ADD COLUMN IF NOT EXISTS decimals INTEGER NOT NULL DEFAULT 9;
+CREATE INDEX IF NOT EXISTS idx_pot_currency ON pot(currency, created_at DESC);
+
+-- Ticket sales go into the pot of the ticket's currency, at the price actually paid
+CREATE OR REPLACE FUNCTION update_pot_on_ticket_creation()
+RETURNS TRIGGER AS $$
+DECLARE
+    ticket_price DECIMAL(20, 9) := 0.05;
+    pot_id UUID;
+BEGIN
+    SELECT id INTO pot_id
+    FROM pot
+    WHERE currency = NEW.currency
+    ORDER BY created_at DESC
+    LIMIT 1;
+
+    -- The backend creates a currency's pot (with its decimals) before issuing tickets
+    IF pot_id IS NULL THEN
+        RAISE WARNING 'No pot for currency %, ticket % not counted', NEW.currency, NEW.id;
+        RETURN NEW;
+    END IF;
+
+    IF NEW.payment_id IS NOT NULL THEN
+        SELECT (tp.amount_lamports::DECIMAL / tp.ticket_count) / POWER(10, p.decimals)
+        INTO ticket_price
+        FROM ticket_payments tp, pot p
+        WHERE tp.id = NEW.payment_id AND p.id = pot_id;
+    END IF;
+
+    UPDATE pot
+    SET
+        current_amount = current_amount + ticket_price,
+        total_tickets_sold = total_tickets_sold + 1,
+        total_revenue = total_revenue + ticket_price,
+        last_updated = NOW()
+    WHERE id = pot_id;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
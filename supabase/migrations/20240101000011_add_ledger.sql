@@ -0,0 +1,156 @@
+-- Double-entry ledger: every movement of funds is a journal transaction whose legs
+-- debit and credit accounts by integer amounts in the smallest unit of the currency
+-- (lamports for SOL). The legs of a transaction always balance.
+CREATE TABLE IF NOT EXISTS ledger_transactions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    type TEXT NOT NULL CHECK (type IN (
+        'ticket_sale', 'house_revenue', 'prize_allocation', 'payout', 'rollover', 'refund', 'adjustment'
+    )),
+    currency TEXT NOT NULL DEFAULT 'SOL',
+    reference TEXT NOT NULL, -- What caused the entry (payment, draw, winner, refund, ...)
+    amount_lamports BIGINT NOT NULL CHECK (amount_lamports > 0), -- Total of the debit legs
+    ticket_count INTEGER NOT NULL DEFAULT 0, -- Tickets sold or refunded
+    draw_id UUID REFERENCES draws(id) ON DELETE SET NULL,
+    description TEXT,
+    created_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (type, reference, currency) -- Posting the same event twice is rejected
+);
+
+CREATE TABLE IF NOT EXISTS ledger_entries (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    transaction_id UUID NOT NULL REFERENCES ledger_transactions(id) ON DELETE CASCADE,
+    account TEXT NOT NULL CHECK (account IN (
+        'treasury', 'pot', 'rollover', 'prizes_payable', 'refunds_payable', 'house_revenue', 'adjustments'
+    )),
+    currency TEXT NOT NULL,
+    debit_lamports BIGINT NOT NULL DEFAULT 0 CHECK (debit_lamports >= 0),
+    credit_lamports BIGINT NOT NULL DEFAULT 0 CHECK (credit_lamports >= 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK ((debit_lamports = 0) <> (credit_lamports = 0)) -- Exactly one side per leg
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_transactions_type ON ledger_transactions(type);
+CREATE INDEX IF NOT EXISTS idx_ledger_transactions_created_at ON ledger_transactions(created_at);
+CREATE INDEX IF NOT EXISTS idx_ledger_transactions_draw_id ON ledger_transactions(draw_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_transaction_id ON ledger_entries(transaction_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_account ON ledger_entries(account, currency);
+
+-- Post a transaction and its legs in one statement, rejecting unbalanced legs.
+-- p_entries: [{ "account": "treasury", "debit": 50000000 }, { "account": "pot", "credit": 50000000 }]
+CREATE OR REPLACE FUNCTION post_ledger_transaction(
+    p_type TEXT,
+    p_currency TEXT,
+    p_reference TEXT,
+    p_entries JSONB,
+    p_ticket_count INTEGER DEFAULT 0,
+    p_draw_id UUID DEFAULT NULL,
+    p_description TEXT DEFAULT NULL,
+    p_created_by UUID DEFAULT NULL
+)
+RETURNS ledger_transactions AS $$
+DECLARE
+    total_debits BIGINT;
+    total_credits BIGINT;
+    posted ledger_transactions;
+BEGIN
+    SELECT
+        COALESCE(SUM((entry->>'debit')::BIGINT), 0),
+        COALESCE(SUM((entry->>'credit')::BIGINT), 0)
+    INTO total_debits, total_credits
+    FROM jsonb_array_elements(p_entries) AS entry;
+
+    IF total_debits <= 0 OR total_debits <> total_credits THEN
+        RAISE EXCEPTION 'Unbalanced ledger transaction: debits %, credits %', total_debits, total_credits;
+    END IF;
+
+    INSERT INTO ledger_transactions (type, currency, reference, amount_lamports, ticket_count, draw_id, description, created_by)
+    VALUES (p_type, p_currency, p_reference, total_debits, p_ticket_count, p_draw_id, p_description, p_created_by)
+    RETURNING * INTO posted;
+
+    INSERT INTO ledger_entries (transaction_id, account, currency, debit_lamports, credit_lamports)
+    SELECT
+        posted.id,
+        entry->>'account',
+        p_currency,
+        COALESCE((entry->>'debit')::BIGINT, 0),
+        COALESCE((entry->>'credit')::BIGINT, 0)
+    FROM jsonb_array_elements(p_entries) AS entry;
+
+    RETURN posted;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Debit and credit totals per entry type and account; account balances are derived from these
+CREATE OR REPLACE VIEW ledger_flows AS
+SELECT
+    t.type,
+    e.account,
+    e.currency,
+    SUM(e.debit_lamports)::BIGINT AS debit_lamports,
+    SUM(e.credit_lamports)::BIGINT AS credit_lamports
+FROM ledger_entries e
+JOIN ledger_transactions t ON t.id = e.transaction_id
+GROUP BY t.type, e.account, e.currency;
+
+-- Transaction counts, amounts and ticket counts per entry type
+CREATE OR REPLACE VIEW ledger_totals AS
+SELECT
+    type,
+    currency,
+    COUNT(*)::BIGINT AS transaction_count,
+    SUM(amount_lamports)::BIGINT AS amount_lamports,
+    SUM(ticket_count)::BIGINT AS ticket_count
+FROM ledger_transactions
+GROUP BY type, currency;
+
+-- The pot triggers counted every ticket a second time on top of the backend's own
+-- pot update; the ledger replaces both. The pot table is no longer written.
+DROP TRIGGER IF EXISTS trigger_update_pot_on_ticket_creation ON tickets;
+DROP TRIGGER IF EXISTS trigger_update_pot_on_payout ON winners;
+DROP FUNCTION IF EXISTS update_pot_on_ticket_creation();
+DROP FUNCTION IF EXISTS update_pot_on_payout();
+
+-- Opening balance: carry each currency's current pot into the ledger
+SELECT post_ledger_transaction(
+    'adjustment',
+    opening.currency,
+    'opening-balance',
+    jsonb_build_array(
+        jsonb_build_object('account', 'treasury', 'debit', opening.amount),
+        jsonb_build_object('account', 'pot', 'credit', opening.amount)
+    ),
+    opening.total_tickets_sold,
+    NULL,
+    'Opening pot balance carried over from the pot table'
+)
+FROM (
+    SELECT DISTINCT ON (currency)
+        currency,
+        ROUND(current_amount * POWER(10, decimals))::BIGINT AS amount,
+        total_tickets_sold
+    FROM pot
+    ORDER BY currency, created_at DESC
+) AS opening
+WHERE opening.amount > 0;
+
+-- Winners: exact prize in the smallest unit, and payout tracking
+ALTER TABLE winners ALTER COLUMN prize_amount TYPE DECIMAL(20, 9);
+ALTER TABLE winners ADD COLUMN IF NOT EXISTS prize_tier INTEGER;
+ALTER TABLE winners ADD COLUMN IF NOT EXISTS prize_lamports BIGINT NOT NULL DEFAULT 0;
+ALTER TABLE winners ADD COLUMN IF NOT EXISTS payout_sent BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE winners ADD COLUMN IF NOT EXISTS payout_transaction TEXT;
+ALTER TABLE winners ADD COLUMN IF NOT EXISTS payout_date TIMESTAMP WITH TIME ZONE;
+
+-- Only the backend (service role) reads or writes the ledger
+ALTER TABLE ledger_transactions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ledger_entries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Only service role can manage ledger transactions" ON ledger_transactions
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Only service role can manage ledger entries" ON ledger_entries
+    FOR ALL USING (auth.role() = 'service_role');
+
+REVOKE ALL ON ledger_flows, ledger_totals FROM anon, authenticated;
+REVOKE EXECUTE ON FUNCTION post_ledger_transaction(TEXT, TEXT, TEXT, JSONB, INTEGER, UUID, TEXT, UUID) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,32 @@
+-- Every ticket belongs to exactly one draw, assigned at purchase.
+-- Draws are opened ahead of time for ticket sales and get their numbers when drawn.
+ALTER TABLE draws ALTER COLUMN winning_numbers DROP NOT NULL;
+ALTER TABLE draws ALTER COLUMN powerball DROP NOT NULL;
+ALTER TABLE draws ADD COLUMN IF NOT EXISTS draw_time TIMESTAMP WITH TIME ZONE;
+ALTER TABLE draws ADD COLUMN IF NOT EXISTS sales_close_at TIMESTAMP WITH TIME ZONE; -- No ticket sales after this
+
+ALTER TABLE draws DROP CONSTRAINT IF EXISTS draws_status_check;
+ALTER TABLE draws ADD CONSTRAINT draws_status_check
+    CHECK (status IN ('open', 'completed', 'cancelled'));
+
+-- Past draws took place when they were recorded
+UPDATE draws SET draw_time = created_at, sales_close_at = created_at WHERE draw_time IS NULL;
+
+-- One draw per scheduled time, so concurrent purchases open the same draw
+CREATE UNIQUE INDEX IF NOT EXISTS idx_draws_draw_time ON draws(draw_time);
+CREATE INDEX IF NOT EXISTS idx_draws_status ON draws(status, sales_close_at);
+
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS draw_id UUID REFERENCES draws(id);
+CREATE INDEX IF NOT EXISTS idx_tickets_draw_id ON tickets(draw_id, status);
+
+-- Existing tickets belong to the first draw recorded after they were bought. Tickets
+-- bought since the last draw are picked up by the first draw that opens.
+UPDATE tickets t
+SET draw_id = (
+    SELECT d.id
+    FROM draws d
+    WHERE d.created_at >= t.created_at
+    ORDER BY d.created_at
+    LIMIT 1
+)
+WHERE t.draw_id IS NULL;
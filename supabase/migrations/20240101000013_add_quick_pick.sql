@@ -0,0 +1,3 @@
+-- Quick pick tickets: numbers drawn by the server rather than chosen by the player
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS quick_pick BOOLEAN NOT NULL DEFAULT FALSE;
+CREATE INDEX IF NOT EXISTS idx_tickets_quick_pick ON tickets(quick_pick) WHERE quick_pick;
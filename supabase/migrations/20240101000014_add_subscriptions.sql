@@ -0,0 +1,83 @@
+-- Recurring ticket subscriptions: the same lines are entered into every draw, paid for
+-- from a prepaid balance held in the currency's smallest unit
+CREATE TABLE IF NOT EXISTS subscriptions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    tickets JSONB NOT NULL, -- Lines entered each draw: [{ "numbers": [...], "powerball": n, "quick_pick": bool }]
+    currency TEXT NOT NULL DEFAULT 'SOL',
+    cost_per_draw_lamports BIGINT NOT NULL CHECK (cost_per_draw_lamports > 0),
+    balance_lamports BIGINT NOT NULL DEFAULT 0 CHECK (balance_lamports >= 0),
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'active', 'cancelled')),
+    last_draw_id UUID REFERENCES draws(id) ON DELETE SET NULL, -- Last draw tickets were issued for
+    last_payment_id UUID REFERENCES ticket_payments(id) ON DELETE SET NULL, -- Latest top-up
+    draws_entered INTEGER NOT NULL DEFAULT 0,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscriptions_user_id ON subscriptions(user_id);
+CREATE INDEX IF NOT EXISTS idx_subscriptions_status ON subscriptions(status);
+
+CREATE TRIGGER update_subscriptions_updated_at
+    BEFORE UPDATE ON subscriptions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Payment intents can cover several consecutive draws, or top up a subscription
+ALTER TABLE payment_intents ADD COLUMN IF NOT EXISTS draw_count INTEGER NOT NULL DEFAULT 1 CHECK (draw_count > 0);
+ALTER TABLE payment_intents ADD COLUMN IF NOT EXISTS subscription_id UUID REFERENCES subscriptions(id) ON DELETE SET NULL;
+
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS subscription_id UUID REFERENCES subscriptions(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_tickets_subscription_id ON tickets(subscription_id);
+
+-- Refunds of a cancelled subscription's remaining balance
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS subscription_id UUID REFERENCES subscriptions(id) ON DELETE SET NULL;
+ALTER TABLE refunds DROP CONSTRAINT IF EXISTS refunds_reason_check;
+ALTER TABLE refunds ADD CONSTRAINT refunds_reason_check
+    CHECK (reason IN ('unmatched_payment', 'rejected_ticket', 'cancelled_draw', 'cancelled_subscription', 'manual'));
+
+-- Prepaid balances are a ledger account of their own until spent on a draw
+ALTER TABLE ledger_transactions DROP CONSTRAINT IF EXISTS ledger_transactions_type_check;
+ALTER TABLE ledger_transactions ADD CONSTRAINT ledger_transactions_type_check CHECK (type IN (
+    'ticket_sale', 'house_revenue', 'prize_allocation', 'payout', 'rollover', 'refund', 'adjustment', 'subscription_deposit'
+));
+ALTER TABLE ledger_entries DROP CONSTRAINT IF EXISTS ledger_entries_account_check;
+ALTER TABLE ledger_entries ADD CONSTRAINT ledger_entries_account_check CHECK (account IN (
+    'treasury', 'pot', 'rollover', 'prizes_payable', 'refunds_payable', 'house_revenue', 'adjustments', 'subscription_balances'
+));
+
+-- Add to (or take from) a subscription's balance. Returns nothing if the balance would go negative.
+CREATE OR REPLACE FUNCTION adjust_subscription_balance(p_subscription_id UUID, p_amount BIGINT)
+RETURNS SETOF subscriptions AS $$
+    UPDATE subscriptions
+    SET balance_lamports = balance_lamports + p_amount
+    WHERE id = p_subscription_id
+      AND balance_lamports + p_amount >= 0
+    RETURNING *;
+$$ LANGUAGE sql;
+
+-- Claim one draw's entry for an active subscription: charge one draw from the balance,
+-- at most once per draw. Returns nothing if already entered or the balance is too low.
+CREATE OR REPLACE FUNCTION enter_subscription_draw(p_subscription_id UUID, p_draw_id UUID)
+RETURNS SETOF subscriptions AS $$
+    UPDATE subscriptions
+    SET
+        balance_lamports = balance_lamports - cost_per_draw_lamports,
+        last_draw_id = p_draw_id,
+        draws_entered = draws_entered + 1
+    WHERE id = p_subscription_id
+      AND status = 'active'
+      AND balance_lamports >= cost_per_draw_lamports
+      AND last_draw_id IS DISTINCT FROM p_draw_id
+    RETURNING *;
+$$ LANGUAGE sql;
+
+-- Only the backend (service role) reads or writes subscriptions
+ALTER TABLE subscriptions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Only service role can manage subscriptions" ON subscriptions
+    FOR ALL USING (auth.role() = 'service_role');
+
+REVOKE EXECUTE ON FUNCTION adjust_subscription_balance(UUID, BIGINT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION enter_subscription_draw(UUID, UUID) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,140 @@
+-- Syndicates: a pool of members who buy shares, then tickets bought from the pool.
+-- Prizes won by the pool's tickets are split between members in proportion to shares.
+CREATE TABLE IF NOT EXISTS syndicates (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name TEXT NOT NULL,
+    owner_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    currency TEXT NOT NULL DEFAULT 'SOL',
+    share_price_lamports BIGINT NOT NULL CHECK (share_price_lamports > 0),
+    total_shares INTEGER NOT NULL DEFAULT 0,
+    balance_lamports BIGINT NOT NULL DEFAULT 0 CHECK (balance_lamports >= 0), -- Contributions not spent on tickets yet
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed')), -- Closed once tickets are bought
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_syndicates_owner_user_id ON syndicates(owner_user_id);
+
+CREATE TRIGGER update_syndicates_updated_at
+    BEFORE UPDATE ON syndicates
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS syndicate_members (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    syndicate_id UUID NOT NULL REFERENCES syndicates(id) ON DELETE CASCADE,
+    wallet_address TEXT NOT NULL, -- Invited wallet; prize shares are paid here
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL, -- Set when the wallet joins
+    shares INTEGER NOT NULL DEFAULT 0 CHECK (shares >= 0),
+    contributed_lamports BIGINT NOT NULL DEFAULT 0,
+    status TEXT NOT NULL DEFAULT 'invited' CHECK (status IN ('invited', 'member')),
+    invited_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    joined_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE (syndicate_id, wallet_address)
+);
+
+CREATE INDEX IF NOT EXISTS idx_syndicate_members_wallet_address ON syndicate_members(wallet_address);
+
+-- One transfer per member for each prize a syndicate ticket wins
+CREATE TABLE IF NOT EXISTS syndicate_payouts (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    winner_id UUID NOT NULL REFERENCES winners(id) ON DELETE CASCADE,
+    syndicate_id UUID NOT NULL REFERENCES syndicates(id) ON DELETE CASCADE,
+    member_id UUID NOT NULL REFERENCES syndicate_members(id) ON DELETE CASCADE,
+    wallet_address TEXT NOT NULL,
+    shares INTEGER NOT NULL,
+    amount_lamports BIGINT NOT NULL CHECK (amount_lamports > 0),
+    currency TEXT NOT NULL DEFAULT 'SOL',
+    status TEXT NOT NULL DEFAULT 'sending' CHECK (status IN ('sending', 'sent', 'failed')),
+    transaction_signature TEXT,
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    sent_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE (winner_id, member_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_syndicate_payouts_syndicate_id ON syndicate_payouts(syndicate_id);
+
+-- Share purchases are paid through payment intents; syndicate tickets point at their pool
+ALTER TABLE payment_intents ADD COLUMN IF NOT EXISTS syndicate_member_id UUID REFERENCES syndicate_members(id) ON DELETE SET NULL;
+ALTER TABLE payment_intents ADD COLUMN IF NOT EXISTS share_count INTEGER;
+
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS syndicate_id UUID REFERENCES syndicates(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_tickets_syndicate_id ON tickets(syndicate_id);
+
+-- Pool contributions are a ledger account of their own until spent on tickets
+ALTER TABLE ledger_transactions DROP CONSTRAINT IF EXISTS ledger_transactions_type_check;
+ALTER TABLE ledger_transactions ADD CONSTRAINT ledger_transactions_type_check CHECK (type IN (
+    'ticket_sale', 'house_revenue', 'prize_allocation', 'payout', 'rollover', 'refund', 'adjustment',
+    'subscription_deposit', 'syndicate_contribution'
+));
+ALTER TABLE ledger_entries DROP CONSTRAINT IF EXISTS ledger_entries_account_check;
+ALTER TABLE ledger_entries ADD CONSTRAINT ledger_entries_account_check CHECK (account IN (
+    'treasury', 'pot', 'rollover', 'prizes_payable', 'refunds_payable', 'house_revenue', 'adjustments',
+    'subscription_balances', 'syndicate_pools'
+));
+
+-- Credit a paid share purchase to the member and the pool in one statement.
+-- Returns nothing once the syndicate has closed.
+CREATE OR REPLACE FUNCTION add_syndicate_shares(p_member_id UUID, p_shares INTEGER, p_amount BIGINT)
+RETURNS SETOF syndicates AS $$
+    WITH pool AS (
+        UPDATE syndicates s
+        SET
+            total_shares = s.total_shares + p_shares,
+            balance_lamports = s.balance_lamports + p_amount
+        FROM syndicate_members m
+        WHERE m.id = p_member_id
+          AND s.id = m.syndicate_id
+          AND s.status = 'open'
+        RETURNING s.*
+    ), member AS (
+        UPDATE syndicate_members
+        SET
+            shares = shares + p_shares,
+            contributed_lamports = contributed_lamports + p_amount
+        WHERE id = p_member_id
+          AND EXISTS (SELECT 1 FROM pool)
+    )
+    SELECT * FROM pool;
+$$ LANGUAGE sql;
+
+-- Spend pool funds on tickets, closing the syndicate to new shares.
+-- Returns nothing if the balance is too low.
+CREATE OR REPLACE FUNCTION spend_syndicate_balance(p_syndicate_id UUID, p_amount BIGINT)
+RETURNS SETOF syndicates AS $$
+    UPDATE syndicates
+    SET
+        balance_lamports = balance_lamports - p_amount,
+        status = 'closed'
+    WHERE id = p_syndicate_id
+      AND balance_lamports >= p_amount
+    RETURNING *;
+$$ LANGUAGE sql;
+
+-- Give back funds for tickets that could not be issued
+CREATE OR REPLACE FUNCTION restore_syndicate_balance(p_syndicate_id UUID, p_amount BIGINT)
+RETURNS SETOF syndicates AS $$
+    UPDATE syndicates
+    SET balance_lamports = balance_lamports + p_amount
+    WHERE id = p_syndicate_id
+    RETURNING *;
+$$ LANGUAGE sql;
+
+-- Only the backend (service role) reads or writes syndicates
+ALTER TABLE syndicates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE syndicate_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE syndicate_payouts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Only service role can manage syndicates" ON syndicates
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Only service role can manage syndicate members" ON syndicate_members
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Only service role can manage syndicate payouts" ON syndicate_payouts
+    FOR ALL USING (auth.role() = 'service_role');
+
+REVOKE EXECUTE ON FUNCTION add_syndicate_shares(UUID, INTEGER, BIGINT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION spend_syndicate_balance(UUID, BIGINT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION restore_syndicate_balance(UUID, BIGINT) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,8 @@
+-- Gift tickets: paid for by one user and owned by another wallet.
+-- The recipient owns the ticket (and any prize); the gifter is kept for their listing.
+ALTER TABLE payment_intents ADD COLUMN IF NOT EXISTS gift_recipient_id UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE payment_intents ADD COLUMN IF NOT EXISTS gift_message TEXT;
+
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS gifted_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS gift_message TEXT;
+CREATE INDEX IF NOT EXISTS idx_tickets_gifted_by ON tickets(gifted_by) WHERE gifted_by IS NOT NULL;
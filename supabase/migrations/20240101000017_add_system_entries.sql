@@ -0,0 +1,27 @@
+-- System entries: 6-10 main numbers and one or more powerballs, played as every
+-- 5-number combination with every powerball. Each combination is an ordinary ticket
+-- (scored and paid like any other) that points back at its entry.
+CREATE TABLE IF NOT EXISTS system_entries (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    payment_id UUID REFERENCES ticket_payments(id) ON DELETE SET NULL,
+    draw_id UUID REFERENCES draws(id) ON DELETE SET NULL,
+    numbers INTEGER[] NOT NULL,
+    powerballs INTEGER[] NOT NULL,
+    line_count INTEGER NOT NULL CHECK (line_count > 0),
+    currency TEXT NOT NULL DEFAULT 'SOL',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_system_entries_user_id ON system_entries(user_id);
+
+-- The selection an intent was created for, so the paid lines can be checked against it
+ALTER TABLE payment_intents ADD COLUMN IF NOT EXISTS system_selection JSONB;
+
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS system_entry_id UUID REFERENCES system_entries(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_tickets_system_entry_id ON tickets(system_entry_id) WHERE system_entry_id IS NOT NULL;
+
+ALTER TABLE system_entries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Only service role can manage system entries" ON system_entries
+    FOR ALL USING (auth.role() = 'service_role');
@@ -0,0 +1,18 @@
+-- Players can cancel tickets shortly after buying them, while their draw is still on sale.
+-- Cancelled tickets are refunded less an optional fee, which goes to house revenue.
+ALTER TABLE tickets DROP CONSTRAINT IF EXISTS tickets_status_check;
+ALTER TABLE tickets ADD CONSTRAINT tickets_status_check
+    CHECK (status IN ('active', 'refunded', 'cancelled'));
+
+ALTER TABLE refunds DROP CONSTRAINT IF EXISTS refunds_reason_check;
+ALTER TABLE refunds ADD CONSTRAINT refunds_reason_check
+    CHECK (reason IN ('unmatched_payment', 'rejected_ticket', 'cancelled_draw', 'cancelled_subscription', 'cancelled_ticket', 'manual'));
+
+-- Part of the ticket price kept when the refund was made
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS fee_lamports BIGINT NOT NULL DEFAULT 0;
+
+ALTER TABLE ledger_transactions DROP CONSTRAINT IF EXISTS ledger_transactions_type_check;
+ALTER TABLE ledger_transactions ADD CONSTRAINT ledger_transactions_type_check CHECK (type IN (
+    'ticket_sale', 'house_revenue', 'prize_allocation', 'payout', 'rollover', 'refund', 'adjustment',
+    'subscription_deposit', 'syndicate_contribution', 'cancellation_fee'
+));
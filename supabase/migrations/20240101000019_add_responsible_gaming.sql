@@ -0,0 +1,51 @@
+-- Responsible gaming: per-user spend and ticket limits, cool-offs and self-exclusion.
+-- Lowering a limit applies at once; raising one waits in pending_changes until
+-- pending_effective_at so it cannot be undone on impulse.
+CREATE TABLE IF NOT EXISTS responsible_gaming_controls (
+    user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    weekly_spend_limits JSONB NOT NULL DEFAULT '{}', -- { "SOL": lamports, "USDC": base units }, rolling 7 days
+    monthly_spend_limits JSONB NOT NULL DEFAULT '{}', -- Same, rolling 30 days
+    tickets_per_draw_limit INTEGER CHECK (tickets_per_draw_limit > 0),
+    pending_changes JSONB, -- Raised limits waiting for the delay to pass
+    pending_effective_at TIMESTAMP WITH TIME ZONE,
+    cool_off_until TIMESTAMP WITH TIME ZONE, -- No purchases until then
+    self_excluded_at TIMESTAMP WITH TIME ZONE, -- Permanent; only an admin can lift it
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_responsible_gaming_controls_exclusions
+    ON responsible_gaming_controls(cool_off_until, self_excluded_at);
+
+CREATE TRIGGER update_responsible_gaming_controls_updated_at
+    BEFORE UPDATE ON responsible_gaming_controls
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Audit trail of every change, by the player or by an admin
+CREATE TABLE IF NOT EXISTS responsible_gaming_events (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    action TEXT NOT NULL CHECK (action IN (
+        'limits_updated', 'limit_increase_applied', 'cool_off', 'self_exclusion',
+        'exclusion_lifted', 'exclusion_set'
+    )),
+    details JSONB NOT NULL DEFAULT '{}',
+    reason TEXT,
+    admin_user_id UUID REFERENCES admin_users(id) ON DELETE SET NULL, -- Set for admin overrides
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_responsible_gaming_events_user_id ON responsible_gaming_events(user_id, created_at);
+
+-- Spend in a window is read from payments and open intents per user and currency
+CREATE INDEX IF NOT EXISTS idx_ticket_payments_user_id_created_at ON ticket_payments(user_id, currency, created_at);
+
+ALTER TABLE responsible_gaming_controls ENABLE ROW LEVEL SECURITY;
+ALTER TABLE responsible_gaming_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Only service role can manage responsible gaming controls" ON responsible_gaming_controls
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Only service role can manage responsible gaming events" ON responsible_gaming_events
+    FOR ALL USING (auth.role() = 'service_role');
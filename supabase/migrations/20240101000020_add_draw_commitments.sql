@@ -0,0 +1,23 @@
+-- Provably fair draws: a hash of a secret seed is published when a draw opens, and
+-- the seed is revealed after the draw. The winning numbers are derived from the seed
+-- and the hash of the first Solana block after sales closed, so anyone can recompute them.
+ALTER TABLE draws ADD COLUMN IF NOT EXISTS seed_commitment TEXT; -- sha256 of the seed
+ALTER TABLE draws ADD COLUMN IF NOT EXISTS seed_committed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE draws ADD COLUMN IF NOT EXISTS server_seed TEXT; -- Revealed once the draw is made
+ALTER TABLE draws ADD COLUMN IF NOT EXISTS public_input_slot BIGINT;
+ALTER TABLE draws ADD COLUMN IF NOT EXISTS public_input_blockhash TEXT;
+ALTER TABLE draws ADD COLUMN IF NOT EXISTS public_input_block_time TIMESTAMP WITH TIME ZONE;
+ALTER TABLE draws ADD COLUMN IF NOT EXISTS randomness TEXT
+    CHECK (randomness IN ('commit_reveal', 'manual')); -- Empty for draws made before commitments
+
+-- Seeds of draws not made yet; only the backend can read them
+CREATE TABLE IF NOT EXISTS draw_seeds (
+    draw_id UUID PRIMARY KEY REFERENCES draws(id) ON DELETE CASCADE,
+    server_seed TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE draw_seeds ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Only service role can manage draw seeds" ON draw_seeds
+    FOR ALL USING (auth.role() = 'service_role');
@@ -0,0 +1,38 @@
+-- Draws move through explicit states, each saved as the step that reaches it
+-- completes, so an interrupted draw can pick up from the last finished step:
+-- scheduled -> sales_closed -> drawn -> winners_calculated -> payouts_in_progress -> completed
+ALTER TABLE draws DROP CONSTRAINT IF EXISTS draws_status_check;
+
+UPDATE draws SET status = 'scheduled' WHERE status = 'open';
+
+ALTER TABLE draws ADD CONSTRAINT draws_status_check
+    CHECK (status IN ('scheduled', 'sales_closed', 'drawn', 'winners_calculated',
+                      'payouts_in_progress', 'completed', 'failed', 'cancelled'));
+ALTER TABLE draws ALTER COLUMN status SET DEFAULT 'scheduled';
+
+ALTER TABLE draws ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE draws ADD COLUMN IF NOT EXISTS failed_status TEXT; -- State a failed draw resumes from
+ALTER TABLE draws ADD COLUMN IF NOT EXISTS failure_reason TEXT;
+ALTER TABLE draws ADD COLUMN IF NOT EXISTS failed_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE draws DROP CONSTRAINT IF EXISTS draws_failed_status_check;
+ALTER TABLE draws ADD CONSTRAINT draws_failed_status_check
+    CHECK (failed_status IS NULL OR failed_status IN ('scheduled', 'sales_closed', 'drawn',
+                                                      'winners_calculated', 'payouts_in_progress'));
+
+-- Each currency's pot split for a draw, saved before any of it is posted to the
+-- ledger, so a retried settlement posts exactly the same amounts
+CREATE TABLE IF NOT EXISTS draw_settlements (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    draw_id UUID NOT NULL REFERENCES draws(id) ON DELETE CASCADE,
+    currency TEXT NOT NULL,
+    carried_in_lamports BIGINT NOT NULL DEFAULT 0, -- Rollover brought into the pot
+    total_pot_lamports BIGINT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (draw_id, currency)
+);
+
+ALTER TABLE draw_settlements ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Only service role can manage draw settlements" ON draw_settlements
+    FOR ALL USING (auth.role() = 'service_role');
@@ -0,0 +1,65 @@
+-- Prize structure read by the prize engine (lib/prizes.js). Tiers are checked in
+-- order and a ticket wins the first one whose match rule it meets.
+CREATE TABLE IF NOT EXISTS prize_tiers (
+    tier INTEGER PRIMARY KEY CHECK (tier > 0), -- 1 = jackpot; also the payout order
+    name TEXT NOT NULL,
+    match_count INTEGER NOT NULL CHECK (match_count BETWEEN 0 AND 5),
+    requires_powerball BOOLEAN NOT NULL DEFAULT FALSE,
+    prize_type TEXT NOT NULL DEFAULT 'pool' CHECK (prize_type IN ('pool', 'fixed')),
+    allocation_bps INTEGER NOT NULL DEFAULT 0 CHECK (allocation_bps BETWEEN 0 AND 10000), -- Pool tiers: max share of the winner pot
+    fixed_amounts JSONB NOT NULL DEFAULT '{}', -- Fixed tiers: prize per winner by currency, in its smallest unit
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Share of every pot kept as house revenue before prizes are allocated (one row)
+CREATE TABLE IF NOT EXISTS prize_settings (
+    id BOOLEAN PRIMARY KEY DEFAULT TRUE CHECK (id),
+    house_share_bps INTEGER NOT NULL DEFAULT 1500 CHECK (house_share_bps BETWEEN 0 AND 10000),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TRIGGER update_prize_tiers_updated_at
+    BEFORE UPDATE ON prize_tiers
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_prize_settings_updated_at
+    BEFORE UPDATE ON prize_settings
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- The cascading model the backend has used so far: 85% of the pot to winners, each
+-- tier capped at a share of it
+INSERT INTO prize_settings (id, house_share_bps) VALUES (TRUE, 1500)
+ON CONFLICT (id) DO NOTHING;
+
+INSERT INTO prize_tiers (tier, name, match_count, requires_powerball, prize_type, allocation_bps) VALUES
+    (1, 'Jackpot', 5, TRUE, 'pool', 10000),
+    (2, '5 Numbers', 5, FALSE, 'pool', 5000),
+    (3, '4 + Powerball', 4, TRUE, 'pool', 2500),
+    (4, '4 Numbers', 4, FALSE, 'pool', 1000),
+    (5, '3 + Powerball', 3, TRUE, 'pool', 500),
+    (6, '3 Numbers', 3, FALSE, 'pool', 200)
+ON CONFLICT (tier) DO NOTHING;
+
+ALTER TABLE prize_tiers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE prize_settings ENABLE ROW LEVEL SECURITY;
+
+-- The prize structure is public
+CREATE POLICY "Anyone can view prize tiers" ON prize_tiers
+    FOR SELECT USING (true);
+
+CREATE POLICY "Anyone can view prize settings" ON prize_settings
+    FOR SELECT USING (true);
+
+CREATE POLICY "Only service role can manage prize tiers" ON prize_tiers
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Only service role can manage prize settings" ON prize_settings
+    FOR ALL USING (auth.role() = 'service_role');
+
+-- Fixed-amount tiers that no longer match how prizes are paid; prizes are worked
+-- out from the tables above
+DROP FUNCTION IF EXISTS calculate_winnings(INTEGER[], INTEGER, INTEGER[], INTEGER);
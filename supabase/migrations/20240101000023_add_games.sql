@@ -0,0 +1,207 @@
+-- Lottery games. Every ticket, draw, pot and prize belongs to a game; 'main' is the
+-- 5/30 + 1/10 Friday game the backend has run so far.
+CREATE TABLE IF NOT EXISTS games (
+    id TEXT PRIMARY KEY CHECK (id ~ '^[a-z0-9_-]+$'),
+    name TEXT NOT NULL,
+    main_picks INTEGER NOT NULL CHECK (main_picks > 0), -- Numbers on a line
+    main_pool INTEGER NOT NULL, -- Numbers are picked from 1..main_pool
+    bonus_pool INTEGER NOT NULL CHECK (bonus_pool > 0), -- Powerball is picked from 1..bonus_pool
+    ticket_prices JSONB NOT NULL DEFAULT '{}', -- Price by currency, in its smallest unit; the currency's standard price if not set
+    draw_days INTEGER[] NOT NULL CHECK (array_length(draw_days, 1) > 0 AND draw_days <@ ARRAY[0, 1, 2, 3, 4, 5, 6]), -- 0 = Sunday
+    draw_hour_utc INTEGER NOT NULL CHECK (draw_hour_utc BETWEEN 0 AND 23),
+    sales_cutoff_minutes INTEGER CHECK (sales_cutoff_minutes >= 0), -- SALES_CUTOFF_MINUTES if not set
+    house_share_bps INTEGER NOT NULL DEFAULT 1500 CHECK (house_share_bps BETWEEN 0 AND 10000),
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (main_pool >= main_picks)
+);
+
+CREATE TRIGGER update_games_updated_at
+    BEFORE UPDATE ON games
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- The main game keeps the house share it had in prize_settings
+INSERT INTO games (id, name, main_picks, main_pool, bonus_pool, draw_days, draw_hour_utc, house_share_bps)
+SELECT 'main', 'Powerball', 5, 30, 10, ARRAY[5], 20, COALESCE((SELECT house_share_bps FROM prize_settings LIMIT 1), 1500)
+ON CONFLICT (id) DO NOTHING;
+
+ALTER TABLE games ENABLE ROW LEVEL SECURITY;
+
+-- Games are public
+CREATE POLICY "Anyone can view games" ON games
+    FOR SELECT USING (true);
+
+CREATE POLICY "Only service role can manage games" ON games
+    FOR ALL USING (auth.role() = 'service_role');
+
+-- Everything that exists so far belongs to the main game
+ALTER TABLE draws ADD COLUMN IF NOT EXISTS game_id TEXT NOT NULL DEFAULT 'main' REFERENCES games(id);
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS game_id TEXT NOT NULL DEFAULT 'main' REFERENCES games(id);
+ALTER TABLE winners ADD COLUMN IF NOT EXISTS game_id TEXT NOT NULL DEFAULT 'main' REFERENCES games(id);
+ALTER TABLE payment_intents ADD COLUMN IF NOT EXISTS game_id TEXT NOT NULL DEFAULT 'main' REFERENCES games(id);
+ALTER TABLE ledger_transactions ADD COLUMN IF NOT EXISTS game_id TEXT NOT NULL DEFAULT 'main' REFERENCES games(id);
+
+CREATE INDEX IF NOT EXISTS idx_tickets_game_id ON tickets(game_id);
+CREATE INDEX IF NOT EXISTS idx_winners_game_id ON winners(game_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_transactions_game_id ON ledger_transactions(game_id);
+
+-- Each game has its own draw schedule, so draw times are unique per game
+DROP INDEX IF EXISTS idx_draws_draw_time;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_draws_game_draw_time ON draws(game_id, draw_time);
+
+-- Prize tiers are configured per game, and the house share moves onto the game
+ALTER TABLE prize_tiers ADD COLUMN IF NOT EXISTS game_id TEXT NOT NULL DEFAULT 'main' REFERENCES games(id) ON DELETE CASCADE;
+ALTER TABLE prize_tiers DROP CONSTRAINT IF EXISTS prize_tiers_pkey;
+ALTER TABLE prize_tiers ADD PRIMARY KEY (game_id, tier);
+ALTER TABLE prize_tiers DROP CONSTRAINT IF EXISTS prize_tiers_match_count_check;
+ALTER TABLE prize_tiers ADD CONSTRAINT prize_tiers_match_count_check CHECK (match_count >= 0);
+
+DROP TABLE IF EXISTS prize_settings;
+
+-- Line checks fixed to 5 numbers of 1-30 and a powerball of 1-10 are replaced by
+-- checks against the game's own matrix
+ALTER TABLE tickets DROP CONSTRAINT IF EXISTS tickets_numbers_check;
+ALTER TABLE tickets DROP CONSTRAINT IF EXISTS tickets_powerball_check;
+ALTER TABLE tickets DROP CONSTRAINT IF EXISTS check_numbers_valid;
+ALTER TABLE draws DROP CONSTRAINT IF EXISTS draws_winning_numbers_check;
+ALTER TABLE draws DROP CONSTRAINT IF EXISTS draws_powerball_check;
+DROP FUNCTION IF EXISTS validate_lottery_numbers(INTEGER[]);
+
+-- Whether a line fits a game: main_picks unique numbers of 1..main_pool and a
+-- powerball of 1..bonus_pool
+CREATE OR REPLACE FUNCTION is_valid_game_line(p_game games, p_numbers INTEGER[], p_powerball INTEGER)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN COALESCE(array_length(p_numbers, 1), 0) = p_game.main_picks
+        AND (SELECT COUNT(DISTINCT n) FROM unnest(p_numbers) AS n) = p_game.main_picks
+        AND NOT EXISTS (SELECT 1 FROM unnest(p_numbers) AS n WHERE n IS NULL OR n < 1 OR n > p_game.main_pool)
+        AND p_powerball BETWEEN 1 AND p_game.bonus_pool;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- A ticket takes the game of its draw, and its line must fit that game
+CREATE OR REPLACE FUNCTION check_ticket_game_line()
+RETURNS TRIGGER AS $$
+DECLARE
+    ticket_game games;
+BEGIN
+    IF NEW.draw_id IS NOT NULL THEN
+        SELECT game_id INTO NEW.game_id FROM draws WHERE id = NEW.draw_id;
+    END IF;
+
+    SELECT * INTO ticket_game FROM games WHERE id = NEW.game_id;
+
+    IF NOT is_valid_game_line(ticket_game, NEW.numbers, NEW.powerball) THEN
+        RAISE EXCEPTION 'Ticket line is not valid for game %', NEW.game_id;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER check_ticket_game_line
+    BEFORE INSERT OR UPDATE OF numbers, powerball, draw_id, game_id ON tickets
+    FOR EACH ROW
+    EXECUTE FUNCTION check_ticket_game_line();
+
+-- Winning numbers, once drawn, must fit the draw's game
+CREATE OR REPLACE FUNCTION check_draw_game_line()
+RETURNS TRIGGER AS $$
+DECLARE
+    draw_game games;
+BEGIN
+    IF NEW.winning_numbers IS NOT NULL THEN
+        SELECT * INTO draw_game FROM games WHERE id = NEW.game_id;
+
+        IF NOT is_valid_game_line(draw_game, NEW.winning_numbers, NEW.powerball) THEN
+            RAISE EXCEPTION 'Winning numbers are not valid for game %', NEW.game_id;
+        END IF;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER check_draw_game_line
+    BEFORE INSERT OR UPDATE OF winning_numbers, powerball, game_id ON draws
+    FOR EACH ROW
+    EXECUTE FUNCTION check_draw_game_line();
+
+-- Ledger transactions belong to a game: the one given, else the game of their draw,
+-- else the main game. Pots are kept apart by game.
+DROP FUNCTION IF EXISTS post_ledger_transaction(TEXT, TEXT, TEXT, JSONB, INTEGER, UUID, TEXT, UUID);
+
+CREATE OR REPLACE FUNCTION post_ledger_transaction(
+    p_type TEXT,
+    p_currency TEXT,
+    p_reference TEXT,
+    p_entries JSONB,
+    p_ticket_count INTEGER DEFAULT 0,
+    p_draw_id UUID DEFAULT NULL,
+    p_description TEXT DEFAULT NULL,
+    p_created_by UUID DEFAULT NULL,
+    p_game_id TEXT DEFAULT NULL
+)
+RETURNS ledger_transactions AS $$
+DECLARE
+    total_debits BIGINT;
+    total_credits BIGINT;
+    transaction_game TEXT;
+    posted ledger_transactions;
+BEGIN
+    SELECT
+        COALESCE(SUM((entry->>'debit')::BIGINT), 0),
+        COALESCE(SUM((entry->>'credit')::BIGINT), 0)
+    INTO total_debits, total_credits
+    FROM jsonb_array_elements(p_entries) AS entry;
+
+    IF total_debits <= 0 OR total_debits <> total_credits THEN
+        RAISE EXCEPTION 'Unbalanced ledger transaction: debits %, credits %', total_debits, total_credits;
+    END IF;
+
+    transaction_game := COALESCE(p_game_id, (SELECT game_id FROM draws WHERE id = p_draw_id), 'main');
+
+    INSERT INTO ledger_transactions (type, currency, reference, amount_lamports, ticket_count, draw_id, description, created_by, game_id)
+    VALUES (p_type, p_currency, p_reference, total_debits, p_ticket_count, p_draw_id, p_description, p_created_by, transaction_game)
+    RETURNING * INTO posted;
+
+    INSERT INTO ledger_entries (transaction_id, account, currency, debit_lamports, credit_lamports)
+    SELECT
+        posted.id,
+        entry->>'account',
+        p_currency,
+        COALESCE((entry->>'debit')::BIGINT, 0),
+        COALESCE((entry->>'credit')::BIGINT, 0)
+    FROM jsonb_array_elements(p_entries) AS entry;
+
+    RETURN posted;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION post_ledger_transaction(TEXT, TEXT, TEXT, JSONB, INTEGER, UUID, TEXT, UUID, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- Flows and totals are grouped by game as well, so each game's balances can be read
+CREATE OR REPLACE VIEW ledger_flows AS
+SELECT
+    t.type,
+    e.account,
+    e.currency,
+    SUM(e.debit_lamports)::BIGINT AS debit_lamports,
+    SUM(e.credit_lamports)::BIGINT AS credit_lamports,
+    t.game_id
+FROM ledger_entries e
+JOIN ledger_transactions t ON t.id = e.transaction_id
+GROUP BY t.type, e.account, e.currency, t.game_id;
+
+CREATE OR REPLACE VIEW ledger_totals AS
+SELECT
+    type,
+    currency,
+    COUNT(*)::BIGINT AS transaction_count,
+    SUM(amount_lamports)::BIGINT AS amount_lamports,
+    SUM(ticket_count)::BIGINT AS ticket_count,
+    game_id
+FROM ledger_transactions
+GROUP BY type, currency, game_id;
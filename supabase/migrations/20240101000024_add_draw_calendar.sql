@@ -0,0 +1,24 @@
+-- One-off changes to a game's recurring draw schedule (games.draw_days at
+-- games.draw_hour_utc): extra draws, skipped draws and postponed draws
+CREATE TABLE IF NOT EXISTS draw_calendar (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    game_id TEXT NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+    type TEXT NOT NULL CHECK (type IN ('extra', 'skip', 'postpone')),
+    draw_time TIMESTAMP WITH TIME ZONE NOT NULL, -- The extra draw, or the regular draw skipped or postponed
+    postponed_to TIMESTAMP WITH TIME ZONE, -- New time of a postponed draw
+    reason TEXT,
+    created_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK ((type = 'postpone') = (postponed_to IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_draw_calendar_game_draw_time ON draw_calendar(game_id, draw_time);
+
+ALTER TABLE draw_calendar ENABLE ROW LEVEL SECURITY;
+
+-- The calendar is public, so players can see upcoming changes
+CREATE POLICY "Anyone can view draw calendar" ON draw_calendar
+    FOR SELECT USING (true);
+
+CREATE POLICY "Only service role can manage draw calendar" ON draw_calendar
+    FOR ALL USING (auth.role() = 'service_role');
@@ -0,0 +1,21 @@
+-- Jackpot rules per game, by currency in its smallest unit: a guaranteed minimum
+-- seeded from house revenue, a cap, and after how many draws at the cap the jackpot
+-- must be won (rolled down to the lower tiers if nobody wins it)
+ALTER TABLE games ADD COLUMN IF NOT EXISTS jackpot_seeds JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE games ADD COLUMN IF NOT EXISTS jackpot_caps JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE games ADD COLUMN IF NOT EXISTS jackpot_rolldown_draws INTEGER CHECK (jackpot_rolldown_draws > 0);
+
+-- How each draw's jackpot was made up and what became of it
+ALTER TABLE draw_settlements ADD COLUMN IF NOT EXISTS seeded_lamports BIGINT NOT NULL DEFAULT 0; -- Added from house revenue
+ALTER TABLE draw_settlements ADD COLUMN IF NOT EXISTS jackpot_lamports BIGINT NOT NULL DEFAULT 0;
+ALTER TABLE draw_settlements ADD COLUMN IF NOT EXISTS capped_draws INTEGER NOT NULL DEFAULT 0; -- Draws in a row the jackpot has sat at its cap
+ALTER TABLE draw_settlements ADD COLUMN IF NOT EXISTS must_be_won BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE draw_settlements ADD COLUMN IF NOT EXISTS jackpot_won BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE draw_settlements ADD COLUMN IF NOT EXISTS rolled_down BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Seeding the jackpot moves house revenue into the pot
+ALTER TABLE ledger_transactions DROP CONSTRAINT IF EXISTS ledger_transactions_type_check;
+ALTER TABLE ledger_transactions ADD CONSTRAINT ledger_transactions_type_check CHECK (type IN (
+    'ticket_sale', 'house_revenue', 'prize_allocation', 'payout', 'rollover', 'jackpot_seed', 'refund', 'adjustment',
+    'subscription_deposit', 'syndicate_contribution', 'cancellation_fee'
+));
@@ -0,0 +1,4 @@
+-- An intent whose deposit was refunded to the sender is voided, so the same
+-- transaction cannot be turned into tickets afterwards
+ALTER TABLE payment_intents DROP CONSTRAINT IF EXISTS payment_intents_status_check;
+ALTER TABLE payment_intents ADD CONSTRAINT payment_intents_status_check CHECK (status IN ('pending', 'consumed', 'expired', 'voided'));
@@ -0,0 +1,3 @@
+-- Ledger account a refund is paid out of. The refund is posted when it is sent, and
+-- posted again (idempotently) when a failed refund is retried.
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS from_account TEXT;
@@ -0,0 +1,6 @@
+-- A prize or refund transfer that was sent but not confirmed keeps its signature and
+-- the last block height its blockhash is valid for. It is checked on-chain before it
+-- is sent again: once that height has passed without it landing, it never will.
+ALTER TABLE winners ADD COLUMN IF NOT EXISTS payout_last_valid_block_height BIGINT;
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS last_valid_block_height BIGINT;
+ALTER TABLE syndicate_payouts ADD COLUMN IF NOT EXISTS last_valid_block_height BIGINT;
@@ -0,0 +1,23 @@
+-- Open a draw and store its seed in one statement, so a draw never publishes a seed
+-- commitment without the seed behind it. Returns nothing if the draw already exists.
+CREATE OR REPLACE FUNCTION open_draw(
+    p_game_id TEXT,
+    p_draw_time TIMESTAMP WITH TIME ZONE,
+    p_sales_close_at TIMESTAMP WITH TIME ZONE,
+    p_seed TEXT,
+    p_seed_commitment TEXT
+)
+RETURNS SETOF draws AS $$
+    WITH created AS (
+        INSERT INTO draws (game_id, draw_time, draw_date, sales_close_at, status, seed_commitment, seed_committed_at)
+        VALUES (p_game_id, p_draw_time, (p_draw_time AT TIME ZONE 'UTC')::DATE, p_sales_close_at, 'scheduled', p_seed_commitment, NOW())
+        ON CONFLICT (game_id, draw_time) DO NOTHING
+        RETURNING *
+    ), seed AS (
+        INSERT INTO draw_seeds (draw_id, server_seed)
+        SELECT id, p_seed FROM created
+    )
+    SELECT * FROM created;
+$$ LANGUAGE sql;
+
+REVOKE EXECUTE ON FUNCTION open_draw(TEXT, TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const currencies = require('../lib/currencies');
+
+test('reads whole and decimal amounts as written', () => {
+  assert.equal(currencies.fromDisplay(12, 'SOL'), 12000000000);
+  assert.equal(currencies.fromDisplay('0.1', 'SOL'), 100000000);
+  assert.equal(currencies.fromDisplay('.5', 'SOL'), 500000000);
+  assert.equal(currencies.fromDisplay(' 3. ', 'SOL'), 3000000000);
+});
+
+test('does not pick up floating-point error', () => {
+  // 1.001 * 1e9 and 0.3 * 1e9 are not whole numbers in floating point
+  assert.equal(currencies.fromDisplay(1.001, 'SOL'), 1001000000);
+  assert.equal(currencies.fromDisplay(0.3, 'SOL'), 300000000);
+  assert.equal(currencies.fromDisplay(0.05), 50000000);
+});
+
+test('drops digits beyond the currency\'s decimals', () => {
+  assert.equal(currencies.fromDisplay('2.1234567899', 'SOL'), 2123456789);
+});
+
+test('reads exponent notation', () => {
+  assert.equal(currencies.fromDisplay(1e-7, 'SOL'), 100);
+  assert.equal(currencies.fromDisplay('2e1', 'SOL'), 20000000000);
+});
+
+test('keeps the sign of negative amounts', () => {
+  assert.equal(currencies.fromDisplay('-0.25', 'SOL'), -250000000);
+});
+
+test('returns NaN for input that is not a number', () => {
+  assert.ok(Number.isNaN(currencies.fromDisplay('abc', 'SOL')));
+});
+
+test('throws for a currency that is not configured', () => {
+  assert.throws(() => currencies.fromDisplay(1, 'XYZ'), /Unsupported currency: XYZ/);
+});
+
+test('format and fromDisplay round-trip', () => {
+  for (const amount of [0, 1, 50000000, 1001000000, 123456789012]) {
+    assert.equal(currencies.fromDisplay(currencies.format(amount, 'SOL'), 'SOL'), amount);
+  }
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fairnessService = require('../lib/fairness');
+
+const GAME = { main_picks: 5, main_pool: 69, bonus_pool: 26 };
+const SEED = '11'.repeat(32);
+const BLOCKHASH = 'blockhash';
+
+// A draw made by the published algorithm (checked against an independent implementation)
+function completedDraw(overrides = {}) {
+  return {
+    server_seed: SEED,
+    seed_commitment: '02d449a31fbb267c8f352e9968a79e3e5fc95c1bbeaa502fd6454ebde5a4bedc',
+    public_input_blockhash: BLOCKHASH,
+    winning_numbers: [37, 39, 44, 54, 59],
+    powerball: 16,
+    ...overrides
+  };
+}
+
+test('commits to the sha256 of the seed bytes', () => {
+  assert.equal(fairnessService.commit(SEED), completedDraw().seed_commitment);
+});
+
+test('derives the published winning line from the seed and public input', () => {
+  assert.deepEqual(fairnessService.deriveNumbers(SEED, BLOCKHASH, GAME), { numbers: [37, 39, 44, 54, 59], powerball: 16 });
+});
+
+test('derives distinct sorted numbers within the game\'s matrix', () => {
+  const game = { main_picks: 6, main_pool: 8, bonus_pool: 3 };
+
+  for (let i = 0; i < 50; i++) {
+    const { numbers, powerball } = fairnessService.deriveNumbers(fairnessService.createSeed(), `input-${i}`, game);
+    assert.equal(new Set(numbers).size, 6);
+    assert.deepEqual(numbers, [...numbers].sort((a, b) => a - b));
+    assert.ok(numbers.every(n => n >= 1 && n <= 8));
+    assert.ok(powerball >= 1 && powerball <= 3);
+  }
+});
+
+test('verifies a draw made from its revealed seed', () => {
+  assert.deepEqual(fairnessService.verify(completedDraw(), GAME), { verified: true, errors: [] });
+});
+
+test('verifies winning numbers stored in any order', () => {
+  const draw = completedDraw({ winning_numbers: [59, 37, 54, 39, 44] });
+
+  assert.equal(fairnessService.verify(draw, GAME).verified, true);
+});
+
+test('rejects a seed that does not match the commitment', () => {
+  const draw = completedDraw({ seed_commitment: fairnessService.commit('22'.repeat(32)) });
+
+  assert.deepEqual(fairnessService.verify(draw, GAME), { verified: false, errors: ['Seed does not match the commitment'] });
+});
+
+test('rejects winning numbers the seed and public input do not produce', () => {
+  for (const draw of [
+    completedDraw({ winning_numbers: [1, 39, 44, 54, 59] }),
+    completedDraw({ powerball: 17 }),
+    completedDraw({ public_input_blockhash: 'another-blockhash' })
+  ]) {
+    assert.deepEqual(fairnessService.verify(draw, GAME), {
+      verified: false,
+      errors: ['Winning numbers do not match the seed and public input']
+    });
+  }
+});
+
+test('rejects a draw checked against another game\'s matrix', () => {
+  assert.equal(fairnessService.verify(completedDraw(), { main_picks: 5, main_pool: 50, bonus_pool: 10 }).verified, false);
+});
+
+test('does not verify a draw whose seed has not been revealed', () => {
+  assert.deepEqual(fairnessService.verify(completedDraw({ server_seed: null }), GAME), {
+    verified: false,
+    errors: ['Draw has no revealed seed and public input']
+  });
+});
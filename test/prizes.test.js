@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const prizeService = require('../lib/prizes');
+
+const STRUCTURE = {
+  gameId: 'powerball',
+  houseShareBps: 2000,
+  tiers: [
+    { tier: 1, name: 'Jackpot', match_count: 5, requires_powerball: true, prize_type: 'pool', allocation_bps: 5000, fixed_amounts: {} },
+    { tier: 2, name: 'Match 5', match_count: 5, requires_powerball: false, prize_type: 'pool', allocation_bps: 2000, fixed_amounts: {} },
+    { tier: 3, name: 'Match 4 + Powerball', match_count: 4, requires_powerball: true, prize_type: 'fixed', allocation_bps: 0, fixed_amounts: { SOL: 1000 } },
+    { tier: 4, name: 'Match 3', match_count: 3, requires_powerball: false, prize_type: 'pool', allocation_bps: 1000, fixed_amounts: {} }
+  ]
+};
+
+const WINNING_NUMBERS = [1, 2, 3, 4, 5];
+const WINNING_POWERBALL = 6;
+
+const winnersOf = (...tiers) => tiers.map((prizeTier, i) => ({ id: `w${i}`, prize_tier: prizeTier }));
+const prizesOf = result => result.winners.map(w => w.prize_lamports);
+
+test('matches a ticket to the first tier whose rule it meets', () => {
+  const cases = [
+    [[1, 2, 3, 4, 5], 6, 1],
+    [[1, 2, 3, 4, 5], 7, 2],
+    [[5, 4, 3, 2, 9], 6, 3],
+    [[1, 2, 3, 8, 9], 6, 4],
+    [[1, 2, 3, 8, 9], 7, 4]
+  ];
+
+  for (const [numbers, powerball, expectedTier] of cases) {
+    const match = prizeService.matchTicket(STRUCTURE, { numbers, powerball }, WINNING_NUMBERS, WINNING_POWERBALL);
+    assert.equal(match.prizeTier, expectedTier, `${numbers} + ${powerball}`);
+    assert.equal(match.tier.tier, expectedTier);
+  }
+});
+
+test('gives no prize to a ticket that meets no tier', () => {
+  // Four numbers without the powerball is not a tier of this game
+  const match = prizeService.matchTicket(STRUCTURE, { numbers: [1, 2, 3, 4, 9], powerball: 7 }, WINNING_NUMBERS, WINNING_POWERBALL);
+
+  assert.deepEqual(match, { prizeTier: 0, tier: null, matchingNumbers: 4, powerballMatch: false });
+});
+
+test('takes the house share off the pot before any prize', () => {
+  const result = prizeService.distribute(STRUCTURE, [], 1000000, 'SOL');
+
+  assert.equal(result.winnerPot, 800000);
+  assert.equal(result.revenue, 200000);
+  assert.equal(result.allocated, 0);
+  assert.equal(result.remainingPot, 800000);
+});
+
+test('splits pool tiers from the winner pot and pays fixed tiers per winner', () => {
+  const result = prizeService.distribute(STRUCTURE, winnersOf(2, 2, 3, 4), 1000000, 'SOL');
+
+  assert.deepEqual(result.prizePerWinnerByTier, { 2: 80000, 3: 1000, 4: 80000 });
+  assert.deepEqual(prizesOf(result), [80000, 80000, 1000, 80000]);
+  assert.equal(result.allocated, 241000);
+  assert.equal(result.remainingPot, 559000);
+});
+
+test('rounds prizes down and keeps the dust in the pot', () => {
+  const result = prizeService.distribute(STRUCTURE, winnersOf(2, 2, 2), 1000, 'SOL');
+
+  // Tier 2 gets 20% of a winner pot of 800
+  assert.deepEqual(prizesOf(result), [53, 53, 53]);
+  assert.equal(result.allocated + result.remainingPot, result.winnerPot);
+});
+
+test('caps lower tiers at what is left of the winner pot', () => {
+  const result = prizeService.distribute(STRUCTURE, [...winnersOf(2), ...winnersOf(...Array(10).fill(3))], 10000, 'SOL');
+
+  // 1,600 to tier 2 leaves 6,400 for ten fixed prizes of 1,000
+  assert.deepEqual(result.prizePerWinnerByTier, { 2: 1600, 3: 640 });
+  assert.equal(result.remainingPot, 0);
+});
+
+test('pays nothing for a fixed tier without a prize in the currency', () => {
+  const result = prizeService.distribute(STRUCTURE, winnersOf(3), 1000000, 'USDC');
+
+  assert.deepEqual(prizesOf(result), [0]);
+});
+
+const NO_RULES = { seed: 0, cap: null, rolldownDraws: null };
+
+test('builds the jackpot from its share of the sales plus the rollover', () => {
+  const jackpot = prizeService.getJackpot(STRUCTURE, NO_RULES, 1000000, 100000);
+
+  assert.deepEqual(jackpot, { carriedIn: 100000, seeded: 0, amount: 500000, capped: false, cappedDraws: 0, mustBeWon: false });
+});
+
+test('tops the jackpot up to its seed', () => {
+  const jackpot = prizeService.getJackpot(STRUCTURE, { ...NO_RULES, seed: 1000000 }, 1000000, 100000);
+
+  assert.equal(jackpot.seeded, 500000);
+  assert.equal(jackpot.amount, 1000000);
+});
+
+test('holds the jackpot at its cap and counts the draws it sits there', () => {
+  const rules = { seed: 0, cap: 450000, rolldownDraws: 3 };
+
+  assert.deepEqual(prizeService.getJackpot(STRUCTURE, rules, 1000000, 100000, 1), {
+    carriedIn: 100000, seeded: 0, amount: 450000, capped: true, cappedDraws: 2, mustBeWon: false
+  });
+  assert.equal(prizeService.getJackpot(STRUCTURE, rules, 1000000, 100000, 2).mustBeWon, true);
+  assert.equal(prizeService.getJackpot(STRUCTURE, rules, 0, 0, 2).cappedDraws, 0);
+});
+
+test('never seeds the jackpot above its cap', () => {
+  const jackpot = prizeService.getJackpot(STRUCTURE, { seed: 600000, cap: 450000, rolldownDraws: null }, 0, 0);
+
+  assert.equal(jackpot.seeded, 450000);
+  assert.equal(jackpot.amount, 450000);
+  assert.equal(jackpot.mustBeWon, false);
+});
+
+test('has no jackpot when the top tier is a fixed prize', () => {
+  const structure = { ...STRUCTURE, tiers: STRUCTURE.tiers.slice(2) };
+
+  assert.deepEqual(prizeService.getJackpot(structure, { seed: 1000, cap: 500, rolldownDraws: 1 }, 1000000, 100000), {
+    carriedIn: 100000, seeded: 0, amount: 0, mustBeWon: false, capped: false, cappedDraws: 0
+  });
+});
+
+test('pays a won jackpot from the rollover first and the rest from the winner pot', () => {
+  const jackpot = prizeService.getJackpot(STRUCTURE, NO_RULES, 1000000, 100000);
+  const result = prizeService.distribute(STRUCTURE, winnersOf(1, 1, 2), 1000000, 'SOL', jackpot);
+
+  assert.equal(result.jackpotWon, true);
+  assert.deepEqual(prizesOf(result), [250000, 250000, 160000]);
+  assert.equal(result.allocated, 660000);
+  assert.equal(result.remainingPot, 240000);
+});
+
+test('rolls an unwon jackpot over with everything else left in the pot', () => {
+  const jackpot = prizeService.getJackpot(STRUCTURE, NO_RULES, 1000000, 100000);
+  const result = prizeService.distribute(STRUCTURE, winnersOf(2), 1000000, 'SOL', jackpot);
+
+  assert.equal(result.jackpotWon, false);
+  assert.equal(result.rolledDown, false);
+  assert.deepEqual(prizesOf(result), [160000]);
+  assert.equal(result.remainingPot, 740000);
+});
+
+test('rolls a must-be-won jackpot down to lower pool tiers by their share', () => {
+  const jackpot = prizeService.getJackpot(STRUCTURE, { seed: 0, cap: 450000, rolldownDraws: 1 }, 1000000, 100000);
+  assert.equal(jackpot.mustBeWon, true);
+
+  const result = prizeService.distribute(STRUCTURE, winnersOf(2, 2, 4), 1000000, 'SOL', jackpot);
+
+  // Tiers 2 and 4 get the 450,000 jackpot 2:1 on top of their own prizes
+  assert.equal(result.rolledDown, true);
+  assert.deepEqual(result.tiers.map(t => [t.tier, t.rolldown]), [[2, 300000], [4, 150000]]);
+  assert.deepEqual(prizesOf(result), [230000, 230000, 230000]);
+  assert.equal(result.allocated, 690000);
+  assert.equal(result.remainingPot, 210000);
+});
+
+test('rolls a must-be-won jackpot down evenly when only fixed tiers have winners', () => {
+  const jackpot = prizeService.getJackpot(STRUCTURE, { seed: 0, cap: 450000, rolldownDraws: 1 }, 1000000, 100000);
+  const result = prizeService.distribute(STRUCTURE, winnersOf(3, 3), 1000000, 'SOL', jackpot);
+
+  assert.deepEqual(prizesOf(result), [226000, 226000]);
+  assert.equal(result.remainingPot, 448000);
+});
+
+test('rolls a must-be-won jackpot over when nobody wins a prize', () => {
+  const jackpot = prizeService.getJackpot(STRUCTURE, { seed: 0, cap: 450000, rolldownDraws: 1 }, 1000000, 100000);
+  const result = prizeService.distribute(STRUCTURE, [], 1000000, 'SOL', jackpot);
+
+  assert.equal(result.rolledDown, false);
+  assert.equal(result.allocated, 0);
+  assert.equal(result.remainingPot, 900000);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const refundService = require('../lib/refunds');
+
+test('refunds the price the payment paid per ticket', () => {
+  const payment = { amount_lamports: '150000000', ticket_count: 3 };
+
+  assert.deepEqual(refundService.getTicketRefund(payment, 2), { amount: 100000000, fee: 0 });
+});
+
+test('prices tickets of a discounted payment at what was actually paid', () => {
+  // 10 tickets bought for the price of 9
+  const payment = { amount_lamports: 450000000, ticket_count: 10 };
+
+  assert.deepEqual(refundService.getTicketRefund(payment, 10), { amount: 450000000, fee: 0 });
+  assert.deepEqual(refundService.getTicketRefund(payment, 1), { amount: 45000000, fee: 0 });
+});
+
+test('rounds the per-ticket price down so a partial refund never exceeds the payment', () => {
+  const payment = { amount_lamports: 100, ticket_count: 3 };
+
+  assert.deepEqual(refundService.getTicketRefund(payment, 1), { amount: 33, fee: 0 });
+  assert.deepEqual(refundService.getTicketRefund(payment, 3), { amount: 99, fee: 0 });
+});
+
+test('keeps the cancellation fee out of the refunded amount', () => {
+  const payment = { amount_lamports: 100000000, ticket_count: 2 };
+
+  // 2.5% fee
+  assert.deepEqual(refundService.getTicketRefund(payment, 2, 250), { amount: 97500000, fee: 2500000 });
+});
+
+test('rounds the fee down in the payer\'s favour', () => {
+  const payment = { amount_lamports: 999, ticket_count: 1 };
+
+  assert.deepEqual(refundService.getTicketRefund(payment, 1, 100), { amount: 990, fee: 9 });
+});
+
+test('handles amounts beyond the safe integer range of the fee multiplication', () => {
+  const payment = { amount_lamports: 9000000000000000, ticket_count: 1 };
+
+  const { amount, fee } = refundService.getTicketRefund(payment, 1, 5000);
+  assert.equal(fee, 4500000000000000);
+  assert.equal(amount + fee, 9000000000000000);
+});
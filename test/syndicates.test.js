@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const syndicateService = require('../lib/syndicates');
+
+const total = splits => splits.reduce((sum, s) => sum + s.amount, 0);
+
+test('splits a prize in proportion to shares', () => {
+  const members = [{ id: 'a', shares: 1 }, { id: 'b', shares: 3 }];
+
+  const splits = syndicateService.splitByShares(1000, members);
+
+  assert.deepEqual(splits.map(s => [s.member.id, s.amount]), [['b', 750], ['a', 250]]);
+});
+
+test('hands the rounding remainder one unit at a time to the largest holders', () => {
+  const members = [{ id: 'a', shares: 1 }, { id: 'b', shares: 1 }, { id: 'c', shares: 2 }];
+
+  const splits = syndicateService.splitByShares(103, members);
+
+  // 51.5, 25.75 and 25.75 round down to 51, 25 and 25, leaving 2 units
+  assert.deepEqual(splits.map(s => [s.member.id, s.amount]), [['c', 52], ['a', 26], ['b', 25]]);
+  assert.equal(total(splits), 103);
+});
+
+test('never pays out more or less than the prize', () => {
+  const members = [3, 7, 11, 13, 1].map((shares, i) => ({ id: String(i), shares }));
+
+  for (const amount of [1, 2, 34, 999, 1000000007]) {
+    assert.equal(total(syndicateService.splitByShares(amount, members)), amount);
+  }
+});
+
+test('skips members without shares and leaves out zero payouts', () => {
+  const members = [{ id: 'a', shares: 0 }, { id: 'b', shares: 5 }, { id: 'c', shares: 1 }];
+
+  const splits = syndicateService.splitByShares(3, members);
+
+  assert.deepEqual(splits.map(s => [s.member.id, s.amount]), [['b', 3]]);
+});
+
+test('splits amounts beyond the safe integer range of the share multiplication', () => {
+  const members = [{ id: 'a', shares: 1000 }, { id: 'b', shares: 3000 }];
+
+  const splits = syndicateService.splitByShares(8000000000000000, members);
+
+  assert.deepEqual(splits.map(s => s.amount), [6000000000000000, 2000000000000000]);
+});